@@ -0,0 +1,119 @@
+// src/config/aiPricing.js
+const fs = require('fs');
+
+// USD per million tokens. Model names match exactly or by longest prefix,
+// so "claude-3-5-sonnet-latest" uses the "claude-3-5-sonnet" price.
+const DEFAULT_PRICES = {
+  openai: {
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'text-embedding-3-small': { input: 0.02, output: 0 },
+    'text-embedding-3-large': { input: 0.13, output: 0 }
+  },
+  claude: {
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-opus': { input: 15, output: 75 },
+    'claude-3-haiku': { input: 0.25, output: 1.25 }
+  },
+  gemini: {
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    'gemini-pro': { input: 0.5, output: 1.5 },
+    'text-embedding-004': { input: 0, output: 0 }
+  },
+  deepseek: {
+    'deepseek-chat': { input: 0.27, output: 1.1 },
+    'deepseek-reasoner': { input: 0.55, output: 2.19 }
+  },
+  // OpenRouter models are "<vendor>/<model>"; unknown ones fall back to the
+  // vendor's own table below
+  openrouter: {},
+  mock: {
+    mock: { input: 0, output: 0 }
+  }
+};
+
+const VENDOR_TABLES = {
+  openai: 'openai',
+  anthropic: 'claude',
+  google: 'gemini',
+  deepseek: 'deepseek'
+};
+
+let prices = null;
+
+// Defaults merged with the JSON file at AI_PRICING_FILE (same shape as DEFAULT_PRICES)
+const loadPrices = () => {
+  const merged = {};
+  Object.entries(DEFAULT_PRICES).forEach(([provider, models]) => {
+    merged[provider] = { ...models };
+  });
+
+  const file = process.env.AI_PRICING_FILE;
+  if (file) {
+    try {
+      const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+      Object.entries(overrides).forEach(([provider, models]) => {
+        merged[provider] = { ...(merged[provider] || {}), ...models };
+      });
+    } catch (error) {
+      console.warn(`⚠️ Could not load AI pricing from ${file}:`, error.message);
+    }
+  }
+
+  return merged;
+};
+
+const getPrices = () => {
+  if (!prices) {
+    prices = loadPrices();
+  }
+  return prices;
+};
+
+const findInTable = (table, model) => {
+  if (!table || !model) return null;
+  if (table[model]) return table[model];
+
+  const prefix = Object.keys(table)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? table[prefix] : null;
+};
+
+// { input, output } per million tokens, or null when the model has no price
+const getPrice = (provider, model) => {
+  const table = getPrices();
+  const price = findInTable(table[provider], model);
+  if (price || provider !== 'openrouter' || !model?.includes('/')) {
+    return price;
+  }
+
+  const [vendor, name] = model.split('/', 2);
+  return findInTable(table[VENDOR_TABLES[vendor] || vendor], name);
+};
+
+// Estimated USD cost of a call, or null when the model is not priced
+const estimateCost = (provider, model, { inputTokens = 0, outputTokens = 0 } = {}) => {
+  const price = getPrice(provider, model);
+  if (!price) return null;
+
+  const cost = (inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+};
+
+const reloadPrices = () => {
+  prices = null;
+  return getPrices();
+};
+
+module.exports = {
+  getPrice,
+  estimateCost,
+  getPrices,
+  reloadPrices
+};
@@ -0,0 +1,68 @@
+// src/config/aiQuotas.js
+const fs = require('fs');
+
+// Limits per plan; null means unlimited. Users may carry their own overrides.
+const DEFAULT_PLANS = {
+  free: {
+    requestsPerMinute: 10,
+    tokensPerDay: 100000,
+    monthlyCostUsd: 5
+  },
+  pro: {
+    requestsPerMinute: 60,
+    tokensPerDay: 2000000,
+    monthlyCostUsd: 100
+  },
+  enterprise: {
+    requestsPerMinute: 300,
+    tokensPerDay: null,
+    monthlyCostUsd: null
+  }
+};
+
+const LIMIT_NAMES = ['requestsPerMinute', 'tokensPerDay', 'monthlyCostUsd'];
+
+let plans = null;
+
+// Defaults merged with the JSON file at AI_QUOTAS_FILE ({ "<plan>": { "<limit>": value } })
+const loadPlans = () => {
+  const merged = {};
+  Object.entries(DEFAULT_PLANS).forEach(([plan, limits]) => {
+    merged[plan] = { ...limits };
+  });
+
+  const file = process.env.AI_QUOTAS_FILE;
+  if (file) {
+    try {
+      const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+      Object.entries(overrides).forEach(([plan, limits]) => {
+        merged[plan] = { ...(merged[plan] || {}), ...limits };
+      });
+    } catch (error) {
+      console.warn(`⚠️ Could not load AI quotas from ${file}:`, error.message);
+    }
+  }
+
+  return merged;
+};
+
+const getPlans = () => {
+  if (!plans) {
+    plans = loadPlans();
+  }
+  return plans;
+};
+
+const getDefaultPlan = () => process.env.AI_DEFAULT_PLAN || 'free';
+
+const getPlanLimits = (plan) => {
+  const all = getPlans();
+  return all[plan] || all[getDefaultPlan()] || DEFAULT_PLANS.free;
+};
+
+module.exports = {
+  LIMIT_NAMES,
+  getPlans,
+  getPlanLimits,
+  getDefaultPlan
+};
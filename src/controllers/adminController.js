@@ -0,0 +1,148 @@
+// src/controllers/adminController.js
+const apiKeyResolver = require('../services/apiKeyResolver');
+const quotaService = require('../services/quotaService');
+const providerResilience = require('../services/providerResilience');
+const aiKnowledgeBase = require('../services/aiKnowledgeBase');
+const embeddingService = require('../services/embeddingService');
+const jobService = require('../services/jobService');
+const componentService = require('../services/componentService');
+
+class AdminController {
+  // Whether users without their own key may use the server's provider keys
+  async getKeyPolicy(req, res) {
+    try {
+      const policy = await apiKeyResolver.getPolicy();
+      res.json({ success: true, policy });
+    } catch (error) {
+      console.error('Error fetching key policy:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async updateKeyPolicy(req, res) {
+    try {
+      const { enabled, providers } = req.body;
+      const policy = await apiKeyResolver.updatePolicy({ enabled, providers }, req.user.uid);
+      res.json({ success: true, policy });
+    } catch (error) {
+      console.error('Error updating key policy:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Internal server error' });
+    }
+  }
+
+  // Circuit breaker state per provider
+  async getProviderHealth(req, res) {
+    res.json({ success: true, providers: providerResilience.getStatus() });
+  }
+
+  async getUserQuota(req, res) {
+    try {
+      const quota = await quotaService.getStatusForUser(req.params.uid);
+      res.json({ success: true, quota });
+    } catch (error) {
+      console.error('Error fetching user quota:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Body: { plan, quotas: { requestsPerMinute, tokensPerDay, monthlyCostUsd } }
+  async updateUserQuota(req, res) {
+    try {
+      const { plan, quotas } = req.body;
+      const result = await quotaService.updateUserQuota(req.params.uid, { plan, quotas });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('Error updating user quota:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Internal server error' });
+    }
+  }
+
+  // Body: { force, userId }. Runs in the background; poll the returned job.
+  async startKnowledgeReembed(req, res) {
+    try {
+      const { force = false, userId = null } = req.body;
+      const params = { force: force === true, userId: userId || null, embedder: embeddingService.getEmbedderId() };
+      const job = jobService.start('knowledge-reembed', ({ signal, report }) => (
+        aiKnowledgeBase.reembedEntries({ force: params.force, userId: params.userId, signal, report })
+      ), { params, startedBy: req.user.uid });
+      res.status(202).json({ success: true, job });
+    } catch (error) {
+      console.error('Error starting knowledge re-embed:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Internal server error' });
+    }
+  }
+
+  // Body: { userId, dryRun }. Merges duplicate knowledge entries in the background.
+  async startKnowledgeCompaction(req, res) {
+    try {
+      const { userId = null, dryRun = false } = req.body;
+      const params = { userId: userId || null, dryRun: dryRun === true };
+      const job = jobService.start('knowledge-compact', ({ signal, report }) => (
+        aiKnowledgeBase.compactEntries({ ...params, signal, report })
+      ), { params, startedBy: req.user.uid });
+      res.status(202).json({ success: true, job });
+    } catch (error) {
+      console.error('Error starting knowledge compaction:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Internal server error' });
+    }
+  }
+
+  // Body: { dryRun }. Converts projects still storing pre-definition components.
+  async startComponentMigration(req, res) {
+    try {
+      const params = { dryRun: req.body.dryRun === true };
+      const job = jobService.start('component-migration', ({ signal, report }) => (
+        componentService.migrateLegacyComponents({ ...params, signal, report })
+      ), { params, startedBy: req.user.uid });
+      res.status(202).json({ success: true, job });
+    } catch (error) {
+      console.error('Error starting component migration:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Internal server error' });
+    }
+  }
+
+  // Body: { dryRun }. Publishes a scrubbed copy of the entry to every user.
+  async curateKnowledgeEntry(req, res) {
+    try {
+      const result = await aiKnowledgeBase.curateGlobalEntry(req.user.uid, req.params.entryId, {
+        dryRun: req.body.dryRun === true
+      });
+      res.status(result.dryRun ? 200 : 201).json({ success: true, ...result });
+    } catch (error) {
+      console.error('Error curating knowledge entry:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Internal server error' });
+    }
+  }
+
+  async deleteGlobalKnowledgeEntry(req, res) {
+    try {
+      await aiKnowledgeBase.deleteGlobalEntry(req.params.entryId);
+      res.json({ success: true, message: 'Global knowledge entry deleted' });
+    } catch (error) {
+      console.error('Error deleting global knowledge entry:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Internal server error' });
+    }
+  }
+
+  async getJobs(req, res) {
+    res.json({ success: true, jobs: jobService.listJobs({ type: req.query.type }) });
+  }
+
+  async getJob(req, res) {
+    try {
+      res.json({ success: true, job: jobService.getJob(req.params.jobId) });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Internal server error' });
+    }
+  }
+
+  async cancelJob(req, res) {
+    try {
+      res.json({ success: true, job: jobService.cancelJob(req.params.jobId) });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Internal server error' });
+    }
+  }
+}
+
+module.exports = new AdminController();
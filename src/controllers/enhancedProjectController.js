@@ -4,6 +4,10 @@ const User = require('../models/User');
 const enhancedAiService = require('../services/enhancedAiService');
 const aiOrchestrator = require('../services/aiOrchestrator');
 const terminalService = require('../services/terminalService');
+const workspaceService = require('../services/workspaceService');
+const workspaceSearchService = require('../services/workspaceSearchService');
+const versionService = require('../services/versionService');
+const socketService = require('../services/socketService');
 const figmaService = require('../services/figmaService');
 const multer = require('multer');
 const path = require('path');
@@ -12,6 +16,9 @@ const { v4: uuidv4 } = require('uuid');
 const mammoth = require('mammoth');
 const pdfParse = require('pdf-parse');
 
+// Earlier analyses kept on the project besides the current one
+const MAX_ANALYSIS_HISTORY = 10;
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
@@ -164,7 +171,7 @@ const createProject = async (req, res) => {
 const generateAIAnalysis = async (req, res) => {
   try {
     const { projectId } = req.params;
-    const { forceRegenerate = false } = req.body;
+    const { forceRegenerate = false, provider, keyId, model } = req.body;
     const userId = req.user.uid;
 
     const project = await Project.findById(projectId);
@@ -185,39 +192,31 @@ const generateAIAnalysis = async (req, res) => {
       });
     }
 
-    // For now, create a simple analysis
-    const analysisData = {
-      name: project.name,
-      description: project.description,
-      category: project.category,
-      backendRequired: project.backendRequired
-    };
-
-    const generatedPrompt = `Create a ${project.backendRequired ? 'full-stack' : 'frontend'} ${project.category} application called "${project.name}".
-
-Requirements:
-${project.description}
-
-Technical Stack:
-- Frontend: React with Tailwind CSS
-${project.backendRequired ? '- Backend: Node.js with Express and MongoDB' : ''}
-- Responsive design for all screen sizes
-- Modern UI/UX principles
-
-Please generate complete, production-ready code with proper file structure and comprehensive comments.`;
+    const result = await enhancedAiService.generateProjectAnalysis(userId, project, { provider, keyId, model });
+
+    // Keep earlier analyses so a regeneration never loses the previous plan
+    const previous = project.aiAnalysis;
+    const history = previous?.history ? [...previous.history] : [];
+    if (previous?.analysisData) {
+      history.push({
+        version: previous.version,
+        generatedPrompt: previous.generatedPrompt,
+        analysisData: previous.analysisData,
+        provider: previous.provider,
+        model: previous.model,
+        generatedAt: previous.lastGenerated
+      });
+    }
 
-    // Update project with analysis
     project.aiAnalysis = {
-      prompt: generatedPrompt,
-      generatedPrompt: generatedPrompt,
-      analysisData: {
-        architecture: `${project.backendRequired ? 'Full-stack' : 'Frontend-only'} architecture`,
-        features: 'Core features based on project description',
-        techStack: `React, Tailwind CSS${project.backendRequired ? ', Node.js, Express, MongoDB' : ''}`,
-        timeline: 'Estimated 2-4 weeks for development'
-      },
+      prompt: result.prompt,
+      generatedPrompt: result.prompt,
+      analysisData: result.analysis,
+      provider: result.provider,
+      model: result.model,
       lastGenerated: new Date(),
-      version: (project.aiAnalysis?.version || 0) + 1
+      version: (previous?.version || 0) + 1,
+      history: history.slice(-MAX_ANALYSIS_HISTORY)
     };
 
     project.status = 'ready';
@@ -226,17 +225,73 @@ Please generate complete, production-ready code with proper file structure and c
     res.json({
       success: true,
       analysis: project.aiAnalysis,
-      cached: false
+      cached: false,
+      tokensUsed: result.tokensUsed,
+      attempts: result.attempts
     });
   } catch (error) {
     console.error('Error generating AI analysis:', error);
-    res.status(500).json({ 
-      error: 'Failed to generate analysis',
-      details: error.message 
+    res.status(error.statusCode || 500).json({ 
+      error: error.statusCode ? error.message : 'Failed to generate analysis',
+      details: error.details || error.message,
+      attempts: error.attempts
     });
   }
 };
 
+// Current analysis, or an earlier one with ?version=N
+const getAIAnalysis = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { version } = req.query;
+    const userId = req.user.uid;
+
+    const project = await Project.findById(projectId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (project.userId !== userId) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    const current = project.aiAnalysis;
+    if (!current?.analysisData) {
+      return res.status(404).json({ error: 'Project has not been analyzed yet' });
+    }
+
+    const versions = [
+      ...(current.history || []).map(entry => ({ version: entry.version, provider: entry.provider, model: entry.model, generatedAt: entry.generatedAt })),
+      { version: current.version, provider: current.provider, model: current.model, generatedAt: current.lastGenerated }
+    ];
+
+    if (version === undefined || parseInt(version, 10) === current.version) {
+      return res.json({
+        success: true,
+        analysis: {
+          version: current.version,
+          analysisData: current.analysisData,
+          generatedPrompt: current.generatedPrompt,
+          provider: current.provider,
+          model: current.model,
+          generatedAt: current.lastGenerated
+        },
+        versions
+      });
+    }
+
+    const entry = (current.history || []).find(item => item.version === parseInt(version, 10));
+    if (!entry) {
+      return res.status(404).json({ error: `Analysis version ${version} not found` });
+    }
+
+    res.json({ success: true, analysis: entry, versions });
+  } catch (error) {
+    console.error('Error fetching AI analysis:', error);
+    res.status(500).json({ error: 'Failed to fetch analysis' });
+  }
+};
+
 const generateCode = async (req, res) => {
   try {
     const { projectId } = req.params;
@@ -297,6 +352,13 @@ document.addEventListener('DOMContentLoaded', function() {
 });`
     };
 
+    await versionService.createSnapshot(project, {
+      description: 'Before code generation',
+      source: 'ai-generation',
+      auto: true,
+      userId
+    });
+
     // Update project with generated code
     project.content = {
       html: generatedCode.html,
@@ -396,7 +458,15 @@ const updateProjectDetails = async (req, res) => {
 
     updateData.lastSaved = new Date();
 
-    await Project.findByIdAndUpdate(projectId, updateData);
+    await versionService.createSnapshot(project, {
+      description: 'Before updating project details',
+      source: 'update',
+      auto: true,
+      userId
+    });
+
+    project.set(updateData);
+    await project.save();
 
     res.json({ success: true, message: 'Project updated successfully' });
   } catch (error) {
@@ -412,7 +482,7 @@ const updateProjectDetails = async (req, res) => {
 const generateLiveCode = async (req, res) => {
   try {
     const { projectId } = req.params;
-    const { component, description, type = 'full-project' } = req.body;
+    const { component, description, type = 'full-project', keyId } = req.body;
     const userId = req.user.uid;
 
     const project = await Project.findOne({ _id: projectId, userId });
@@ -425,16 +495,22 @@ const generateLiveCode = async (req, res) => {
       type,
       component,
       description,
+      keyId,
       stack: project.frontendTech || 'react',
       category: project.category
     });
 
-    // Initialize workspace with generated files (DISABLED - no physical files)
+    // Store generated files in the project's virtual workspace
     if (result.files) {
-      // await terminalService.initializeWorkspace(projectId, result.files); // DISABLED
+      await versionService.createSnapshot(project, {
+        description: 'Before live code generation',
+        source: 'ai-generation',
+        auto: true,
+        userId
+      });
+
+      await terminalService.initializeWorkspace(projectId, result.files, { userId });
       
-      // Update project with generated content
-      project.content = result.files;
       project.status = 'ready';
       project.lastAiGeneration = {
         timestamp: new Date(),
@@ -452,14 +528,17 @@ const generateLiveCode = async (req, res) => {
         provider: result.provider,
         tokensUsed: result.tokensUsed,
         source: result.source,
+        generationId: result.generationId,
+        attempts: result.attempts,
         timestamp: new Date()
       }
     });
   } catch (error) {
     console.error('Error generating live code:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       error: 'Failed to generate code',
-      details: error.message 
+      details: error.message,
+      attempts: error.attempts
     });
   }
 };
@@ -550,7 +629,7 @@ const getWorkspaceTree = async (req, res) => {
     });
   } catch (error) {
     console.error('Error getting workspace tree:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       error: 'Failed to get workspace tree',
       details: error.message 
     });
@@ -576,7 +655,7 @@ const readWorkspaceFile = async (req, res) => {
     });
   } catch (error) {
     console.error('Error reading file:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       error: 'Failed to read file',
       details: error.message 
     });
@@ -594,20 +673,19 @@ const writeWorkspaceFile = async (req, res) => {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    await terminalService.writeWorkspaceFile(projectId, filePath, content);
-    
-    // Update project content in database
-    if (!project.content) project.content = {};
-    project.content[filePath] = { content, language: 'javascript' };
+    const file = await terminalService.writeWorkspaceFile(projectId, filePath, content, { userId });
+
+    project.lastSaved = new Date();
     await project.save();
     
     res.json({
       success: true,
-      message: 'File saved successfully'
+      message: 'File saved successfully',
+      file
     });
   } catch (error) {
     console.error('Error writing file:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       error: 'Failed to write file',
       details: error.message 
     });
@@ -625,21 +703,16 @@ const deleteWorkspaceFile = async (req, res) => {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    await terminalService.deleteWorkspaceFile(projectId, filePath);
-    
-    // Remove from project content
-    if (project.content && project.content[filePath]) {
-      delete project.content[filePath];
-      await project.save();
-    }
+    const result = await terminalService.deleteWorkspaceFile(projectId, filePath);
     
     res.json({
       success: true,
-      message: 'File deleted successfully'
+      message: 'File deleted successfully',
+      deleted: result
     });
   } catch (error) {
     console.error('Error deleting file:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       error: 'Failed to delete file',
       details: error.message 
     });
@@ -657,21 +730,219 @@ const createWorkspaceDirectory = async (req, res) => {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    await terminalService.createWorkspaceDirectory(projectId, dirPath);
+    const directory = await terminalService.createWorkspaceDirectory(projectId, dirPath);
     
     res.json({
       success: true,
-      message: 'Directory created successfully'
+      message: 'Directory created successfully',
+      directory
     });
   } catch (error) {
     console.error('Error creating directory:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       error: 'Failed to create directory',
       details: error.message 
     });
   }
 };
 
+const renameWorkspaceEntry = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { filePath, newName, overwrite = false } = req.body;
+    const userId = req.user.uid;
+
+    const project = await Project.findOne({ _id: projectId, userId });
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const result = await workspaceService.renameEntry(projectId, filePath, newName, { overwrite });
+
+    socketService.broadcastToProject(projectId, 'file:renamed', {
+      from: result.from,
+      to: result.to,
+      type: result.type,
+      timestamp: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Renamed successfully',
+      result
+    });
+  } catch (error) {
+    console.error('Error renaming file:', error);
+    res.status(error.statusCode || 500).json({ 
+      error: 'Failed to rename file',
+      details: error.message 
+    });
+  }
+};
+
+const moveWorkspaceEntry = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { from, to, overwrite = false } = req.body;
+    const userId = req.user.uid;
+
+    const project = await Project.findOne({ _id: projectId, userId });
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const result = await workspaceService.moveEntry(projectId, from, to, { overwrite });
+
+    socketService.broadcastToProject(projectId, 'file:moved', {
+      from: result.from,
+      to: result.to,
+      type: result.type,
+      timestamp: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Moved successfully',
+      result
+    });
+  } catch (error) {
+    console.error('Error moving file:', error);
+    res.status(error.statusCode || 500).json({ 
+      error: 'Failed to move file',
+      details: error.message 
+    });
+  }
+};
+
+const copyWorkspaceEntry = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { from, to, overwrite = false } = req.body;
+    const userId = req.user.uid;
+
+    const project = await Project.findOne({ _id: projectId, userId });
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const result = await workspaceService.copyEntry(projectId, from, to, { overwrite, userId });
+
+    socketService.broadcastToProject(projectId, 'file:copied', {
+      from: result.from,
+      to: result.to,
+      type: result.type,
+      timestamp: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Copied successfully',
+      result
+    });
+  } catch (error) {
+    console.error('Error copying file:', error);
+    res.status(error.statusCode || 500).json({ 
+      error: 'Failed to copy file',
+      details: error.message 
+    });
+  }
+};
+
+// Search across workspace files, generatedFiles and content
+const searchWorkspace = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const userId = req.user.uid;
+    const {
+      query,
+      isRegex,
+      caseSensitive,
+      wholeWord,
+      include,
+      exclude,
+      contextLines,
+      maxResults
+    } = req.query;
+
+    const project = await Project.findOne({ _id: projectId, userId });
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const results = await workspaceSearchService.search(project, {
+      query,
+      isRegex: isRegex === 'true',
+      caseSensitive: caseSensitive === 'true',
+      wholeWord: wholeWord === 'true',
+      include,
+      exclude,
+      contextLines,
+      maxResults
+    });
+
+    res.json({
+      success: true,
+      ...results
+    });
+  } catch (error) {
+    console.error('Error searching workspace:', error);
+    res.status(error.statusCode || 500).json({ 
+      error: 'Failed to search workspace',
+      details: error.message 
+    });
+  }
+};
+
+const replaceInWorkspace = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const userId = req.user.uid;
+    const {
+      query,
+      replacement,
+      isRegex = false,
+      caseSensitive = false,
+      wholeWord = false,
+      include,
+      exclude
+    } = req.body;
+
+    const project = await Project.findOne({ _id: projectId, userId });
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const result = await workspaceSearchService.replace(project, {
+      query,
+      replacement,
+      isRegex,
+      caseSensitive,
+      wholeWord,
+      include,
+      exclude
+    }, { userId });
+
+    if (result.files.length > 0) {
+      socketService.broadcastToProject(projectId, 'files:replaced', {
+        files: result.files.map(file => file.path),
+        version: result.version,
+        timestamp: new Date()
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error replacing in workspace:', error);
+    res.status(error.statusCode || 500).json({ 
+      error: 'Failed to replace in workspace',
+      details: error.message 
+    });
+  }
+};
+
 // Package management
 const installPackages = async (req, res) => {
   try {
@@ -775,6 +1046,7 @@ module.exports = {
   uploadFiles,
   createProject,
   generateAIAnalysis,
+  getAIAnalysis,
   generateCode,
   getProjectDetails,
   updateProjectDetails,
@@ -790,6 +1062,11 @@ module.exports = {
   writeWorkspaceFile,
   deleteWorkspaceFile,
   createWorkspaceDirectory,
+  renameWorkspaceEntry,
+  moveWorkspaceEntry,
+  copyWorkspaceEntry,
+  searchWorkspace,
+  replaceInWorkspace,
   // Package management
   installPackages,
   // Build and deployment
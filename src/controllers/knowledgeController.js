@@ -0,0 +1,145 @@
+// src/controllers/knowledgeController.js
+const aiKnowledgeBase = require('../services/aiKnowledgeBase');
+
+class KnowledgeController {
+  async listEntries(req, res) {
+    try {
+      const result = await aiKnowledgeBase.listEntries(req.user.uid, req.query);
+      res.json(result);
+    } catch (error) {
+      console.error('Error listing knowledge entries:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to list knowledge entries' });
+    }
+  }
+
+  async getStats(req, res) {
+    try {
+      const stats = await aiKnowledgeBase.getKnowledgeStats(req.user.uid);
+      res.json({ stats });
+    } catch (error) {
+      console.error('Error getting knowledge stats:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to get knowledge stats' });
+    }
+  }
+
+  // Similar entries across every scope the user can read; ?weights=team:0.5,global:0 reweights scopes
+  async searchEntries(req, res) {
+    try {
+      const results = await aiKnowledgeBase.searchEntries(req.user.uid, req.query);
+      res.json({ results });
+    } catch (error) {
+      console.error('Error searching knowledge entries:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to search knowledge entries' });
+    }
+  }
+
+  // Body: { teamId, dryRun }. dryRun returns the scrubbed copy without sharing it.
+  async promoteEntry(req, res) {
+    try {
+      const { teamId, dryRun = false } = req.body;
+      const result = await aiKnowledgeBase.promoteEntry(req.user.uid, req.params.entryId, { teamId, dryRun: dryRun === true });
+      res.status(result.dryRun ? 200 : 201).json(result);
+    } catch (error) {
+      console.error('Error promoting knowledge entry:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to promote knowledge entry' });
+    }
+  }
+
+  async getEntry(req, res) {
+    try {
+      const entry = await aiKnowledgeBase.getEntry(req.user.uid, req.params.entryId);
+      res.json({ entry });
+    } catch (error) {
+      console.error('Error fetching knowledge entry:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch knowledge entry' });
+    }
+  }
+
+  async updateEntry(req, res) {
+    try {
+      const entry = await aiKnowledgeBase.updateEntry(req.user.uid, req.params.entryId, req.body);
+      res.json({ message: 'Knowledge entry updated', entry });
+    } catch (error) {
+      console.error('Error updating knowledge entry:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to update knowledge entry' });
+    }
+  }
+
+  async deleteEntry(req, res) {
+    try {
+      await aiKnowledgeBase.deleteEntry(req.user.uid, req.params.entryId);
+      res.json({ message: 'Knowledge entry deleted' });
+    } catch (error) {
+      console.error('Error deleting knowledge entry:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to delete knowledge entry' });
+    }
+  }
+
+  // { generationId, signal, comment } for code returned by a generation
+  async submitGenerationFeedback(req, res) {
+    try {
+      const result = await aiKnowledgeBase.submitGenerationFeedback(req.user.uid, req.body.generationId, req.body);
+      res.json(result);
+    } catch (error) {
+      console.error('Error recording generation feedback:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to record feedback' });
+    }
+  }
+
+  async submitEntryFeedback(req, res) {
+    try {
+      const entry = await aiKnowledgeBase.submitEntryFeedback(req.user.uid, req.params.entryId, req.body);
+      res.json({ entry });
+    } catch (error) {
+      console.error('Error recording entry feedback:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to record feedback' });
+    }
+  }
+
+  // JSONL, one entry per line, in the format importEntries accepts
+  async exportEntries(req, res) {
+    let cursor;
+    try {
+      cursor = aiKnowledgeBase.getExportCursor(req.user.uid, req.query);
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to export knowledge entries' });
+    }
+
+    try {
+      const date = new Date().toISOString().slice(0, 10);
+      res.set({
+        'Content-Type': 'application/x-ndjson; charset=utf-8',
+        'Content-Disposition': `attachment; filename="knowledge-${date}.jsonl"`
+      });
+      for await (const entry of cursor) {
+        res.write(aiKnowledgeBase.toExportLine(entry));
+      }
+      res.end();
+    } catch (error) {
+      console.error('Error exporting knowledge entries:', error);
+      if (res.headersSent) {
+        res.end();
+      } else {
+        res.status(500).json({ error: 'Failed to export knowledge entries' });
+      }
+    }
+  }
+
+  // Body is the JSONL text; ?dryRun=true validates and counts without writing
+  async importEntries(req, res) {
+    try {
+      if (typeof req.body !== 'string') {
+        return res.status(415).json({ error: 'Send the export as application/x-ndjson' });
+      }
+      const result = await aiKnowledgeBase.importEntries(req.user.uid, req.body, {
+        dryRun: req.query.dryRun === 'true'
+      });
+      res.status(result.imported > 0 ? 201 : 200).json(result);
+    } catch (error) {
+      console.error('Error importing knowledge entries:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to import knowledge entries' });
+    }
+  }
+}
+
+module.exports = new KnowledgeController();
@@ -3,7 +3,20 @@ const Project = require('../models/Project');
 const User = require('../models/User');
 const enhancedAiService = require('../services/enhancedAiService');
 const figmaService = require('../services/figmaService');
-const { v4: uuidv4 } = require('uuid');
+const versionService = require('../services/versionService');
+const exportService = require('../services/exportService');
+const importService = require('../services/importService');
+const publishService = require('../services/publishService');
+const domainService = require('../services/domainService');
+const pageService = require('../services/pageService');
+const componentService = require('../services/componentService');
+const editService = require('../services/editService');
+const chatService = require('../services/chatService');
+const workspaceService = require('../services/workspaceService');
+const aiKnowledgeBase = require('../services/aiKnowledgeBase');
+const fs = require('fs').promises;
+const path = require('path');
+const socketService = require('../services/socketService');
 
 class ProjectController {
   async createProject(req, res) {
@@ -184,7 +197,7 @@ class ProjectController {
   async generateCode(req, res) {
     try {
       const { projectId } = req.params;
-      const { prompt, component, provider, options = {} } = req.body;
+      const { prompt, component, pageId, provider, keyId, options = {} } = req.body;
       const userId = req.user.uid;
 
       if (!prompt) {
@@ -200,28 +213,49 @@ class ProjectController {
         return res.status(403).json({ error: 'Unauthorized' });
       }
 
+      const page = pageId ? (project.content.pages || []).find(item => item.id === pageId) : null;
+      if (pageId && !page) {
+        return res.status(404).json({ error: 'Page not found' });
+      }
+
+      // Snapshot the current state before the AI overwrites it
+      await versionService.createSnapshot(project, {
+        description: 'Before AI generation',
+        source: 'ai-generation',
+        auto: true,
+        userId
+      });
+
       // Update project status
       project.status = 'generating';
       await project.save();
 
       try {
         // Generate code using enhanced AI service
-        const result = await enhancedAiService.generateCode(userId, prompt, {
+        const result = await enhancedAiService.generateCode(userId, page ? pageService.buildPagePrompt(project, page, prompt) : prompt, {
           ...options,
           provider,
+          keyId,
+          projectId,
           component,
           type: options.type || 'component'
         });
 
         // Update project with generated code
-        if (component) {
-          // Add or update specific component
-          const componentIndex = project.content.components.findIndex(c => c.id === component);
-          if (componentIndex >= 0) {
-            project.content.components[componentIndex].code = result.code;
+        if (page) {
+          // Pages hold their own markup and styles; scripts stay site-wide
+          if (options.type === 'css') {
+            page.css = result.code;
+          } else {
+            page.html = result.code;
+          }
+        } else if (component) {
+          // Add or update a component definition; updates reach every instance
+          const definition = componentService.findDefinition(project, component);
+          if (definition) {
+            componentService.updateDefinition(project, definition.id, { code: result.code });
           } else {
-            project.content.components.push({
-              id: uuidv4(),
+            componentService.createDefinition(project, {
               name: component,
               type: options.type || 'component',
               code: result.code
@@ -245,6 +279,9 @@ class ProjectController {
           prompt,
           generatedAt: new Date(),
           tokensUsed: result.tokensUsed,
+          keyId: result.keyId,
+          keySource: result.keySource,
+          attempts: result.attempts || [],
           learningApplied: result.provider === 'learning'
         };
 
@@ -269,8 +306,12 @@ class ProjectController {
           code: result.code,
           provider: result.provider,
           model: result.model,
+          keyId: result.keyId,
+          keySource: result.keySource,
           tokensUsed: result.tokensUsed,
-          component
+          attempts: result.attempts,
+          component,
+          pageId: page ? page.id : undefined
         });
 
       } catch (aiError) {
@@ -281,9 +322,10 @@ class ProjectController {
         project.status = 'error';
         await project.save();
 
-        res.status(500).json({ 
+        res.status(aiError.statusCode || 500).json({ 
           error: 'Code generation failed',
-          details: aiError.message 
+          details: aiError.message,
+          attempts: aiError.attempts
         });
       }
 
@@ -320,6 +362,13 @@ class ProjectController {
         return res.status(403).json({ error: 'Unauthorized' });
       }
 
+      await versionService.createSnapshot(project, {
+        description: 'Before enhanced AI generation',
+        source: 'ai-generation',
+        auto: true,
+        userId
+      });
+
       project.status = 'generating';
       await project.save();
 
@@ -334,6 +383,7 @@ class ProjectController {
         // Generate code with enhanced AI service
         const result = await enhancedAiService.generateCode(userId, prompt, {
           ...options,
+          projectId,
           context: enhancedContext,
           projectType: project.projectType,
           techStack: project.techStack,
@@ -476,9 +526,17 @@ class ProjectController {
       const prompt = this.buildPromptFromFigmaAnalysis(figmaResult.analysis);
       const codeResult = await enhancedAiService.generateCode(userId, prompt, {
         type: 'page',
+        projectId,
         figmaData: figmaResult
       });
 
+      await versionService.createSnapshot(project, {
+        description: 'Before generating from Figma',
+        source: 'ai-generation',
+        auto: true,
+        userId
+      });
+
       // Update project with Figma data and generated code
       project.figmaData = {
         figmaUrl,
@@ -622,7 +680,18 @@ class ProjectController {
 
       updateData.lastSaved = new Date();
 
-      await Project.findByIdAndUpdate(projectId, updateData);
+      // Keep the previous content restorable before it is overwritten
+      if (updateData.content !== undefined) {
+        await versionService.createSnapshot(project, {
+          description: 'Before saving changes',
+          source: 'update',
+          auto: true,
+          userId
+        });
+      }
+
+      project.set(updateData);
+      await project.save();
 
       res.json({ success: true, message: 'Project updated successfully' });
     } catch (error) {
@@ -631,6 +700,1083 @@ class ProjectController {
     }
   }
 
+  async getPages(req, res) {
+    try {
+      const { projectId } = req.params;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId).select('userId content.pages');
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      res.json({
+        success: true,
+        pages: pageService.listPages(project),
+        navigation: pageService.buildNavigation(project)
+      });
+    } catch (error) {
+      console.error('Error fetching pages:', error);
+      res.status(500).json({ error: 'Failed to fetch pages' });
+    }
+  }
+
+  async getPage(req, res) {
+    try {
+      const { projectId, pageId } = req.params;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId).select('userId name description settings content.pages');
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const page = pageService.getPage(project, pageId);
+
+      res.json({
+        success: true,
+        page: {
+          ...pageService.formatPage(page, { includeContent: true }),
+          resolvedSeo: pageService.resolveSeo(project, page)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching page:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch page' });
+    }
+  }
+
+  async createPage(req, res) {
+    try {
+      const { projectId } = req.params;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const page = pageService.createPage(project, req.body);
+      project.lastSaved = new Date();
+      await project.save();
+
+      socketService.broadcastToProject(projectId, 'page:created', {
+        page: pageService.formatPage(page),
+        timestamp: new Date()
+      });
+
+      res.status(201).json({
+        success: true,
+        page: pageService.formatPage(page, { includeContent: true })
+      });
+    } catch (error) {
+      console.error('Error creating page:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create page' });
+    }
+  }
+
+  async updatePage(req, res) {
+    try {
+      const { projectId, pageId } = req.params;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      if (req.body.html !== undefined || req.body.css !== undefined) {
+        await versionService.createSnapshot(project, {
+          description: 'Before saving page changes',
+          source: 'update',
+          auto: true,
+          userId
+        });
+      }
+
+      const page = pageService.updatePage(project, pageId, req.body);
+      project.lastSaved = new Date();
+      await project.save();
+
+      socketService.broadcastToProject(projectId, 'page:updated', {
+        page: pageService.formatPage(page),
+        timestamp: new Date()
+      });
+
+      res.json({
+        success: true,
+        page: pageService.formatPage(page, { includeContent: true })
+      });
+    } catch (error) {
+      console.error('Error updating page:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to update page' });
+    }
+  }
+
+  async deletePage(req, res) {
+    try {
+      const { projectId, pageId } = req.params;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      pageService.getPage(project, pageId);
+      await versionService.createSnapshot(project, {
+        description: 'Before deleting page',
+        source: 'update',
+        auto: true,
+        userId
+      });
+
+      const page = pageService.deletePage(project, pageId);
+      project.lastSaved = new Date();
+      await project.save();
+
+      socketService.broadcastToProject(projectId, 'page:deleted', {
+        pageId: page.id,
+        timestamp: new Date()
+      });
+
+      res.json({ success: true, message: 'Page deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting page:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to delete page' });
+    }
+  }
+
+  async reorderPages(req, res) {
+    try {
+      const { projectId } = req.params;
+      const { pageIds } = req.body;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const pages = pageService.reorderPages(project, pageIds);
+      await project.save();
+
+      socketService.broadcastToProject(projectId, 'pages:reordered', {
+        pageIds,
+        timestamp: new Date()
+      });
+
+      res.json({
+        success: true,
+        pages,
+        navigation: pageService.buildNavigation(project)
+      });
+    } catch (error) {
+      console.error('Error reordering pages:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to reorder pages' });
+    }
+  }
+
+  async getComponents(req, res) {
+    try {
+      const { projectId } = req.params;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId).select('userId content.components content.componentInstances');
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      res.json({
+        success: true,
+        components: componentService.listDefinitions(project)
+      });
+    } catch (error) {
+      console.error('Error fetching components:', error);
+      res.status(500).json({ error: 'Failed to fetch components' });
+    }
+  }
+
+  async getComponent(req, res) {
+    try {
+      const { projectId, componentId } = req.params;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId).select('userId content.components content.componentInstances');
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const definition = componentService.getDefinition(project, componentId);
+
+      res.json({
+        success: true,
+        component: componentService.formatDefinition(project, definition),
+        instances: componentService.listInstances(project, { definitionId: definition.id })
+      });
+    } catch (error) {
+      console.error('Error fetching component:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch component' });
+    }
+  }
+
+  async createComponent(req, res) {
+    try {
+      const { projectId } = req.params;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const definition = componentService.createDefinition(project, req.body);
+      project.lastSaved = new Date();
+      await project.save();
+
+      socketService.broadcastToProject(projectId, 'component:created', {
+        componentId: definition.id,
+        timestamp: new Date()
+      });
+
+      res.status(201).json({
+        success: true,
+        component: componentService.formatDefinition(project, definition)
+      });
+    } catch (error) {
+      console.error('Error creating component:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create component' });
+    }
+  }
+
+  async updateComponent(req, res) {
+    try {
+      const { projectId, componentId } = req.params;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      componentService.getDefinition(project, componentId);
+      await versionService.createSnapshot(project, {
+        description: 'Before updating component',
+        source: 'update',
+        auto: true,
+        userId
+      });
+
+      const result = componentService.updateDefinition(project, componentId, req.body);
+      project.lastSaved = new Date();
+      await project.save();
+
+      socketService.broadcastToProject(projectId, 'component:updated', {
+        componentId,
+        version: result.definition.version,
+        instanceIds: result.instanceIds,
+        instances: result.instanceIds.map(instanceId => (
+          componentService.resolveInstance(project, componentService.getInstance(project, instanceId))
+        )),
+        timestamp: new Date()
+      });
+
+      res.json({
+        success: true,
+        component: componentService.formatDefinition(project, result.definition),
+        updatedInstances: result.instanceIds.length,
+        droppedOverrides: result.droppedOverrides
+      });
+    } catch (error) {
+      console.error('Error updating component:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to update component' });
+    }
+  }
+
+  async duplicateComponent(req, res) {
+    try {
+      const { projectId, componentId } = req.params;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const definition = componentService.duplicateDefinition(project, componentId, req.body);
+      project.lastSaved = new Date();
+      await project.save();
+
+      socketService.broadcastToProject(projectId, 'component:created', {
+        componentId: definition.id,
+        duplicatedFrom: componentId,
+        timestamp: new Date()
+      });
+
+      res.status(201).json({
+        success: true,
+        component: componentService.formatDefinition(project, definition)
+      });
+    } catch (error) {
+      console.error('Error duplicating component:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to duplicate component' });
+    }
+  }
+
+  async deleteComponent(req, res) {
+    try {
+      const { projectId, componentId } = req.params;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const result = componentService.deleteDefinition(project, componentId);
+      project.lastSaved = new Date();
+      await project.save();
+
+      socketService.broadcastToProject(projectId, 'component:deleted', {
+        componentId,
+        detachedInstanceIds: result.detachedInstanceIds,
+        timestamp: new Date()
+      });
+
+      res.json({
+        success: true,
+        message: 'Component deleted successfully',
+        detachedInstanceIds: result.detachedInstanceIds
+      });
+    } catch (error) {
+      console.error('Error deleting component:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to delete component' });
+    }
+  }
+
+  async getComponentInstances(req, res) {
+    try {
+      const { projectId } = req.params;
+      const { pageId, definitionId } = req.query;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId).select('userId content.components content.componentInstances');
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      res.json({
+        success: true,
+        instances: componentService.listInstances(project, { pageId, definitionId })
+      });
+    } catch (error) {
+      console.error('Error fetching component instances:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch component instances' });
+    }
+  }
+
+  async createComponentInstance(req, res) {
+    try {
+      const { projectId } = req.params;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const instance = componentService.createInstance(project, req.body);
+      project.lastSaved = new Date();
+      await project.save();
+
+      const resolved = componentService.resolveInstance(project, instance);
+      socketService.broadcastToProject(projectId, 'component:instance:created', {
+        instance: resolved,
+        timestamp: new Date()
+      });
+
+      res.status(201).json({ success: true, instance: resolved });
+    } catch (error) {
+      console.error('Error creating component instance:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create component instance' });
+    }
+  }
+
+  async updateComponentInstance(req, res) {
+    try {
+      const { projectId, instanceId } = req.params;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const instance = componentService.updateInstance(project, instanceId, req.body);
+      project.lastSaved = new Date();
+      await project.save();
+
+      const resolved = componentService.resolveInstance(project, instance);
+      socketService.broadcastToProject(projectId, 'component:instance:updated', {
+        instance: resolved,
+        timestamp: new Date()
+      });
+
+      res.json({ success: true, instance: resolved });
+    } catch (error) {
+      console.error('Error updating component instance:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to update component instance' });
+    }
+  }
+
+  async detachComponentInstance(req, res) {
+    try {
+      const { projectId, instanceId } = req.params;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const instance = componentService.detachInstance(project, instanceId);
+      project.lastSaved = new Date();
+      await project.save();
+
+      const resolved = componentService.resolveInstance(project, instance);
+      socketService.broadcastToProject(projectId, 'component:instance:detached', {
+        instance: resolved,
+        timestamp: new Date()
+      });
+
+      res.json({ success: true, instance: resolved });
+    } catch (error) {
+      console.error('Error detaching component instance:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to detach component instance' });
+    }
+  }
+
+  async deleteComponentInstance(req, res) {
+    try {
+      const { projectId, instanceId } = req.params;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      componentService.deleteInstance(project, instanceId);
+      project.lastSaved = new Date();
+      await project.save();
+
+      socketService.broadcastToProject(projectId, 'component:instance:deleted', {
+        instanceId,
+        timestamp: new Date()
+      });
+
+      res.json({ success: true, message: 'Component instance deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting component instance:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to delete component instance' });
+    }
+  }
+
+  async getVersions(req, res) {
+    try {
+      const { projectId } = req.params;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId).select('userId versions');
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      res.json({
+        success: true,
+        versions: versionService.listVersions(project)
+      });
+    } catch (error) {
+      console.error('Error fetching versions:', error);
+      res.status(500).json({ error: 'Failed to fetch versions' });
+    }
+  }
+
+  async getVersion(req, res) {
+    try {
+      const { projectId, version } = req.params;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId).select('userId versions');
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      res.json({
+        success: true,
+        version: versionService.getVersion(project, version)
+      });
+    } catch (error) {
+      console.error('Error fetching version:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch version' });
+    }
+  }
+
+  async createVersion(req, res) {
+    try {
+      const { projectId } = req.params;
+      const { label, description } = req.body;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const snapshot = await versionService.createSnapshot(project, {
+        label,
+        description,
+        source: 'manual',
+        userId
+      });
+      await project.save();
+
+      res.status(201).json({
+        success: true,
+        version: {
+          version: snapshot.version,
+          label: snapshot.label,
+          description: snapshot.description,
+          size: snapshot.size,
+          timestamp: snapshot.timestamp
+        }
+      });
+    } catch (error) {
+      console.error('Error creating version:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create version' });
+    }
+  }
+
+  async restoreVersion(req, res) {
+    try {
+      const { projectId, version } = req.params;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const result = await versionService.restoreVersion(project, version, { userId });
+      await project.save();
+
+      socketService.broadcastToProject(projectId, 'project:restored', {
+        version: result.restoredVersion,
+        timestamp: new Date()
+      });
+
+      res.json({
+        success: true,
+        message: `Restored version ${result.restoredVersion}`,
+        ...result
+      });
+    } catch (error) {
+      console.error('Error restoring version:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to restore version' });
+    }
+  }
+
+  async diffVersions(req, res) {
+    try {
+      const { projectId } = req.params;
+      const { from, to = 'current', context } = req.query;
+      const userId = req.user.uid;
+
+      if (!from) {
+        return res.status(400).json({ error: 'The "from" version is required' });
+      }
+
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const diff = await versionService.diff(project, from, to, {
+        context: context !== undefined ? Math.min(Math.max(parseInt(context) || 0, 0), 20) : 3
+      });
+
+      res.json({ success: true, diff });
+    } catch (error) {
+      console.error('Error diffing versions:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to diff versions' });
+    }
+  }
+
+  // Ask the AI for patches against existing files; nothing is written until the preview is applied
+  async previewEdit(req, res) {
+    try {
+      const { projectId } = req.params;
+      const { instruction, files, format, provider, keyId, model } = req.body;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const preview = await editService.preview(project, userId, { instruction, files, format, provider, keyId, model });
+
+      res.json({ success: true, preview });
+    } catch (error) {
+      console.error('Error previewing edit:', error);
+      res.status(error.statusCode || 500).json({
+        error: error.statusCode ? error.message : 'Failed to preview edit',
+        attempts: error.attempts
+      });
+    }
+  }
+
+  async applyEdit(req, res) {
+    try {
+      const { projectId } = req.params;
+      const { files, description, allowPartial } = req.body;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const result = await editService.apply(project, userId, { files, description, allowPartial: allowPartial === true });
+      project.lastSaved = new Date();
+      await project.save();
+
+      socketService.broadcastToProject(projectId, 'project:edited', {
+        version: result.version,
+        files: result.files.map(file => file.path),
+        timestamp: new Date()
+      });
+
+      res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('Error applying edit:', error);
+      res.status(error.statusCode || 500).json({
+        error: error.statusCode ? error.message : 'Failed to apply edit',
+        path: error.path,
+        failures: error.failures
+      });
+    }
+  }
+
+  async getChatSessions(req, res) {
+    try {
+      const { projectId } = req.params;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const sessions = await chatService.listSessions(project._id, userId);
+
+      res.json({ success: true, sessions });
+    } catch (error) {
+      console.error('Error fetching chat sessions:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch chat sessions' });
+    }
+  }
+
+  async createChatSession(req, res) {
+    try {
+      const { projectId } = req.params;
+      const { title, files, provider, model, keyId } = req.body;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const session = await chatService.createSession(project, userId, { title, files, provider, model, keyId });
+
+      res.status(201).json({ success: true, session: chatService.formatSession(session, { includeMessages: true }) });
+    } catch (error) {
+      console.error('Error creating chat session:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create chat session' });
+    }
+  }
+
+  async getChatSession(req, res) {
+    try {
+      const { projectId, sessionId } = req.params;
+      const userId = req.user.uid;
+
+      const session = await chatService.getSession(projectId, userId, sessionId);
+
+      res.json({ success: true, session: chatService.formatSession(session, { includeMessages: true }) });
+    } catch (error) {
+      console.error('Error fetching chat session:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch chat session' });
+    }
+  }
+
+  async updateChatSession(req, res) {
+    try {
+      const { projectId, sessionId } = req.params;
+      const { title, files, provider, model, keyId } = req.body;
+      const userId = req.user.uid;
+
+      const session = await chatService.getSession(projectId, userId, sessionId);
+      await chatService.updateSession(session, { title, files, provider, model, keyId });
+
+      res.json({ success: true, session: chatService.formatSession(session) });
+    } catch (error) {
+      console.error('Error updating chat session:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to update chat session' });
+    }
+  }
+
+  async deleteChatSession(req, res) {
+    try {
+      const { projectId, sessionId } = req.params;
+      const userId = req.user.uid;
+
+      const session = await chatService.getSession(projectId, userId, sessionId);
+      await chatService.deleteSession(session);
+
+      res.json({ success: true, message: 'Chat session deleted' });
+    } catch (error) {
+      console.error('Error deleting chat session:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to delete chat session' });
+    }
+  }
+
+  // Non-streaming chat turn; sockets use 'chat:message' to stream the reply
+  async sendChatMessage(req, res) {
+    try {
+      const { projectId, sessionId } = req.params;
+      const { content, files, provider, keyId, model, autoApply } = req.body;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const session = await chatService.getSession(project._id, userId, sessionId);
+      const result = await chatService.sendMessage(session, project, userId, {
+        content,
+        files,
+        provider,
+        keyId,
+        model,
+        autoApply: autoApply !== false
+      });
+
+      if (result.applied) {
+        project.lastSaved = new Date();
+        await project.save();
+
+        socketService.broadcastToProject(projectId, 'project:edited', {
+          version: result.assistantMessage.version,
+          files: result.assistantMessage.changes.map(change => change.path),
+          timestamp: new Date()
+        });
+      }
+
+      res.json({
+        success: true,
+        userMessage: result.userMessage,
+        message: result.assistantMessage,
+        applied: result.applied,
+        attempts: result.attempts
+      });
+    } catch (error) {
+      console.error('Error sending chat message:', error);
+      res.status(error.statusCode || 500).json({
+        error: error.statusCode ? error.message : 'Failed to send chat message',
+        attempts: error.attempts
+      });
+    }
+  }
+
+  async exportProject(req, res) {
+    try {
+      const { projectId } = req.params;
+      const { mode = 'auto', assets = 'true' } = req.query;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      await exportService.streamZip(project, res, {
+        mode,
+        includeAssets: assets !== 'false'
+      });
+    } catch (error) {
+      console.error('Error exporting project:', error);
+      if (!res.headersSent) {
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to export project' });
+      }
+    }
+  }
+
+  async importProject(req, res) {
+    try {
+      const { name, description, isPublic } = req.body;
+      const userId = req.user.uid;
+
+      if (!req.file) {
+        return res.status(400).json({ error: 'A ZIP archive is required' });
+      }
+
+      const projectName = (name && name.trim()) || path.parse(req.file.originalname).name;
+      const project = new Project({
+        name: projectName,
+        description: description || '',
+        userId,
+        visibility: isPublic === 'true' || isPublic === true ? 'public' : 'private',
+        status: 'draft'
+      });
+
+      const result = await importService.importZip(project, req.file.path, { userId });
+      await project.save();
+
+      await User.findOneAndUpdate(
+        { uid: userId },
+        { $inc: { 'stats.projectsCreated': 1 } }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Project imported successfully',
+        project: {
+          _id: project._id,
+          name: project.name,
+          description: project.description,
+          techStack: project.techStack,
+          status: project.status,
+          createdAt: project.createdAt
+        },
+        import: result
+      });
+    } catch (error) {
+      console.error('Error importing project:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to import project' });
+    } finally {
+      if (req.file) {
+        fs.unlink(req.file.path).catch(() => {});
+      }
+    }
+  }
+
+  async importIntoProject(req, res) {
+    try {
+      const { projectId } = req.params;
+      const { replace } = req.body;
+      const userId = req.user.uid;
+
+      if (!req.file) {
+        return res.status(400).json({ error: 'A ZIP archive is required' });
+      }
+
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const result = await importService.importZip(project, req.file.path, {
+        userId,
+        replace: replace === 'true' || replace === true
+      });
+      await project.save();
+
+      socketService.broadcastToProject(projectId, 'project:imported', {
+        importedFiles: result.importedFiles,
+        timestamp: new Date()
+      });
+
+      res.json({
+        success: true,
+        message: 'Archive imported successfully',
+        import: result
+      });
+    } catch (error) {
+      console.error('Error importing into project:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to import archive' });
+    } finally {
+      if (req.file) {
+        fs.unlink(req.file.path).catch(() => {});
+      }
+    }
+  }
+
+  async checkSubdomain(req, res) {
+    try {
+      const { subdomain, projectId } = req.query;
+
+      const result = await publishService.checkSubdomain(subdomain, projectId || null);
+
+      res.json({ success: true, ...result });
+    } catch (error) {
+      console.error('Error checking subdomain:', error);
+      res.status(500).json({ error: 'Failed to check subdomain' });
+    }
+  }
+
+  async publishProject(req, res) {
+    try {
+      const { projectId } = req.params;
+      const { subdomain } = req.body;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const result = await publishService.publish(project, { subdomain });
+      await project.save();
+
+      socketService.broadcastToProject(projectId, 'project:published', {
+        url: result.url,
+        timestamp: new Date()
+      });
+
+      res.json({
+        success: true,
+        message: 'Project published successfully',
+        ...result
+      });
+    } catch (error) {
+      console.error('Error publishing project:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to publish project' });
+    }
+  }
+
+  async unpublishProject(req, res) {
+    try {
+      const { projectId } = req.params;
+      const userId = req.user.uid;
+
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const result = await publishService.unpublish(project);
+      await project.save();
+
+      socketService.broadcastToProject(projectId, 'project:unpublished', {
+        timestamp: new Date()
+      });
+
+      res.json({
+        success: true,
+        message: 'Project unpublished successfully',
+        ...result
+      });
+    } catch (error) {
+      console.error('Error unpublishing project:', error);
+      res.status(500).json({ error: 'Failed to unpublish project' });
+    }
+  }
+
+  async getDomains(req, res) {
+    try {
+      const { projectId } = req.params;
+      const userId = req.user.uid;
+
+      const project = await Project.findOne({ _id: projectId, userId }).select('_id');
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const domains = await domainService.listDomains(project._id);
+
+      res.json({ success: true, domains });
+    } catch (error) {
+      console.error('Error fetching domains:', error);
+      res.status(500).json({ error: 'Failed to fetch domains' });
+    }
+  }
+
+  async addDomain(req, res) {
+    try {
+      const { projectId } = req.params;
+      const { domain } = req.body;
+      const userId = req.user.uid;
+
+      const project = await Project.findOne({ _id: projectId, userId }).select('_id userId');
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const result = await domainService.addDomain(project, domain);
+
+      res.status(201).json({
+        success: true,
+        message: 'Domain added. Create the TXT record, then verify the domain.',
+        domain: result
+      });
+    } catch (error) {
+      console.error('Error adding domain:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to add domain' });
+    }
+  }
+
+  async verifyDomain(req, res) {
+    try {
+      const { projectId, domainId } = req.params;
+      const userId = req.user.uid;
+
+      const project = await Project.findOne({ _id: projectId, userId }).select('_id');
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const result = await domainService.verifyDomain(project._id, domainId);
+
+      if (result.status === 'verified') {
+        socketService.broadcastToProject(projectId, 'domain:verified', {
+          domain: result.domain,
+          timestamp: new Date()
+        });
+      }
+
+      res.json({
+        success: true,
+        verified: result.status === 'verified',
+        domain: result
+      });
+    } catch (error) {
+      console.error('Error verifying domain:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to verify domain' });
+    }
+  }
+
+  async removeDomain(req, res) {
+    try {
+      const { projectId, domainId } = req.params;
+      const userId = req.user.uid;
+
+      const project = await Project.findOne({ _id: projectId, userId }).select('_id');
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const result = await domainService.removeDomain(project._id, domainId);
+
+      res.json({ success: true, message: 'Domain removed successfully', ...result });
+    } catch (error) {
+      console.error('Error removing domain:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to remove domain' });
+    }
+  }
+
   async deleteProject(req, res) {
     try {
       const { projectId } = req.params;
@@ -641,6 +1787,11 @@ class ProjectController {
         return res.status(404).json({ error: 'Project not found' });
       }
 
+      await publishService.unpublish(project);
+      await domainService.removeProjectDomains(project._id);
+      await workspaceService.clearWorkspace(project._id);
+      await chatService.removeProjectSessions(project._id);
+      await aiKnowledgeBase.removeProjectReferences(project._id);
       await Project.findByIdAndDelete(projectId);
 
       res.json({ success: true, message: 'Project deleted successfully' });
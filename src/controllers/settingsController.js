@@ -1,5 +1,7 @@
 // src/controllers/settingsController.js
 const User = require('../models/User');
+const usageService = require('../services/usageService');
+const quotaService = require('../services/quotaService');
 
 class SettingsController {
   async getUserProfile(req, res) {
@@ -112,6 +114,58 @@ class SettingsController {
     }
   }
 
+  // AI usage totals and breakdowns; query: from, to, projectId, provider
+  async getUsageSummary(req, res) {
+    try {
+      const summary = await usageService.getSummary(req.user.uid, req.query);
+      res.json({ success: true, summary });
+    } catch (error) {
+      console.error('Error fetching usage summary:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Internal server error' });
+    }
+  }
+
+  // AI limits with current usage and reset times
+  async getQuota(req, res) {
+    try {
+      const quota = await quotaService.getStatusForUser(req.user.uid);
+      res.json({ success: true, quota });
+    } catch (error) {
+      console.error('Error fetching quota:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Every usage record in the range as CSV, streamed
+  async exportUsage(req, res) {
+    let cursor;
+    try {
+      cursor = usageService.getExportCursor(req.user.uid, req.query);
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Internal server error' });
+    }
+
+    try {
+      const date = new Date().toISOString().slice(0, 10);
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="ai-usage-${date}.csv"`
+      });
+      res.write(usageService.getCsvHeader());
+      for await (const record of cursor) {
+        res.write(usageService.toCsvRow(record));
+      }
+      res.end();
+    } catch (error) {
+      console.error('Error exporting usage:', error);
+      if (res.headersSent) {
+        res.end();
+      } else {
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    }
+  }
+
   async getLearningData(req, res) {
     try {
       const user = await User.findOne({ uid: req.user.uid });
@@ -0,0 +1,110 @@
+// src/controllers/teamController.js
+const teamService = require('../services/teamService');
+
+// Email claims of the caller's verified token, used to match email-addressed invites
+const getIdentity = req => ({ email: req.user.email, emailVerified: req.user.email_verified });
+
+class TeamController {
+  async listTeams(req, res) {
+    try {
+      const teams = await teamService.listTeams(req.user.uid);
+      res.json({ teams });
+    } catch (error) {
+      console.error('Error listing teams:', error);
+      res.status(500).json({ error: 'Failed to list teams' });
+    }
+  }
+
+  async createTeam(req, res) {
+    try {
+      const team = await teamService.createTeam(req.user.uid, req.body);
+      res.status(201).json({ message: 'Team created', team });
+    } catch (error) {
+      console.error('Error creating team:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create team' });
+    }
+  }
+
+  async getTeam(req, res) {
+    try {
+      const team = await teamService.getMemberTeam(req.user.uid, req.params.teamId);
+      res.json({ team: teamService.formatTeam(team, req.user.uid) });
+    } catch (error) {
+      console.error('Error fetching team:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch team' });
+    }
+  }
+
+  async deleteTeam(req, res) {
+    try {
+      await teamService.deleteTeam(req.user.uid, req.params.teamId);
+      res.json({ message: 'Team deleted' });
+    } catch (error) {
+      console.error('Error deleting team:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to delete team' });
+    }
+  }
+
+  // Body: { userId } or { email }, and optional role (admin or member)
+  async inviteMember(req, res) {
+    try {
+      const team = await teamService.inviteMember(req.user.uid, req.params.teamId, req.body);
+      res.status(202).json({ message: 'Invite sent', team });
+    } catch (error) {
+      console.error('Error inviting team member:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to send invite' });
+    }
+  }
+
+  async revokeInvite(req, res) {
+    try {
+      const team = await teamService.revokeInvite(req.user.uid, req.params.teamId, req.params.inviteId);
+      res.json({ message: 'Invite revoked', team });
+    } catch (error) {
+      console.error('Error revoking team invite:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to revoke invite' });
+    }
+  }
+
+  async listInvites(req, res) {
+    try {
+      const invites = await teamService.listInvites(req.user.uid, getIdentity(req));
+      res.json({ invites });
+    } catch (error) {
+      console.error('Error listing team invites:', error);
+      res.status(500).json({ error: 'Failed to list invites' });
+    }
+  }
+
+  async acceptInvite(req, res) {
+    try {
+      const team = await teamService.acceptInvite(req.user.uid, req.params.teamId, getIdentity(req));
+      res.json({ message: 'Joined team', team });
+    } catch (error) {
+      console.error('Error accepting team invite:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to accept invite' });
+    }
+  }
+
+  async declineInvite(req, res) {
+    try {
+      await teamService.declineInvite(req.user.uid, req.params.teamId, getIdentity(req));
+      res.json({ message: 'Invite declined' });
+    } catch (error) {
+      console.error('Error declining team invite:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to decline invite' });
+    }
+  }
+
+  async removeMember(req, res) {
+    try {
+      const team = await teamService.removeMember(req.user.uid, req.params.teamId, req.params.memberId);
+      res.json({ message: 'Member removed', team });
+    } catch (error) {
+      console.error('Error removing team member:', error);
+      res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to remove member' });
+    }
+  }
+}
+
+module.exports = new TeamController();
@@ -0,0 +1,38 @@
+// src/middleware/aiQuota.js
+const quotaService = require('../services/quotaService');
+
+// Reject AI requests over the user's quota with a 429 before any provider is called.
+// Must run after authenticateToken.
+const enforceAiQuota = async (req, res, next) => {
+  const userId = req.user.uid;
+
+  try {
+    await quotaService.enforce(userId);
+  } catch (error) {
+    if (error.code !== 'QUOTA_EXCEEDED') {
+      return next(error);
+    }
+
+    return res.status(429)
+      .set('Retry-After', String(error.quota.retryAfter))
+      .json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        quota: error.quota
+      });
+  }
+
+  // The call just made may have pushed usage past a warning threshold
+  res.on('finish', () => {
+    quotaService.checkWarnings(userId).catch(error => {
+      console.error('Quota warning check failed:', error);
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  enforceAiQuota
+};
@@ -1,16 +1,28 @@
 // src/middleware/auth.js
 const { auth, firebaseInitialized } = require('../config/firebase');
 
+// Decoded Firebase ID token, or the development user when Firebase is not initialized.
+// Also used to authenticate socket connections.
+const verifyToken = async (token) => {
+  if (!firebaseInitialized) {
+    return {
+      uid: 'dev-user-123',
+      email: 'dev@example.com',
+      email_verified: true,
+      name: 'Development User'
+    };
+  }
+  if (!token) {
+    throw new Error('Access token required');
+  }
+  return await auth.verifyIdToken(token);
+};
+
 const authenticateToken = async (req, res, next) => {
   try {
     // If Firebase is not initialized, create a mock user for development
     if (!firebaseInitialized) {
-      req.user = {
-        uid: 'dev-user-123',
-        email: 'dev@example.com',
-        email_verified: true,
-        name: 'Development User'
-      };
+      req.user = await verifyToken(null);
       return next();
     }
 
@@ -26,7 +38,7 @@ const authenticateToken = async (req, res, next) => {
     const token = authHeader.substring(7);
     
     // Verify Firebase ID token
-    const decodedToken = await auth.verifyIdToken(token);
+    const decodedToken = await verifyToken(token);
     req.user = decodedToken;
     next();
   } catch (error) {
@@ -55,7 +67,27 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Admins carry the Firebase custom claim `admin` or are listed in ADMIN_UIDS.
+// Must run after authenticateToken.
+const requireAdmin = (req, res, next) => {
+  const adminUids = (process.env.ADMIN_UIDS || '')
+    .split(',')
+    .map(uid => uid.trim())
+    .filter(Boolean);
+
+  if (req.user && (req.user.admin === true || adminUids.includes(req.user.uid))) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'Admin access required'
+  });
+};
+
 module.exports = {
+  verifyToken,
   authenticateToken,
-  optionalAuth
+  optionalAuth,
+  requireAdmin
 };
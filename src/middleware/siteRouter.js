@@ -0,0 +1,151 @@
+// src/middleware/siteRouter.js
+const path = require('path');
+const publishService = require('../services/publishService');
+const domainService = require('../services/domainService');
+const workspaceService = require('../services/workspaceService');
+
+const notFoundPage = (title, message) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <style>
+        body { font-family: system-ui, sans-serif; display: flex; align-items: center; justify-content: center; min-height: 100vh; margin: 0; background: #f9fafb; color: #111827; }
+        main { text-align: center; }
+        h1 { font-size: 3rem; margin: 0; }
+        p { color: #6b7280; }
+    </style>
+</head>
+<body>
+    <main>
+        <h1>404</h1>
+        <p>${message}</p>
+    </main>
+</body>
+</html>
+`;
+
+// Extract "<subdomain>" from "<subdomain>.<BASE_DOMAIN>". Reserved subdomains and APP_HOSTS
+// are the platform's own (e.g. api.<BASE_DOMAIN>), never published sites.
+const getSubdomain = (hostname) => {
+  const baseDomain = publishService.getBaseDomain();
+  if (!baseDomain || !hostname) return null;
+
+  const host = hostname.toLowerCase();
+  if (!host.endsWith(`.${baseDomain}`) || publishService.getAppHosts().includes(host)) return null;
+
+  const label = host.slice(0, -(baseDomain.length + 1));
+  return label && !label.includes('.') && !publishService.isReservedSubdomain(label) ? label : null;
+};
+
+// Candidate stored paths for a request path ("/about" -> about, about.html, about/index.html)
+const getCandidatePaths = (requestPath) => {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(requestPath);
+  } catch (error) {
+    return [];
+  }
+
+  if (decoded === '/' || decoded.endsWith('/')) {
+    const dir = workspaceService.normalizePath(decoded, { allowRoot: true });
+    return [dir ? `${dir}/index.html` : 'index.html'];
+  }
+
+  const filePath = workspaceService.normalizePath(decoded);
+  return path.posix.extname(filePath)
+    ? [filePath]
+    : [filePath, `${filePath}.html`, `${filePath}/index.html`];
+};
+
+const sendFile = (req, res, site, file, status = 200) => {
+  const isHtml = /\.html?$/i.test(file.path);
+
+  res.status(status);
+  res.type(path.posix.extname(file.path) || 'html');
+  res.set({
+    'ETag': file.etag,
+    'Last-Modified': new Date(site.publishedAt).toUTCString(),
+    'Cache-Control': isHtml ? 'public, max-age=0, must-revalidate' : 'public, max-age=3600',
+    'X-Content-Type-Options': 'nosniff'
+  });
+
+  if (status === 200 && req.headers['if-none-match'] === file.etag) {
+    return res.status(304).end();
+  }
+
+  // Lean queries return BSON Binary values rather than Buffers
+  const body = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content.buffer);
+  return req.method === 'HEAD' ? res.end() : res.send(body);
+};
+
+const sendNotFound = async (req, res, query, message) => {
+  const custom = await publishService.findSiteFile(query, '404.html');
+  if (custom?.files?.length) {
+    return sendFile(req, res, custom, custom.files[0], 404);
+  }
+
+  res.status(404)
+    .set('Cache-Control', 'no-store')
+    .type('html')
+    .send(notFoundPage('Page not found', message));
+};
+
+// Serve a published site for a lookup query ({ subdomain } or { projectId })
+const serveSite = async (req, res, query) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).set('Allow', 'GET, HEAD').end();
+  }
+
+  let candidates;
+  try {
+    candidates = getCandidatePaths(req.path);
+  } catch (error) {
+    candidates = [];
+  }
+
+  let siteExists = false;
+  for (const candidate of candidates) {
+    const site = await publishService.findSiteFile(query, candidate);
+    if (!site) break;
+    siteExists = true;
+    if (site.files?.length) {
+      return sendFile(req, res, site, site.files[0]);
+    }
+  }
+
+  if (!siteExists && candidates.length > 0) {
+    return res.status(404)
+      .set('Cache-Control', 'no-store')
+      .type('html')
+      .send(notFoundPage('Site not found', 'There is no site published at this address.'));
+  }
+
+  return sendNotFound(req, res, query, 'The page you are looking for does not exist.');
+};
+
+// Route "<subdomain>.<BASE_DOMAIN>" and verified custom domains to published sites
+const siteRouter = async (req, res, next) => {
+  try {
+    const subdomain = getSubdomain(req.hostname);
+    if (subdomain) {
+      return await serveSite(req, res, { subdomain });
+    }
+
+    const projectId = await domainService.findProjectForHost(req.hostname);
+    if (!projectId) {
+      return next();
+    }
+
+    return await serveSite(req, res, { projectId });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  siteRouter,
+  serveSite,
+  getSubdomain
+};
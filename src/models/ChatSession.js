@@ -0,0 +1,71 @@
+// src/models/ChatSession.js
+const mongoose = require('mongoose');
+
+// File edits proposed by an assistant message (see editService for the edit shape)
+const chatChangeSchema = new mongoose.Schema({
+  path: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['clean', 'partial', 'failed', 'unchanged']
+  },
+  baseHash: String,
+  edit: mongoose.Schema.Types.Mixed,
+  failed: [mongoose.Schema.Types.Mixed],
+  additions: { type: Number, default: 0 },
+  deletions: { type: Number, default: 0 },
+  diff: String
+}, { _id: false });
+
+const chatMessageSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: { type: String, default: '' },
+  // Paths attached as context for this turn
+  files: [String],
+  changes: [chatChangeSchema],
+  // Version created when the changes were applied
+  version: { type: Number, default: null },
+  provider: String,
+  model: String,
+  tokensUsed: Number,
+  finishReason: String,
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A conversation with the AI about one project. Older turns are folded into
+// `summary` once they no longer fit the provider's context window.
+const chatSessionSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    default: 'New chat'
+  },
+  provider: { type: String, default: null },
+  model: { type: String, default: null },
+  keyId: { type: String, default: null },
+  // Paths sent as context on every turn, read fresh each time
+  files: [String],
+  messages: [chatMessageSchema],
+  summary: { type: String, default: '' },
+  // Number of leading messages already covered by `summary`
+  summarizedCount: { type: Number, default: 0 },
+  lastMessageAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+chatSessionSchema.index({ projectId: 1, userId: 1, lastMessageAt: -1 });
+
+module.exports = mongoose.model('ChatSession', chatSessionSchema);
@@ -0,0 +1,53 @@
+// src/models/CustomDomain.js
+const mongoose = require('mongoose');
+
+// Unverified claims are removed after a week so abandoned ones do not pile up
+const PENDING_CLAIM_SECONDS = 7 * 24 * 60 * 60;
+
+const customDomainSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  domain: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  verificationToken: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'verified', 'failed'],
+    default: 'pending'
+  },
+  verifiedAt: Date,
+  lastCheckedAt: Date,
+  lastError: String
+}, {
+  timestamps: true
+});
+
+customDomainSchema.index({ projectId: 1 });
+// Any number of projects may claim a domain, but only one can verify it: claiming is free,
+// so a unique claim would let anyone block a domain they do not control. Databases created
+// before this index still have the old unique domain_1 index, which must be dropped.
+customDomainSchema.index(
+  { domain: 1 },
+  { name: 'domain_1_verified', unique: true, partialFilterExpression: { status: 'verified' } }
+);
+customDomainSchema.index({ domain: 1, projectId: 1 });
+customDomainSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: PENDING_CLAIM_SECONDS, partialFilterExpression: { status: 'pending' } }
+);
+
+module.exports = mongoose.model('CustomDomain', customDomainSchema);
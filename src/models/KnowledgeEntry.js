@@ -0,0 +1,81 @@
+// src/models/KnowledgeEntry.js
+const mongoose = require('mongoose');
+
+// Generated code kept for reuse, with the vector used for similarity search.
+// Vectors from different embedders are not comparable, so each entry records
+// which one produced it (see embeddingService).
+const knowledgeEntrySchema = new mongoose.Schema({
+  projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+  userId: String, // Author; for private entries also the only user who can see them
+  // private: the author's own; team: shared with teamId's members; global: curated by admins for everyone.
+  // Shared entries are scrubbed copies made by an explicit promotion (see aiKnowledgeBase.promoteEntry).
+  scope: {
+    type: String,
+    enum: ['private', 'team', 'global'],
+    default: 'private'
+  },
+  teamId: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', default: null },
+  originEntryId: { type: mongoose.Schema.Types.ObjectId, ref: 'KnowledgeEntry', default: null },
+  promotedBy: String,
+  promotedAt: Date,
+  codeType: String, // 'component', 'service', 'route', 'full-project'
+  description: String,
+  code: String,
+  metadata: {
+    filePath: String,
+    language: String,
+    stack: String,
+    category: String,
+    features: [String],
+    dependencies: [String]
+  },
+  tags: [String],
+  // Normalized code identity (see utils/codeFingerprint): exact duplicates share the
+  // fingerprint, near-duplicates have simhashes a few bits apart. Only fingerprints of the
+  // current FINGERPRINT_VERSION are compared.
+  fingerprint: String,
+  fingerprintVersion: Number,
+  simhash: String,
+  simhashBands: [String],
+  // How many times this code was generated or imported; duplicates merge into one entry
+  occurrences: { type: Number, default: 1 },
+  lastSeenAt: Date,
+  // Preferred entries rank ahead of close matches; neverReuse entries are never suggested
+  pinned: { type: Boolean, default: false },
+  neverReuse: { type: Boolean, default: false },
+  source: {
+    type: String,
+    enum: ['generated', 'imported'],
+    default: 'generated'
+  },
+  embedding: [Number], // Unit-length vector for cosine similarity
+  embeddingModel: { type: String, default: null },
+  embeddedAt: Date,
+  reusageCount: { type: Number, default: 0 },
+  lastUsedAt: Date,
+  // Feedback weights, decayed towards zero over time so recent outcomes count most
+  // (see aiKnowledgeBase.applyFeedback). successRate is derived from them.
+  feedback: {
+    positive: { type: Number, default: 0 },
+    negative: { type: Number, default: 0 },
+    updatedAt: Date
+  },
+  successRate: { type: Number, default: 1.0 },
+  // Entries that keep failing are withheld from search until the owner releases them
+  quarantined: { type: Boolean, default: false },
+  quarantinedAt: Date,
+  // 'feedback' when negative feedback put the entry there (also assumed when unset); later
+  // feedback lifts only those, any other reason stays until the entry is released
+  quarantineReason: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Search pre-filters on these before scoring vectors
+knowledgeEntrySchema.index({ userId: 1, embeddingModel: 1, codeType: 1, 'metadata.stack': 1 });
+knowledgeEntrySchema.index({ scope: 1, teamId: 1, embeddingModel: 1, codeType: 1 });
+knowledgeEntrySchema.index({ userId: 1, createdAt: -1 });
+knowledgeEntrySchema.index({ userId: 1, codeType: 1, fingerprint: 1 });
+knowledgeEntrySchema.index({ userId: 1, codeType: 1, simhashBands: 1 });
+
+module.exports = mongoose.model('KnowledgeEntry', knowledgeEntrySchema);
@@ -0,0 +1,47 @@
+// src/models/KnowledgeUsage.js
+const mongoose = require('mongoose');
+
+// Feedback on generated code is only expected while it is fresh
+const RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+// Which knowledge entries one code generation used or produced, so feedback on the
+// generation can be credited to them. One document per generation.
+const knowledgeUsageSchema = new mongoose.Schema({
+  generationId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  entries: [{
+    _id: false,
+    entryId: { type: mongoose.Schema.Types.ObjectId, ref: 'KnowledgeEntry' },
+    // adapted: the generation started from this entry; stored: the generation created it;
+    // reference: shown to the model as an example only, so feedback does not count against it
+    role: { type: String, enum: ['adapted', 'stored', 'reference'] },
+    similarity: Number
+  }],
+  // The generation's current signal; a new signal replaces it (kept as an array for
+  // usages recorded when several signals could stack)
+  feedback: [{
+    _id: false,
+    signal: String,
+    comment: String,
+    createdAt: { type: Date, default: Date.now }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: RETENTION_SECONDS
+  }
+});
+
+module.exports = mongoose.model('KnowledgeUsage', knowledgeUsageSchema);
@@ -1,5 +1,6 @@
 // src/models/Project.js
 const mongoose = require('mongoose');
+const { convertLegacyComponents } = require('../utils/legacyComponents');
 
 const projectSchema = new mongoose.Schema({
   name: {
@@ -71,9 +72,21 @@ const projectSchema = new mongoose.Schema({
   aiAnalysis: {
     prompt: String,
     generatedPrompt: String,
+    // Validated against src/utils/analysisSchema.js
     analysisData: Object,
+    provider: String,
+    model: String,
     lastGenerated: Date,
-    version: { type: Number, default: 1 }
+    version: { type: Number, default: 1 },
+    // Earlier analyses, newest last
+    history: [{
+      version: Number,
+      generatedPrompt: String,
+      analysisData: Object,
+      provider: String,
+      model: String,
+      generatedAt: Date
+    }]
   },
   aiGeneration: {
     provider: String,
@@ -81,6 +94,10 @@ const projectSchema = new mongoose.Schema({
     prompt: String,
     generatedAt: Date,
     tokensUsed: Number,
+    keyId: String,
+    keySource: String,
+    // Provider attempts in order, including retries and fallbacks
+    attempts: [mongoose.Schema.Types.Mixed],
     learningApplied: Boolean
   },
   content: {
@@ -96,22 +113,55 @@ const projectSchema = new mongoose.Schema({
       type: String,
       default: ''
     },
+    // Reusable component definitions ("type" is spelled out so mongoose
+    // doesn't read the subdocument as a String array)
     components: [{
       id: String,
-      type: String,
-      props: mongoose.Schema.Types.Mixed,
-      styles: mongoose.Schema.Types.Mixed,
+      name: String,
+      type: { type: String, default: 'component' },
+      code: { type: String, default: '' },
+      propsSchema: { type: mongoose.Schema.Types.Mixed, default: {} },
+      defaultStyles: { type: mongoose.Schema.Types.Mixed, default: {} },
+      version: { type: Number, default: 1 },
+      createdAt: { type: Date, default: Date.now },
+      updatedAt: { type: Date, default: Date.now }
+    }],
+    // Placements of component definitions on pages, with prop and style overrides
+    componentInstances: [{
+      id: String,
+      definitionId: String,
+      pageId: String,
+      props: { type: mongoose.Schema.Types.Mixed, default: {} },
+      styles: { type: mongoose.Schema.Types.Mixed, default: {} },
       position: {
         x: Number,
         y: Number,
         width: Number,
         height: Number
-      }
+      },
+      definitionVersion: Number,
+      // Detached instances keep their own copy of the definition
+      detached: { type: Boolean, default: false },
+      detachedFrom: String,
+      name: String,
+      code: String,
+      propsSchema: mongoose.Schema.Types.Mixed,
+      createdAt: { type: Date, default: Date.now }
     }],
     pages: [{
       id: String,
       name: String,
       path: String,
+      html: { type: String, default: '' },
+      css: { type: String, default: '' },
+      // Overrides of settings.seo for this page
+      seo: {
+        title: String,
+        description: String,
+        keywords: [String]
+      },
+      order: { type: Number, default: 0 },
+      showInNav: { type: Boolean, default: true },
       components: [String]
     }]
   },
@@ -137,7 +187,17 @@ const projectSchema = new mongoose.Schema({
     version: Number,
     content: mongoose.Schema.Types.Mixed,
     timestamp: Date,
-    description: String
+    description: String,
+    label: String,
+    source: {
+      type: String,
+      enum: ['manual', 'update', 'ai-generation', 'ai-edit', 'replace', 'restore', 'other'],
+      default: 'other'
+    },
+    auto: { type: Boolean, default: false },
+    hash: String,
+    size: Number,
+    createdBy: String
   }],
   debugging: {
     errors: [{
@@ -229,6 +289,26 @@ projectSchema.index({ userId: 1, status: 1 });
 projectSchema.index({ subdomain: 1 });
 projectSchema.index({ visibility: 1, status: 1 });
 
+// Projects saved before component definitions still store placed components in
+// content.components. Convert them on load and mark both arrays modified, so the next
+// save writes the converted data instead of stripping the old fields.
+// componentService.migrateLegacyComponents converts the rest in the database.
+projectSchema.pre('init', function(raw) {
+  const converted = convertLegacyComponents(raw?.content);
+  if (converted) {
+    raw.content.components = converted.components;
+    raw.content.componentInstances = converted.componentInstances;
+    this.$locals.convertedLegacyComponents = true;
+  }
+});
+
+projectSchema.post('init', function() {
+  if (this.$locals.convertedLegacyComponents) {
+    this.markModified('content.components');
+    this.markModified('content.componentInstances');
+  }
+});
+
 // Add method to track errors
 projectSchema.methods.addError = function(error) {
   this.debugging.errors.push({
@@ -0,0 +1,44 @@
+// src/models/PublishedSite.js
+const mongoose = require('mongoose');
+
+// Frozen copy of a project's site, served by the host-based site router
+const publishedSiteSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  subdomain: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true
+  },
+  files: [{
+    path: String,
+    content: Buffer,
+    size: Number,
+    etag: String
+  }],
+  totalSize: {
+    type: Number,
+    default: 0
+  },
+  publishCount: {
+    type: Number,
+    default: 1
+  },
+  publishedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('PublishedSite', publishedSiteSchema);
@@ -0,0 +1,23 @@
+// src/models/SystemSetting.js
+const mongoose = require('mongoose');
+
+// Server-wide settings that admins can change at runtime, one document per key
+const systemSettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('SystemSetting', systemSettingSchema);
@@ -0,0 +1,38 @@
+// src/models/Team.js
+const mongoose = require('mongoose');
+
+// A group of users sharing team-scoped knowledge entries
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  ownerId: {
+    type: String,
+    required: true
+  },
+  members: [{
+    _id: false,
+    userId: { type: String, required: true },
+    // Owners and admins manage members and any team entry; members share and use entries
+    role: { type: String, enum: ['owner', 'admin', 'member'], default: 'member' },
+    addedAt: { type: Date, default: Date.now }
+  }],
+  // Pending invitations, addressed by uid or by email; people join only by accepting one
+  invites: [{
+    userId: { type: String, default: null },
+    email: { type: String, default: null }, // Lowercased
+    role: { type: String, enum: ['admin', 'member'], default: 'member' },
+    invitedBy: String,
+    invitedAt: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+teamSchema.index({ 'members.userId': 1 });
+teamSchema.index({ 'invites.userId': 1 });
+teamSchema.index({ 'invites.email': 1 });
+
+module.exports = mongoose.model('Team', teamSchema);
@@ -0,0 +1,75 @@
+// src/models/UsageRecord.js
+const mongoose = require('mongoose');
+
+// One document per AI provider call
+const usageRecordSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  model: String,
+  keyId: {
+    type: String,
+    default: null
+  },
+  keySource: {
+    type: String,
+    enum: ['user', 'server', 'mock', null],
+    default: null
+  },
+  operation: {
+    type: String,
+    default: 'completion'
+  },
+  streaming: {
+    type: Boolean,
+    default: false
+  },
+  inputTokens: {
+    type: Number,
+    default: 0
+  },
+  outputTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+  // Counts were estimated from text length because the provider reported none
+  tokensEstimated: {
+    type: Boolean,
+    default: false
+  },
+  // USD; null when the model has no price configured
+  cost: {
+    type: Number,
+    default: null
+  },
+  latencyMs: Number,
+  outcome: {
+    type: String,
+    enum: ['success', 'error', 'cancelled'],
+    required: true
+  },
+  finishReason: String,
+  errorMessage: String,
+  statusCode: Number
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+usageRecordSchema.index({ userId: 1, createdAt: -1 });
+usageRecordSchema.index({ userId: 1, projectId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('UsageRecord', usageRecordSchema);
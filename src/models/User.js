@@ -5,7 +5,7 @@ const crypto = require('crypto');
 const apiKeySchema = new mongoose.Schema({
   provider: {
     type: String,
-    enum: ['openai', 'gemini', 'claude', 'openrouter'],
+    enum: ['openai', 'gemini', 'claude', 'deepseek', 'openrouter'],
     required: true
   },
   name: {
@@ -59,6 +59,17 @@ const userSchema = new mongoose.Schema({
     bio: String
   },
   apiKeys: [apiKeySchema],
+  // AI quota plan (see config/aiQuotas.js); empty uses AI_DEFAULT_PLAN
+  plan: {
+    type: String,
+    default: null
+  },
+  // Per-user overrides of the plan's AI limits; null keeps the plan value
+  quotas: {
+    requestsPerMinute: { type: Number, default: null },
+    tokensPerDay: { type: Number, default: null },
+    monthlyCostUsd: { type: Number, default: null }
+  },
   figmaToken: {
     encryptedToken: String,
     createdAt: Date
@@ -66,7 +77,7 @@ const userSchema = new mongoose.Schema({
   preferences: {
     defaultAiProvider: {
       type: String,
-      enum: ['openai', 'gemini', 'claude', 'openrouter'],
+      enum: ['openai', 'gemini', 'claude', 'deepseek', 'openrouter', 'mock'],
       default: 'openai'
     },
     codeStyle: {
@@ -0,0 +1,52 @@
+// src/models/WorkspaceFile.js
+const mongoose = require('mongoose');
+
+// One document per file or directory in a project's virtual workspace.
+// Paths are normalized, relative and '/'-separated (e.g. "src/components/App.jsx").
+const workspaceFileSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  parentPath: {
+    type: String,
+    default: ''
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['file', 'directory'],
+    default: 'file'
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  language: {
+    type: String,
+    default: 'plaintext'
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+workspaceFileSchema.index({ projectId: 1, path: 1 }, { unique: true });
+workspaceFileSchema.index({ projectId: 1, parentPath: 1 });
+
+module.exports = mongoose.model('WorkspaceFile', workspaceFileSchema);
@@ -0,0 +1,32 @@
+// src/routes/admin.js
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+router.use(authenticateToken, requireAdmin);
+
+// Server API key fallback policy
+router.get('/ai/key-policy', adminController.getKeyPolicy);
+router.put('/ai/key-policy', adminController.updateKeyPolicy);
+
+// Provider circuit breakers
+router.get('/ai/providers', adminController.getProviderHealth);
+
+// Per-user AI plan and quota overrides
+router.get('/users/:uid/quota', adminController.getUserQuota);
+router.put('/users/:uid/quota', adminController.updateUserQuota);
+
+// Maintenance and background jobs
+router.post('/knowledge/reembed', adminController.startKnowledgeReembed);
+router.post('/knowledge/compact', adminController.startKnowledgeCompaction);
+router.post('/projects/migrate-components', adminController.startComponentMigration);
+router.get('/jobs', adminController.getJobs);
+router.get('/jobs/:jobId', adminController.getJob);
+router.post('/jobs/:jobId/cancel', adminController.cancelJob);
+
+// Global knowledge curation
+router.post('/knowledge/:entryId/curate', adminController.curateKnowledgeEntry);
+router.delete('/knowledge/:entryId', adminController.deleteGlobalKnowledgeEntry);
+
+module.exports = router;
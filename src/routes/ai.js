@@ -3,12 +3,13 @@ const express = require('express');
 const router = express.Router();
 const aiController = require('../controllers/aiController');
 const { authenticateToken } = require('../middleware/auth');
+const { enforceAiQuota } = require('../middleware/aiQuota');
 
 // All AI routes require authentication
 router.use(authenticateToken);
 
 // Enhanced code generation with database-first approach
-router.post('/generate', aiController.generateCode);
+router.post('/generate', enforceAiQuota, aiController.generateCode);
 
 // Rate a code template
 router.post('/rate', aiController.rateTemplate);
@@ -42,7 +42,7 @@ router.post('/', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Provider, name, and key are required' });
     }
 
-    const validProviders = ['openai', 'gemini', 'claude', 'openrouter'];
+    const validProviders = ['openai', 'gemini', 'claude', 'deepseek', 'openrouter'];
     if (!validProviders.includes(provider)) {
       return res.status(400).json({ error: 'Invalid provider' });
     }
@@ -219,6 +219,9 @@ router.post('/test/:keyId', authenticateToken, async (req, res) => {
       case 'gemini':
         testResult = await testGeminiKey(decryptedKey);
         break;
+      case 'deepseek':
+        testResult = await testDeepSeekKey(decryptedKey);
+        break;
       case 'openrouter':
         testResult = await testOpenRouterKey(decryptedKey);
         break;
@@ -265,6 +268,19 @@ async function testGeminiKey(apiKey) {
   }
 }
 
+async function testDeepSeekKey(apiKey) {
+  try {
+    const response = await fetch('https://api.deepseek.com/models', {
+      headers: {
+        'Authorization': `Bearer ${apiKey}`
+      }
+    });
+    return response.ok;
+  } catch (error) {
+    return false;
+  }
+}
+
 async function testOpenRouterKey(apiKey) {
   try {
     const fetch = require('node-fetch');
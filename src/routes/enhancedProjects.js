@@ -5,6 +5,7 @@ const {
   uploadFiles, 
   createProject, 
   generateAIAnalysis, 
+  getAIAnalysis,
   generateCode, 
   getProjectDetails, 
   updateProjectDetails,
@@ -20,6 +21,11 @@ const {
   writeWorkspaceFile,
   deleteWorkspaceFile,
   createWorkspaceDirectory,
+  renameWorkspaceEntry,
+  moveWorkspaceEntry,
+  copyWorkspaceEntry,
+  searchWorkspace,
+  replaceInWorkspace,
   // Package management
   installPackages,
   // Build and deployment
@@ -29,6 +35,7 @@ const {
   getKnowledgeStats
 } = require('../controllers/enhancedProjectController');
 const { authenticateToken } = require('../middleware/auth');
+const { enforceAiQuota } = require('../middleware/aiQuota');
 
 // Create new project with enhanced features
 router.post('/create', authenticateToken, uploadFiles, createProject);
@@ -40,13 +47,14 @@ router.get('/:projectId/details', authenticateToken, getProjectDetails);
 router.put('/:projectId/details', authenticateToken, updateProjectDetails);
 
 // Generate AI analysis and prompt
-router.post('/:projectId/analyze', authenticateToken, generateAIAnalysis);
+router.post('/:projectId/analyze', authenticateToken, enforceAiQuota, generateAIAnalysis);
+router.get('/:projectId/analysis', authenticateToken, getAIAnalysis);
 
 // Generate code from AI analysis
 router.post('/:projectId/generate-code', authenticateToken, generateCode);
 
 // AI-powered live code generation
-router.post('/:projectId/generate-live-code', authenticateToken, generateLiveCode);
+router.post('/:projectId/generate-live-code', authenticateToken, enforceAiQuota, generateLiveCode);
 
 // Terminal management
 router.post('/:projectId/terminal/create', authenticateToken, createTerminal);
@@ -59,6 +67,11 @@ router.get('/:projectId/workspace/file', authenticateToken, readWorkspaceFile);
 router.post('/:projectId/workspace/file', authenticateToken, writeWorkspaceFile);
 router.delete('/:projectId/workspace/file', authenticateToken, deleteWorkspaceFile);
 router.post('/:projectId/workspace/directory', authenticateToken, createWorkspaceDirectory);
+router.post('/:projectId/workspace/rename', authenticateToken, renameWorkspaceEntry);
+router.post('/:projectId/workspace/move', authenticateToken, moveWorkspaceEntry);
+router.post('/:projectId/workspace/copy', authenticateToken, copyWorkspaceEntry);
+router.get('/:projectId/workspace/search', authenticateToken, searchWorkspace);
+router.post('/:projectId/workspace/replace', authenticateToken, replaceInWorkspace);
 
 // Package management
 router.post('/:projectId/packages/install', authenticateToken, installPackages);
@@ -0,0 +1,47 @@
+// src/routes/knowledge.js
+const express = require('express');
+const router = express.Router();
+const knowledgeController = require('../controllers/knowledgeController');
+const { authenticateToken } = require('../middleware/auth');
+
+const jsonlBody = express.text({
+  type: ['application/x-ndjson', 'application/jsonl', 'text/plain'],
+  limit: '10mb'
+});
+
+router.use(authenticateToken);
+
+// Browse entries (scope: private|team|global, teamId; filters: codeType, stack, category, tag, pinned,
+// neverReuse, quarantined, q, projectId; sort: recent|reuse|success)
+router.get('/', knowledgeController.listEntries);
+
+// Entry counts and success rates by code type
+router.get('/stats', knowledgeController.getStats);
+
+// Similarity search across private, team and global entries
+router.get('/search', knowledgeController.searchEntries);
+
+// All private entries as JSONL
+router.get('/export', knowledgeController.exportEntries);
+
+// Import a JSONL export into the current account
+router.post('/import', jsonlBody, knowledgeController.importEntries);
+
+// Feedback on a generation's code: thumbs-up, thumbs-down, accepted-unchanged, reverted, build-failed
+router.post('/feedback', knowledgeController.submitGenerationFeedback);
+
+// Single entry with its code
+router.get('/:entryId', knowledgeController.getEntry);
+
+// Edit description and tags, pin as preferred, mark as never reuse or release from quarantine
+router.put('/:entryId', knowledgeController.updateEntry);
+
+// Share a scrubbed copy with a team
+router.post('/:entryId/promote', knowledgeController.promoteEntry);
+
+// Feedback on a single entry, by its author
+router.post('/:entryId/feedback', knowledgeController.submitEntryFeedback);
+
+router.delete('/:entryId', knowledgeController.deleteEntry);
+
+module.exports = router;
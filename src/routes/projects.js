@@ -2,14 +2,17 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs');
 const router = express.Router();
 const projectController = require('../controllers/projectController');
 const { authenticateToken } = require('../middleware/auth');
+const { enforceAiQuota } = require('../middleware/aiQuota');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, path.join(__dirname, '../../storage/uploads'));
+    const uploadDir = path.join(__dirname, '../../storage/uploads');
+    fs.mkdir(uploadDir, { recursive: true }, (error) => cb(error, uploadDir));
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -42,6 +45,9 @@ router.get('/', authenticateToken, projectController.getProjects);
 // Get public projects (no auth required)
 router.get('/public', projectController.getPublicProjects);
 
+// Check whether a subdomain can be used for publishing
+router.get('/subdomains/check', authenticateToken, projectController.checkSubdomain);
+
 // Get specific project
 router.get('/:projectId', authenticateToken, projectController.getProject);
 
@@ -54,19 +60,78 @@ router.post('/enhanced/create', authenticateToken, upload.fields([
   { name: 'designFiles', maxCount: 5 }
 ]), projectController.createEnhancedProject);
 
+// Create a project from an uploaded ZIP archive
+router.post('/import', authenticateToken, upload.single('archive'), projectController.importProject);
+
 // Update project
 router.put('/:projectId', authenticateToken, projectController.updateProject);
 
 // Delete project
 router.delete('/:projectId', authenticateToken, projectController.deleteProject);
 
+// Import a ZIP archive into an existing project
+router.post('/:projectId/import', authenticateToken, upload.single('archive'), projectController.importIntoProject);
+
+// Export project as a ZIP archive
+router.get('/:projectId/export', authenticateToken, projectController.exportProject);
+
+// Publish / unpublish to a subdomain
+router.post('/:projectId/publish', authenticateToken, projectController.publishProject);
+router.delete('/:projectId/publish', authenticateToken, projectController.unpublishProject);
+
+// Pages of multi-page sites ("order" before ":pageId")
+router.get('/:projectId/pages', authenticateToken, projectController.getPages);
+router.post('/:projectId/pages', authenticateToken, projectController.createPage);
+router.put('/:projectId/pages/order', authenticateToken, projectController.reorderPages);
+router.get('/:projectId/pages/:pageId', authenticateToken, projectController.getPage);
+router.put('/:projectId/pages/:pageId', authenticateToken, projectController.updatePage);
+router.delete('/:projectId/pages/:pageId', authenticateToken, projectController.deletePage);
+
+// Component library: definitions and their instances on pages
+router.get('/:projectId/components', authenticateToken, projectController.getComponents);
+router.post('/:projectId/components', authenticateToken, projectController.createComponent);
+router.get('/:projectId/components/:componentId', authenticateToken, projectController.getComponent);
+router.put('/:projectId/components/:componentId', authenticateToken, projectController.updateComponent);
+router.delete('/:projectId/components/:componentId', authenticateToken, projectController.deleteComponent);
+router.post('/:projectId/components/:componentId/duplicate', authenticateToken, projectController.duplicateComponent);
+router.get('/:projectId/component-instances', authenticateToken, projectController.getComponentInstances);
+router.post('/:projectId/component-instances', authenticateToken, projectController.createComponentInstance);
+router.put('/:projectId/component-instances/:instanceId', authenticateToken, projectController.updateComponentInstance);
+router.delete('/:projectId/component-instances/:instanceId', authenticateToken, projectController.deleteComponentInstance);
+router.post('/:projectId/component-instances/:instanceId/detach', authenticateToken, projectController.detachComponentInstance);
+
+// Custom domains (verified through a DNS TXT record)
+router.get('/:projectId/domains', authenticateToken, projectController.getDomains);
+router.post('/:projectId/domains', authenticateToken, projectController.addDomain);
+router.post('/:projectId/domains/:domainId/verify', authenticateToken, projectController.verifyDomain);
+router.delete('/:projectId/domains/:domainId', authenticateToken, projectController.removeDomain);
+
+// Version history
+router.get('/:projectId/versions', authenticateToken, projectController.getVersions);
+router.post('/:projectId/versions', authenticateToken, projectController.createVersion);
+router.get('/:projectId/versions/diff', authenticateToken, projectController.diffVersions);
+router.get('/:projectId/versions/:version', authenticateToken, projectController.getVersion);
+router.post('/:projectId/versions/:version/restore', authenticateToken, projectController.restoreVersion);
+
+// Incremental AI edits: preview patches, then apply them as a new version
+router.post('/:projectId/edits/preview', authenticateToken, enforceAiQuota, projectController.previewEdit);
+router.post('/:projectId/edits/apply', authenticateToken, projectController.applyEdit);
+
+// AI chat sessions (streaming replies go through the 'chat:message' socket event)
+router.get('/:projectId/chats', authenticateToken, projectController.getChatSessions);
+router.post('/:projectId/chats', authenticateToken, projectController.createChatSession);
+router.get('/:projectId/chats/:sessionId', authenticateToken, projectController.getChatSession);
+router.put('/:projectId/chats/:sessionId', authenticateToken, projectController.updateChatSession);
+router.delete('/:projectId/chats/:sessionId', authenticateToken, projectController.deleteChatSession);
+router.post('/:projectId/chats/:sessionId/messages', authenticateToken, enforceAiQuota, projectController.sendChatMessage);
+
 // Generate code for project
-router.post('/:projectId/generate', authenticateToken, projectController.generateCode);
+router.post('/:projectId/generate', authenticateToken, enforceAiQuota, projectController.generateCode);
 
 // Generate enhanced code with database-first approach
-router.post('/:projectId/generate/enhanced', authenticateToken, projectController.generateEnhancedCode);
+router.post('/:projectId/generate/enhanced', authenticateToken, enforceAiQuota, projectController.generateEnhancedCode);
 
 // Generate code from Figma
-router.post('/:projectId/figma', authenticateToken, projectController.generateFromFigma);
+router.post('/:projectId/figma', authenticateToken, enforceAiQuota, projectController.generateFromFigma);
 
 module.exports = router;
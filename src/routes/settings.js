@@ -13,6 +13,15 @@ router.put('/profile', authenticateToken, settingsController.updateUserProfile);
 // Get user statistics
 router.get('/stats', authenticateToken, settingsController.getUserStats);
 
+// AI usage summary by day, provider and project
+router.get('/usage', authenticateToken, settingsController.getUsageSummary);
+
+// AI usage ledger as CSV
+router.get('/usage/export', authenticateToken, settingsController.exportUsage);
+
+// AI quota status
+router.get('/quota', authenticateToken, settingsController.getQuota);
+
 // Get learning data
 router.get('/learning', authenticateToken, settingsController.getLearningData);
 
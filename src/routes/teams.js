@@ -0,0 +1,28 @@
+// src/routes/teams.js
+const express = require('express');
+const router = express.Router();
+const teamController = require('../controllers/teamController');
+const { authenticateToken } = require('../middleware/auth');
+
+router.use(authenticateToken);
+
+// Teams the current user belongs to
+router.get('/', teamController.listTeams);
+router.post('/', teamController.createTeam);
+
+// Invites addressed to the current user; accepting one joins the team
+router.get('/invites', teamController.listInvites);
+router.post('/:teamId/invites/accept', teamController.acceptInvite);
+router.post('/:teamId/invites/decline', teamController.declineInvite);
+
+router.get('/:teamId', teamController.getTeam);
+
+// Owner only; also deletes the team's shared knowledge
+router.delete('/:teamId', teamController.deleteTeam);
+
+// Owners and admins invite and remove members; members can remove themselves
+router.post('/:teamId/invites', teamController.inviteMember);
+router.delete('/:teamId/invites/:inviteId', teamController.revokeInvite);
+router.delete('/:teamId/members/:memberId', teamController.removeMember);
+
+module.exports = router;
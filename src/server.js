@@ -22,9 +22,13 @@ const aiRoutes = require('./routes/ai');
 const figmaRoutes = require('./routes/figma');
 const settingsRoutes = require('./routes/settings');
 const apiKeyRoutes = require('./routes/apiKeys');
+const adminRoutes = require('./routes/admin');
+const knowledgeRoutes = require('./routes/knowledge');
+const teamRoutes = require('./routes/teams');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
+const { siteRouter } = require('./middleware/siteRouter');
 
 const app = express();
 const server = http.createServer(app);
@@ -36,6 +40,10 @@ connectDB();
 // Initialize WebSocket service
 socketService.initialize(server);
 
+// Published sites are served by host name before the API middleware,
+// so the API's security headers don't apply to user content
+app.use(siteRouter);
+
 // Middleware
 app.use(helmet({
   crossOriginResourcePolicy: { policy: "cross-origin" }
@@ -68,6 +76,9 @@ app.use('/api/ai', aiRoutes);
 app.use('/api/figma', figmaRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/apikeys', apiKeyRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/knowledge', knowledgeRoutes);
+app.use('/api/teams', teamRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -1,82 +1,197 @@
 // src/services/aiKnowledgeBase.js
-const Project = require('../models/Project');
 const mongoose = require('mongoose');
+const Joi = require('joi');
+const KnowledgeEntry = require('../models/KnowledgeEntry');
+const KnowledgeUsage = require('../models/KnowledgeUsage');
+const embeddingService = require('./embeddingService');
+const vectorIndex = require('./vectorIndex');
+const teamService = require('./teamService');
+const { createHttpError, escapeRegExp } = require('../utils/helpers');
+const { FINGERPRINT_VERSION, fingerprintCode, hammingDistance, simhashBands } = require('../utils/codeFingerprint');
+const { scrubText } = require('../utils/secretScrubber');
 
-// Knowledge Base Schema for storing code with embeddings
-const knowledgeEntrySchema = new mongoose.Schema({
-  projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
-  userId: String,
-  codeType: String, // 'component', 'service', 'route', 'full-project'
-  description: String,
-  code: String,
-  metadata: {
-    stack: String,
-    category: String,
-    features: [String],
-    dependencies: [String]
-  },
-  embedding: [Number], // Vector embedding for similarity search
-  reusageCount: { type: Number, default: 0 },
-  successRate: { type: Number, default: 1.0 },
-  createdAt: { type: Date, default: Date.now }
+// Description and metadata lead so they outweigh the code in the vector
+const MAX_EMBEDDED_CODE_CHARS = 4000;
+const MIN_SIMILARITY = 0.1;
+const QUERY_CACHE_SIZE = 500;
+const REEMBED_BATCH_SIZE = 64;
+const COMPACT_BATCH_SIZE = 200;
+// Search scales each scope's similarities by its weight when ranking; 0 leaves a scope out.
+// KNOWLEDGE_SCOPE_WEIGHTS overrides these, e.g. "private:1,team:0.9,global:0.8".
+const DEFAULT_SCOPE_WEIGHTS = { private: 1, team: 0.9, global: 0.8 };
+const MAX_SCOPE_WEIGHT = 2;
+// Entries from before scopes existed have no scope field and are private
+const PRIVATE_SCOPE = { $nin: ['team', 'global'] };
+// Ranking bonus for entries a user pinned as preferred
+const PINNED_BOOST = 0.1;
+// Ranking penalty at a success rate of zero, scaled down linearly as the rate rises
+const FAILURE_PENALTY = 0.2;
+const DEFAULT_FEEDBACK_HALF_LIFE_DAYS = 30;
+// Quarantine needs repeated recent failures, not a single bad outcome
+const QUARANTINE_MIN_NEGATIVE = 3;
+const QUARANTINE_MAX_SUCCESS_RATE = 0.3;
+// Feedback weights: positive signals raise an entry's success rate, negative ones lower it
+const FEEDBACK_SIGNALS = {
+  'thumbs-up': 1,
+  'accepted-unchanged': 1.5,
+  'thumbs-down': -1,
+  'reverted': -1.5,
+  'build-failed': -2
+};
+// Roles in a generation that feedback is credited to
+const FEEDBACK_ROLES = ['adapted', 'stored'];
+// Simhashes this many bits apart or fewer are the same code with small edits
+const NEAR_DUPLICATE_DISTANCE = 3;
+const MAX_DUPLICATE_CANDIDATES = 50;
+// Generated files not worth keeping: boilerplate every project gets, data and assets,
+// and code too short to be worth adapting
+const TRIVIAL_FILE_NAMES = new Set([
+  'package.json', 'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', '.gitignore', '.env', '.env.example',
+  'readme.md', 'vite.config.js', 'vite.config.ts', 'postcss.config.js', 'tailwind.config.js', 'eslint.config.js',
+  '.eslintrc.json', 'tsconfig.json', 'tsconfig.node.json'
+]);
+const TRIVIAL_EXTENSIONS = new Set(['json', 'md', 'txt', 'lock', 'svg', 'ico', 'png', 'jpg', 'jpeg', 'gif', 'webp', 'map']);
+const MIN_NORMALIZED_CODE_CHARS = 150;
+const MAX_PAGE_SIZE = 100;
+const MAX_TAGS = 20;
+const MAX_IMPORT_LINES = 1000;
+const EXPORT_VERSION = 1;
+const LIST_SORTS = {
+  recent: { createdAt: -1 },
+  reuse: { reusageCount: -1, createdAt: -1 },
+  success: { successRate: -1, reusageCount: -1 }
+};
+
+const tagsSchema = Joi.array().items(Joi.string().trim().lowercase().min(1).max(50)).max(MAX_TAGS).unique();
+
+// One line of a JSONL export. Owner, project and vectors are not part of the format;
+// imported entries belong to the importing user and are embedded on arrival.
+const importLineSchema = Joi.object({
+  version: Joi.number().valid(EXPORT_VERSION).default(EXPORT_VERSION),
+  codeType: Joi.string().trim().min(1).max(50).required(),
+  description: Joi.string().trim().min(1).max(2000).required(),
+  code: Joi.string().min(1).max(100000).required(),
+  tags: tagsSchema.default([]),
+  metadata: Joi.object({
+    stack: Joi.string().trim().max(100).allow(null, ''),
+    category: Joi.string().trim().max(100).allow(null, ''),
+    features: Joi.array().items(Joi.string().trim().max(200)).max(100).default([]),
+    dependencies: Joi.array().items(Joi.string().trim().max(200)).max(200).default([])
+  }).default({}),
+  pinned: Joi.boolean().default(false),
+  neverReuse: Joi.boolean().default(false),
+  createdAt: Joi.date().iso()
 });
 
-const KnowledgeEntry = mongoose.model('KnowledgeEntry', knowledgeEntrySchema);
+const updateSchema = Joi.object({
+  description: Joi.string().trim().min(1).max(2000),
+  tags: tagsSchema,
+  pinned: Joi.boolean(),
+  neverReuse: Joi.boolean(),
+  // Only releasing is allowed; neverReuse is the manual way to withhold an entry
+  quarantined: Joi.boolean().valid(false)
+}).min(1);
+
+const feedbackSchema = Joi.object({
+  signal: Joi.string().valid(...Object.keys(FEEDBACK_SIGNALS)).required(),
+  comment: Joi.string().trim().max(1000).allow('')
+});
 
 class AIKnowledgeBase {
   constructor() {
+    // Query text -> vector for the current embedder
     this.embeddingCache = new Map();
   }
 
-  // Generate simple text embedding (in production, use OpenAI embeddings or similar)
-  async generateEmbedding(text) {
-    // Simple word frequency based embedding for demo
-    // In production, use OpenAI embeddings API
-    const words = text.toLowerCase().split(/\W+/).filter(w => w.length > 2);
-    const wordCount = {};
-    
-    words.forEach(word => {
-      wordCount[word] = (wordCount[word] || 0) + 1;
+  buildEmbeddingText({ description, codeType, code, metadata = {} }) {
+    return [
+      description,
+      codeType,
+      metadata.stack,
+      metadata.category,
+      (metadata.features || []).join(' '),
+      String(code || '').slice(0, MAX_EMBEDDED_CODE_CHARS)
+    ].filter(Boolean).join('\n');
+  }
+
+  async generateEmbedding(text, options = {}) {
+    return await embeddingService.embedOne(text, options);
+  }
+
+  // Query vectors are cached per embedder; a changed embedder starts a fresh cache
+  async getQueryEmbedding(query, context) {
+    const key = `${embeddingService.getEmbedderId()}\n${query}`;
+    if (this.embeddingCache.has(key)) {
+      return this.embeddingCache.get(key);
+    }
+
+    const vector = await this.generateEmbedding(query, { context });
+    this.embeddingCache.set(key, vector);
+    if (this.embeddingCache.size > QUERY_CACHE_SIZE) {
+      this.embeddingCache.delete(this.embeddingCache.keys().next().value);
+    }
+    return vector;
+  }
+
+  // Similarity above which the orchestrator adapts stored code instead of generating
+  getReuseThreshold() {
+    return embeddingService.getReuseThreshold();
+  }
+
+  // Why `code` from `filePath` is not worth storing, or null when it is
+  getTrivialReason(filePath, normalized) {
+    const name = String(filePath || '').split('/').pop().toLowerCase();
+    if (TRIVIAL_FILE_NAMES.has(name)) return 'boilerplate file';
+    const extension = name.includes('.') ? name.split('.').pop() : '';
+    if (TRIVIAL_EXTENSIONS.has(extension)) return `.${extension} file`;
+    if (normalized.length < MIN_NORMALIZED_CODE_CHARS) return 'too short';
+    return null;
+  }
+
+  // Existing private entry with the same or nearly the same normalized code, or null
+  async findDuplicate(userId, codeType, { fingerprint, simhash, bands }) {
+    const current = { userId, scope: PRIVATE_SCOPE, codeType, fingerprintVersion: FINGERPRINT_VERSION };
+    const exact = await KnowledgeEntry.findOne({ ...current, fingerprint }).select('-embedding -code');
+    if (exact) return exact;
+
+    const candidates = await KnowledgeEntry.find({ ...current, simhashBands: { $in: bands } })
+      .select('_id simhash')
+      .limit(MAX_DUPLICATE_CANDIDATES)
+      .lean();
+    let best = null;
+    candidates.forEach((candidate) => {
+      const distance = hammingDistance(simhash, candidate.simhash);
+      if (distance <= NEAR_DUPLICATE_DISTANCE && (!best || distance < best.distance)) {
+        best = { id: candidate._id, distance };
+      }
     });
-    
-    // Create a simple vector representation
-    const vocabulary = ['react', 'component', 'function', 'api', 'service', 'route', 'express', 'database', 'frontend', 'backend', 'auth', 'user', 'data', 'fetch', 'state', 'props', 'hook', 'context', 'store', 'form', 'validation', 'error', 'loading', 'success'];
-    const embedding = vocabulary.map(word => wordCount[word] || 0);
-    
-    // Normalize the vector
-    const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
-    return magnitude > 0 ? embedding.map(val => val / magnitude) : embedding;
-  }
-
-  // Calculate cosine similarity between embeddings
-  calculateSimilarity(embedding1, embedding2) {
-    if (embedding1.length !== embedding2.length) return 0;
-    
-    let dotProduct = 0;
-    let magnitude1 = 0;
-    let magnitude2 = 0;
-    
-    for (let i = 0; i < embedding1.length; i++) {
-      dotProduct += embedding1[i] * embedding2[i];
-      magnitude1 += embedding1[i] * embedding1[i];
-      magnitude2 += embedding2[i] * embedding2[i];
-    }
-    
-    magnitude1 = Math.sqrt(magnitude1);
-    magnitude2 = Math.sqrt(magnitude2);
-    
-    if (magnitude1 === 0 || magnitude2 === 0) return 0;
-    return dotProduct / (magnitude1 * magnitude2);
-  }
-
-  // Store generated code in knowledge base
+    return best ? await KnowledgeEntry.findById(best.id).select('-embedding -code') : null;
+  }
+
+  // Store generated code. Returns the new entry, the existing entry it merged into when the
+  // code is a duplicate, or null when the file is trivial and was skipped.
   async storeCode(projectId, userId, codeData) {
     try {
       const { code, description, codeType, metadata = {} } = codeData;
-      
-      // Generate embedding for the code
-      const searchText = `${description} ${code}`;
-      const embedding = await this.generateEmbedding(searchText);
+      const identity = fingerprintCode(code, metadata);
+
+      const trivialReason = this.getTrivialReason(metadata.filePath, identity.normalized);
+      if (trivialReason) {
+        console.log(`Skipped code knowledge (${trivialReason}): ${metadata.filePath || description}`);
+        return null;
+      }
+
+      const duplicate = await this.findDuplicate(userId, codeType, identity);
+      if (duplicate) {
+        duplicate.occurrences = (duplicate.occurrences || 1) + 1;
+        duplicate.lastSeenAt = new Date();
+        await KnowledgeEntry.updateOne(
+          { _id: duplicate._id },
+          { $inc: { occurrences: 1 }, $set: { lastSeenAt: duplicate.lastSeenAt } }
+        );
+        console.log(`Merged duplicate code knowledge into ${duplicate._id}: ${codeType} - ${description}`);
+        return duplicate;
+      }
       
       const knowledgeEntry = new KnowledgeEntry({
         projectId,
@@ -85,8 +200,23 @@ class AIKnowledgeBase {
         description,
         code,
         metadata,
-        embedding
+        fingerprint: identity.fingerprint,
+        fingerprintVersion: identity.version,
+        simhash: identity.simhash,
+        simhashBands: identity.bands,
+        lastSeenAt: new Date()
       });
+
+      // An entry that cannot be embedded now is still stored; the re-embed job picks it up
+      try {
+        knowledgeEntry.embedding = await this.generateEmbedding(this.buildEmbeddingText(codeData), {
+          context: { userId, projectId: projectId ? projectId.toString() : null }
+        });
+        knowledgeEntry.embeddingModel = embeddingService.getEmbedderId();
+        knowledgeEntry.embeddedAt = new Date();
+      } catch (error) {
+        console.error('Error embedding code knowledge:', error.message);
+      }
       
       await knowledgeEntry.save();
       console.log(`Stored code knowledge: ${codeType} - ${description}`);
@@ -98,30 +228,102 @@ class AIKnowledgeBase {
     }
   }
 
-  // Search for similar code in knowledge base
-  async searchSimilarCode(query, filters = {}) {
+  rankScore(entry) {
+    const successRate = entry.successRate ?? 1;
+    return entry.similarity * (entry.scopeWeight ?? 1)
+      + (entry.pinned ? PINNED_BOOST : 0)
+      - (1 - successRate) * FAILURE_PENALTY;
+  }
+
+  // "private:1,team:0.5" -> { private: 1, team: 0.5 }
+  parseScopeWeights(text) {
+    const weights = {};
+    String(text || '').split(',').map(part => part.trim()).filter(Boolean).forEach((part) => {
+      const [scope, raw] = part.split(':').map(item => item.trim());
+      const weight = Number(raw);
+      if (!(scope in DEFAULT_SCOPE_WEIGHTS) || raw === '' || !Number.isFinite(weight) || weight < 0 || weight > MAX_SCOPE_WEIGHT) {
+        throw createHttpError(`Invalid scope weight "${part}"; use scope:weight with a scope of ${Object.keys(DEFAULT_SCOPE_WEIGHTS).join(', ')} and a weight from 0 to ${MAX_SCOPE_WEIGHT}`, 400);
+      }
+      weights[scope] = weight;
+    });
+    return weights;
+  }
+
+  getScopeWeights(overrides = {}) {
+    let configured;
+    try {
+      configured = this.parseScopeWeights(process.env.KNOWLEDGE_SCOPE_WEIGHTS);
+    } catch (error) {
+      throw createHttpError(`KNOWLEDGE_SCOPE_WEIGHTS: ${error.message}`, 500);
+    }
+    return { ...DEFAULT_SCOPE_WEIGHTS, ...configured, ...overrides };
+  }
+
+  // Pre-filter for each scope the user can read; null where there is nothing to search
+  getScopeFilters(userId, teamIds = []) {
+    return {
+      private: userId ? { userId, scope: PRIVATE_SCOPE } : null,
+      team: teamIds.length > 0 ? { scope: 'team', teamId: { $in: teamIds } } : null,
+      global: { scope: 'global' }
+    };
+  }
+
+  // Top `limit` entries among those matching the filters (userId, codeType, stack, category),
+  // best first. Each readable scope is searched separately and the results merged by weighted
+  // rank; a team or global copy of code the user also has privately appears once.
+  async searchSimilarCode(query, filters = {}, { limit = 10, scopeWeights = {} } = {}) {
     try {
-      const queryEmbedding = await this.generateEmbedding(query);
-      
-      // Build search criteria
-      const searchCriteria = {};
-      if (filters.userId) searchCriteria.userId = filters.userId;
-      if (filters.codeType) searchCriteria.codeType = filters.codeType;
-      if (filters.stack) searchCriteria['metadata.stack'] = filters.stack;
-      if (filters.category) searchCriteria['metadata.category'] = filters.category;
-      
-      const entries = await KnowledgeEntry.find(searchCriteria)
+      const weights = this.getScopeWeights(scopeWeights);
+      const teamIds = filters.userId && weights.team > 0 ? await teamService.getTeamIds(filters.userId) : [];
+      const scopes = Object.entries(this.getScopeFilters(filters.userId, teamIds))
+        .filter(([scope, scopeFilter]) => scopeFilter && weights[scope] > 0);
+      if (scopes.length === 0) return [];
+
+      const queryEmbedding = await this.getQueryEmbedding(query, filters.userId ? { userId: filters.userId } : null);
+
+      // Over-fetch so pinned entries just outside the top `limit` can still move up
+      const matches = (await Promise.all(scopes.map(async ([scope, scopeFilter]) => {
+        const found = await vectorIndex.search(queryEmbedding, {
+          filter: {
+            ...scopeFilter,
+            codeType: filters.codeType,
+            'metadata.stack': filters.stack,
+            'metadata.category': filters.category,
+            neverReuse: { $ne: true },
+            quarantined: { $ne: true }
+          },
+          embeddingModel: embeddingService.getEmbedderId(),
+          k: limit * 2,
+          minScore: MIN_SIMILARITY
+        });
+        return found.map(match => ({ ...match, scope }));
+      }))).flat();
+      if (matches.length === 0) return [];
+
+      const entries = await KnowledgeEntry.find({ _id: { $in: matches.map(match => match.id) } })
+        .select('-embedding')
         .populate('projectId', 'name category')
-        .limit(50);
-      
-      // Calculate similarities and sort
-      const results = entries.map(entry => ({
-        ...entry.toObject(),
-        similarity: this.calculateSimilarity(queryEmbedding, entry.embedding)
-      }))
-      .filter(entry => entry.similarity > 0.1) // Minimum threshold
-      .sort((a, b) => b.similarity - a.similarity)
-      .slice(0, 10); // Top 10 results
+        .lean();
+      const byId = new Map(entries.map(entry => [entry._id.toString(), entry]));
+
+      // `similarity` stays the raw score so reuse thresholds keep their meaning
+      const seen = new Set();
+      const results = matches
+        .filter(match => byId.has(match.id.toString()))
+        .map(match => ({
+          ...byId.get(match.id.toString()),
+          scope: match.scope,
+          scopeWeight: weights[match.scope],
+          similarity: match.score
+        }))
+        .sort((a, b) => this.rankScore(b) - this.rankScore(a))
+        .filter((entry) => {
+          const key = `${entry.codeType}\n${entry.fingerprint || entry._id}`;
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        })
+        .slice(0, limit);
       
       console.log(`Found ${results.length} similar code entries for query: ${query}`);
       return results;
@@ -131,16 +333,803 @@ class AIKnowledgeBase {
     }
   }
 
+  // Re-embed entries with the current embedder: those embedded by another one (or never),
+  // or every entry when `force` is set. Pages by _id so updated entries are not revisited.
+  async reembedEntries({ force = false, userId = null, signal, report = () => {} } = {}) {
+    const embedderId = embeddingService.getEmbedderId();
+    const query = {};
+    if (userId) query.userId = userId;
+    if (!force) query.embeddingModel = { $ne: embedderId };
+
+    const total = await KnowledgeEntry.countDocuments(query);
+    const stats = { embedder: embedderId, total, processed: 0, updated: 0, failed: 0 };
+    report(stats);
+
+    let lastId = null;
+    while (!signal?.aborted) {
+      const batch = await KnowledgeEntry.find(lastId ? { ...query, _id: { $gt: lastId } } : query)
+        .select('_id description code codeType metadata')
+        .sort({ _id: 1 })
+        .limit(REEMBED_BATCH_SIZE)
+        .lean();
+      if (batch.length === 0) break;
+      lastId = batch[batch.length - 1]._id;
+
+      try {
+        const vectors = await embeddingService.embed(batch.map(entry => this.buildEmbeddingText(entry)), { signal });
+        const embeddedAt = new Date();
+        await KnowledgeEntry.bulkWrite(batch.map((entry, index) => ({
+          updateOne: {
+            filter: { _id: entry._id },
+            update: { $set: { embedding: vectors[index], embeddingModel: embedderId, embeddedAt } }
+          }
+        })));
+        stats.updated += batch.length;
+      } catch (error) {
+        if (signal?.aborted) break;
+        console.error('Re-embedding batch failed:', error.message);
+        stats.failed += batch.length;
+      }
+
+      stats.processed += batch.length;
+      report(stats);
+    }
+
+    this.embeddingCache.clear();
+    return stats;
+  }
+
+  // Browsing and curation. Listings leave out code and vectors; getEntry returns the code.
+  buildListQuery(base, { codeType, stack, category, tag, pinned, neverReuse, quarantined, q, projectId } = {}) {
+    const query = { ...base };
+    if (codeType) query.codeType = codeType;
+    if (stack) query['metadata.stack'] = stack;
+    if (category) query['metadata.category'] = category;
+    if (tag) query.tags = String(tag).toLowerCase();
+    if (pinned !== undefined) query.pinned = pinned === true || pinned === 'true';
+    if (neverReuse !== undefined) query.neverReuse = neverReuse === true || neverReuse === 'true';
+    if (quarantined !== undefined) query.quarantined = quarantined === true || quarantined === 'true';
+    if (q) query.description = { $regex: escapeRegExp(String(q)), $options: 'i' };
+    if (projectId) {
+      if (!mongoose.Types.ObjectId.isValid(projectId)) {
+        throw createHttpError('Invalid projectId', 400);
+      }
+      query.projectId = projectId;
+    }
+    return query;
+  }
+
+  async listEntries(userId, options = {}) {
+    const page = Math.max(parseInt(options.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+    const sort = LIST_SORTS[options.sort || 'recent'];
+    if (!sort) {
+      throw createHttpError(`sort must be one of ${Object.keys(LIST_SORTS).join(', ')}`, 400);
+    }
+
+    const query = this.buildListQuery(await this.getScopeQuery(userId, options), options);
+    const [entries, total] = await Promise.all([
+      KnowledgeEntry.find(query)
+        .select('-code -embedding')
+        .populate('projectId', 'name')
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      KnowledgeEntry.countDocuments(query)
+    ]);
+
+    return {
+      entries,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  // scope: private (default), team (one team with teamId, else all of the user's teams) or global
+  async getScopeQuery(userId, { scope = 'private', teamId } = {}) {
+    if (scope === 'private') {
+      return { userId, scope: PRIVATE_SCOPE };
+    }
+    if (scope === 'team') {
+      if (teamId) {
+        const team = await teamService.getMemberTeam(userId, teamId);
+        return { scope: 'team', teamId: team._id };
+      }
+      return { scope: 'team', teamId: { $in: await teamService.getTeamIds(userId) } };
+    }
+    if (scope === 'global') {
+      return { scope: 'global' };
+    }
+    throw createHttpError(`scope must be one of ${Object.keys(DEFAULT_SCOPE_WEIGHTS).join(', ')}`, 400);
+  }
+
+  async findEntry(entryId) {
+    if (!mongoose.Types.ObjectId.isValid(entryId)) {
+      throw createHttpError('Knowledge entry not found', 404);
+    }
+    const entry = await KnowledgeEntry.findById(entryId).select('-embedding');
+    if (!entry) {
+      throw createHttpError('Knowledge entry not found', 404);
+    }
+    return entry;
+  }
+
+  // Private entries are visible to their author, team entries to team members, global ones
+  // to everyone. Entries the user cannot read are reported as missing.
+  async findReadableEntry(userId, entryId) {
+    const entry = await this.findEntry(entryId);
+    const scope = entry.scope || 'private';
+    const readable = scope === 'global'
+      || (scope === 'private' && entry.userId === userId)
+      || (scope === 'team' && (await teamService.getTeamIds(userId)).some(id => id.equals(entry.teamId)));
+    if (!readable) {
+      throw createHttpError('Knowledge entry not found', 404);
+    }
+    return entry;
+  }
+
+  // Authors edit their entries and team owners and admins any team entry; global entries
+  // are only changed through the admin curation endpoints
+  async findEditableEntry(userId, entryId) {
+    const entry = await this.findReadableEntry(userId, entryId);
+    if (entry.scope === 'global') {
+      throw createHttpError('Global entries are curated by admins', 403);
+    }
+    if (entry.scope === 'team' && entry.userId !== userId && !(await teamService.isManager(userId, entry.teamId))) {
+      throw createHttpError('Only the author or a team owner or admin can change this entry', 403);
+    }
+    return entry;
+  }
+
+  async findOwnedEntry(userId, entryId) {
+    const entry = await this.findEntry(entryId);
+    if (entry.userId !== userId) {
+      throw createHttpError('Knowledge entry not found', 404);
+    }
+    return entry;
+  }
+
+  async getEntry(userId, entryId) {
+    const entry = await this.findReadableEntry(userId, entryId);
+    return entry.toObject();
+  }
+
+  // Description is part of the embedded text, so changing it re-embeds the entry
+  async updateEntry(userId, entryId, changes) {
+    const { value, error } = updateSchema.validate(changes || {}, { stripUnknown: true });
+    if (error) {
+      throw createHttpError(error.message, 400);
+    }
+
+    const entry = await this.findEditableEntry(userId, entryId);
+    // Shared entries stay scrubbed
+    if (value.description !== undefined && entry.scope !== 'private') {
+      value.description = scrubText(value.description).text;
+    }
+    const descriptionChanged = value.description !== undefined && value.description !== entry.description;
+    const { quarantined, ...fields } = value;
+    Object.assign(entry, fields);
+
+    // A released entry starts over from its positive feedback so it is not quarantined again at once
+    if (quarantined === false && entry.quarantined) {
+      entry.quarantined = false;
+      entry.quarantinedAt = null;
+      entry.quarantineReason = null;
+      entry.feedback.negative = 0;
+      entry.successRate = this.getSuccessRate(entry.feedback);
+    }
+
+    if (descriptionChanged) {
+      try {
+        entry.embedding = await this.generateEmbedding(this.buildEmbeddingText(entry), {
+          context: { userId, projectId: entry.projectId ? entry.projectId.toString() : null }
+        });
+        entry.embeddingModel = embeddingService.getEmbedderId();
+        entry.embeddedAt = new Date();
+      } catch (error) {
+        // Left for the re-embed job rather than searched with a vector for the old text
+        console.error('Error re-embedding knowledge entry:', error.message);
+        entry.embedding = [];
+        entry.embeddingModel = null;
+        entry.embeddedAt = null;
+      }
+    }
+
+    entry.updatedAt = new Date();
+    await entry.save();
+
+    const updated = entry.toObject();
+    delete updated.embedding;
+    return updated;
+  }
+
+  async deleteEntry(userId, entryId) {
+    const entry = await this.findEditableEntry(userId, entryId);
+    await KnowledgeEntry.deleteOne({ _id: entry._id });
+  }
+
+  // Share a scrubbed copy of a private entry with one of the user's teams. The private entry
+  // is left as it is. With dryRun nothing is written and the scrubbed copy is returned for review.
+  async promoteEntry(userId, entryId, { teamId, dryRun = false } = {}) {
+    const source = await this.findOwnedEntry(userId, entryId);
+    if ((source.scope || 'private') !== 'private') {
+      throw createHttpError('Only private entries can be promoted to a team', 400);
+    }
+    const team = await teamService.getMemberTeam(userId, teamId);
+    return await this.copyToScope(source, { scope: 'team', teamId: team._id }, userId, { dryRun });
+  }
+
+  // Admin curation: publish a scrubbed copy of any private or team entry to everyone
+  async curateGlobalEntry(adminId, entryId, { dryRun = false } = {}) {
+    const source = await this.findEntry(entryId);
+    if (source.scope === 'global') {
+      throw createHttpError('Entry is already global', 400);
+    }
+    return await this.copyToScope(source, { scope: 'global', teamId: null }, adminId, { dryRun });
+  }
+
+  async deleteGlobalEntry(entryId) {
+    const entry = await this.findEntry(entryId);
+    if (entry.scope !== 'global') {
+      throw createHttpError('Knowledge entry not found', 404);
+    }
+    await KnowledgeEntry.deleteOne({ _id: entry._id });
+  }
+
+  // Secrets and emails are scrubbed from the code and description before they leave the
+  // private scope. Usage, feedback and pins are personal and do not carry over.
+  async copyToScope(source, { scope, teamId }, promotedBy, { dryRun = false } = {}) {
+    if (source.neverReuse || source.quarantined) {
+      throw createHttpError('Entries marked never reuse or quarantined cannot be shared', 400);
+    }
+
+    const code = scrubText(source.code);
+    const description = scrubText(source.description);
+    const redactions = Object.values([...code.redactions, ...description.redactions].reduce((totals, item) => {
+      totals[item.type] = { type: item.type, count: (totals[item.type]?.count || 0) + item.count };
+      return totals;
+    }, {}));
+
+    const identity = fingerprintCode(code.text, source.metadata || {});
+    const existing = await KnowledgeEntry.findOne({
+      scope,
+      teamId,
+      codeType: source.codeType,
+      fingerprint: identity.fingerprint,
+      fingerprintVersion: FINGERPRINT_VERSION
+    })
+      .select('_id')
+      .lean();
+    if (existing) {
+      throw createHttpError(`This code is already shared there (entry ${existing._id})`, 409);
+    }
+
+    if (dryRun) {
+      return { dryRun: true, scope, teamId, description: description.text, code: code.text, redactions };
+    }
+
+    const now = new Date();
+    const entry = new KnowledgeEntry({
+      userId: source.userId,
+      projectId: null,
+      scope,
+      teamId,
+      originEntryId: source._id,
+      promotedBy,
+      promotedAt: now,
+      codeType: source.codeType,
+      description: description.text,
+      code: code.text,
+      metadata: source.metadata,
+      tags: source.tags,
+      source: source.source,
+      fingerprint: identity.fingerprint,
+      fingerprintVersion: identity.version,
+      simhash: identity.simhash,
+      simhashBands: identity.bands,
+      lastSeenAt: now
+    });
+
+    try {
+      entry.embedding = await this.generateEmbedding(this.buildEmbeddingText(entry), {
+        context: { userId: promotedBy, projectId: null }
+      });
+      entry.embeddingModel = embeddingService.getEmbedderId();
+      entry.embeddedAt = now;
+    } catch (error) {
+      console.error('Error embedding promoted knowledge entry:', error.message);
+    }
+
+    await entry.save();
+    console.log(`Promoted knowledge entry ${source._id} to ${scope} as ${entry._id}`);
+
+    const promoted = entry.toObject();
+    delete promoted.embedding;
+    return { entry: promoted, redactions };
+  }
+
+  // Search across every scope the user can read. `weights` ("team:0.5,global:0") overrides
+  // the configured scope weights for this search. Shared entries do not reveal their projects.
+  async searchEntries(userId, { q, codeType, stack, category, limit, weights } = {}) {
+    if (!q || !String(q).trim()) {
+      throw createHttpError('q is required', 400);
+    }
+    const scopeWeights = this.parseScopeWeights(weights);
+    // searchSimilarCode logs errors and returns nothing, so report bad configuration here
+    this.getScopeWeights(scopeWeights);
+
+    const results = await this.searchSimilarCode(String(q), { userId, codeType, stack, category }, {
+      limit: Math.min(Math.max(parseInt(limit, 10) || 10, 1), 50),
+      scopeWeights
+    });
+    return results.map(entry => (entry.scope === 'private' ? entry : { ...entry, projectId: null }));
+  }
+
+  // Cursor over all of a user's private entries, oldest first, for streaming exports
+  getExportCursor(userId, options = {}) {
+    return KnowledgeEntry.find(this.buildListQuery({ userId, scope: PRIVATE_SCOPE }, options))
+      .select('-embedding')
+      .sort({ createdAt: 1 })
+      .lean()
+      .cursor();
+  }
+
+  toExportLine(entry) {
+    return `${JSON.stringify({
+      version: EXPORT_VERSION,
+      codeType: entry.codeType,
+      description: entry.description,
+      code: entry.code,
+      tags: entry.tags || [],
+      metadata: {
+        stack: entry.metadata?.stack || null,
+        category: entry.metadata?.category || null,
+        features: entry.metadata?.features || [],
+        dependencies: entry.metadata?.dependencies || []
+      },
+      pinned: !!entry.pinned,
+      neverReuse: !!entry.neverReuse,
+      createdAt: entry.createdAt
+    })}\n`;
+  }
+
+  // Import a JSONL export. Invalid lines are reported and skipped, as are entries whose code
+  // the user already has; with dryRun nothing is written. Returns { imported, skipped, errors }.
+  async importEntries(userId, text, { dryRun = false } = {}) {
+    const lines = String(text || '').split(/\r?\n/);
+    const nonEmpty = lines.filter(line => line.trim()).length;
+    if (nonEmpty === 0) {
+      throw createHttpError('Import is empty; send one JSON entry per line', 400);
+    }
+    if (nonEmpty > MAX_IMPORT_LINES) {
+      throw createHttpError(`Import is limited to ${MAX_IMPORT_LINES} entries per request`, 413);
+    }
+
+    const errors = [];
+    const candidates = [];
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      let parsed;
+      try {
+        parsed = JSON.parse(line);
+      } catch (error) {
+        errors.push({ line: index + 1, message: `Invalid JSON: ${error.message}` });
+        return;
+      }
+      const { value, error } = importLineSchema.validate(parsed, { stripUnknown: true, convert: true });
+      if (error) {
+        errors.push({ line: index + 1, message: error.message });
+        return;
+      }
+      const identity = fingerprintCode(value.code, value.metadata);
+      candidates.push({ line: index + 1, value, identity, key: `${value.codeType}\n${identity.fingerprint}` });
+    });
+
+    // Duplicates of existing entries, and repeats within the file, are skipped.
+    // Entries fingerprinted by an older version, or not at all, are fingerprinted here.
+    const codeTypes = [...new Set(candidates.map(candidate => candidate.value.codeType))];
+    const existing = codeTypes.length > 0
+      ? await KnowledgeEntry.find({ userId, scope: PRIVATE_SCOPE, codeType: { $in: codeTypes } }).select('codeType code metadata fingerprint fingerprintVersion').lean()
+      : [];
+    const seen = new Set(existing.map(entry => (
+      `${entry.codeType}\n${entry.fingerprintVersion === FINGERPRINT_VERSION ? entry.fingerprint : fingerprintCode(entry.code, entry.metadata).fingerprint}`
+    )));
+    const fresh = [];
+    let skipped = 0;
+    candidates.forEach((candidate) => {
+      if (seen.has(candidate.key)) {
+        skipped++;
+        return;
+      }
+      seen.add(candidate.key);
+      fresh.push(candidate);
+    });
+
+    if (dryRun) {
+      return { dryRun: true, imported: 0, wouldImport: fresh.length, skipped, errors };
+    }
+    if (fresh.length === 0) {
+      return { imported: 0, skipped, errors };
+    }
+
+    const now = new Date();
+    const documents = fresh.map(({ value, identity }) => ({
+      userId,
+      projectId: null,
+      codeType: value.codeType,
+      description: value.description,
+      code: value.code,
+      fingerprint: identity.fingerprint,
+      fingerprintVersion: identity.version,
+      simhash: identity.simhash,
+      simhashBands: identity.bands,
+      tags: value.tags,
+      metadata: value.metadata,
+      pinned: value.pinned,
+      neverReuse: value.neverReuse,
+      source: 'imported',
+      createdAt: value.createdAt || now,
+      updatedAt: now
+    }));
+
+    // Entries still import if the embedder fails; the re-embed job picks them up later
+    try {
+      const vectors = await embeddingService.embed(documents.map(document => this.buildEmbeddingText(document)), {
+        context: { userId, projectId: null }
+      });
+      const embeddingModel = embeddingService.getEmbedderId();
+      documents.forEach((document, index) => {
+        document.embedding = vectors[index];
+        document.embeddingModel = embeddingModel;
+        document.embeddedAt = now;
+      });
+    } catch (error) {
+      console.error('Error embedding imported knowledge:', error.message);
+    }
+
+    await KnowledgeEntry.insertMany(documents);
+    return { imported: documents.length, skipped, errors };
+  }
+
+  getFeedbackHalfLifeDays() {
+    const configured = parseFloat(process.env.KNOWLEDGE_FEEDBACK_HALF_LIFE_DAYS);
+    return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_FEEDBACK_HALF_LIFE_DAYS;
+  }
+
+  // Starts at 1 like a fresh entry and moves towards the share of positive feedback
+  getSuccessRate({ positive = 0, negative = 0 } = {}) {
+    return (positive + 1) / (positive + negative + 1);
+  }
+
+  // Feedback weights as they stand at `now`
+  decayFeedback(feedback = {}, now = new Date()) {
+    const elapsedDays = feedback.updatedAt ? Math.max(now - feedback.updatedAt, 0) / 86400000 : 0;
+    const decay = Math.pow(0.5, elapsedDays / this.getFeedbackHalfLifeDays());
+    return {
+      positive: (feedback.positive || 0) * decay,
+      negative: (feedback.negative || 0) * decay,
+      updatedAt: now
+    };
+  }
+
+  // Decay the entry's feedback to `now`, add the signal and re-derive success and quarantine
+  applyFeedback(entry, signal, now = new Date()) {
+    const weight = FEEDBACK_SIGNALS[signal];
+    const feedback = this.decayFeedback(entry.feedback || {}, now);
+    feedback.positive += Math.max(weight, 0);
+    feedback.negative += Math.max(-weight, 0);
+    entry.feedback = feedback;
+    entry.successRate = this.getSuccessRate(feedback);
+    this.updateQuarantine(entry, now);
+    return entry;
+  }
+
+  // Quarantine an entry whose feedback is mostly negative, and lift a feedback quarantine once
+  // it no longer is (e.g. a thumbs-down replaced by a thumbs-up)
+  updateQuarantine(entry, now = new Date()) {
+    // Pinned entries are the owner's explicit choice; they are down-ranked but never quarantined
+    const failing = !entry.pinned
+      && entry.feedback.negative >= QUARANTINE_MIN_NEGATIVE
+      && entry.successRate <= QUARANTINE_MAX_SUCCESS_RATE;
+
+    if (!entry.quarantined && failing) {
+      entry.quarantined = true;
+      entry.quarantinedAt = now;
+      entry.quarantineReason = 'feedback';
+      console.log(`Quarantined knowledge entry ${entry._id} after repeated negative feedback`);
+    } else if (entry.quarantined && !failing && (entry.quarantineReason || 'feedback') === 'feedback') {
+      entry.quarantined = false;
+      entry.quarantinedAt = null;
+      entry.quarantineReason = null;
+      console.log(`Released knowledge entry ${entry._id} from quarantine after corrected feedback`);
+    }
+    return entry;
+  }
+
+  // Take back a signal given at `givenAt`: its weight has decayed like the rest of the
+  // entry's feedback since then, so that decayed share is removed. Quarantine is settled by
+  // the applyFeedback that follows.
+  retractFeedback(entry, signal, givenAt, now = new Date()) {
+    const weight = FEEDBACK_SIGNALS[signal] || 0;
+    const feedback = this.decayFeedback(entry.feedback || {}, now);
+    const elapsedDays = givenAt ? Math.max(now - givenAt, 0) / 86400000 : 0;
+    const remaining = Math.abs(weight) * Math.pow(0.5, elapsedDays / this.getFeedbackHalfLifeDays());
+    if (weight > 0) {
+      feedback.positive = Math.max(feedback.positive - remaining, 0);
+    } else {
+      feedback.negative = Math.max(feedback.negative - remaining, 0);
+    }
+    entry.feedback = feedback;
+    entry.successRate = this.getSuccessRate(feedback);
+    return entry;
+  }
+
+  formatFeedbackResult(entry) {
+    return {
+      id: entry._id,
+      successRate: entry.successRate,
+      feedback: entry.feedback,
+      quarantined: entry.quarantined
+    };
+  }
+
+  validateFeedback(input) {
+    const { value, error } = feedbackSchema.validate(input || {}, { stripUnknown: true });
+    if (error) {
+      throw createHttpError(error.message, 400);
+    }
+    return value;
+  }
+
+  // Adapting an entry is a use, not a success; only feedback moves the success rate
+  async recordReuse(entryId) {
+    try {
+      await KnowledgeEntry.updateOne({ _id: entryId }, { $inc: { reusageCount: 1 }, $set: { lastUsedAt: new Date() } });
+    } catch (error) {
+      console.error('Error recording knowledge reuse:', error);
+    }
+  }
+
+  // entries: [{ entryId, role, similarity }] the generation adapted, stored or referenced
+  async recordGeneration(userId, projectId, generationId, entries = []) {
+    try {
+      await KnowledgeUsage.create({ generationId, userId, projectId: projectId || null, entries });
+    } catch (error) {
+      console.error('Error recording knowledge usage:', error);
+    }
+  }
+
+  // A deleted project's generations can no longer get feedback; the entries it produced
+  // stay in the owner's knowledge base without the dangling reference
+  async removeProjectReferences(projectId) {
+    await KnowledgeUsage.deleteMany({ projectId });
+    await KnowledgeEntry.updateMany({ projectId }, { $set: { projectId: null } });
+  }
+
+  // Feedback on a whole generation, credited to the entries it adapted or stored.
+  // A generation holds one signal: a new one replaces the previous signal and reverses
+  // its weight, and repeating the current signal changes nothing.
+  async submitGenerationFeedback(userId, generationId, input) {
+    const { signal, comment } = this.validateFeedback(input);
+    const usage = await KnowledgeUsage.findOne({ generationId: String(generationId || ''), userId });
+    if (!usage) {
+      throw createHttpError('Generation not found', 404);
+    }
+
+    // Usages recorded before signals were replaced may hold several; all of them are reversed
+    const previous = usage.feedback.map(item => ({ signal: item.signal, createdAt: item.createdAt }));
+    if (previous.length === 1 && previous[0].signal === signal) {
+      return { generationId: usage.generationId, signal, recorded: false, replaced: null, entries: [] };
+    }
+
+    const entryIds = usage.entries
+      .filter(item => FEEDBACK_ROLES.includes(item.role))
+      .map(item => item.entryId);
+    // The generation may have adapted a team or global entry; the usage record shows it was readable
+    const entries = entryIds.length > 0
+      ? await KnowledgeEntry.find({ _id: { $in: entryIds } }).select('-embedding')
+      : [];
+
+    const now = new Date();
+    for (const entry of entries) {
+      previous.forEach(item => this.retractFeedback(entry, item.signal, item.createdAt, now));
+      this.applyFeedback(entry, signal, now);
+      await entry.save();
+    }
+
+    usage.feedback = [{ signal, comment, createdAt: now }];
+    await usage.save();
+
+    return {
+      generationId: usage.generationId,
+      signal,
+      recorded: true,
+      replaced: previous.length > 0 ? previous[previous.length - 1].signal : null,
+      entries: entries.map(entry => this.formatFeedbackResult(entry))
+    };
+  }
+
+  // Feedback on a single entry, e.g. from the knowledge browser. Only the author can rate an
+  // entry directly: votes are not tracked per user, so one reader could otherwise keep voting
+  // a shared entry into quarantine. Other users' feedback arrives through their generations.
+  async submitEntryFeedback(userId, entryId, input) {
+    const { signal } = this.validateFeedback(input);
+    const entry = await this.findOwnedEntry(userId, entryId);
+    this.applyFeedback(entry, signal);
+    await entry.save();
+    return this.formatFeedbackResult(entry);
+  }
+
+  // Admin maintenance: fingerprint entries stored before fingerprinting or under an older
+  // normalization (see FINGERPRINT_VERSION), then merge exact and near-duplicate private
+  // entries per user and code type; shared copies are left alone.
+  // With dryRun nothing is written and only entries with current fingerprints are compared.
+  async compactEntries({ userId = null, dryRun = false, signal, report = () => {} } = {}) {
+    const query = userId ? { userId } : {};
+    const stats = {
+      dryRun,
+      total: await KnowledgeEntry.countDocuments(query),
+      fingerprinted: 0,
+      unfingerprinted: 0,
+      processed: 0,
+      merged: 0,
+      removed: 0
+    };
+    report(stats);
+
+    const missing = { ...query, fingerprintVersion: { $ne: FINGERPRINT_VERSION } };
+    if (dryRun) {
+      stats.unfingerprinted = await KnowledgeEntry.countDocuments(missing);
+    } else {
+      let lastId = null;
+      while (!signal?.aborted) {
+        const batch = await KnowledgeEntry.find(lastId ? { ...missing, _id: { $gt: lastId } } : missing)
+          .select('_id code metadata')
+          .sort({ _id: 1 })
+          .limit(COMPACT_BATCH_SIZE)
+          .lean();
+        if (batch.length === 0) break;
+        lastId = batch[batch.length - 1]._id;
+
+        await KnowledgeEntry.bulkWrite(batch.map((entry) => {
+          const identity = fingerprintCode(entry.code, entry.metadata);
+          return {
+            updateOne: {
+              filter: { _id: entry._id },
+              update: {
+                $set: {
+                  fingerprint: identity.fingerprint,
+                  fingerprintVersion: identity.version,
+                  simhash: identity.simhash,
+                  simhashBands: identity.bands
+                }
+              }
+            }
+          };
+        }));
+        stats.fingerprinted += batch.length;
+        report(stats);
+      }
+    }
+
+    const groups = await KnowledgeEntry.aggregate([
+      { $match: { ...query, scope: PRIVATE_SCOPE, fingerprintVersion: FINGERPRINT_VERSION } },
+      { $group: { _id: { userId: '$userId', codeType: '$codeType' }, count: { $sum: 1 } } }
+    ]);
+
+    for (const group of groups) {
+      if (signal?.aborted) break;
+      if (group.count > 1) {
+        const clusters = await this.findDuplicateClusters(group._id.userId, group._id.codeType);
+        for (const cluster of clusters) {
+          stats.merged += 1;
+          stats.removed += cluster.duplicates.length;
+          if (!dryRun) {
+            await this.mergeEntries(cluster.survivor, cluster.duplicates);
+          }
+        }
+      }
+      stats.processed += group.count;
+      report(stats);
+    }
+
+    return stats;
+  }
+
+  // Clusters of entries with the same or nearly the same code. The survivor of each is the
+  // entry a user would least want to lose: pinned, then most reused, then oldest.
+  async findDuplicateClusters(userId, codeType) {
+    const entries = await KnowledgeEntry.find({ userId, scope: PRIVATE_SCOPE, codeType, fingerprintVersion: FINGERPRINT_VERSION })
+      .select('-embedding -code')
+      .sort({ pinned: -1, reusageCount: -1, createdAt: 1 })
+      .lean();
+
+    const clusters = [];
+    const byFingerprint = new Map();
+    const byBand = new Map();
+    entries.forEach((entry) => {
+      let cluster = byFingerprint.get(entry.fingerprint);
+      const bands = entry.simhash ? simhashBands(entry.simhash) : [];
+      if (!cluster) {
+        cluster = bands
+          .flatMap(band => byBand.get(band) || [])
+          .find(candidate => hammingDistance(candidate.survivor.simhash, entry.simhash) <= NEAR_DUPLICATE_DISTANCE);
+      }
+
+      if (cluster) {
+        cluster.duplicates.push(entry);
+        return;
+      }
+      cluster = { survivor: entry, duplicates: [] };
+      clusters.push(cluster);
+      byFingerprint.set(entry.fingerprint, cluster);
+      bands.forEach(band => byBand.set(band, [...(byBand.get(band) || []), cluster]));
+    });
+
+    return clusters.filter(cluster => cluster.duplicates.length > 0);
+  }
+
+  // Fold duplicates into the survivor: usage and feedback add up, tags and flags combine,
+  // and generations that used a duplicate now point at the survivor
+  async mergeEntries(survivor, duplicates) {
+    const now = new Date();
+    const all = [survivor, ...duplicates];
+    const latest = (field) => all.reduce((max, entry) => (entry[field] && (!max || entry[field] > max) ? entry[field] : max), null);
+
+    const feedback = all
+      .map(entry => this.decayFeedback(entry.feedback || {}, now))
+      .reduce((sum, item) => ({
+        positive: sum.positive + item.positive,
+        negative: sum.negative + item.negative,
+        updatedAt: now
+      }), { positive: 0, negative: 0, updatedAt: now });
+    const pinned = all.some(entry => entry.pinned);
+    const quarantined = !pinned && all.some(entry => entry.quarantined);
+    // A quarantine for any reason other than feedback outweighs feedback ones
+    const quarantineReason = quarantined
+      ? all.find(entry => entry.quarantined && entry.quarantineReason && entry.quarantineReason !== 'feedback')?.quarantineReason || 'feedback'
+      : null;
+
+    await KnowledgeEntry.updateOne({ _id: survivor._id }, {
+      $set: {
+        occurrences: all.reduce((sum, entry) => sum + (entry.occurrences || 1), 0),
+        reusageCount: all.reduce((sum, entry) => sum + (entry.reusageCount || 0), 0),
+        feedback,
+        successRate: this.getSuccessRate(feedback),
+        tags: [...new Set(all.flatMap(entry => entry.tags || []))].slice(0, MAX_TAGS),
+        pinned,
+        neverReuse: all.some(entry => entry.neverReuse),
+        quarantined,
+        quarantinedAt: quarantined ? latest('quarantinedAt') || now : null,
+        quarantineReason,
+        lastSeenAt: latest('lastSeenAt'),
+        lastUsedAt: latest('lastUsedAt'),
+        updatedAt: now
+      }
+    });
+
+    const duplicateIds = duplicates.map(entry => entry._id);
+    await KnowledgeUsage.updateMany(
+      { 'entries.entryId': { $in: duplicateIds } },
+      { $set: { 'entries.$[entry].entryId': survivor._id } },
+      { arrayFilters: [{ 'entry.entryId': { $in: duplicateIds } }] }
+    );
+    await KnowledgeEntry.deleteMany({ _id: { $in: duplicateIds } });
+  }
+
   // Get best practices for a specific type of code
   async getBestPractices(codeType, stack) {
     try {
       const highSuccessEntries = await KnowledgeEntry.find({
         codeType,
         'metadata.stack': stack,
+        neverReuse: { $ne: true },
+        quarantined: { $ne: true },
         successRate: { $gte: 0.8 },
-        reusageCount: { $gte: 2 }
+        // Untested entries also start at a success rate of 1; require actual positive feedback
+        'feedback.positive': { $gte: 2 }
       })
-      .sort({ successRate: -1, reusageCount: -1 })
+      .sort({ successRate: -1, 'feedback.positive': -1 })
       .limit(5);
       
       return highSuccessEntries.map(entry => ({
@@ -156,41 +1145,23 @@ class AIKnowledgeBase {
     }
   }
 
-  // Update code success metrics
-  async updateCodeMetrics(entryId, wasSuccessful) {
-    try {
-      const entry = await KnowledgeEntry.findById(entryId);
-      if (entry) {
-        entry.reusageCount += 1;
-        
-        // Update success rate using running average
-        const currentTotal = entry.successRate * (entry.reusageCount - 1);
-        const newTotal = currentTotal + (wasSuccessful ? 1 : 0);
-        entry.successRate = newTotal / entry.reusageCount;
-        
-        await entry.save();
-      }
-    } catch (error) {
-      console.error('Error updating code metrics:', error);
-    }
-  }
-
   // Get knowledge base statistics
   async getKnowledgeStats(userId) {
     try {
       const stats = await KnowledgeEntry.aggregate([
-        { $match: { userId } },
+        { $match: { userId, scope: PRIVATE_SCOPE } },
         {
           $group: {
             _id: '$codeType',
             count: { $sum: 1 },
             avgSuccessRate: { $avg: '$successRate' },
-            totalReusage: { $sum: '$reusageCount' }
+            totalReusage: { $sum: '$reusageCount' },
+            quarantined: { $sum: { $cond: ['$quarantined', 1, 0] } }
           }
         }
       ]);
       
-      const totalEntries = await KnowledgeEntry.countDocuments({ userId });
+      const totalEntries = await KnowledgeEntry.countDocuments({ userId, scope: PRIVATE_SCOPE });
       
       return {
         totalEntries,
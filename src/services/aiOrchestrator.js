@@ -1,46 +1,53 @@
 // src/services/aiOrchestrator.js
-const OpenAI = require('openai');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const Anthropic = require('@anthropic-ai/sdk');
-const fetch = require('node-fetch');
+const { v4: uuidv4 } = require('uuid');
 const User = require('../models/User');
 const aiKnowledgeBase = require('./aiKnowledgeBase');
+const aiProviders = require('./aiProviders');
+const apiKeyResolver = require('./apiKeyResolver');
+const providerResilience = require('./providerResilience');
+const CodeStreamParser = require('../utils/codeStreamParser');
 
 class AIOrchestrator {
   constructor() {
-    this.providers = {
-      openai: this.callOpenAI.bind(this),
-      gemini: this.callGemini.bind(this),
-      claude: this.callClaude.bind(this),
-      deepseek: this.callDeepSeek.bind(this),
-      openrouter: this.callOpenRouter.bind(this)
-    };
-    
     this.fallbackOrder = ['openai', 'gemini', 'claude', 'deepseek', 'openrouter'];
   }
 
-  // Main AI generation method with knowledge base integration
-  async generateCode(userId, projectData, request) {
+  // Main AI generation method with knowledge base integration.
+  // Pass `streaming` ({ signal, onEvent }) to receive file events while the provider generates.
+  // The result's generationId is what clients send feedback on the generated code against.
+  async generateCode(userId, projectData, request, streaming = null) {
     try {
       console.log('Starting AI code generation with knowledge base lookup...');
+      const generationId = uuidv4();
       
       // Step 1: Search knowledge base for similar code
       const knowledgeResults = await this.searchKnowledgeBase(userId, request, projectData);
       
-      // Step 2: If good matches found, adapt existing code
-      if (knowledgeResults.length > 0 && knowledgeResults[0].similarity > 0.7) {
+      // Step 2: If good matches found, adapt existing code (the threshold depends on the embedder)
+      if (knowledgeResults.length > 0 && knowledgeResults[0].similarity > aiKnowledgeBase.getReuseThreshold()) {
         console.log('High similarity match found, adapting existing code...');
-        return await this.adaptExistingCode(userId, projectData, request, knowledgeResults[0]);
+        const match = knowledgeResults[0];
+        const adapted = await this.adaptExistingCode(userId, projectData, request, match, streaming);
+        await aiKnowledgeBase.recordGeneration(userId, projectData._id, generationId, adapted.source === 'adapted'
+          ? [{ entryId: match._id, role: 'adapted', similarity: match.similarity }]
+          : []);
+        return { ...adapted, generationId };
       }
       
       // Step 3: No good matches, generate new code with AI
       console.log('No high-similarity matches, generating new code...');
-      const generatedCode = await this.generateNewCode(userId, projectData, request, knowledgeResults);
+      const generatedCode = await this.generateNewCode(userId, projectData, request, knowledgeResults, streaming);
       
       // Step 4: Store the new code in knowledge base
-      await this.storeGeneratedCode(userId, projectData._id, generatedCode, request);
+      const stored = await this.storeGeneratedCode(userId, projectData._id, generatedCode, request);
+
+      // The prompt shows the top three matches as examples
+      await aiKnowledgeBase.recordGeneration(userId, projectData._id, generationId, [
+        ...knowledgeResults.slice(0, 3).map(entry => ({ entryId: entry._id, role: 'reference', similarity: entry.similarity })),
+        ...stored.map(entry => ({ entryId: entry._id, role: 'stored' }))
+      ]);
       
-      return generatedCode;
+      return { ...generatedCode, generationId };
     } catch (error) {
       console.error('AI Orchestrator error:', error);
       throw error;
@@ -67,15 +74,10 @@ class AIOrchestrator {
   }
 
   // Adapt existing code from knowledge base
-  async adaptExistingCode(userId, projectData, request, knowledgeEntry) {
+  async adaptExistingCode(userId, projectData, request, knowledgeEntry, streaming = null) {
     try {
       const user = await User.findOne({ uid: userId });
-      const provider = user.preferences?.defaultAiProvider || 'openai';
-      const apiKey = this.getUserApiKey(user, provider);
-      
-      if (!apiKey) {
-        throw new Error(`No API key found for ${provider}`);
-      }
+      const provider = aiProviders.getPreferredProvider(user);
 
       const adaptationPrompt = `
 Adapt this existing code for the new requirements:
@@ -98,61 +100,63 @@ Please adapt the existing code to meet the new requirements while maintaining be
 Return only the adapted code, no explanations.
 `;
 
-      const result = await this.callProvider(provider, apiKey, adaptationPrompt, {
-        type: 'code_adaptation',
+      // Only the preferred provider adapts; on failure the full chain generates from scratch
+      const result = await this.runWithFallback(user, projectData, request, adaptationPrompt, {
+        providers: [provider],
+        operation: 'code_adaptation',
         maxTokens: 3000
-      });
+      }, streaming);
 
-      // Update the knowledge entry metrics
-      await aiKnowledgeBase.updateCodeMetrics(knowledgeEntry._id, true);
+      await aiKnowledgeBase.recordReuse(knowledgeEntry._id);
 
       return {
-        files: this.parseCodeResponse(result.content, request.type),
+        files: result.files,
         source: 'adapted',
         originalEntry: knowledgeEntry._id,
         provider: result.provider,
-        tokensUsed: result.tokensUsed
+        model: result.model,
+        keyId: result.keyId,
+        keySource: result.keySource,
+        tokensUsed: result.tokensUsed,
+        attempts: result.attempts
       };
     } catch (error) {
+      if (this.isCancelled(error, streaming)) {
+        throw error;
+      }
       console.error('Code adaptation error:', error);
       // Fall back to generating new code
-      return await this.generateNewCode(userId, projectData, request, []);
+      if (streaming) {
+        streaming.onEvent('generation:restarted', { reason: error.message });
+      }
+      const result = await this.generateNewCode(userId, projectData, request, [], streaming);
+      return { ...result, attempts: [...(error.attempts || []), ...(result.attempts || [])] };
     }
   }
 
   // Generate completely new code using AI
-  async generateNewCode(userId, projectData, request, knowledgeContext = []) {
+  async generateNewCode(userId, projectData, request, knowledgeContext = [], streaming = null) {
     try {
       const user = await User.findOne({ uid: userId });
-      const provider = user.preferences?.defaultAiProvider || 'openai';
-      let apiKey = this.getUserApiKey(user, provider);
-      
-      // Try fallback providers if primary fails
-      let currentProvider = provider;
-      for (const fallbackProvider of this.fallbackOrder) {
-        apiKey = this.getUserApiKey(user, fallbackProvider);
-        if (apiKey) {
-          currentProvider = fallbackProvider;
-          break;
-        }
-      }
-      
-      if (!apiKey) {
-        throw new Error('No available AI provider API keys found');
-      }
-
+      const provider = aiProviders.getPreferredProvider(user);
       const generationPrompt = this.buildGenerationPrompt(projectData, request, knowledgeContext);
       
-      const result = await this.callProvider(currentProvider, apiKey, generationPrompt, {
-        type: 'code_generation',
+      // The preferred provider first, then every other provider the user can call
+      const result = await this.runWithFallback(user, projectData, request, generationPrompt, {
+        providers: aiProviders.getProviderChain(provider, this.fallbackOrder),
+        operation: 'code_generation',
         maxTokens: 4000
-      });
+      }, streaming);
 
       return {
-        files: this.parseCodeResponse(result.content, request.type),
+        files: result.files,
         source: 'generated',
         provider: result.provider,
-        tokensUsed: result.tokensUsed
+        model: result.model,
+        keyId: result.keyId,
+        keySource: result.keySource,
+        tokensUsed: result.tokensUsed,
+        attempts: result.attempts
       };
     } catch (error) {
       console.error('New code generation error:', error);
@@ -221,12 +225,13 @@ Ensure all code is production-ready and well-commented.
     return prompt;
   }
 
-  // Store generated code in knowledge base
+  // Store generated code in knowledge base; returns the entries stored
   async storeGeneratedCode(userId, projectId, generatedCode, request) {
+    const stored = [];
     try {
       if (generatedCode.files) {
         for (const [filePath, fileData] of Object.entries(generatedCode.files)) {
-          await aiKnowledgeBase.storeCode(projectId, userId, {
+          const entry = await aiKnowledgeBase.storeCode(projectId, userId, {
             code: fileData.content,
             description: `${request.type}: ${filePath} - ${request.description || ''}`,
             codeType: request.type,
@@ -237,56 +242,94 @@ Ensure all code is production-ready and well-commented.
               category: request.category
             }
           });
+          // Skipped trivial files return null; duplicates return the entry they merged into
+          if (entry && !stored.some(item => item._id.equals(entry._id))) {
+            stored.push(entry);
+          }
         }
       }
     } catch (error) {
       console.error('Error storing generated code:', error);
     }
+    return stored;
+  }
+
+  // Run a generation over `providers` with retries, circuit breaking and fallback.
+  // The requested key and model only apply to the first provider. When streaming,
+  // 'generation:retrying' tells the client to discard partial output from a failed attempt.
+  async runWithFallback(user, projectData, request, prompt, { providers, operation, maxTokens }, streaming = null) {
+    const preferred = providers[0];
+    const { result, credentials, attempts } = await providerResilience.callWithFallback({
+      providers,
+      signal: streaming?.signal,
+      getCredentials: (provider) => this.getUserApiKey(user, provider, provider === preferred ? request : {}),
+      call: (provider, credentials) => this.runGeneration(provider, credentials.apiKey, prompt, {
+        type: operation,
+        model: this.getModel(credentials, provider === preferred ? request.model : null),
+        context: this.getUsageContext(credentials, projectData, operation),
+        maxTokens
+      }, request.type, streaming),
+      onAttemptFailed: (attempt) => {
+        if (streaming) {
+          streaming.onEvent('generation:retrying', attempt);
+        }
+      }
+    });
+
+    return { ...result, keyId: credentials.keyId, keySource: credentials.source, attempts };
+  }
+
+  // Run a provider call, streaming through a file parser when `streaming` is given
+  async runGeneration(provider, apiKey, prompt, options, type, streaming = null) {
+    if (!streaming) {
+      const result = await this.callProvider(provider, apiKey, prompt, options);
+      return { ...result, files: this.parseCodeResponse(result.content, type) };
+    }
+
+    const parser = this.createCodeParser(type);
+    parser.on('file:start', data => streaming.onEvent('file:started', { ...data, provider }));
+    parser.on('file:chunk', data => streaming.onEvent('file:chunk', data));
+    parser.on('file:complete', data => streaming.onEvent('file:completed', data));
+
+    const result = await this.streamProvider(provider, apiKey, prompt, {
+      ...options,
+      signal: streaming.signal,
+      onToken: (text) => parser.feed(text)
+    });
+
+    if (streaming.signal?.aborted) {
+      throw this.createCancelledError();
+    }
+
+    return { ...result, files: parser.end() };
+  }
+
+  createCodeParser(type) {
+    return new CodeStreamParser({
+      defaultPath: (language, index) => this.generateDefaultFilePath(type, language, index),
+      mapLanguage: (language, filePath) => this.mapLanguage(language, filePath)
+    });
+  }
+
+  createCancelledError() {
+    const error = new Error('Code generation cancelled');
+    error.name = 'AbortError';
+    error.code = 'GENERATION_CANCELLED';
+    return error;
+  }
+
+  isCancelled(error, streaming) {
+    return Boolean(streaming?.signal?.aborted) || error?.code === 'GENERATION_CANCELLED';
   }
 
-  // Parse AI response into structured file format
+  // Parse AI response into structured file format (same rules as the streaming parser)
   parseCodeResponse(content, type) {
-    const files = {};
+    let files = {};
     
     try {
-      // Try to extract code blocks with file paths
-      const codeBlockRegex = /```(?:(\w+)\s*\n)?([\s\S]*?)```/g;
-      const filePathRegex = /\/\/\s*(?:File:|Path:)?\s*([^\n]+)/i;
-      
-      let match;
-      let fileIndex = 0;
-      
-      while ((match = codeBlockRegex.exec(content)) !== null) {
-        const language = match[1] || 'javascript';
-        const code = match[2].trim();
-        
-        // Try to extract file path from comments
-        const pathMatch = filePathRegex.exec(code);
-        let filePath;
-        
-        if (pathMatch) {
-          filePath = pathMatch[1].trim();
-        } else {
-          // Generate default file path based on type and language
-          filePath = this.generateDefaultFilePath(type, language, fileIndex);
-        }
-        
-        files[filePath] = {
-          content: code,
-          language: this.mapLanguage(language, filePath)
-        };
-        
-        fileIndex++;
-      }
-      
-      // If no code blocks found, treat entire content as single file
-      if (Object.keys(files).length === 0) {
-        const defaultPath = this.generateDefaultFilePath(type, 'javascript', 0);
-        files[defaultPath] = {
-          content: content,
-          language: 'javascript'
-        };
-      }
+      const parser = this.createCodeParser(type);
+      parser.feed(content);
+      files = parser.end();
     } catch (error) {
       console.error('Error parsing code response:', error);
       // Fallback: create a single file with the content
@@ -342,120 +385,78 @@ Ensure all code is production-ready and well-commented.
     return langMap[ext] || detectedLang || 'javascript';
   }
 
-  // Get user's API key for provider
-  getUserApiKey(user, provider) {
-    return user.apiKeys?.[provider] || process.env[`${provider.toUpperCase()}_API_KEY`];
+  // Credentials for a provider ({ apiKey, keyId, source, ... }) or null.
+  // options.keyId / options.keyName select a specific stored key.
+  async getUserApiKey(user, provider, { keyId, keyName } = {}) {
+    return await apiKeyResolver.resolve(user, provider, { keyId, keyName });
   }
 
-  // Call specific AI provider
-  async callProvider(provider, apiKey, prompt, options = {}) {
-    const providerFunction = this.providers[provider];
-    if (!providerFunction) {
-      throw new Error(`Provider ${provider} not supported`);
-    }
-    
-    return await providerFunction(apiKey, prompt, options);
-  }
-
-  // OpenAI API call
-  async callOpenAI(apiKey, prompt, options) {
-    const openai = new OpenAI({ apiKey });
-    
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4',
-      messages: [{ role: 'user', content: prompt }],
-      max_tokens: options.maxTokens || 3000,
-      temperature: 0.7
+  // Model from the request or the settings of the key being used
+  getModel(credentials, requestedModel = null) {
+    return aiProviders.resolveModel(credentials.provider, {
+      model: requestedModel,
+      keyEntry: credentials.keyEntry
     });
-    
-    return {
-      content: response.choices[0].message.content,
-      provider: 'openai',
-      tokensUsed: response.usage.total_tokens
-    };
   }
 
-  // Google Gemini API call
-  async callGemini(apiKey, prompt, options) {
-    const genAI = new GoogleGenerativeAI(apiKey);
-    const model = genAI.getGenerativeModel({ model: 'gemini-pro' });
-    
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    
+  // Who and what a provider call is billed to in the usage ledger
+  getUsageContext(credentials, projectData, operation) {
     return {
-      content: response.text(),
-      provider: 'gemini',
-      tokensUsed: 0 // Gemini doesn't provide token count in response
+      userId: credentials.userId,
+      projectId: projectData?._id ? projectData._id.toString() : null,
+      keyId: credentials.keyId,
+      keySource: credentials.source,
+      operation
     };
   }
 
-  // Anthropic Claude API call
-  async callClaude(apiKey, prompt, options) {
-    const anthropic = new Anthropic({ apiKey });
-    
-    const response = await anthropic.messages.create({
-      model: 'claude-3-sonnet-20240229',
-      max_tokens: options.maxTokens || 3000,
-      messages: [{ role: 'user', content: prompt }]
-    });
-    
+  // Adapter responses flattened to the shape the orchestrator has always returned
+  toResult(response) {
     return {
-      content: response.content[0].text,
-      provider: 'claude',
-      tokensUsed: response.usage.input_tokens + response.usage.output_tokens
+      content: response.content,
+      provider: response.provider,
+      model: response.model,
+      tokensUsed: response.usage.totalTokens,
+      usage: response.usage,
+      finishReason: response.finishReason
     };
   }
 
-  // DeepSeek API call
-  async callDeepSeek(apiKey, prompt, options) {
-    const response = await fetch('https://api.deepseek.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: 'deepseek-coder',
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: options.maxTokens || 3000,
-        temperature: 0.7
-      })
+  // Call specific AI provider
+  async callProvider(provider, apiKey, prompt, options = {}) {
+    const response = await aiProviders.complete({
+      provider,
+      apiKey,
+      model: options.model,
+      prompt,
+      maxTokens: options.maxTokens || 3000,
+      signal: options.signal,
+      context: options.context
     });
     
-    const data = await response.json();
-    
-    return {
-      content: data.choices[0].message.content,
-      provider: 'deepseek',
-      tokensUsed: data.usage.total_tokens
-    };
+    return this.toResult(response);
   }
 
-  // OpenRouter API call
-  async callOpenRouter(apiKey, prompt, options) {
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`,
-        'X-Title': 'Website Builder AI'
-      },
-      body: JSON.stringify({
-        model: 'openai/gpt-4',
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: options.maxTokens || 3000,
-        temperature: 0.7
-      })
-    });
-    
-    const data = await response.json();
-    
-    return {
-      content: data.choices[0].message.content,
-      provider: 'openrouter',
-      tokensUsed: data.usage.total_tokens
-    };
+  // Stream a provider response; options.onToken receives text as it arrives
+  async streamProvider(provider, apiKey, prompt, options = {}) {
+    try {
+      const response = await aiProviders.stream({
+        provider,
+        apiKey,
+        model: options.model,
+        prompt,
+        maxTokens: options.maxTokens || 3000,
+        signal: options.signal,
+        onToken: options.onToken,
+        context: options.context
+      });
+      return this.toResult(response);
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw this.createCancelledError();
+      }
+      throw error;
+    }
   }
 
   // Get knowledge base statistics
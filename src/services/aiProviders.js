@@ -0,0 +1,581 @@
+// src/services/aiProviders.js
+const OpenAI = require('openai');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const Anthropic = require('@anthropic-ai/sdk');
+const usageService = require('./usageService');
+const mockProvider = require('./mockProvider');
+const { createHttpError } = require('../utils/helpers');
+
+// Fallback models when neither the request nor the user's stored key names one.
+// Each can be overridden with <PROVIDER>_DEFAULT_MODEL.
+const DEFAULT_MODELS = {
+  openai: 'gpt-4o',
+  claude: 'claude-3-5-sonnet-latest',
+  gemini: 'gemini-1.5-pro',
+  deepseek: 'deepseek-chat',
+  openrouter: 'openai/gpt-4o',
+  mock: 'mock-1'
+};
+
+// Context window in tokens per provider, for callers that send long conversations.
+// Conservative where the model varies; override with <PROVIDER>_CONTEXT_TOKENS.
+const CONTEXT_WINDOWS = {
+  openai: 128000,
+  claude: 200000,
+  gemini: 1000000,
+  deepseek: 64000,
+  openrouter: 32000,
+  mock: 16000
+};
+
+// OpenAI-compatible chat completion endpoints
+const COMPATIBLE_ENDPOINTS = {
+  deepseek: 'https://api.deepseek.com/v1/chat/completions',
+  openrouter: 'https://openrouter.ai/api/v1/chat/completions'
+};
+
+// Per-call limit unless the request passes timeoutMs
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.AI_REQUEST_TIMEOUT_MS, 10) || 180000;
+
+const FINISH_REASONS = {
+  stop: 'stop',
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  STOP: 'stop',
+  length: 'length',
+  max_tokens: 'length',
+  MAX_TOKENS: 'length',
+  content_filter: 'content_filter',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter',
+  tool_calls: 'tool_calls',
+  tool_use: 'tool_calls'
+};
+
+/*
+ * Common contract for every provider.
+ *
+ * Request:  { provider, apiKey, model, system, messages: [{ role: 'user'|'assistant', content }],
+ *             prompt (shorthand for one user message), maxTokens, temperature, signal, timeoutMs,
+ *             jsonSchema: { name, schema } (asks for JSON output where the provider supports it),
+ *             context: { userId, projectId, keyId, keySource, operation } }
+ * Response: { provider, model, content, usage: { inputTokens, outputTokens, totalTokens, estimated }, finishReason }
+ *
+ * stream() takes the same request plus onToken(text) and resolves to the same response.
+ * Every call with a context.userId is written to the usage ledger.
+ */
+class AIProviders {
+  constructor() {
+    this.adapters = {
+      openai: {
+        complete: this.completeOpenAI.bind(this),
+        stream: this.streamOpenAI.bind(this)
+      },
+      claude: {
+        complete: this.completeClaude.bind(this),
+        stream: this.streamClaude.bind(this)
+      },
+      gemini: {
+        complete: this.completeGemini.bind(this),
+        stream: this.streamGemini.bind(this)
+      },
+      deepseek: {
+        complete: (request) => this.completeCompatible('deepseek', request),
+        stream: (request) => this.streamCompatible('deepseek', request)
+      },
+      openrouter: {
+        complete: (request) => this.completeCompatible('openrouter', request),
+        stream: (request) => this.streamCompatible('openrouter', request)
+      },
+      // Offline fixtures and recorded transcripts; see mockProvider
+      mock: {
+        complete: (request) => mockProvider.complete(request),
+        stream: (request) => mockProvider.stream(request)
+      }
+    };
+  }
+
+  getProviders() {
+    return Object.keys(this.adapters);
+  }
+
+  // AI_MOCK_PROVIDER=true sends every call to the mock provider, for offline development
+  isMockForced() {
+    return process.env.AI_MOCK_PROVIDER === 'true';
+  }
+
+  getPreferredProvider(user, requested = null) {
+    if (this.isMockForced()) return 'mock';
+    return requested || user?.preferences?.defaultAiProvider || process.env.DEFAULT_AI_PROVIDER || 'openai';
+  }
+
+  // Providers to try in order; a forced mock never falls back to a real provider
+  getProviderChain(preferred, fallbacks = []) {
+    return this.isMockForced() ? ['mock'] : [preferred, ...fallbacks];
+  }
+
+  isSupported(provider) {
+    return Boolean(this.adapters[provider]);
+  }
+
+  getDefaultModel(provider) {
+    return process.env[`${provider.toUpperCase()}_DEFAULT_MODEL`] || DEFAULT_MODELS[provider];
+  }
+
+  getContextWindow(provider) {
+    return parseInt(process.env[`${provider.toUpperCase()}_CONTEXT_TOKENS`], 10) || CONTEXT_WINDOWS[provider] || 8000;
+  }
+
+  // Requested model, else the key's default model, else its first model, else the provider default.
+  // A key with a models list only allows those models.
+  resolveModel(provider, { model, keyEntry } = {}) {
+    const allowed = keyEntry?.models || [];
+
+    if (model) {
+      if (allowed.length > 0 && !allowed.includes(model)) {
+        throw createHttpError(`Model ${model} is not enabled for this ${provider} API key`, 400);
+      }
+      return model;
+    }
+
+    return keyEntry?.defaultModel || allowed[0] || this.getDefaultModel(provider);
+  }
+
+  normalizeFinishReason(reason) {
+    if (!reason) return null;
+    return FINISH_REASONS[reason] || String(reason).toLowerCase();
+  }
+
+  buildUsage(inputTokens = 0, outputTokens = 0, totalTokens = null) {
+    return {
+      inputTokens,
+      outputTokens,
+      totalTokens: totalTokens ?? inputTokens + outputTokens
+    };
+  }
+
+  // Fill in defaults and turn `prompt` into a message list
+  normalizeRequest(request) {
+    const { provider } = request;
+    if (!this.isSupported(provider)) {
+      throw createHttpError(`Provider ${provider} not supported`, 400);
+    }
+    if (!request.apiKey) {
+      throw createHttpError(`No API key found for ${provider}`, 400);
+    }
+
+    const messages = request.messages && request.messages.length > 0
+      ? request.messages
+      : [{ role: 'user', content: request.prompt || '' }];
+
+    return {
+      ...request,
+      model: request.model || this.getDefaultModel(provider),
+      messages,
+      maxTokens: request.maxTokens || 2000,
+      temperature: request.temperature ?? 0.7
+    };
+  }
+
+  // Upstream failures surface as 502s carrying the provider and upstream status
+  wrapError(provider, error, signal) {
+    if (signal?.aborted || error.statusCode) {
+      return error;
+    }
+
+    const upstreamStatus = error.status || error.response?.status || null;
+    const wrapped = createHttpError(
+      `${provider} request failed${upstreamStatus ? ` with status ${upstreamStatus}` : ''}: ${error.message}`,
+      502
+    );
+    wrapped.provider = provider;
+    wrapped.upstreamStatus = upstreamStatus;
+    wrapped.cause = error;
+    return wrapped;
+  }
+
+  createTimeoutError(provider, timeoutMs) {
+    const error = createHttpError(`${provider} request timed out after ${timeoutMs}ms`, 504);
+    error.code = 'ETIMEDOUT';
+    error.provider = provider;
+    error.upstreamStatus = null;
+    return error;
+  }
+
+  async complete(request) {
+    const normalized = this.normalizeRequest(request);
+    return await this.run(normalized, () => this.adapters[normalized.provider].complete(normalized));
+  }
+
+  async stream(request) {
+    const normalized = this.normalizeRequest(request);
+    if (typeof normalized.onToken !== 'function') {
+      throw new Error('stream() requires an onToken callback');
+    }
+
+    // Keep the streamed chunks so cancelled or failed streams can still be costed
+    const chunks = [];
+    const onToken = normalized.onToken;
+    normalized.onToken = (text) => {
+      chunks.push(text);
+      onToken(text);
+    };
+
+    return await this.run(normalized, () => this.adapters[normalized.provider].stream(normalized), chunks);
+  }
+
+  // Call an adapter under a timeout, then record latency, tokens and outcome in the usage ledger
+  async run(request, call, streamedChunks = null) {
+    const startedAt = Date.now();
+    const userSignal = request.signal;
+    const timeoutMs = request.timeoutMs || DEFAULT_TIMEOUT_MS;
+    const timeoutSignal = AbortSignal.timeout(timeoutMs);
+    request.signal = userSignal ? AbortSignal.any([userSignal, timeoutSignal]) : timeoutSignal;
+
+    const inputText = [request.system, ...request.messages.map(message => message.content)].filter(Boolean).join('\n');
+    const entry = { provider: request.provider, model: request.model, streaming: Boolean(streamedChunks) };
+
+    try {
+      const response = await call();
+      if (response.finishReason === 'content_filter' && !response.content) {
+        const filtered = createHttpError(`${request.provider} blocked the response with its content filter`, 422);
+        filtered.code = 'CONTENT_FILTERED';
+        filtered.provider = request.provider;
+        filtered.upstreamStatus = null;
+        throw filtered;
+      }
+      response.usage = usageService.completeUsage(response.usage, { inputText, outputText: response.content });
+      await usageService.record(request.context, {
+        ...entry,
+        model: response.model || request.model,
+        usage: response.usage,
+        latencyMs: Date.now() - startedAt,
+        outcome: 'success',
+        finishReason: response.finishReason
+      });
+      if (request.provider !== 'mock') {
+        mockProvider.recordTranscript(request, response, streamedChunks);
+      }
+      return response;
+    } catch (error) {
+      const wrapped = timeoutSignal.aborted && !userSignal?.aborted
+        ? this.createTimeoutError(request.provider, timeoutMs)
+        : this.wrapError(request.provider, error, userSignal);
+      // Only a stream that produced output is assumed to have been billed
+      const streamed = streamedChunks ? streamedChunks.join('') : '';
+      await usageService.record(request.context, {
+        ...entry,
+        usage: streamed ? usageService.completeUsage(null, { inputText, outputText: streamed }) : null,
+        latencyMs: Date.now() - startedAt,
+        outcome: userSignal?.aborted ? 'cancelled' : 'error',
+        error: wrapped
+      });
+      throw wrapped;
+    }
+  }
+
+  // OpenAI-style response_format for jsonSchema requests. DeepSeek only knows json_object;
+  // Claude has no equivalent and relies on the schema in the prompt.
+  getResponseFormat(provider, request) {
+    if (!request.jsonSchema) return null;
+    if (provider === 'deepseek') return { type: 'json_object' };
+    return {
+      type: 'json_schema',
+      json_schema: { name: request.jsonSchema.name || 'response', schema: request.jsonSchema.schema, strict: true }
+    };
+  }
+
+  // OpenAI-style message list with the system prompt first
+  toChatMessages({ system, messages }) {
+    return system ? [{ role: 'system', content: system }, ...messages] : messages;
+  }
+
+  async completeOpenAI(request) {
+    const openai = new OpenAI({ apiKey: request.apiKey });
+
+    const response = await openai.chat.completions.create({
+      model: request.model,
+      messages: this.toChatMessages(request),
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      ...(request.jsonSchema ? { response_format: this.getResponseFormat('openai', request) } : {})
+    }, { signal: request.signal });
+
+    const choice = response.choices[0] || {};
+    return {
+      provider: 'openai',
+      model: response.model || request.model,
+      content: choice.message?.content || '',
+      usage: this.buildUsage(response.usage?.prompt_tokens, response.usage?.completion_tokens, response.usage?.total_tokens),
+      finishReason: this.normalizeFinishReason(choice.finish_reason)
+    };
+  }
+
+  async streamOpenAI(request) {
+    const openai = new OpenAI({ apiKey: request.apiKey });
+
+    const stream = await openai.chat.completions.create({
+      model: request.model,
+      messages: this.toChatMessages(request),
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      ...(request.jsonSchema ? { response_format: this.getResponseFormat('openai', request) } : {}),
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { signal: request.signal });
+
+    let content = '';
+    let usage = this.buildUsage();
+    let finishReason = null;
+    for await (const chunk of stream) {
+      const choice = chunk.choices[0];
+      const text = choice?.delta?.content;
+      if (text) {
+        content += text;
+        request.onToken(text);
+      }
+      if (choice?.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+      if (chunk.usage) {
+        usage = this.buildUsage(chunk.usage.prompt_tokens, chunk.usage.completion_tokens, chunk.usage.total_tokens);
+      }
+    }
+
+    return {
+      provider: 'openai',
+      model: request.model,
+      content,
+      usage,
+      finishReason: this.normalizeFinishReason(finishReason)
+    };
+  }
+
+  async completeClaude(request) {
+    const anthropic = new Anthropic({ apiKey: request.apiKey });
+
+    const response = await anthropic.messages.create({
+      model: request.model,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      ...(request.system ? { system: request.system } : {}),
+      messages: request.messages
+    }, { signal: request.signal });
+
+    return {
+      provider: 'claude',
+      model: response.model || request.model,
+      content: response.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      usage: this.buildUsage(response.usage?.input_tokens, response.usage?.output_tokens),
+      finishReason: this.normalizeFinishReason(response.stop_reason)
+    };
+  }
+
+  async streamClaude(request) {
+    const anthropic = new Anthropic({ apiKey: request.apiKey });
+
+    const stream = await anthropic.messages.create({
+      model: request.model,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      ...(request.system ? { system: request.system } : {}),
+      messages: request.messages,
+      stream: true
+    }, { signal: request.signal });
+
+    let content = '';
+    let inputTokens = 0;
+    let outputTokens = 0;
+    let finishReason = null;
+    for await (const event of stream) {
+      if (event.type === 'message_start') {
+        inputTokens = event.message.usage?.input_tokens || 0;
+      } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        content += event.delta.text;
+        request.onToken(event.delta.text);
+      } else if (event.type === 'message_delta') {
+        outputTokens = event.usage?.output_tokens || outputTokens;
+        finishReason = event.delta?.stop_reason || finishReason;
+      }
+    }
+
+    return {
+      provider: 'claude',
+      model: request.model,
+      content,
+      usage: this.buildUsage(inputTokens, outputTokens),
+      finishReason: this.normalizeFinishReason(finishReason)
+    };
+  }
+
+  getGeminiModel(request) {
+    const genAI = new GoogleGenerativeAI(request.apiKey);
+    return genAI.getGenerativeModel({
+      model: request.model,
+      ...(request.system ? { systemInstruction: request.system } : {}),
+      generationConfig: {
+        maxOutputTokens: request.maxTokens,
+        temperature: request.temperature,
+        ...(request.jsonSchema ? { responseMimeType: 'application/json' } : {})
+      }
+    });
+  }
+
+  toGeminiContents(messages) {
+    return messages.map(message => ({
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: message.content }]
+    }));
+  }
+
+  buildGeminiUsage(metadata) {
+    return this.buildUsage(metadata?.promptTokenCount, metadata?.candidatesTokenCount, metadata?.totalTokenCount);
+  }
+
+  async completeGemini(request) {
+    const model = this.getGeminiModel(request);
+
+    const result = await model.generateContent(
+      { contents: this.toGeminiContents(request.messages) },
+      { signal: request.signal }
+    );
+    const response = result.response;
+
+    return {
+      provider: 'gemini',
+      model: request.model,
+      content: response.text(),
+      usage: this.buildGeminiUsage(response.usageMetadata),
+      finishReason: this.normalizeFinishReason(response.candidates?.[0]?.finishReason)
+    };
+  }
+
+  async streamGemini(request) {
+    const model = this.getGeminiModel(request);
+
+    const result = await model.generateContentStream(
+      { contents: this.toGeminiContents(request.messages) },
+      { signal: request.signal }
+    );
+
+    let content = '';
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) {
+        content += text;
+        request.onToken(text);
+      }
+    }
+
+    const response = await result.response;
+    return {
+      provider: 'gemini',
+      model: request.model,
+      content,
+      usage: this.buildGeminiUsage(response.usageMetadata),
+      finishReason: this.normalizeFinishReason(response.candidates?.[0]?.finishReason)
+    };
+  }
+
+  async postCompatible(provider, request, body) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${request.apiKey}`
+    };
+    if (provider === 'openrouter') {
+      headers['HTTP-Referer'] = process.env.APP_URL || 'http://localhost:3000';
+      headers['X-Title'] = 'Website Builder AI';
+    }
+
+    const response = await fetch(COMPATIBLE_ENDPOINTS[provider], {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: request.model,
+        messages: this.toChatMessages(request),
+        max_tokens: request.maxTokens,
+        temperature: request.temperature,
+        ...(request.jsonSchema ? { response_format: this.getResponseFormat(provider, request) } : {}),
+        ...body
+      }),
+      signal: request.signal
+    });
+
+    if (!response.ok) {
+      const details = await response.text().catch(() => '');
+      const error = new Error(details.slice(0, 300) || response.statusText);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response;
+  }
+
+  async completeCompatible(provider, request) {
+    const response = await this.postCompatible(provider, request, {});
+    const data = await response.json();
+    const choice = data.choices?.[0] || {};
+
+    return {
+      provider,
+      model: data.model || request.model,
+      content: choice.message?.content || '',
+      usage: this.buildUsage(data.usage?.prompt_tokens, data.usage?.completion_tokens, data.usage?.total_tokens),
+      finishReason: this.normalizeFinishReason(choice.finish_reason)
+    };
+  }
+
+  // Read an OpenAI-compatible server-sent event stream
+  async streamCompatible(provider, request) {
+    const response = await this.postCompatible(provider, request, {
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    let usage = this.buildUsage();
+    let finishReason = null;
+
+    const handleLine = (line) => {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) return; // comments and keep-alives
+      const payload = trimmed.slice(5).trim();
+      if (!payload || payload === '[DONE]') return;
+
+      const data = JSON.parse(payload);
+      const choice = data.choices?.[0];
+      const text = choice?.delta?.content;
+      if (text) {
+        content += text;
+        request.onToken(text);
+      }
+      if (choice?.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+      if (data.usage) {
+        usage = this.buildUsage(data.usage.prompt_tokens, data.usage.completion_tokens, data.usage.total_tokens);
+      }
+    };
+
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    buffer += decoder.decode();
+    if (buffer) handleLine(buffer);
+
+    return {
+      provider,
+      model: request.model,
+      content,
+      usage,
+      finishReason: this.normalizeFinishReason(finishReason)
+    };
+  }
+}
+
+module.exports = new AIProviders();
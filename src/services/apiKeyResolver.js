@@ -0,0 +1,174 @@
+// src/services/apiKeyResolver.js
+const SystemSetting = require('../models/SystemSetting');
+const { createHttpError } = require('../utils/helpers');
+
+const POLICY_KEY = 'ai.serverKeyFallback';
+const POLICY_CACHE_TTL = 30 * 1000;
+const PROVIDERS = ['openai', 'gemini', 'claude', 'deepseek', 'openrouter'];
+
+// Finds the API key to use for a provider: the user's named or default key,
+// then the server's <PROVIDER>_API_KEY when the fallback policy allows it
+class ApiKeyResolver {
+  constructor() {
+    this.policyCache = null;
+  }
+
+  getDefaultPolicy() {
+    return {
+      enabled: process.env.AI_SERVER_KEY_FALLBACK !== 'false',
+      // Empty means every provider may fall back
+      providers: []
+    };
+  }
+
+  async getPolicy() {
+    if (this.policyCache && this.policyCache.expiresAt > Date.now()) {
+      return this.policyCache.policy;
+    }
+
+    const setting = await SystemSetting.findOne({ key: POLICY_KEY }).lean();
+    const policy = { ...this.getDefaultPolicy(), ...(setting?.value || {}) };
+    if (setting) {
+      policy.updatedAt = setting.updatedAt;
+      policy.updatedBy = setting.updatedBy;
+    }
+
+    this.policyCache = { policy, expiresAt: Date.now() + POLICY_CACHE_TTL };
+    return policy;
+  }
+
+  async updatePolicy({ enabled, providers } = {}, userId = null) {
+    const current = await this.getPolicy();
+    const value = {
+      enabled: current.enabled,
+      providers: current.providers
+    };
+
+    if (enabled !== undefined) {
+      if (typeof enabled !== 'boolean') {
+        throw createHttpError('enabled must be a boolean', 400);
+      }
+      value.enabled = enabled;
+    }
+
+    if (providers !== undefined) {
+      if (!Array.isArray(providers) || providers.some(provider => !PROVIDERS.includes(provider))) {
+        throw createHttpError(`providers must be a list of ${PROVIDERS.join(', ')}`, 400);
+      }
+      value.providers = Array.from(new Set(providers));
+    }
+
+    await SystemSetting.findOneAndUpdate(
+      { key: POLICY_KEY },
+      { $set: { value, updatedBy: userId } },
+      { upsert: true }
+    );
+    this.policyCache = null;
+
+    return await this.getPolicy();
+  }
+
+  allowsServerKey(policy, provider) {
+    return policy.enabled && (policy.providers.length === 0 || policy.providers.includes(provider));
+  }
+
+  // A specific stored key (by id or name) or the provider's default, else its first key
+  findUserKey(user, provider, { keyId, keyName } = {}) {
+    const keys = (user?.apiKeys || []).filter(key => key.provider === provider);
+
+    if (keyId || keyName) {
+      const match = keys.find(key => (keyId && key._id?.toString() === String(keyId)) || (keyName && key.name === keyName));
+      if (!match) {
+        throw createHttpError(`API key ${keyId || keyName} not found for ${provider}`, 404);
+      }
+      return match;
+    }
+
+    return keys.find(key => key.isDefault) || keys[0] || null;
+  }
+
+  // Resolve credentials for a provider, or null when nothing is usable.
+  // The result names the key that was used so usage can be attributed to it.
+  async resolve(user, provider, { keyId, keyName, allowServerFallback = true } = {}) {
+    if (provider === 'mock') {
+      return this.resolveMock(user);
+    }
+
+    const keyEntry = this.findUserKey(user, provider, { keyId, keyName });
+
+    if (keyEntry) {
+      let apiKey;
+      try {
+        apiKey = user.decryptApiKey(keyEntry.encryptedKey);
+      } catch (error) {
+        throw createHttpError(`Stored ${provider} API key "${keyEntry.name}" could not be decrypted; please add it again`, 422);
+      }
+
+      return {
+        userId: user.uid,
+        provider,
+        apiKey,
+        keyId: keyEntry._id ? keyEntry._id.toString() : null,
+        keyName: keyEntry.name,
+        source: 'user',
+        keyEntry
+      };
+    }
+
+    const serverKey = process.env[`${provider.toUpperCase()}_API_KEY`];
+    if (!allowServerFallback || !serverKey) {
+      return null;
+    }
+
+    const policy = await this.getPolicy();
+    if (!this.allowsServerKey(policy, provider)) {
+      return null;
+    }
+
+    return {
+      userId: user?.uid || null,
+      provider,
+      apiKey: serverKey,
+      keyId: null,
+      keyName: null,
+      source: 'server',
+      keyEntry: null
+    };
+  }
+
+  // The mock provider needs no key; it is off in production unless AI_MOCK_PROVIDER is set
+  resolveMock(user) {
+    if (process.env.NODE_ENV === 'production' && process.env.AI_MOCK_PROVIDER !== 'true') {
+      return null;
+    }
+
+    return {
+      userId: user?.uid || null,
+      provider: 'mock',
+      apiKey: 'mock',
+      keyId: null,
+      keyName: null,
+      source: 'mock',
+      keyEntry: null
+    };
+  }
+
+  async resolveOrThrow(user, provider, options = {}) {
+    const credentials = await this.resolve(user, provider, options);
+    if (!credentials) {
+      throw createHttpError(`No API key found for ${provider}`, 400);
+    }
+    return credentials;
+  }
+
+  // Providers the user can call right now, in the given order
+  async getAvailableProviders(user, order = PROVIDERS) {
+    const policy = await this.getPolicy();
+    return order.filter(provider => (
+      (user?.apiKeys || []).some(key => key.provider === provider) ||
+      (this.allowsServerKey(policy, provider) && Boolean(process.env[`${provider.toUpperCase()}_API_KEY`]))
+    ));
+  }
+}
+
+module.exports = new ApiKeyResolver();
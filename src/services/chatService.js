@@ -0,0 +1,393 @@
+// src/services/chatService.js
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const ChatSession = require('../models/ChatSession');
+const User = require('../models/User');
+const aiProviders = require('./aiProviders');
+const apiKeyResolver = require('./apiKeyResolver');
+const providerResilience = require('./providerResilience');
+const usageService = require('./usageService');
+const editService = require('./editService');
+const { createHttpError } = require('../utils/helpers');
+
+const MAX_MESSAGES = 400;
+const MAX_MESSAGE_CHARS = 20000;
+const MAX_SESSION_FILES = 10;
+const REPLY_TOKENS = 4000;
+const SUMMARY_TOKENS = 800;
+// History sent per turn stays under this even when the provider window is much larger
+const HISTORY_TOKENS = parseInt(process.env.AI_CHAT_HISTORY_TOKENS, 10) || 12000;
+
+// Project chat sessions. Each turn sends the attached files as they are now, the
+// conversation summary and as many recent messages as fit; file edits in the reply
+// are parsed with editService and applied as a new version when they apply cleanly.
+// Services that change the project leave saving it to the caller.
+class ChatService {
+  shouldSummarize() {
+    return process.env.AI_CHAT_SUMMARIZE !== 'false';
+  }
+
+  formatSession(session, { includeMessages = false } = {}) {
+    const formatted = {
+      id: session._id,
+      projectId: session.projectId,
+      title: session.title,
+      provider: session.provider,
+      model: session.model,
+      keyId: session.keyId,
+      files: session.files || [],
+      summary: session.summary || '',
+      summarizedCount: session.summarizedCount || 0,
+      lastMessageAt: session.lastMessageAt,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt
+    };
+
+    if (includeMessages) {
+      formatted.messages = session.messages || [];
+    }
+
+    return formatted;
+  }
+
+  async listSessions(projectId, userId) {
+    const sessions = await ChatSession.find({ projectId, userId })
+      .select('-messages')
+      .sort({ lastMessageAt: -1 })
+      .lean();
+
+    return sessions.map(session => this.formatSession(session));
+  }
+
+  async getSession(projectId, userId, sessionId) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      throw createHttpError('Chat session not found', 404);
+    }
+
+    const session = await ChatSession.findOne({ _id: sessionId, projectId, userId });
+    if (!session) {
+      throw createHttpError('Chat session not found', 404);
+    }
+    return session;
+  }
+
+  // Validated, de-duplicated list of virtual paths (see editService.parseTarget)
+  normalizeFiles(files) {
+    if (files === undefined || files === null) return [];
+    if (!Array.isArray(files)) {
+      throw createHttpError('files must be an array of paths', 400);
+    }
+
+    const paths = Array.from(new Set(files.map(filePath => editService.parseTarget(filePath).path)));
+    if (paths.length > MAX_SESSION_FILES) {
+      throw createHttpError(`At most ${MAX_SESSION_FILES} files can be attached to a chat`, 400);
+    }
+    return paths;
+  }
+
+  applySettings(session, { title, files, provider, model, keyId } = {}) {
+    if (title !== undefined) {
+      if (typeof title !== 'string' || !title.trim()) {
+        throw createHttpError('Chat title cannot be empty', 400);
+      }
+      session.title = title.trim().slice(0, 120);
+    }
+    if (files !== undefined) {
+      session.files = this.normalizeFiles(files);
+    }
+    if (provider !== undefined) {
+      if (provider !== null && !aiProviders.isSupported(provider)) {
+        throw createHttpError(`Unsupported AI provider: ${provider}`, 400);
+      }
+      session.provider = provider;
+    }
+    if (model !== undefined) session.model = model || null;
+    if (keyId !== undefined) session.keyId = keyId || null;
+  }
+
+  async createSession(project, userId, settings = {}) {
+    const session = new ChatSession({ projectId: project._id, userId });
+    this.applySettings(session, settings);
+    await session.save();
+    return session;
+  }
+
+  async updateSession(session, settings = {}) {
+    this.applySettings(session, settings);
+    await session.save();
+    return session;
+  }
+
+  async deleteSession(session) {
+    await ChatSession.deleteOne({ _id: session._id });
+  }
+
+  // Every session of a deleted project
+  async removeProjectSessions(projectId) {
+    await ChatSession.deleteMany({ projectId });
+  }
+
+  // Current content of the session's files; files deleted since they were attached are dropped
+  async readFiles(project, session) {
+    const targets = [];
+    const missing = [];
+
+    for (const filePath of session.files || []) {
+      try {
+        targets.push(await editService.readTarget(project, filePath));
+      } catch (error) {
+        if (error.statusCode !== 404) throw error;
+        missing.push(filePath);
+      }
+    }
+
+    if (missing.length > 0) {
+      session.files = session.files.filter(filePath => !missing.includes(filePath));
+    }
+    return targets;
+  }
+
+  buildSystemPrompt(project, summary) {
+    let system = `You are the AI assistant of a website builder, helping to build the project "${project.name}".
+Description: ${project.description || 'none'}
+Stack: ${project.frontendTech || 'react'}
+
+Answer questions briefly. When the user asks for a change to one of the attached files, explain it in a sentence
+and then give the change as SEARCH/REPLACE blocks:
+${editService.getFormatRules('search-replace')}
+Only edit files that are attached to the latest message, and use their paths exactly as given.`;
+
+    if (summary) {
+      system += `
+
+Summary of the earlier conversation:
+${summary}`;
+    }
+    return system;
+  }
+
+  buildUserContent(content, targets) {
+    if (targets.length === 0) return content;
+    return `${content}
+
+Attached files (current content):
+${editService.formatFiles(targets)}`;
+  }
+
+  // Messages for one provider call. History that does not fit is folded into the
+  // session summary, or dropped if summarizing is disabled or fails.
+  async buildContext(session, project, targets, content, { credentials, model, signal }) {
+    const window = aiProviders.getContextWindow(credentials.provider);
+    const userContent = this.buildUserContent(content, targets);
+    const fixed = usageService.estimateTokens(this.buildSystemPrompt(project, '')) +
+      usageService.estimateTokens(userContent) + REPLY_TOKENS;
+
+    if (fixed > window) {
+      throw createHttpError(`The message and attached files do not fit the ${credentials.provider} context window`, 413);
+    }
+
+    const summaryTokens = session.summary ? usageService.estimateTokens(session.summary) : 0;
+    let budget = Math.min(window - fixed, HISTORY_TOKENS) - summaryTokens;
+
+    const pending = session.messages.slice(session.summarizedCount || 0);
+    const kept = [];
+    for (let index = pending.length - 1; index >= 0; index--) {
+      const tokens = usageService.estimateTokens(pending[index].content);
+      if (tokens > budget) break;
+      budget -= tokens;
+      kept.unshift(pending[index]);
+    }
+    // Providers expect the conversation to open with a user turn
+    while (kept.length > 0 && kept[0].role !== 'user') {
+      kept.shift();
+    }
+
+    const dropped = pending.slice(0, pending.length - kept.length);
+    if (dropped.length > 0 && this.shouldSummarize()) {
+      await this.summarize(session, dropped, { credentials, model, signal });
+    }
+
+    return {
+      system: this.buildSystemPrompt(project, session.summary),
+      messages: [
+        ...kept.map(message => ({ role: message.role, content: message.content })),
+        { role: 'user', content: userContent }
+      ]
+    };
+  }
+
+  async summarize(session, dropped, { credentials, model, signal }) {
+    const turns = dropped
+      .map(message => `${message.role.toUpperCase()}: ${message.content.slice(0, 2000)}`)
+      .join('\n\n');
+
+    try {
+      const response = await aiProviders.complete({
+        provider: credentials.provider,
+        apiKey: credentials.apiKey,
+        model,
+        prompt: `Update the summary of a conversation about building a website.
+Keep requirements, decisions, file names and open questions; drop pleasantries. Stay under 300 words.
+
+CURRENT SUMMARY:
+${session.summary || '(none)'}
+
+NEW TURNS:
+${turns}`,
+        maxTokens: SUMMARY_TOKENS,
+        signal,
+        context: this.getUsageContext(session, credentials, 'chat_summary')
+      });
+
+      session.summary = response.content.trim();
+      session.summarizedCount = (session.summarizedCount || 0) + dropped.length;
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.warn(`Chat summary failed for session ${session._id}, truncating instead:`, error.message);
+    }
+  }
+
+  getUsageContext(session, credentials, operation) {
+    return {
+      userId: credentials.userId,
+      projectId: session.projectId ? session.projectId.toString() : null,
+      keyId: credentials.keyId,
+      keySource: credentials.source,
+      operation
+    };
+  }
+
+  // Send a user message and store the reply. Pass `streaming` ({ signal, onEvent }) to get
+  // 'token' and 'retrying' events. Returns the new messages; the caller saves `project`
+  // when `applied` is true.
+  async sendMessage(session, project, userId, { content, files, provider, keyId, model, autoApply = true } = {}, streaming = null) {
+    if (typeof content !== 'string' || !content.trim()) {
+      throw createHttpError('Message content is required', 400);
+    }
+    if (content.length > MAX_MESSAGE_CHARS) {
+      throw createHttpError(`Messages are limited to ${MAX_MESSAGE_CHARS} characters`, 400);
+    }
+    if (session.messages.length + 2 > MAX_MESSAGES) {
+      throw createHttpError('This chat is full; start a new session', 400);
+    }
+
+    if (files !== undefined) {
+      session.files = this.normalizeFiles([...(session.files || []), ...this.normalizeFiles(files)]);
+    }
+
+    const user = await User.findOne({ uid: userId });
+    if (!user) {
+      throw createHttpError('User not found', 404);
+    }
+
+    const targets = await this.readFiles(project, session);
+    const preferred = aiProviders.getPreferredProvider(user, provider || session.provider);
+    const fallbacks = aiProviders.isMockForced() ? [] : await apiKeyResolver.getAvailableProviders(user);
+    const keyOptions = { keyId: keyId || session.keyId };
+    const requestedModel = model || session.model;
+
+    const { result: response, attempts } = await providerResilience.callWithFallback({
+      providers: aiProviders.getProviderChain(preferred, fallbacks),
+      signal: streaming?.signal,
+      getCredentials: (candidate) => apiKeyResolver.resolve(user, candidate, candidate === preferred ? keyOptions : {}),
+      call: async (candidate, credentials) => {
+        const resolvedModel = aiProviders.resolveModel(candidate, {
+          model: candidate === preferred ? requestedModel : null,
+          keyEntry: credentials.keyEntry
+        });
+        const context = await this.buildContext(session, project, targets, content.trim(), {
+          credentials,
+          model: resolvedModel,
+          signal: streaming?.signal
+        });
+        const request = {
+          provider: candidate,
+          apiKey: credentials.apiKey,
+          model: resolvedModel,
+          ...context,
+          maxTokens: REPLY_TOKENS,
+          signal: streaming?.signal,
+          context: this.getUsageContext(session, credentials, 'chat')
+        };
+
+        return streaming
+          ? aiProviders.stream({ ...request, onToken: (text) => streaming.onEvent('token', { text }) })
+          : aiProviders.complete(request);
+      },
+      onAttemptFailed: (attempt) => {
+        if (streaming) {
+          streaming.onEvent('retrying', attempt);
+        }
+      }
+    });
+
+    const paths = targets.map(target => target.path);
+    const { edits } = editService.parseResponse(response.content, paths, 'search-replace');
+    const changes = targets
+      .filter(target => edits.has(target.path))
+      .map(target => {
+        const edit = edits.get(target.path);
+        return editService.describeResult(target, edit, editService.applyEdit(target.content, edit));
+      });
+
+    const userMessage = {
+      id: uuidv4(),
+      role: 'user',
+      content: content.trim(),
+      files: paths,
+      createdAt: new Date()
+    };
+    const assistantMessage = {
+      id: uuidv4(),
+      role: 'assistant',
+      content: response.content,
+      changes: changes.map(change => ({
+        path: change.path,
+        status: change.status,
+        baseHash: change.baseHash,
+        edit: change.edit,
+        failed: change.failed,
+        additions: change.additions,
+        deletions: change.deletions,
+        diff: change.diff
+      })),
+      version: null,
+      provider: response.provider,
+      model: response.model,
+      tokensUsed: response.usage.totalTokens,
+      finishReason: response.finishReason,
+      createdAt: new Date()
+    };
+
+    // Partial or failed edits stay on the message for review through the edit endpoints
+    if (autoApply && changes.length > 0 && changes.every(change => change.status === 'clean')) {
+      try {
+        const applied = await editService.apply(project, userId, {
+          files: changes.map(change => ({ path: change.path, baseHash: change.baseHash, edit: change.edit })),
+          description: `Chat: ${content.trim().slice(0, 200)}`
+        });
+        assistantMessage.version = applied.version;
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        console.warn(`Chat edit for session ${session._id} not applied:`, error.message);
+      }
+    }
+
+    if (session.messages.length === 0 && session.title === 'New chat') {
+      session.title = content.trim().split('\n')[0].slice(0, 60);
+    }
+    session.messages.push(userMessage, assistantMessage);
+    session.lastMessageAt = new Date();
+    await session.save();
+
+    return {
+      session,
+      userMessage,
+      assistantMessage,
+      applied: assistantMessage.version !== null,
+      attempts
+    };
+  }
+}
+
+module.exports = new ChatService();
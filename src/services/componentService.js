@@ -0,0 +1,437 @@
+// src/services/componentService.js
+const { v4: uuidv4 } = require('uuid');
+const Project = require('../models/Project');
+const pageService = require('./pageService');
+const { createHttpError } = require('../utils/helpers');
+const { convertLegacyComponents } = require('../utils/legacyComponents');
+
+const MAX_COMPONENTS = 200;
+const MAX_INSTANCES = 1000;
+const PROP_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const PROP_TYPES = ['string', 'number', 'boolean', 'color', 'enum', 'url', 'object', 'array'];
+const MIGRATION_BATCH_SIZE = 100;
+// Projects whose content.components still holds pre-definition components
+const LEGACY_COMPONENTS_QUERY = {
+  'content.components': { $elemMatch: { code: { $exists: false }, name: { $exists: false } } }
+};
+
+// Component operations mutate project.content; callers save the project
+class ComponentService {
+  // propsSchema: { title: { type: 'string', default: 'Hi', required: true }, size: { type: 'enum', options: [...] } }
+  normalizePropsSchema(propsSchema) {
+    if (propsSchema === undefined || propsSchema === null) return {};
+    if (typeof propsSchema !== 'object' || Array.isArray(propsSchema)) {
+      throw createHttpError('propsSchema must be an object keyed by prop name', 400);
+    }
+
+    const normalized = {};
+    for (const [name, definition] of Object.entries(propsSchema)) {
+      if (!PROP_NAME_PATTERN.test(name)) {
+        throw createHttpError(`Invalid prop name "${name}"`, 400);
+      }
+
+      const spec = typeof definition === 'string' ? { type: definition } : { ...definition };
+      if (!PROP_TYPES.includes(spec.type)) {
+        throw createHttpError(`Prop "${name}" must have a type of ${PROP_TYPES.join(', ')}`, 400);
+      }
+      if (spec.type === 'enum' && (!Array.isArray(spec.options) || spec.options.length === 0)) {
+        throw createHttpError(`Enum prop "${name}" needs a non-empty options list`, 400);
+      }
+
+      const prop = { type: spec.type, required: Boolean(spec.required) };
+      if (spec.type === 'enum') prop.options = spec.options;
+      if (spec.description) prop.description = String(spec.description);
+      if (spec.default !== undefined) {
+        const error = this.checkPropValue(prop, spec.default);
+        if (error) {
+          throw createHttpError(`Default for prop "${name}" ${error}`, 400);
+        }
+        prop.default = spec.default;
+      }
+      normalized[name] = prop;
+    }
+
+    return normalized;
+  }
+
+  // Return an error fragment when a value doesn't fit its prop spec
+  checkPropValue(spec, value) {
+    switch (spec.type) {
+      case 'string':
+      case 'url':
+        return typeof value === 'string' ? null : 'must be a string';
+      case 'color':
+        return typeof value === 'string' && value.trim() ? null : 'must be a CSS color string';
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+      case 'boolean':
+        return typeof value === 'boolean' ? null : 'must be a boolean';
+      case 'enum':
+        return spec.options.includes(value) ? null : `must be one of ${spec.options.join(', ')}`;
+      case 'array':
+        return Array.isArray(value) ? null : 'must be an array';
+      case 'object':
+        return value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+      default:
+        return 'has an unknown type';
+    }
+  }
+
+  validateProps(propsSchema, props) {
+    if (props === undefined || props === null) return {};
+    if (typeof props !== 'object' || Array.isArray(props)) {
+      throw createHttpError('props must be an object', 400);
+    }
+
+    for (const [name, value] of Object.entries(props)) {
+      const spec = propsSchema[name];
+      if (!spec) {
+        throw createHttpError(`Unknown prop "${name}"`, 400);
+      }
+      const error = this.checkPropValue(spec, value);
+      if (error) {
+        throw createHttpError(`Prop "${name}" ${error}`, 400);
+      }
+    }
+
+    return { ...props };
+  }
+
+  normalizeStyles(styles) {
+    if (styles === undefined || styles === null) return {};
+    if (typeof styles !== 'object' || Array.isArray(styles)) {
+      throw createHttpError('Styles must be an object of CSS properties', 400);
+    }
+    return { ...styles };
+  }
+
+  getDefaultProps(propsSchema) {
+    const defaults = {};
+    Object.entries(propsSchema || {}).forEach(([name, spec]) => {
+      if (spec.default !== undefined) defaults[name] = spec.default;
+    });
+    return defaults;
+  }
+
+  getDefinition(project, componentId) {
+    const definition = (project.content?.components || []).find(item => item.id === componentId);
+    if (!definition) {
+      throw createHttpError('Component not found', 404);
+    }
+    return definition;
+  }
+
+  // Look a definition up by id first, then by name
+  findDefinition(project, reference) {
+    const components = project.content?.components || [];
+    return components.find(item => item.id === reference) || components.find(item => item.name === reference) || null;
+  }
+
+  getInstance(project, instanceId) {
+    const instance = (project.content?.componentInstances || []).find(item => item.id === instanceId);
+    if (!instance) {
+      throw createHttpError('Component instance not found', 404);
+    }
+    return instance;
+  }
+
+  getInstancesOf(project, componentId) {
+    return (project.content?.componentInstances || []).filter(item => !item.detached && item.definitionId === componentId);
+  }
+
+  formatDefinition(project, definition, { includeCode = true } = {}) {
+    const formatted = {
+      id: definition.id,
+      name: definition.name,
+      type: definition.type,
+      propsSchema: definition.propsSchema || {},
+      defaultStyles: definition.defaultStyles || {},
+      version: definition.version,
+      instanceCount: this.getInstancesOf(project, definition.id).length,
+      createdAt: definition.createdAt,
+      updatedAt: definition.updatedAt
+    };
+    if (includeCode) formatted.code = definition.code || '';
+    return formatted;
+  }
+
+  listDefinitions(project) {
+    return (project.content?.components || []).map(definition => this.formatDefinition(project, definition, { includeCode: false }));
+  }
+
+  createDefinition(project, { name, type, code, propsSchema, defaultStyles } = {}) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw createHttpError('Component name is required', 400);
+    }
+    if (project.content.components.length >= MAX_COMPONENTS) {
+      throw createHttpError(`A project can have at most ${MAX_COMPONENTS} components`, 400);
+    }
+    if (this.findDefinition(project, name.trim())) {
+      throw createHttpError(`A component named "${name.trim()}" already exists`, 409);
+    }
+
+    project.content.components.push({
+      id: uuidv4(),
+      name: name.trim(),
+      type: type || 'component',
+      code: typeof code === 'string' ? code : '',
+      propsSchema: this.normalizePropsSchema(propsSchema),
+      defaultStyles: this.normalizeStyles(defaultStyles),
+      version: 1
+    });
+
+    return project.content.components[project.content.components.length - 1];
+  }
+
+  // Update a definition and carry the change to every attached instance:
+  // instances pick up the new version and lose overrides the new props schema no longer accepts
+  updateDefinition(project, componentId, updates = {}) {
+    const definition = this.getDefinition(project, componentId);
+
+    if (updates.name !== undefined) {
+      if (typeof updates.name !== 'string' || !updates.name.trim()) {
+        throw createHttpError('Component name cannot be empty', 400);
+      }
+      const existing = this.findDefinition(project, updates.name.trim());
+      if (existing && existing.id !== definition.id) {
+        throw createHttpError(`A component named "${updates.name.trim()}" already exists`, 409);
+      }
+      definition.name = updates.name.trim();
+    }
+    if (updates.type !== undefined) definition.type = updates.type;
+    if (updates.code !== undefined) {
+      if (typeof updates.code !== 'string') {
+        throw createHttpError('Component code must be a string', 400);
+      }
+      definition.code = updates.code;
+    }
+    if (updates.propsSchema !== undefined) definition.propsSchema = this.normalizePropsSchema(updates.propsSchema);
+    if (updates.defaultStyles !== undefined) definition.defaultStyles = this.normalizeStyles(updates.defaultStyles);
+
+    definition.version = (definition.version || 1) + 1;
+    definition.updatedAt = new Date();
+
+    const propsSchema = definition.propsSchema || {};
+    const instances = this.getInstancesOf(project, definition.id);
+    const droppedOverrides = [];
+
+    instances.forEach(instance => {
+      const props = {};
+      Object.entries(instance.props || {}).forEach(([name, value]) => {
+        if (propsSchema[name] && !this.checkPropValue(propsSchema[name], value)) {
+          props[name] = value;
+        } else {
+          droppedOverrides.push({ instanceId: instance.id, prop: name });
+        }
+      });
+      instance.props = props;
+      instance.definitionVersion = definition.version;
+    });
+
+    return {
+      definition,
+      instanceIds: instances.map(instance => instance.id),
+      droppedOverrides
+    };
+  }
+
+  duplicateDefinition(project, componentId, { name } = {}) {
+    const source = this.getDefinition(project, componentId);
+
+    let copyName = name && String(name).trim();
+    if (!copyName) {
+      copyName = `${source.name} copy`;
+      for (let suffix = 2; this.findDefinition(project, copyName); suffix++) {
+        copyName = `${source.name} copy ${suffix}`;
+      }
+    }
+
+    return this.createDefinition(project, {
+      name: copyName,
+      type: source.type,
+      code: source.code,
+      propsSchema: source.propsSchema,
+      defaultStyles: source.defaultStyles
+    });
+  }
+
+  // Removing a definition detaches its instances instead of deleting them
+  deleteDefinition(project, componentId) {
+    const definition = this.getDefinition(project, componentId);
+    const detached = this.getInstancesOf(project, definition.id).map(instance => this.detachInstance(project, instance.id).id);
+    project.content.components.pull(definition);
+    return { definition, detachedInstanceIds: detached };
+  }
+
+  createInstance(project, { definitionId, pageId, props, styles, position } = {}) {
+    const definition = this.getDefinition(project, definitionId);
+    if (pageId) {
+      pageService.getPage(project, pageId);
+    }
+    if (project.content.componentInstances.length >= MAX_INSTANCES) {
+      throw createHttpError(`A project can have at most ${MAX_INSTANCES} component instances`, 400);
+    }
+
+    project.content.componentInstances.push({
+      id: uuidv4(),
+      definitionId: definition.id,
+      pageId: pageId || null,
+      props: this.validateProps(definition.propsSchema || {}, props),
+      styles: this.normalizeStyles(styles),
+      position: position || undefined,
+      definitionVersion: definition.version
+    });
+
+    const instance = project.content.componentInstances[project.content.componentInstances.length - 1];
+    if (pageId) {
+      pageService.getPage(project, pageId).components.push(instance.id);
+    }
+
+    return instance;
+  }
+
+  updateInstance(project, instanceId, updates = {}) {
+    const instance = this.getInstance(project, instanceId);
+    const propsSchema = instance.detached
+      ? instance.propsSchema || {}
+      : this.getDefinition(project, instance.definitionId).propsSchema || {};
+
+    if (updates.props !== undefined) instance.props = this.validateProps(propsSchema, updates.props);
+    if (updates.styles !== undefined) instance.styles = this.normalizeStyles(updates.styles);
+    if (updates.position !== undefined) instance.position = updates.position;
+
+    if (updates.pageId !== undefined && updates.pageId !== instance.pageId) {
+      if (updates.pageId) {
+        pageService.getPage(project, updates.pageId).components.push(instance.id);
+      }
+      this.removeFromPage(project, instance);
+      instance.pageId = updates.pageId || null;
+    }
+
+    if (instance.detached) {
+      if (updates.code !== undefined) instance.code = String(updates.code);
+      if (updates.name !== undefined) instance.name = String(updates.name);
+    }
+
+    return instance;
+  }
+
+  deleteInstance(project, instanceId) {
+    const instance = this.getInstance(project, instanceId);
+    this.removeFromPage(project, instance);
+    project.content.componentInstances.pull(instance);
+    return instance;
+  }
+
+  removeFromPage(project, instance) {
+    const page = (project.content?.pages || []).find(item => item.id === instance.pageId);
+    if (page) {
+      page.components = page.components.filter(id => id !== instance.id);
+    }
+  }
+
+  // Freeze the definition into the instance so later definition updates skip it
+  detachInstance(project, instanceId) {
+    const instance = this.getInstance(project, instanceId);
+    if (instance.detached) {
+      throw createHttpError('Component instance is already detached', 400);
+    }
+
+    const definition = this.getDefinition(project, instance.definitionId);
+    instance.detached = true;
+    instance.detachedFrom = definition.id;
+    instance.definitionId = null;
+    instance.name = definition.name;
+    instance.code = definition.code;
+    instance.propsSchema = definition.propsSchema || {};
+    instance.styles = { ...(definition.defaultStyles || {}), ...(instance.styles || {}) };
+
+    return instance;
+  }
+
+  escapeValue(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Merge definition defaults with instance overrides and fill {{prop}} placeholders in the code
+  resolveInstance(project, instance) {
+    const source = instance.detached
+      ? { name: instance.name, code: instance.code, propsSchema: instance.propsSchema, defaultStyles: {} }
+      : this.getDefinition(project, instance.definitionId);
+
+    const props = { ...this.getDefaultProps(source.propsSchema), ...(instance.props || {}) };
+    const styles = { ...(source.defaultStyles || {}), ...(instance.styles || {}) };
+    const rendered = (source.code || '').replace(/\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g, (match, name) => (
+      props[name] === undefined || props[name] === null ? '' : this.escapeValue(typeof props[name] === 'object' ? JSON.stringify(props[name]) : props[name])
+    ));
+
+    return {
+      id: instance.id,
+      definitionId: instance.definitionId,
+      detached: instance.detached,
+      detachedFrom: instance.detachedFrom || null,
+      pageId: instance.pageId,
+      name: source.name,
+      definitionVersion: instance.definitionVersion,
+      props,
+      overrides: { props: instance.props || {}, styles: instance.styles || {} },
+      styles,
+      position: instance.position,
+      rendered
+    };
+  }
+
+  listInstances(project, { pageId, definitionId } = {}) {
+    return (project.content?.componentInstances || [])
+      .filter(instance => (!pageId || instance.pageId === pageId) && (!definitionId || instance.definitionId === definitionId))
+      .map(instance => this.resolveInstance(project, instance));
+  }
+
+  // Rewrite legacy content.components (see utils/legacyComponents.js) as definitions
+  // and instances. Loading a project converts it too; this catches the ones nobody opens.
+  async migrateLegacyComponents({ dryRun = false, signal, report = () => {} } = {}) {
+    const total = await Project.countDocuments(LEGACY_COMPONENTS_QUERY);
+    const stats = { dryRun, total, processed: 0, migrated: 0, instances: 0 };
+    report(stats);
+
+    let lastId = null;
+    while (!signal?.aborted) {
+      const batch = await Project.find(lastId ? { ...LEGACY_COMPONENTS_QUERY, _id: { $gt: lastId } } : LEGACY_COMPONENTS_QUERY)
+        .select('_id content.components content.componentInstances')
+        .sort({ _id: 1 })
+        .limit(MIGRATION_BATCH_SIZE)
+        .lean();
+      if (batch.length === 0) break;
+      lastId = batch[batch.length - 1]._id;
+
+      const updates = [];
+      batch.forEach(project => {
+        const converted = convertLegacyComponents(project.content);
+        if (!converted) return;
+        stats.instances += converted.componentInstances.length - (project.content.componentInstances || []).length;
+        updates.push({
+          updateOne: {
+            filter: { _id: project._id },
+            update: { $set: { 'content.components': converted.components, 'content.componentInstances': converted.componentInstances } },
+            timestamps: false
+          }
+        });
+      });
+
+      if (updates.length > 0 && !dryRun) {
+        await Project.bulkWrite(updates);
+      }
+      stats.migrated += updates.length;
+      stats.processed += batch.length;
+      report(stats);
+    }
+
+    return stats;
+  }
+}
+
+module.exports = new ComponentService();
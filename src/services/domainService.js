@@ -0,0 +1,227 @@
+// src/services/domainService.js
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const CustomDomain = require('../models/CustomDomain');
+const publishService = require('./publishService');
+const { createHttpError } = require('../utils/helpers');
+
+const MAX_DOMAINS_PER_PROJECT = 5;
+const VERIFICATION_PREFIX = '_wbverify';
+const VERIFICATION_VALUE_PREFIX = 'website-builder-verify=';
+const LOOKUP_CACHE_TTL = 30 * 1000;
+const LOOKUP_CACHE_SIZE = parseInt(process.env.DOMAIN_LOOKUP_CACHE_SIZE) || 1000;
+const DOMAIN_PATTERN = /^(?=.{4,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+class DomainService {
+  constructor() {
+    this.resolver = this.createDefaultResolver();
+    // host -> { projectId, expiresAt } for verified domains only, least recently used first.
+    // Misses are not cached: any Host header can be sent, so they would be unbounded.
+    this.lookupCache = new Map();
+  }
+
+  // System resolver, or a dedicated one when DNS_RESOLVER_SERVERS is set
+  // (e.g. "127.0.0.1:5353" to point verification at a local stub server)
+  createDefaultResolver() {
+    const servers = (process.env.DNS_RESOLVER_SERVERS || '').split(',').map(server => server.trim()).filter(Boolean);
+    if (servers.length === 0) {
+      return dns.promises;
+    }
+    const resolver = new dns.promises.Resolver();
+    resolver.setServers(servers);
+    return resolver;
+  }
+
+  // Swap the TXT resolver; anything with resolveTxt(hostname) -> Promise<string[][]> works
+  setResolver(resolver) {
+    if (!resolver || typeof resolver.resolveTxt !== 'function') {
+      throw new Error('Resolver must implement resolveTxt(hostname)');
+    }
+    this.resolver = resolver;
+  }
+
+  normalizeDomain(domain) {
+    return String(domain || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '').replace(/\.$/, '');
+  }
+
+  validateDomain(domain) {
+    if (!domain) {
+      return 'Domain is required';
+    }
+    if (net.isIP(domain)) {
+      return 'IP addresses cannot be used as custom domains';
+    }
+    if (!DOMAIN_PATTERN.test(domain)) {
+      return 'Domain is not a valid host name';
+    }
+    const baseDomain = publishService.getBaseDomain();
+    if (baseDomain && (domain === baseDomain || domain.endsWith(`.${baseDomain}`))) {
+      return 'Use project subdomains for addresses on the platform domain';
+    }
+    return null;
+  }
+
+  getVerificationRecord(domainRecord) {
+    return {
+      type: 'TXT',
+      name: `${VERIFICATION_PREFIX}.${domainRecord.domain}`,
+      value: `${VERIFICATION_VALUE_PREFIX}${domainRecord.verificationToken}`
+    };
+  }
+
+  format(domainRecord) {
+    return {
+      _id: domainRecord._id,
+      domain: domainRecord.domain,
+      status: domainRecord.status,
+      verifiedAt: domainRecord.verifiedAt,
+      lastCheckedAt: domainRecord.lastCheckedAt,
+      lastError: domainRecord.lastError,
+      verification: this.getVerificationRecord(domainRecord),
+      createdAt: domainRecord.createdAt
+    };
+  }
+
+  async listDomains(projectId) {
+    const domains = await CustomDomain.find({ projectId }).sort({ createdAt: 1 });
+    return domains.map(domainRecord => this.format(domainRecord));
+  }
+
+  async addDomain(project, domain) {
+    const normalized = this.normalizeDomain(domain);
+    const error = this.validateDomain(normalized);
+    if (error) {
+      throw createHttpError(error, 400);
+    }
+
+    const count = await CustomDomain.countDocuments({ projectId: project._id });
+    if (count >= MAX_DOMAINS_PER_PROJECT) {
+      throw createHttpError(`A project can have at most ${MAX_DOMAINS_PER_PROJECT} custom domains`, 400);
+    }
+
+    // Other projects' pending claims do not block this one; whoever proves control first wins
+    if (await CustomDomain.exists({ domain: normalized, projectId: project._id })) {
+      throw createHttpError('This domain is already added to this project', 409);
+    }
+    if (await CustomDomain.exists({ domain: normalized, status: 'verified' })) {
+      throw createHttpError('This domain is already connected to a project', 409);
+    }
+
+    const domainRecord = await CustomDomain.create({
+      projectId: project._id,
+      userId: project.userId,
+      domain: normalized,
+      verificationToken: crypto.randomBytes(16).toString('hex')
+    });
+    return this.format(domainRecord);
+  }
+
+  async getDomain(projectId, domainId) {
+    const domainRecord = await CustomDomain.findOne({ _id: domainId, projectId });
+    if (!domainRecord) {
+      throw createHttpError('Domain not found', 404);
+    }
+    return domainRecord;
+  }
+
+  // Look up the TXT record and mark the domain verified when the token matches
+  async verifyDomain(projectId, domainId) {
+    const domainRecord = await this.getDomain(projectId, domainId);
+    const expected = this.getVerificationRecord(domainRecord);
+
+    let records = [];
+    let lookupError = null;
+    try {
+      records = await this.resolver.resolveTxt(expected.name);
+    } catch (error) {
+      lookupError = error.code === 'ENOTFOUND' || error.code === 'ENODATA'
+        ? `No TXT record found at ${expected.name}`
+        : `DNS lookup failed: ${error.message}`;
+    }
+
+    const values = records.map(chunks => (Array.isArray(chunks) ? chunks.join('') : String(chunks)).trim());
+    const verified = values.includes(expected.value);
+    if (verified && domainRecord.status !== 'verified' &&
+      await CustomDomain.exists({ domain: domainRecord.domain, status: 'verified', _id: { $ne: domainRecord._id } })) {
+      throw createHttpError('This domain is already connected to another project', 409);
+    }
+
+    domainRecord.lastCheckedAt = new Date();
+    if (verified) {
+      domainRecord.status = 'verified';
+      domainRecord.verifiedAt = domainRecord.verifiedAt || new Date();
+      domainRecord.lastError = null;
+    } else {
+      // A previously verified domain that lost its record stops serving
+      domainRecord.status = domainRecord.status === 'verified' ? 'failed' : domainRecord.status;
+      domainRecord.lastError = lookupError || `TXT record at ${expected.name} does not contain the verification token`;
+    }
+    try {
+      await domainRecord.save();
+    } catch (saveError) {
+      // Another claim was verified at the same moment (unique index on verified domains)
+      if (saveError.code === 11000) {
+        throw createHttpError('This domain is already connected to another project', 409);
+      }
+      throw saveError;
+    }
+    this.lookupCache.delete(domainRecord.domain);
+
+    return this.format(domainRecord);
+  }
+
+  async removeDomain(projectId, domainId) {
+    const domainRecord = await this.getDomain(projectId, domainId);
+    await domainRecord.deleteOne();
+    this.lookupCache.delete(domainRecord.domain);
+    return { domain: domainRecord.domain };
+  }
+
+  async removeProjectDomains(projectId) {
+    const domains = await CustomDomain.find({ projectId }).select('domain').lean();
+    domains.forEach(domainRecord => this.lookupCache.delete(domainRecord.domain));
+    await CustomDomain.deleteMany({ projectId });
+  }
+
+  // Hosts that belong to the API itself and never map to a custom domain
+  isPlatformHost(hostname) {
+    const appHosts = publishService.getAppHosts();
+    const baseDomain = publishService.getBaseDomain();
+    return hostname === 'localhost' ||
+      net.isIP(hostname) !== 0 ||
+      appHosts.includes(hostname) ||
+      (baseDomain && (hostname === baseDomain || hostname.endsWith(`.${baseDomain}`)));
+  }
+
+  // Resolve a request host to the project of a verified custom domain (cached briefly)
+  async findProjectForHost(hostname) {
+    const host = this.normalizeDomain(hostname);
+    if (!host || this.isPlatformHost(host)) {
+      return null;
+    }
+
+    const cached = this.lookupCache.get(host);
+    if (cached) {
+      this.lookupCache.delete(host);
+      if (cached.expiresAt > Date.now()) {
+        this.lookupCache.set(host, cached);
+        return cached.projectId;
+      }
+    }
+
+    const domainRecord = await CustomDomain.findOne({ domain: host, status: 'verified' }).select('projectId').lean();
+    if (!domainRecord) {
+      return null;
+    }
+
+    this.lookupCache.set(host, { projectId: domainRecord.projectId, expiresAt: Date.now() + LOOKUP_CACHE_TTL });
+    if (this.lookupCache.size > LOOKUP_CACHE_SIZE) {
+      this.lookupCache.delete(this.lookupCache.keys().next().value);
+    }
+
+    return domainRecord.projectId;
+  }
+}
+
+module.exports = new DomainService();
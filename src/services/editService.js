@@ -0,0 +1,363 @@
+// src/services/editService.js
+const crypto = require('crypto');
+const workspaceService = require('./workspaceService');
+const versionService = require('./versionService');
+const componentService = require('./componentService');
+const enhancedAiService = require('./enhancedAiService');
+const { createHttpError } = require('../utils/helpers');
+const { createUnifiedDiff, diffStats } = require('../utils/diff');
+const { parseUnifiedDiff, parseSearchReplaceBlocks, applyHunks, applySearchReplace } = require('../utils/patch');
+
+const FORMATS = ['search-replace', 'diff'];
+const MAX_EDIT_FILES = 10;
+const MAX_EDIT_CHARS = 200000;
+
+// Incremental AI edits: the model returns patches against the current files,
+// which are previewed and only written when they apply cleanly.
+// Targets use the same virtual paths as version diffs: content.html|css|js,
+// content.pages/<page path>.html|.css, content.components/<name>, or workspace file paths.
+class EditService {
+  parseTarget(filePath) {
+    if (typeof filePath !== 'string' || !filePath.trim()) {
+      throw createHttpError('File path is required', 400);
+    }
+    const target = filePath.trim();
+
+    const field = /^content\.(html|css|js)$/.exec(target);
+    if (field) {
+      return { kind: 'content', path: target, field: field[1] };
+    }
+
+    const page = /^content\.pages(\/.*)\.(html|css)$/.exec(target);
+    if (page) {
+      return { kind: 'page', path: target, pagePath: page[1] === '/index' ? '/' : page[1], field: page[2] };
+    }
+
+    const component = /^content\.components\/(.+)$/.exec(target);
+    if (component) {
+      return { kind: 'component', path: target, name: component[1] };
+    }
+
+    return { kind: 'file', path: workspaceService.normalizePath(target) };
+  }
+
+  findPage(project, pagePath) {
+    const page = (project.content?.pages || []).find(item => item.path === pagePath);
+    if (!page) {
+      throw createHttpError(`Page ${pagePath} not found`, 404);
+    }
+    return page;
+  }
+
+  findComponent(project, name) {
+    const definition = (project.content?.components || []).find(item => item.name === name);
+    if (!definition) {
+      throw createHttpError(`Component ${name} not found`, 404);
+    }
+    return definition;
+  }
+
+  async readTarget(project, filePath) {
+    const target = this.parseTarget(filePath);
+
+    if (target.kind === 'content') {
+      return { ...target, content: project.content?.[target.field] || '' };
+    }
+    if (target.kind === 'page') {
+      return { ...target, content: this.findPage(project, target.pagePath)[target.field] || '' };
+    }
+    if (target.kind === 'component') {
+      return { ...target, content: this.findComponent(project, target.name).code || '' };
+    }
+
+    const file = await workspaceService.readFile(project._id, target.path);
+    return { ...target, content: file.content || '' };
+  }
+
+  // Project fields are changed in place (caller saves); workspace files are written directly
+  async writeTarget(project, target, content, { userId = null } = {}) {
+    if (target.kind === 'content') {
+      project.content[target.field] = content;
+    } else if (target.kind === 'page') {
+      this.findPage(project, target.pagePath)[target.field] = content;
+    } else if (target.kind === 'component') {
+      // Goes through the library so attached instances pick up the change
+      componentService.updateDefinition(project, this.findComponent(project, target.name).id, { code: content });
+    } else {
+      await workspaceService.writeFile(project._id, target.path, content, { userId });
+    }
+  }
+
+  hashContent(content) {
+    return crypto.createHash('sha1').update(content || '').digest('hex');
+  }
+
+  formatFiles(files) {
+    return files.map(file => `FILE: ${file.path}
+\`\`\`
+${file.content}
+\`\`\``).join('\n\n');
+  }
+
+  getFormatRules(format) {
+    return format === 'diff'
+      ? `Reply with a unified diff only. Start each file with "--- a/<path>" and "+++ b/<path>" lines,
+then "@@ -start,count +start,count @@" hunks with 3 lines of unchanged context.`
+      : `Reply with SEARCH/REPLACE blocks only, one per change:
+<path>
+<<<<<<< SEARCH
+exact existing lines
+=======
+replacement lines
+>>>>>>> REPLACE
+The SEARCH part must copy the current lines exactly and be long enough to match only once.`;
+  }
+
+  buildPrompt(files, instruction, format) {
+    return `Edit the files below according to the instruction. Change only what the instruction needs.
+
+INSTRUCTION:
+${instruction}
+
+${this.formatFiles(files)}
+
+${this.getFormatRules(format)}
+Use the file paths exactly as given. Do not repeat whole files and do not add explanations.`;
+  }
+
+  // Match a path the model wrote to one of the requested paths
+  matchPath(candidate, paths) {
+    if (!candidate) {
+      return paths.length === 1 ? paths[0] : null;
+    }
+    if (paths.includes(candidate)) return candidate;
+    return paths.find(item => item.endsWith(`/${candidate}`) || candidate.endsWith(`/${item}`)) || null;
+  }
+
+  // Model output -> { edits: Map(path -> edit), unassigned }
+  parseResponse(text, paths, format) {
+    const edits = new Map();
+    const unassigned = [];
+
+    const add = (filePath, key, items) => {
+      if (!edits.has(filePath)) {
+        edits.set(filePath, { format, [key]: [] });
+      }
+      edits.get(filePath)[key].push(...items);
+    };
+
+    const blocks = parseSearchReplaceBlocks(text);
+    const useBlocks = format === 'search-replace' ? blocks.length > 0 || parseUnifiedDiff(text).length === 0 : false;
+
+    if (useBlocks) {
+      blocks.forEach(block => {
+        const filePath = this.matchPath(block.path, paths);
+        if (filePath) {
+          add(filePath, 'blocks', [{ search: block.search, replace: block.replace, complete: block.complete }]);
+        } else {
+          unassigned.push({ path: block.path, search: block.search });
+        }
+      });
+      return { edits, unassigned };
+    }
+
+    // Asked for diffs, or the model answered with a diff anyway
+    parseUnifiedDiff(text).forEach(file => {
+      const filePath = this.matchPath(file.newPath || file.oldPath, paths);
+      if (filePath) {
+        edits.set(filePath, { format: 'diff', hunks: [...(edits.get(filePath)?.hunks || []), ...file.hunks] });
+      } else {
+        unassigned.push({ path: file.newPath || file.oldPath, hunks: file.hunks.length });
+      }
+    });
+    return { edits, unassigned };
+  }
+
+  // Check an edit sent back by a client before applying it
+  validateEdit(edit, filePath) {
+    if (!edit || !FORMATS.includes(edit.format)) {
+      throw createHttpError(`Edit for ${filePath} needs a format of ${FORMATS.join(' or ')}`, 400);
+    }
+
+    if (edit.format === 'search-replace') {
+      const valid = Array.isArray(edit.blocks) && edit.blocks.length > 0 && edit.blocks.every(block => (
+        block && typeof block.search === 'string' && typeof block.replace === 'string'
+      ));
+      if (!valid) {
+        throw createHttpError(`Edit for ${filePath} needs blocks of { search, replace } strings`, 400);
+      }
+      return edit;
+    }
+
+    const valid = Array.isArray(edit.hunks) && edit.hunks.length > 0 && edit.hunks.every(hunk => (
+      hunk && Array.isArray(hunk.lines) && hunk.lines.every(line => typeof line === 'string' && /^[ +-]/.test(line))
+    ));
+    if (!valid) {
+      throw createHttpError(`Edit for ${filePath} needs hunks with " ", "+" or "-" prefixed lines`, 400);
+    }
+    return {
+      format: 'diff',
+      hunks: edit.hunks.map(hunk => ({
+        header: hunk.header || '@@ @@',
+        oldStart: Number.isInteger(hunk.oldStart) ? hunk.oldStart : null,
+        oldLines: Number.isInteger(hunk.oldLines) ? hunk.oldLines : null,
+        newStart: Number.isInteger(hunk.newStart) ? hunk.newStart : null,
+        newLines: Number.isInteger(hunk.newLines) ? hunk.newLines : null,
+        lines: hunk.lines
+      }))
+    };
+  }
+
+  applyEdit(content, edit) {
+    return edit.format === 'diff'
+      ? applyHunks(content, edit.hunks)
+      : applySearchReplace(content, edit.blocks);
+  }
+
+  // Result of applying one file's edit, with a unified diff of what would change
+  describeResult(file, edit, result) {
+    const changed = result.content !== file.content;
+    let status = 'clean';
+    if (!edit) status = 'unchanged';
+    else if (result.applied.length === 0) status = 'failed';
+    else if (result.failed.length > 0) status = 'partial';
+
+    return {
+      path: file.path,
+      baseHash: this.hashContent(file.content),
+      status,
+      edit: edit || null,
+      applied: result.applied,
+      failed: result.failed,
+      ...diffStats(file.content, result.content),
+      diff: changed ? createUnifiedDiff(file.content, result.content, { oldPath: `a/${file.path}`, newPath: `b/${file.path}` }) : ''
+    };
+  }
+
+  // Ask the model for patches against the given files and dry-run them. Nothing is written.
+  async preview(project, userId, { instruction, files, format = 'search-replace', provider, keyId, model } = {}) {
+    if (typeof instruction !== 'string' || !instruction.trim()) {
+      throw createHttpError('Instruction is required', 400);
+    }
+    if (!FORMATS.includes(format)) {
+      throw createHttpError(`format must be ${FORMATS.join(' or ')}`, 400);
+    }
+    if (!Array.isArray(files) || files.length === 0) {
+      throw createHttpError('files must list at least one path', 400);
+    }
+    if (files.length > MAX_EDIT_FILES) {
+      throw createHttpError(`At most ${MAX_EDIT_FILES} files can be edited at once`, 400);
+    }
+
+    const targets = [];
+    for (const filePath of Array.from(new Set(files))) {
+      targets.push(await this.readTarget(project, filePath));
+    }
+    if (targets.reduce((sum, target) => sum + target.content.length, 0) > MAX_EDIT_CHARS) {
+      throw createHttpError(`Files to edit exceed ${MAX_EDIT_CHARS} characters`, 413);
+    }
+
+    const result = await enhancedAiService.generateEdit(userId, this.buildPrompt(targets, instruction.trim(), format), {
+      provider,
+      keyId,
+      model,
+      projectId: project._id
+    });
+
+    const paths = targets.map(target => target.path);
+    const { edits, unassigned } = this.parseResponse(result.content, paths, format);
+
+    const previews = targets.map(target => {
+      const edit = edits.get(target.path);
+      const outcome = edit ? this.applyEdit(target.content, edit) : { content: target.content, applied: [], failed: [] };
+      return this.describeResult(target, edit, outcome);
+    });
+
+    return {
+      instruction: instruction.trim(),
+      format,
+      files: previews,
+      unassigned,
+      clean: previews.some(file => file.edit) && previews.every(file => file.status === 'clean' || file.status === 'unchanged'),
+      raw: result.content,
+      provider: result.provider,
+      model: result.model,
+      tokensUsed: result.tokensUsed,
+      attempts: result.attempts
+    };
+  }
+
+  // Re-apply previewed edits to the current files and commit them as a new version.
+  // Every file needs the baseHash its preview returned; files changed since then are
+  // rejected (409). Failed hunks reject the whole edit (422) unless allowPartial is set.
+  // Caller saves the project.
+  async apply(project, userId, { files, description, allowPartial = false } = {}) {
+    if (!Array.isArray(files) || files.length === 0) {
+      throw createHttpError('files must list at least one edit', 400);
+    }
+    if (files.length > MAX_EDIT_FILES) {
+      throw createHttpError(`At most ${MAX_EDIT_FILES} files can be edited at once`, 400);
+    }
+
+    const results = [];
+    const seen = new Set();
+    for (const entry of files) {
+      const target = await this.readTarget(project, entry?.path);
+      if (seen.has(target.path)) {
+        throw createHttpError(`${target.path} is listed more than once`, 400);
+      }
+      seen.add(target.path);
+
+      if (typeof entry.baseHash !== 'string' || !entry.baseHash) {
+        throw createHttpError(`baseHash is required for ${target.path}`, 400);
+      }
+      if (entry.baseHash !== this.hashContent(target.content)) {
+        const error = createHttpError(`${target.path} changed since the edit was previewed`, 409);
+        error.path = target.path;
+        throw error;
+      }
+
+      const edit = this.validateEdit(entry.edit, target.path);
+      results.push({ target, outcome: this.applyEdit(target.content, edit), edit });
+    }
+
+    const failures = results
+      .filter(({ outcome }) => outcome.failed.length > 0)
+      .map(({ target, outcome }) => ({ path: target.path, failed: outcome.failed }));
+    if (failures.length > 0 && !allowPartial) {
+      const error = createHttpError('Some edits do not apply to the current files', 422);
+      error.failures = failures;
+      throw error;
+    }
+
+    const changed = results.filter(({ target, outcome }) => outcome.content !== target.content);
+    if (changed.length === 0) {
+      throw createHttpError('The edits do not change any file', 400);
+    }
+
+    await versionService.createSnapshot(project, {
+      description: 'Before AI edit',
+      source: 'ai-edit',
+      auto: true,
+      userId
+    });
+
+    for (const { target, outcome } of changed) {
+      await this.writeTarget(project, target, outcome.content, { userId });
+    }
+
+    const version = await versionService.createSnapshot(project, {
+      description: description ? String(description).slice(0, 500) : `AI edit of ${changed.map(({ target }) => target.path).join(', ')}`,
+      source: 'ai-edit',
+      userId
+    });
+
+    return {
+      version: version.version,
+      files: results.map(({ target, edit, outcome }) => this.describeResult(target, edit, outcome)),
+      failures
+    };
+  }
+}
+
+module.exports = new EditService();
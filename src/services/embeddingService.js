@@ -0,0 +1,191 @@
+// src/services/embeddingService.js
+const crypto = require('crypto');
+const OpenAI = require('openai');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const usageService = require('./usageService');
+const { createHttpError } = require('../utils/helpers');
+
+// Text beyond this is ignored; provider limits are around 8k tokens
+const MAX_INPUT_CHARS = 8000;
+const BATCH_SIZE = 64;
+
+// Tokens so common in code and prose that they say nothing about what a snippet does.
+// They stand in for the inverse document frequency the hashing embedder cannot compute offline.
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'this', 'that', 'from', 'are', 'was', 'you', 'your', 'use', 'using',
+  'const', 'let', 'var', 'return', 'import', 'export', 'default', 'function', 'new', 'true', 'false',
+  'null', 'undefined', 'class', 'classname', 'div', 'span', 'props', 'async', 'await', 'then',
+  'if', 'else', 'of', 'in', 'to', 'is', 'it', 'on', 'or', 'an', 'as', 'be', 'by', 'at'
+]);
+
+// Pluggable text embedders. Every embedder returns unit-length vectors, and its `id`
+// changes whenever its vectors stop being comparable with earlier ones.
+// KNOWLEDGE_EMBEDDER picks one: hashing (offline, default), openai or gemini.
+class EmbeddingService {
+  constructor() {
+    this.embedders = {
+      hashing: {
+        dimensions: () => parseInt(process.env.KNOWLEDGE_HASHING_DIMS, 10) || 1024,
+        model: () => 'hashing-v1',
+        reuseThreshold: 0.6,
+        embed: (texts) => texts.map(text => this.hashingEmbed(text, this.embedders.hashing.dimensions()))
+      },
+      openai: {
+        dimensions: () => null,
+        model: () => process.env.KNOWLEDGE_EMBEDDING_MODEL || 'text-embedding-3-small',
+        reuseThreshold: 0.75,
+        embed: (texts, options) => this.embedOpenAI(texts, options)
+      },
+      gemini: {
+        dimensions: () => null,
+        model: () => process.env.KNOWLEDGE_EMBEDDING_MODEL || 'text-embedding-004',
+        reuseThreshold: 0.75,
+        embed: (texts, options) => this.embedGemini(texts, options)
+      }
+    };
+  }
+
+  getEmbedderName() {
+    const name = process.env.KNOWLEDGE_EMBEDDER || 'hashing';
+    if (!this.embedders[name]) {
+      throw createHttpError(`Unknown KNOWLEDGE_EMBEDDER "${name}"; use ${Object.keys(this.embedders).join(', ')}`, 500);
+    }
+    return name;
+  }
+
+  // Stored on every entry as embeddingModel; search only compares vectors with the same id
+  getEmbedderId() {
+    const name = this.getEmbedderName();
+    const embedder = this.embedders[name];
+    const dimensions = embedder.dimensions();
+    return `${name}:${embedder.model()}${dimensions ? `:${dimensions}` : ''}`;
+  }
+
+  // Similarity above which generated code is adapted instead of written from scratch
+  getReuseThreshold() {
+    const configured = parseFloat(process.env.KNOWLEDGE_REUSE_THRESHOLD);
+    return Number.isFinite(configured) ? configured : this.embedders[this.getEmbedderName()].reuseThreshold;
+  }
+
+  // "fetchUserProfile" -> ["fetch", "user", "profile"]
+  tokenize(text) {
+    return String(text || '')
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+  }
+
+  // Feature hashing of unigrams and bigrams with sublinear term frequency.
+  // A hashed sign bit keeps collisions from only ever adding up.
+  hashingEmbed(text, dimensions) {
+    const tokens = this.tokenize(String(text || '').slice(0, MAX_INPUT_CHARS * 2));
+    const counts = new Map();
+    const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+
+    tokens.forEach((token, index) => {
+      add(token, 1);
+      if (index > 0) add(`${tokens[index - 1]} ${token}`, 0.5);
+    });
+
+    const vector = new Array(dimensions).fill(0);
+    counts.forEach((count, feature) => {
+      const hash = crypto.createHash('md5').update(feature).digest();
+      const bucket = hash.readUInt32LE(0) % dimensions;
+      const sign = hash[4] & 1 ? 1 : -1;
+      vector[bucket] += sign * (1 + Math.log(count));
+    });
+
+    return this.normalize(vector);
+  }
+
+  normalize(vector) {
+    const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return magnitude > 0 ? vector.map(value => value / magnitude) : vector;
+  }
+
+  getServerKey(provider) {
+    const apiKey = process.env[`${provider.toUpperCase()}_API_KEY`];
+    if (!apiKey) {
+      throw createHttpError(`KNOWLEDGE_EMBEDDER=${provider} needs ${provider.toUpperCase()}_API_KEY`, 500);
+    }
+    return apiKey;
+  }
+
+  async embedOpenAI(texts, { signal } = {}) {
+    const openai = new OpenAI({ apiKey: this.getServerKey('openai') });
+    const response = await openai.embeddings.create({
+      model: this.embedders.openai.model(),
+      input: texts
+    }, { signal });
+
+    return {
+      vectors: response.data.sort((a, b) => a.index - b.index).map(item => item.embedding),
+      inputTokens: response.usage?.prompt_tokens || 0
+    };
+  }
+
+  async embedGemini(texts, { signal } = {}) {
+    const genAI = new GoogleGenerativeAI(this.getServerKey('gemini'));
+    const model = genAI.getGenerativeModel({ model: this.embedders.gemini.model() });
+    const response = await model.batchEmbedContents({
+      requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+    }, { signal });
+
+    return { vectors: response.embeddings.map(item => item.values), inputTokens: 0 };
+  }
+
+  // Embed texts in batches. `context` ({ userId, projectId, operation }) bills provider
+  // calls to a user in the usage ledger; offline embedders are free and not recorded.
+  async embed(texts, { context = null, signal } = {}) {
+    const name = this.getEmbedderName();
+    const embedder = this.embedders[name];
+    const inputs = texts.map(text => String(text || '').slice(0, MAX_INPUT_CHARS) || ' ');
+    const vectors = [];
+
+    for (let start = 0; start < inputs.length; start += BATCH_SIZE) {
+      const batch = inputs.slice(start, start + BATCH_SIZE);
+
+      if (name === 'hashing') {
+        vectors.push(...embedder.embed(batch));
+        continue;
+      }
+
+      const startedAt = Date.now();
+      try {
+        const result = await embedder.embed(batch, { signal });
+        const inputTokens = result.inputTokens || usageService.estimateTokens(batch.join('\n'));
+        await usageService.record(context && { keySource: 'server', operation: 'embedding', ...context }, {
+          provider: name,
+          model: embedder.model(),
+          usage: { inputTokens, outputTokens: 0, totalTokens: inputTokens, estimated: !result.inputTokens },
+          latencyMs: Date.now() - startedAt,
+          outcome: 'success'
+        });
+        vectors.push(...result.vectors.map(vector => this.normalize(vector)));
+      } catch (error) {
+        const wrapped = error.statusCode
+          ? error
+          : createHttpError(`${name} embedding request failed: ${error.message}`, 502);
+        await usageService.record(context && { keySource: 'server', operation: 'embedding', ...context }, {
+          provider: name,
+          model: embedder.model(),
+          usage: null,
+          latencyMs: Date.now() - startedAt,
+          outcome: signal?.aborted ? 'cancelled' : 'error',
+          error: wrapped
+        });
+        throw wrapped;
+      }
+    }
+
+    return vectors;
+  }
+
+  async embedOne(text, options = {}) {
+    const [vector] = await this.embed([text], options);
+    return vector;
+  }
+}
+
+module.exports = new EmbeddingService();
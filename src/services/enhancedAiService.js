@@ -1,153 +1,191 @@
 // src/services/enhancedAiService.js
-const OpenAI = require('openai');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const Anthropic = require('@anthropic-ai/sdk');
-const fetch = require('node-fetch');
 const User = require('../models/User');
+const aiProviders = require('./aiProviders');
+const apiKeyResolver = require('./apiKeyResolver');
+const providerResilience = require('./providerResilience');
+const { createHttpError } = require('../utils/helpers');
+const { ANALYSIS_JSON_SCHEMA, validateAnalysis } = require('../utils/analysisSchema');
+
+// Characters of uploaded documents included in an analysis prompt
+const ANALYSIS_DOCUMENT_CHARS = 30000;
 
 class EnhancedAiService {
-  constructor() {
-    this.providers = {
-      openai: this.callOpenAI.bind(this),
-      gemini: this.callGemini.bind(this),
-      claude: this.callClaude.bind(this),
-      openrouter: this.callOpenRouter.bind(this)
-    };
-  }
+  // Structured analysis of a project from its description, uploaded documents and Figma flows.
+  // The reply must validate against analysisSchema; one repair round is attempted before giving up.
+  async generateProjectAnalysis(userId, project, options = {}) {
+    const user = await User.findOne({ uid: userId });
+    if (!user) {
+      throw new Error('User not found');
+    }
 
-  async generateProjectAnalysis(userId, projectData) {
-    try {
-      const user = await User.findOne({ uid: userId });
-      if (!user) {
-        throw new Error('User not found');
-      }
+    const provider = aiProviders.getPreferredProvider(user, options.provider);
+    const analysisPrompt = this.buildProjectAnalysisPrompt(project);
+    const callOptions = {
+      ...options,
+      type: 'analysis',
+      projectId: project._id,
+      maxTokens: options.maxTokens || 4000,
+      temperature: 0.2,
+      jsonSchema: { name: 'project_analysis', schema: ANALYSIS_JSON_SCHEMA }
+    };
 
-      const provider = user.preferences?.defaultAiProvider || 'openai';
-      const apiKey = this.getUserApiKey(user, provider);
-      
-      if (!apiKey) {
-        throw new Error(`No API key found for ${provider}`);
-      }
+    let result = await this.callWithFallback(user, provider, analysisPrompt, callOptions);
+    let attempts = result.attempts;
+    let validation = validateAnalysis(result.content);
+
+    if (validation.errors) {
+      console.warn(`Project analysis for ${project._id} failed validation, asking for a repair:`, validation.errors);
+      // A fallback provider answered: the requested key and model belong to the original one
+      const repairOptions = result.provider === provider
+        ? callOptions
+        : { ...callOptions, keyId: undefined, keyName: undefined, model: undefined };
+      result = await this.callWithFallback(user, result.provider,
+        this.buildAnalysisRepairPrompt(analysisPrompt, result.content, validation.errors),
+        repairOptions);
+      attempts = [...attempts, ...result.attempts];
+      validation = validateAnalysis(result.content);
+    }
 
-      const analysisPrompt = this.buildProjectAnalysisPrompt(projectData);
-      
-      const result = await this.callProvider(provider, apiKey, analysisPrompt, {
-        type: 'analysis',
-        maxTokens: 2000
-      });
-
-      return {
-        analysis: this.parseAnalysisResult(result.content),
-        prompt: this.generateDevelopmentPrompt(projectData, result.content),
-        provider: result.provider,
-        tokensUsed: result.tokensUsed
-      };
-    } catch (error) {
-      console.error('Project analysis failed:', error);
+    if (validation.errors) {
+      const error = createHttpError('The AI provider returned an analysis that does not match the expected format', 502);
+      error.details = validation.errors;
+      error.attempts = attempts;
       throw error;
     }
+
+    return {
+      analysis: validation.value,
+      prompt: this.generateDevelopmentPrompt(project, validation.value),
+      provider: result.provider,
+      model: result.model,
+      keyId: result.keyId,
+      keySource: result.keySource,
+      tokensUsed: result.tokensUsed,
+      attempts
+    };
+  }
+
+  // Parsed text of uploaded documents, capped so a large upload cannot crowd out the rest
+  getUploadedContent(project) {
+    let remaining = ANALYSIS_DOCUMENT_CHARS;
+    return (project.uploadedFiles || [])
+      .filter(file => file.parsedContent && file.parsedContent.trim())
+      .map(file => {
+        const content = file.parsedContent.trim().slice(0, Math.max(remaining, 0));
+        remaining -= content.length;
+        return content ? `--- ${file.originalName || file.filename} ---\n${content}` : null;
+      })
+      .filter(Boolean)
+      .join('\n\n');
   }
 
-  buildProjectAnalysisPrompt(data) {
-    let prompt = `Please analyze this web development project and provide a comprehensive development plan.
+  getFigmaFlows(project) {
+    return (project.figmaData?.flowAnalysis || []).map(flow => {
+      const screens = (flow.screens || [])
+        .map(screen => screen?.name || screen?.title)
+        .filter(Boolean);
+      return `- ${flow.flowName || 'Unnamed flow'}: ${screens.length > 0 ? screens.join(' -> ') : `${(flow.screens || []).length} screens`}`;
+    });
+  }
+
+  buildProjectAnalysisPrompt(project) {
+    let prompt = `Analyze this web development project and plan how to build it.
 
 Project Details:
-- Name: ${data.name}
-- Description: ${data.description}
-- Category: ${data.category}
-- Backend Required: ${data.backendRequired ? 'Yes' : 'No'}
+- Name: ${project.name}
+- Description: ${project.description || 'none'}
+- Category: ${project.category || 'other'}
+- Backend Required: ${project.backendRequired ? 'Yes' : 'No'}
 
 `;
 
-    if (data.uploadedContent) {
-      prompt += `Additional Documentation:
-${data.uploadedContent}
+    const documents = this.getUploadedContent(project);
+    if (documents) {
+      prompt += `Uploaded Documents:
+${documents}
 
 `;
     }
 
-    if (data.figmaData) {
-      prompt += `Design Information:
-- Figma design is available with detailed mockups
+    const flows = this.getFigmaFlows(project);
+    if (flows.length > 0) {
+      prompt += `Figma User Flows:
+${flows.join('\n')}
+
 `;
-      if (data.figmaFlows && data.figmaFlows.length > 0) {
-        prompt += `- Design flows analyzed: ${data.figmaFlows.map(f => f.flowName).join(', ')}
+    } else if (project.figmaData?.figmaUrl) {
+      prompt += `A Figma design is linked but its flows have not been analyzed yet.
+
 `;
-      }
-      prompt += '\n';
     }
 
-    prompt += `Please provide:
-1. Technical architecture recommendation
-2. Key features and functionality to implement
-3. Technology stack suggestions (React, Vue, Angular, etc.)
-4. UI/UX considerations
-5. Development timeline estimate
-6. Potential challenges and solutions
+    prompt += `Respond with a single JSON object (no markdown, no commentary) matching this JSON schema:
+${JSON.stringify(ANALYSIS_JSON_SCHEMA)}
 
-Format your response as a structured analysis.`;
+Cover every page the site needs, the reusable components, the data models a backend would store
+(an empty list for static sites), the features by priority and the main delivery risks.`;
 
     return prompt;
   }
 
-  parseAnalysisResult(content) {
-    try {
-      // Extract structured information from AI response
-      const analysis = {
-        architecture: this.extractSection(content, 'architecture'),
-        features: this.extractSection(content, 'features'),
-        techStack: this.extractSection(content, 'technology|tech stack'),
-        uiUx: this.extractSection(content, 'ui/ux|design'),
-        timeline: this.extractSection(content, 'timeline'),
-        challenges: this.extractSection(content, 'challenges')
-      };
+  buildAnalysisRepairPrompt(analysisPrompt, content, errors) {
+    return `${analysisPrompt}
 
-      return analysis;
-    } catch (error) {
-      console.warn('Failed to parse analysis result:', error);
-      return { raw: content };
-    }
-  }
+Your previous reply was rejected:
+${errors.map(error => `- ${error}`).join('\n')}
+
+PREVIOUS REPLY:
+${String(content || '').slice(0, 12000)}
 
-  extractSection(content, sectionPattern) {
-    const regex = new RegExp(`(?:^|\\n)\\d*\\.?\\s*(?:${sectionPattern})[:\\s]*([\\s\\S]*?)(?=\\n\\d+\\.|\\n[A-Z]|$)`, 'im');
-    const match = content.match(regex);
-    return match ? match[1].trim() : '';
+Reply again with the corrected JSON object only.`;
   }
 
-  generateDevelopmentPrompt(projectData, analysisContent) {
-    let prompt = `Create a ${projectData.backendRequired ? 'full-stack' : 'frontend'} web application with the following specifications:
+  generateDevelopmentPrompt(project, analysis) {
+    let prompt = `Create a ${project.backendRequired ? 'full-stack' : 'frontend'} web application with the following specifications:
 
-Project: ${projectData.name}
-Category: ${projectData.category}
+Project: ${project.name}
+Category: ${project.category}
 
 Requirements:
-${projectData.description}
+${project.description}
+
+`;
+
+    if (analysis) {
+      prompt += `Architecture:
+${analysis.architecture.description}
+
+Pages:
+${analysis.pages.map(page => `- ${page.name} (${page.path}): ${page.purpose}`).join('\n')}
+
+Features:
+${analysis.features.map(feature => `- [${feature.priority}] ${feature.name}: ${feature.description}`).join('\n')}
 
 `;
 
-    if (projectData.uploadedContent) {
-      prompt += `Additional Context:
-${projectData.uploadedContent}
+      if (analysis.components.length > 0) {
+        prompt += `Reusable Components:
+${analysis.components.map(component => `- ${component.name}: ${component.description}`).join('\n')}
 
 `;
-    }
+      }
 
-    if (analysisContent) {
-      prompt += `Development Analysis:
-${analysisContent}
+      if (analysis.dataModels.length > 0) {
+        prompt += `Data Models:
+${analysis.dataModels.map(model => `- ${model.name}: ${model.fields.map(field => `${field.name} (${field.type}${field.required ? ', required' : ''})`).join(', ')}`).join('\n')}
 
 `;
+      }
     }
 
-    const techStack = this.getTechStackForCategory(projectData.category, projectData.backendRequired);
+    const techStack = this.getTechStackForCategory(project.category, project.backendRequired);
     
     prompt += `Technical Requirements:
-- Use ${techStack.frontend} for the frontend
+- Use ${analysis?.architecture.frontend || techStack.frontend} for the frontend
 `;
 
-    if (projectData.backendRequired) {
-      prompt += `- Use ${techStack.backend} for the backend
+    if (project.backendRequired) {
+      prompt += `- Use ${analysis?.architecture.backend || techStack.backend} for the backend
 - Include database integration
 - Implement authentication if needed
 `;
@@ -160,15 +198,17 @@ ${analysisContent}
 
 `;
 
-    if (projectData.figmaData) {
+    const flows = this.getFigmaFlows(project);
+    if (project.figmaData?.figmaUrl || flows.length > 0) {
       prompt += `Design Requirements:
 - Follow the provided Figma design closely
 - Maintain design consistency across all components
 - Implement interactive elements as shown in the design
 `;
       
-      if (projectData.figmaFlows) {
-        prompt += `- Implement the following user flows: ${projectData.figmaFlows.map(f => f.flowName).join(', ')}
+      if (flows.length > 0) {
+        prompt += `- Implement the following user flows:
+${flows.join('\n')}
 `;
       }
       prompt += '\n';
@@ -233,16 +273,9 @@ Generate the complete application code now.`;
         };
       }
 
-      // Get preferred provider or fallback
-      const provider = options.provider || user.preferences?.defaultAiProvider || 'openai';
-      const apiKey = this.getUserApiKey(user, provider);
-      
-      if (!apiKey) {
-        throw new Error(`No API key found for ${provider}`);
-      }
-
-      // Generate code using AI
-      const result = await this.callProvider(provider, apiKey, prompt, options);
+      // Preferred provider first, falling back to the others the user can call
+      const provider = aiProviders.getPreferredProvider(user, options.provider);
+      const result = await this.callWithFallback(user, provider, prompt, options);
       
       // Store learning pattern
       if (result.code && options.component) {
@@ -254,12 +287,25 @@ Generate the complete application code now.`;
 
     } catch (error) {
       console.error('AI generation failed:', error);
-      
-      // Try fallback providers
-      return await this.tryFallbackProviders(userId, prompt, options);
+      throw error;
     }
   }
 
+  // Patch-style edits: the raw response is parsed by editService, so no learning shortcut
+  async generateEdit(userId, prompt, options = {}) {
+    const user = await User.findOne({ uid: userId });
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const provider = aiProviders.getPreferredProvider(user, options.provider);
+    return this.callWithFallback(user, provider, prompt, {
+      ...options,
+      type: 'edit',
+      maxTokens: options.maxTokens || 4000
+    });
+  }
+
   async tryLearningPatterns(user, prompt) {
     const patterns = user.getLearningPatterns();
     
@@ -297,138 +343,71 @@ Generate the complete application code now.`;
     return adaptedCode;
   }
 
-  getUserApiKey(user, provider) {
-    const apiKeyData = user.apiKeys.find(key => key.provider === provider);
-    return apiKeyData ? user.decryptApiKey(apiKeyData.encryptedKey) : null;
-  }
-
-  async callProvider(provider, apiKey, prompt, options) {
-    const providerFunction = this.providers[provider];
-    if (!providerFunction) {
-      throw new Error(`Unsupported provider: ${provider}`);
-    }
-
-    return await providerFunction(apiKey, prompt, options);
-  }
-
-  async callOpenAI(apiKey, prompt, options = {}) {
-    const openai = new OpenAI({ apiKey });
-    
-    const model = options.model || 'gpt-4';
-    const systemPrompt = this.getSystemPrompt(options.type || 'component');
-
-    const response = await openai.chat.completions.create({
-      model,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: prompt }
-      ],
-      max_tokens: options.maxTokens || 2000,
-      temperature: 0.7
-    });
-
-    return {
-      code: this.extractCode(response.choices[0].message.content),
-      provider: 'openai',
-      model,
-      tokensUsed: response.usage.total_tokens
-    };
+  // Resolved credentials; options.keyId / options.keyName pick a specific stored key
+  async getUserApiKey(user, provider, { keyId, keyName } = {}) {
+    return await apiKeyResolver.resolve(user, provider, { keyId, keyName });
   }
 
-  async callGemini(apiKey, prompt, options = {}) {
-    const genAI = new GoogleGenerativeAI(apiKey);
-    
-    const model = genAI.getGenerativeModel({ 
-      model: options.model || 'gemini-pro' 
+  // Model from the request or the settings of the key being used
+  getModel(credentials, requestedModel = null) {
+    return aiProviders.resolveModel(credentials.provider, {
+      model: requestedModel,
+      keyEntry: credentials.keyEntry
     });
-
-    const systemPrompt = this.getSystemPrompt(options.type || 'component');
-    const fullPrompt = `${systemPrompt}\n\n${prompt}`;
-
-    const result = await model.generateContent(fullPrompt);
-    const response = await result.response;
-
-    return {
-      code: this.extractCode(response.text()),
-      provider: 'gemini',
-      model: options.model || 'gemini-pro',
-      tokensUsed: response.text().length // Approximate
-    };
   }
 
-  async callClaude(apiKey, prompt, options = {}) {
-    const anthropic = new Anthropic({ apiKey });
-    
-    const model = options.model || 'claude-3-sonnet-20240229';
+  // Returns both the raw `content` and the extracted `code`
+  async callProvider(credentials, prompt, options = {}) {
     const systemPrompt = this.getSystemPrompt(options.type || 'component');
 
-    const response = await anthropic.messages.create({
-      model,
-      max_tokens: options.maxTokens || 2000,
+    const response = await aiProviders.complete({
+      provider: credentials.provider,
+      apiKey: credentials.apiKey,
+      model: options.model,
       system: systemPrompt,
-      messages: [
-        { role: 'user', content: prompt }
-      ]
+      prompt,
+      maxTokens: options.maxTokens || 2000,
+      temperature: options.temperature,
+      jsonSchema: options.jsonSchema,
+      context: {
+        userId: credentials.userId,
+        projectId: options.projectId ? options.projectId.toString() : null,
+        keyId: credentials.keyId,
+        keySource: credentials.source,
+        operation: options.type || 'component'
+      }
     });
 
     return {
-      code: this.extractCode(response.content[0].text),
-      provider: 'claude',
-      model,
-      tokensUsed: response.usage.input_tokens + response.usage.output_tokens
+      content: response.content,
+      code: this.extractCode(response.content),
+      provider: response.provider,
+      model: response.model,
+      keyId: credentials.keyId,
+      keySource: credentials.source,
+      tokensUsed: response.usage.totalTokens,
+      usage: response.usage,
+      finishReason: response.finishReason
     };
   }
 
-  async callOpenRouter(apiKey, prompt, options = {}) {
-    const model = options.model || 'openai/gpt-4';
-    const systemPrompt = this.getSystemPrompt(options.type || 'component');
-
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': process.env.APP_URL || 'http://localhost:3000',
-        'X-Title': 'Website Builder AI'
-      },
-      body: JSON.stringify({
-        model,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: prompt }
-        ],
-        max_tokens: options.maxTokens || 2000,
-        temperature: 0.7
+  // Retry and fall back across providers; the result lists every attempt made.
+  // The requested key and model belong to the preferred provider only.
+  async callWithFallback(user, provider, prompt, options = {}) {
+    const fallbacks = aiProviders.isMockForced() ? [] : await apiKeyResolver.getAvailableProviders(user);
+    const providers = aiProviders.getProviderChain(provider, fallbacks);
+
+    const { result, attempts } = await providerResilience.callWithFallback({
+      providers,
+      getCredentials: (candidate) => this.getUserApiKey(user, candidate, candidate === provider ? options : {}),
+      call: (candidate, credentials) => this.callProvider(credentials, prompt, {
+        ...options,
+        provider: candidate,
+        model: this.getModel(credentials, candidate === provider ? options.model : null)
       })
     });
 
-    const data = await response.json();
-
-    return {
-      code: this.extractCode(data.choices[0].message.content),
-      provider: 'openrouter',
-      model,
-      tokensUsed: data.usage?.total_tokens || 0
-    };
-  }
-
-  async tryFallbackProviders(userId, prompt, options) {
-    const user = await User.findOne({ uid: userId });
-    const availableProviders = user.apiKeys.map(key => key.provider);
-    
-    for (const provider of availableProviders) {
-      if (provider !== options.provider) {
-        try {
-          const apiKey = this.getUserApiKey(user, provider);
-          return await this.callProvider(provider, apiKey, prompt, { ...options, provider });
-        } catch (error) {
-          console.error(`Fallback provider ${provider} failed:`, error);
-          continue;
-        }
-      }
-    }
-    
-    throw new Error('All AI providers failed');
+    return { ...result, attempts };
   }
 
   getSystemPrompt(type) {
@@ -460,7 +439,23 @@ Rules:
 - Ensure responsive design
 - Follow design system principles
 - Optimize for performance
-- Use modern CSS features appropriately`
+- Use modern CSS features appropriately`,
+
+      analysis: `You are a senior solution architect planning websites and web applications.
+
+Rules:
+- Base the plan on the project details and documents you are given
+- Prefer the simplest architecture that covers the requirements
+- Use concrete names for pages, components and data models
+- Reply with JSON only`,
+
+      edit: `You are a careful code editor. You change existing files with minimal patches instead of rewriting them.
+
+Rules:
+- Only output the patch format you are asked for
+- Copy unchanged lines exactly as they appear in the file
+- Keep the existing code style, naming and formatting
+- Never drop code that the instruction does not mention`
     };
 
     return prompts[type] || prompts.component;
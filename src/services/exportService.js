@@ -0,0 +1,385 @@
+// src/services/exportService.js
+const archiver = require('archiver');
+const path = require('path');
+const fs = require('fs').promises;
+const workspaceService = require('./workspaceService');
+const pageService = require('./pageService');
+const { createHttpError, slugify } = require('../utils/helpers');
+
+const VITE_VERSION = '^5.2.0';
+
+// Tech stack keywords that need a bundler, mapped to the Vite plugin they use.
+// Plugin versions are the majors that support VITE_VERSION.
+const BUNDLER_STACKS = {
+  react: {
+    plugin: { name: '@vitejs/plugin-react', version: '^4.3.0', import: 'react', call: 'react()' },
+    dependencies: { 'react': '^18.3.1', 'react-dom': '^18.3.1' }
+  },
+  preact: {
+    plugin: { name: '@preact/preset-vite', version: '^2.8.0', import: 'preact', call: 'preact()' },
+    dependencies: { 'preact': '^10.22.0' }
+  },
+  vue: {
+    plugin: { name: '@vitejs/plugin-vue', version: '^5.0.0', import: 'vue', call: 'vue()' },
+    dependencies: { 'vue': '^3.4.0' }
+  },
+  svelte: {
+    plugin: { name: '@sveltejs/vite-plugin-svelte', version: '^3.1.0', import: '{ svelte }', call: 'svelte()' },
+    dependencies: { 'svelte': '^4.2.0' }
+  },
+  typescript: { dependencies: {}, devDependencies: { 'typescript': '^5.4.0' } },
+  vite: { dependencies: {} }
+};
+
+class ExportService {
+  // Pick the bundler-related stack entries of a project. Entries match by whole word, so
+  // "Preact" is not also React.
+  getBundlerStacks(project) {
+    const words = (project.techStack || []).flatMap(item => String(item).toLowerCase().split(/[^a-z]+/));
+    return Object.keys(BUNDLER_STACKS).filter(key => words.includes(key));
+  }
+
+  isFullDocument(html) {
+    return /<html[\s>]/i.test(html) || /<!doctype/i.test(html);
+  }
+
+  escapeHtml(value) {
+    return String(value || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Wrap content.html (or a page's html) into a document that loads styles.css and script.js
+  buildIndexHtml(project, { stylesheet = 'styles.css', script = 'script.js', page = null } = {}) {
+    const html = (page ? page.html : project.content?.html) || '';
+    const seo = page ? pageService.resolveSeo(project, page) : project.settings?.seo || {};
+    const stylesheetTag = stylesheet ? `<link rel="stylesheet" href="${stylesheet}">` : '';
+    const scriptTag = script ? `<script src="${script}"></script>` : '';
+    const pageStyleTag = page?.css ? `<style>\n${page.css}\n</style>` : '';
+
+    if (this.isFullDocument(html)) {
+      let document = html;
+      if (stylesheetTag && !document.includes(`href="${stylesheet}"`)) {
+        document = /<\/head>/i.test(document)
+          ? document.replace(/<\/head>/i, `    ${stylesheetTag}\n</head>`)
+          : `${stylesheetTag}\n${document}`;
+      }
+      if (pageStyleTag) {
+        document = /<\/head>/i.test(document)
+          ? document.replace(/<\/head>/i, `    ${pageStyleTag}\n</head>`)
+          : `${pageStyleTag}\n${document}`;
+      }
+      if (scriptTag && !document.includes(`src="${script}"`)) {
+        document = /<\/body>/i.test(document)
+          ? document.replace(/<\/body>/i, `    ${scriptTag}\n</body>`)
+          : `${document}\n${scriptTag}`;
+      }
+      return document;
+    }
+
+    const title = this.escapeHtml(seo.title || project.name);
+    const description = seo.description || project.description;
+    const keywords = (seo.keywords || []).join(', ');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+${description ? `    <meta name="description" content="${this.escapeHtml(description)}">\n` : ''}${keywords ? `    <meta name="keywords" content="${this.escapeHtml(keywords)}">\n` : ''}    ${stylesheetTag}
+${pageStyleTag ? `    ${pageStyleTag}\n` : ''}</head>
+<body>
+${html}
+    ${scriptTag}
+</body>
+</html>
+`;
+  }
+
+  // Source files from the workspace, falling back to generatedFiles entries.
+  // Legacy generatedFiles keys that are not valid paths are added to `skipped`.
+  async collectProjectFiles(project, skipped = []) {
+    const files = new Map();
+
+    if (project.generatedFiles) {
+      for (const [key, file] of project.generatedFiles) {
+        const content = typeof file === 'string' ? file : file?.content;
+        if (typeof content !== 'string') continue;
+        try {
+          files.set(workspaceService.normalizePath(key), content);
+        } catch (error) {
+          console.warn(`Skipping generated file "${key}" in export: ${error.message}`);
+          skipped.push(key);
+        }
+      }
+    }
+
+    const workspaceFiles = await workspaceService.listFiles(project._id, { includeContent: true });
+    workspaceFiles.forEach(file => files.set(file.path, file.content || ''));
+
+    return Array.from(files.entries()).map(([filePath, content]) => ({ path: filePath, content }));
+  }
+
+  // One HTML file per page, linking the shared stylesheet and script relative to its folder.
+  // content.html still provides index.html when no page claims "/".
+  buildPageFiles(project) {
+    const files = pageService.getSortedPages(project).map(page => {
+      const fileName = pageService.getPageFileName(page.path);
+      const prefix = '../'.repeat(fileName.split('/').length - 1);
+      return {
+        path: fileName,
+        content: this.buildIndexHtml(project, {
+          page,
+          stylesheet: `${prefix}styles.css`,
+          script: `${prefix}script.js`
+        })
+      };
+    });
+
+    if (!files.some(file => file.path === 'index.html')) {
+      files.unshift({ path: 'index.html', content: this.buildIndexHtml(project) });
+    }
+
+    return files;
+  }
+
+  // Site source files: either the html/css/js triple (one HTML file per page
+  // for multi-page projects) or every project file
+  async collectSourceFiles(project, { mode = 'auto' } = {}) {
+    if (!['auto', 'content', 'files'].includes(mode)) {
+      throw createHttpError('Export mode must be one of auto, content or files', 400);
+    }
+
+    const skipped = [];
+    const projectFiles = mode === 'content' || (mode === 'auto' && pageService.hasPages(project))
+      ? []
+      : await this.collectProjectFiles(project, skipped);
+    const resolvedMode = mode === 'auto'
+      ? (projectFiles.length > 0 ? 'files' : 'content')
+      : mode;
+
+    if (resolvedMode === 'files') {
+      if (projectFiles.length === 0) {
+        throw createHttpError('Project has no files to export', 400);
+      }
+      return { mode: 'files', files: projectFiles, skipped };
+    }
+
+    return {
+      mode: 'content',
+      skipped: [],
+      files: [
+        ...(pageService.hasPages(project)
+          ? this.buildPageFiles(project)
+          : [{ path: 'index.html', content: this.buildIndexHtml(project) }]),
+        { path: 'styles.css', content: project.content?.css || '' },
+        { path: 'script.js', content: project.content?.js || '' }
+      ]
+    };
+  }
+
+  // Uploaded documents and design files that still exist on disk
+  async collectAssets(project) {
+    const candidates = [
+      ...(project.uploadedFiles || []),
+      ...(project.attachments?.documentation || []),
+      ...(project.attachments?.designFiles || [])
+    ];
+
+    const assets = [];
+    const usedNames = new Set();
+
+    for (const file of candidates) {
+      if (!file.path) continue;
+      try {
+        await fs.access(file.path);
+      } catch (error) {
+        console.warn(`Skipping missing asset ${file.path}`);
+        continue;
+      }
+
+      let name = path.basename(file.originalName || file.filename || file.path);
+      if (usedNames.has(name)) {
+        name = `${path.parse(name).name}-${usedNames.size}${path.extname(name)}`;
+      }
+      usedNames.add(name);
+      assets.push({ path: `assets/${name}`, diskPath: file.path });
+    }
+
+    return assets;
+  }
+
+  buildPackageJson(project) {
+    const stacks = this.getBundlerStacks(project);
+    const dependencies = {};
+    const devDependencies = { 'vite': VITE_VERSION };
+
+    stacks.forEach(key => {
+      const config = BUNDLER_STACKS[key];
+      Object.assign(dependencies, config.dependencies);
+      Object.assign(devDependencies, config.devDependencies || {});
+      if (config.plugin) {
+        devDependencies[config.plugin.name] = config.plugin.version;
+      }
+    });
+
+    return JSON.stringify({
+      name: slugify(project.name),
+      version: '1.0.0',
+      private: true,
+      description: project.description || '',
+      type: 'module',
+      scripts: {
+        dev: 'vite',
+        build: 'vite build',
+        preview: 'vite preview'
+      },
+      dependencies,
+      devDependencies
+    }, null, 2) + '\n';
+  }
+
+  // vite.config.js registering the framework plugins from package.json
+  buildViteConfig(project) {
+    const plugins = this.getBundlerStacks(project)
+      .map(key => BUNDLER_STACKS[key].plugin)
+      .filter(Boolean);
+    const imports = plugins.map(plugin => `import ${plugin.import} from '${plugin.name}';\n`).join('');
+
+    return `import { defineConfig } from 'vite';
+${imports}
+export default defineConfig({
+  plugins: [${plugins.map(plugin => plugin.call).join(', ')}]
+});
+`;
+  }
+
+  buildReadme(project, { mode, files, assets, hasPackageJson, skipped = [] }) {
+    const stack = (project.techStack || []).join(', ') || 'HTML, CSS, JavaScript';
+    const fileList = files.map(file => `- \`${file.path}\``).join('\n');
+
+    let readme = `# ${project.name}
+
+${project.description || ''}
+
+- **Category:** ${project.category}
+- **Tech stack:** ${stack}
+- **Exported:** ${new Date().toISOString()}
+
+## Files
+
+${fileList}
+`;
+
+    if (skipped.length > 0) {
+      readme += `
+## Skipped files
+
+These generated files have names that are not valid paths and were left out:
+
+${skipped.map(key => `- \`${key}\``).join('\n')}
+`;
+    }
+
+    if (assets.length > 0) {
+      readme += `
+## Assets
+
+Uploaded files are included in the \`assets/\` folder.
+`;
+    }
+
+    readme += hasPackageJson
+      ? `
+## Getting started
+
+\`\`\`bash
+npm install
+npm run dev
+\`\`\`
+
+Build for production with \`npm run build\`.
+`
+      : `
+## Getting started
+
+${mode === 'content' ? 'Open `index.html` in a browser' : 'Serve the folder with any static file server'}, for example:
+
+\`\`\`bash
+npx serve .
+\`\`\`
+`;
+
+    return readme;
+  }
+
+  // Everything that goes into an export, without writing anything
+  async buildExport(project, { mode = 'auto', includeAssets = true } = {}) {
+    const source = await this.collectSourceFiles(project, { mode });
+    const files = [...source.files];
+    const assets = includeAssets ? await this.collectAssets(project) : [];
+
+    const hasPackageJson = files.some(file => file.path === 'package.json');
+    const addPackageJson = !hasPackageJson && this.getBundlerStacks(project).length > 0;
+    if (addPackageJson) {
+      files.push({ path: 'package.json', content: this.buildPackageJson(project) });
+    }
+
+    // The generated package.json runs vite, which needs the framework plugins configured
+    if (addPackageJson && !files.some(file => /^vite\.config\.[cm]?[jt]s$/.test(file.path))) {
+      files.push({ path: 'vite.config.js', content: this.buildViteConfig(project) });
+    }
+
+    if (!files.some(file => file.path.toLowerCase() === 'readme.md')) {
+      files.push({
+        path: 'README.md',
+        content: this.buildReadme(project, {
+          mode: source.mode,
+          files,
+          assets,
+          hasPackageJson: hasPackageJson || addPackageJson,
+          skipped: source.skipped
+        })
+      });
+    }
+
+    return { mode: source.mode, files, assets, skipped: source.skipped };
+  }
+
+  // Stream a ZIP of the project to an HTTP response
+  async streamZip(project, res, options = {}) {
+    const { files, assets } = await this.buildExport(project, options);
+    const rootFolder = slugify(project.name);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    archive.on('warning', (error) => {
+      console.warn('Export archive warning:', error.message);
+    });
+
+    archive.on('error', (error) => {
+      console.error('Export archive error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to export project' });
+      } else {
+        res.destroy(error);
+      }
+    });
+
+    res.attachment(`${rootFolder}.zip`);
+    archive.pipe(res);
+
+    files.forEach(file => {
+      archive.append(file.content, { name: `${rootFolder}/${file.path}` });
+    });
+    assets.forEach(asset => {
+      archive.file(asset.diskPath, { name: `${rootFolder}/${asset.path}` });
+    });
+
+    await archive.finalize();
+  }
+}
+
+module.exports = new ExportService();
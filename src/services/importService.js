@@ -0,0 +1,263 @@
+// src/services/importService.js
+const AdmZip = require('adm-zip');
+const path = require('path');
+const zlib = require('zlib');
+const workspaceService = require('./workspaceService');
+const versionService = require('./versionService');
+const { createHttpError } = require('../utils/helpers');
+
+const MAX_IMPORT_FILES = parseInt(process.env.IMPORT_MAX_FILES) || 2000;
+const MAX_IMPORT_BYTES = parseInt(process.env.IMPORT_MAX_BYTES) || 50 * 1024 * 1024; // uncompressed
+const MAX_IMPORT_FILE_BYTES = 2 * 1024 * 1024;
+
+// Folders and files that never belong in a project workspace
+const SKIPPED_SEGMENTS = ['node_modules', '.git', '__MACOSX', '.DS_Store', 'Thumbs.db'];
+
+// package.json dependencies mapped to techStack entries
+const STACK_DEPENDENCIES = {
+  'react': 'React',
+  'next': 'Next.js',
+  'vue': 'Vue',
+  'nuxt': 'Nuxt',
+  'svelte': 'Svelte',
+  '@angular/core': 'Angular',
+  'preact': 'Preact',
+  'vite': 'Vite',
+  'typescript': 'TypeScript',
+  'tailwindcss': 'Tailwind CSS',
+  'express': 'Express',
+  'mongoose': 'MongoDB'
+};
+
+class ImportService {
+  isBinary(buffer) {
+    const sample = buffer.subarray(0, 8000);
+    return sample.includes(0);
+  }
+
+  // If every entry lives under one top-level folder, strip it
+  getCommonRoot(paths) {
+    if (paths.length === 0) return '';
+    const first = paths[0].split('/')[0];
+    const allShare = paths.every(entryPath => entryPath.includes('/') && entryPath.split('/')[0] === first);
+    return allShare ? `${first}/` : '';
+  }
+
+  // Contents of an archive entry. The sizes in the archive are the uploader's claim, so
+  // inflation is capped at the per-file limit and the result must match the declared size.
+  inflateEntry(entry, entryPath) {
+    const { method, size } = entry.header;
+    const compressed = entry.getCompressedData();
+    let buffer;
+    if (method === 0 || compressed.length === 0) {
+      buffer = compressed;
+    } else if (method === 8) {
+      try {
+        buffer = zlib.inflateRawSync(compressed, { maxOutputLength: MAX_IMPORT_FILE_BYTES });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw createHttpError(`${entryPath} expands to more than ${MAX_IMPORT_FILE_BYTES} bytes`, 413);
+        }
+        throw createHttpError(`${entryPath} is corrupt in the archive`, 400);
+      }
+    } else {
+      throw createHttpError(`${entryPath} uses an unsupported compression method`, 400);
+    }
+
+    if (buffer.length !== size) {
+      throw createHttpError(`${entryPath} does not match the size the archive declares`, 400);
+    }
+    return buffer;
+  }
+
+  // Read and validate the archive, returning text files keyed by workspace path
+  readArchive(zipPath) {
+    let zip;
+    try {
+      zip = new AdmZip(zipPath);
+    } catch (error) {
+      throw createHttpError('Uploaded file is not a valid ZIP archive', 400);
+    }
+
+    const skipped = [];
+    const candidates = zip.getEntries().filter(entry => {
+      if (entry.isDirectory) return false;
+      const segments = entry.entryName.replace(/\\/g, '/').split('/');
+      if (segments.some(segment => SKIPPED_SEGMENTS.includes(segment))) {
+        return false;
+      }
+      return true;
+    });
+
+    if (candidates.length > MAX_IMPORT_FILES) {
+      throw createHttpError(`Archive contains ${candidates.length} files; the limit is ${MAX_IMPORT_FILES}`, 413);
+    }
+
+    const declaredSize = candidates.reduce((sum, entry) => sum + entry.header.size, 0);
+    if (declaredSize > MAX_IMPORT_BYTES) {
+      throw createHttpError(`Archive expands to more than ${MAX_IMPORT_BYTES} bytes`, 413);
+    }
+
+    const root = this.getCommonRoot(candidates.map(entry => entry.entryName.replace(/\\/g, '/')));
+    const files = new Map();
+    let totalBytes = 0;
+
+    for (const entry of candidates) {
+      const entryName = entry.entryName.replace(/\\/g, '/').slice(root.length);
+
+      if (entry.header.size > MAX_IMPORT_FILE_BYTES) {
+        skipped.push({ path: entryName, reason: 'file too large' });
+        continue;
+      }
+
+      let normalizedPath;
+      try {
+        normalizedPath = workspaceService.normalizePath(entryName);
+      } catch (error) {
+        skipped.push({ path: entryName, reason: error.message });
+        continue;
+      }
+
+      if (entry.header.encrypted) {
+        skipped.push({ path: normalizedPath, reason: 'encrypted file' });
+        continue;
+      }
+
+      const buffer = this.inflateEntry(entry, normalizedPath);
+      totalBytes += buffer.length;
+      if (totalBytes > MAX_IMPORT_BYTES) {
+        throw createHttpError(`Archive expands to more than ${MAX_IMPORT_BYTES} bytes`, 413);
+      }
+
+      if (this.isBinary(buffer)) {
+        skipped.push({ path: normalizedPath, reason: 'binary file' });
+        continue;
+      }
+
+      files.set(normalizedPath, buffer.toString('utf8'));
+    }
+
+    return { files, skipped };
+  }
+
+  // Pick index.html and the stylesheets/scripts it references
+  detectSiteContent(files) {
+    const htmlPaths = Array.from(files.keys())
+      .filter(filePath => path.posix.basename(filePath).toLowerCase() === 'index.html')
+      .sort((a, b) => a.split('/').length - b.split('/').length);
+
+    if (htmlPaths.length === 0) return null;
+
+    const indexPath = htmlPaths[0];
+    const baseDir = path.posix.dirname(indexPath);
+    const html = files.get(indexPath);
+
+    const resolveLocal = (reference) => {
+      if (!reference || /^(?:[a-z]+:)?\/\//i.test(reference) || reference.startsWith('data:')) return null;
+      const clean = reference.split(/[?#]/)[0];
+      const resolved = clean.startsWith('/')
+        ? clean.slice(1)
+        : path.posix.normalize(path.posix.join(baseDir === '.' ? '' : baseDir, clean));
+      return files.has(resolved) ? resolved : null;
+    };
+
+    const collect = (regex) => {
+      const found = [];
+      let match;
+      while ((match = regex.exec(html)) !== null) {
+        const resolved = resolveLocal(match[1]);
+        if (resolved && !found.includes(resolved)) found.push(resolved);
+      }
+      return found;
+    };
+
+    const stylesheets = collect(/<link[^>]+rel=["']?stylesheet["']?[^>]*href=["']([^"']+)["']/gi)
+      .concat(collect(/<link[^>]+href=["']([^"']+\.css)["'][^>]*>/gi))
+      .filter((value, index, list) => list.indexOf(value) === index);
+    const scripts = collect(/<script[^>]+src=["']([^"']+)["']/gi);
+
+    // Fall back to top-level CSS/JS files next to index.html
+    const siblings = (extension) => Array.from(files.keys())
+      .filter(filePath => path.posix.dirname(filePath) === baseDir && filePath.endsWith(extension));
+
+    const cssPaths = stylesheets.length > 0 ? stylesheets : siblings('.css');
+    const jsPaths = scripts.length > 0 ? scripts : siblings('.js');
+
+    return {
+      indexPath,
+      html,
+      css: cssPaths.map(filePath => files.get(filePath)).join('\n\n'),
+      js: jsPaths.map(filePath => files.get(filePath)).join('\n\n'),
+      cssPaths,
+      jsPaths
+    };
+  }
+
+  // Infer techStack entries from the top-most package.json
+  detectTechStack(files) {
+    const packagePath = Array.from(files.keys())
+      .filter(filePath => path.posix.basename(filePath) === 'package.json' && !filePath.includes('/node_modules/'))
+      .sort((a, b) => a.split('/').length - b.split('/').length)[0];
+
+    if (!packagePath) return [];
+
+    try {
+      const pkg = JSON.parse(files.get(packagePath));
+      const dependencies = { ...(pkg.dependencies || {}), ...(pkg.devDependencies || {}) };
+      return Object.entries(STACK_DEPENDENCIES)
+        .filter(([dependency]) => dependencies[dependency])
+        .map(([, stack]) => stack);
+    } catch (error) {
+      console.warn('Failed to parse imported package.json:', error.message);
+      return [];
+    }
+  }
+
+  // Unpack a ZIP into the project's workspace and fill content/techStack (caller saves)
+  async importZip(project, zipPath, { userId = null, replace = false } = {}) {
+    const { files, skipped } = this.readArchive(zipPath);
+
+    if (files.size === 0) {
+      throw createHttpError('Archive contains no importable files', 400);
+    }
+
+    await versionService.createSnapshot(project, {
+      description: 'Before importing archive',
+      source: 'other',
+      auto: true,
+      userId
+    });
+
+    // Replacing swaps the whole workspace in one transaction, so a failed write leaves it as it was
+    if (replace) {
+      await workspaceService.replaceWorkspace(project._id, Object.fromEntries(files), { userId });
+    } else {
+      await workspaceService.writeFiles(project._id, Object.fromEntries(files), { userId });
+    }
+
+    const site = this.detectSiteContent(files);
+    if (site) {
+      project.content.html = site.html;
+      project.content.css = site.css;
+      project.content.js = site.js;
+    }
+
+    const detectedStack = this.detectTechStack(files);
+    if (detectedStack.length > 0) {
+      project.techStack = Array.from(new Set([...(project.techStack || []), ...detectedStack]));
+    }
+
+    project.lastSaved = new Date();
+
+    return {
+      importedFiles: files.size,
+      skipped,
+      techStack: detectedStack,
+      content: site
+        ? { indexPath: site.indexPath, stylesheets: site.cssPaths, scripts: site.jsPaths }
+        : null
+    };
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,113 @@
+// src/services/jobService.js
+const { v4: uuidv4 } = require('uuid');
+const { createHttpError } = require('../utils/helpers');
+
+// Finished jobs kept for status queries
+const MAX_FINISHED_JOBS = 50;
+
+// In-process background jobs for admin maintenance tasks. Only one job of a type runs at a
+// time. State lives in memory: a restart loses it, and interrupted jobs must be started again.
+class JobService {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  format(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      params: job.params,
+      status: job.status,
+      progress: job.progress,
+      result: job.result,
+      error: job.error,
+      startedBy: job.startedBy,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  // work({ signal, report }) does the job; report({ processed, total, ... }) updates progress
+  start(type, work, { params = {}, startedBy = null } = {}) {
+    const running = Array.from(this.jobs.values()).find(job => job.type === type && job.status === 'running');
+    if (running) {
+      throw createHttpError(`A ${type} job is already running (${running.id})`, 409);
+    }
+
+    const controller = new AbortController();
+    const job = {
+      id: uuidv4(),
+      type,
+      params,
+      status: 'running',
+      progress: { processed: 0, total: null },
+      result: null,
+      error: null,
+      startedBy,
+      startedAt: new Date(),
+      finishedAt: null,
+      controller
+    };
+    this.jobs.set(job.id, job);
+    this.prune();
+
+    const report = (progress) => Object.assign(job.progress, progress);
+    Promise.resolve()
+      .then(() => work({ signal: controller.signal, report }))
+      .then((result) => {
+        job.status = controller.signal.aborted ? 'cancelled' : 'completed';
+        job.result = result ?? null;
+      })
+      .catch((error) => {
+        job.status = controller.signal.aborted ? 'cancelled' : 'failed';
+        job.error = error.message;
+        if (!controller.signal.aborted) {
+          console.error(`Job ${type} ${job.id} failed:`, error);
+        }
+      })
+      .finally(() => {
+        job.finishedAt = new Date();
+      });
+
+    return this.format(job);
+  }
+
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw createHttpError('Job not found', 404);
+    }
+    return this.format(job);
+  }
+
+  listJobs({ type } = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => !type || job.type === type)
+      .sort((a, b) => b.startedAt - a.startedAt)
+      .map(job => this.format(job));
+  }
+
+  // Jobs stop at their next checkpoint, keeping the work done so far
+  cancelJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw createHttpError('Job not found', 404);
+    }
+    if (job.status !== 'running') {
+      throw createHttpError(`Job is already ${job.status}`, 409);
+    }
+    job.controller.abort();
+    return this.format(job);
+  }
+
+  prune() {
+    const finished = Array.from(this.jobs.values())
+      .filter(job => job.status !== 'running')
+      .sort((a, b) => a.startedAt - b.startedAt);
+    while (finished.length > MAX_FINISHED_JOBS) {
+      this.jobs.delete(finished.shift().id);
+    }
+  }
+}
+
+module.exports = new JobService();
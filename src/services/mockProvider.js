@@ -0,0 +1,303 @@
+// src/services/mockProvider.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../fixtures/ai');
+const CHUNK_SIZE = 24;
+// Inline directives, e.g. "[[mock:rate_limit]]", "[[mock:latency=500]]", "[[mock:fixture=landing-page]]"
+const DIRECTIVE_PATTERN = /\[\[mock:([a-z_]+)(?:=([^\]]+))?\]\]/gi;
+
+const SIMULATED_ERRORS = {
+  rate_limit: { status: 429, message: 'Rate limit exceeded (simulated)', retryAfter: 1 },
+  server_error: { status: 503, message: 'Service unavailable (simulated)' },
+  auth_error: { status: 401, message: 'Invalid API key (simulated)' },
+  bad_request: { status: 400, message: 'Bad request (simulated)' },
+  content_filter: { status: 400, message: 'Blocked by content policy (simulated)' }
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/*
+ * Offline provider with the same contract as the real adapters.
+ *
+ * Fixtures are JSON files in AI_MOCK_FIXTURES_DIR (default fixtures/ai). Each holds one
+ * fixture or an array of them:
+ *   { name, match: ["keyword", "/regex/i"], promptHash, content, chunks, usage, finishReason,
+ *     latencyMs, chunkDelayMs, error: { status, message, retryAfter }, failTimes }
+ * Recorded transcripts (see AI_RECORD_TRANSCRIPTS_DIR) are fixtures matched by promptHash.
+ * Without a match the response is a deterministic component derived from the prompt.
+ */
+class MockProvider {
+  constructor() {
+    this.fixtures = null;
+    // fixture name -> failures already served, for fixtures with failTimes
+    this.failureCounts = new Map();
+  }
+
+  getFixturesDir() {
+    return process.env.AI_MOCK_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+  }
+
+  loadFixtures() {
+    const dir = this.getFixturesDir();
+    const fixtures = [];
+
+    let files = [];
+    try {
+      files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      return fixtures;
+    }
+
+    files.forEach(file => {
+      try {
+        const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        (Array.isArray(data) ? data : [data]).forEach((fixture, index) => {
+          fixtures.push({ name: fixture.name || `${path.basename(file, '.json')}#${index}`, ...fixture });
+        });
+      } catch (error) {
+        console.warn(`⚠️ Skipping mock fixture ${file}:`, error.message);
+      }
+    });
+
+    return fixtures;
+  }
+
+  getFixtures() {
+    if (!this.fixtures) {
+      this.fixtures = this.loadFixtures();
+    }
+    return this.fixtures;
+  }
+
+  reload() {
+    this.fixtures = null;
+    this.failureCounts.clear();
+    return this.getFixtures();
+  }
+
+  // Same hash the transcript recorder writes, so recordings replay exactly
+  hashPrompt({ system, messages }) {
+    const normalized = JSON.stringify({
+      system: system || null,
+      messages: (messages || []).map(message => ({ role: message.role, content: message.content }))
+    });
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  getPromptText(request) {
+    return (request.messages || []).map(message => message.content).join('\n');
+  }
+
+  parseDirectives(text) {
+    const directives = {};
+    for (const match of text.matchAll(DIRECTIVE_PATTERN)) {
+      directives[match[1].toLowerCase()] = match[2] === undefined ? true : match[2].trim();
+    }
+    return directives;
+  }
+
+  matchesPattern(pattern, text) {
+    const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    if (regex) {
+      return new RegExp(regex[1], regex[2]).test(text);
+    }
+    return text.toLowerCase().includes(String(pattern).toLowerCase());
+  }
+
+  // Named fixture, then exact transcript hash, then the first keyword/regex match
+  findFixture(request, directives) {
+    const fixtures = this.getFixtures();
+
+    if (directives.fixture) {
+      return fixtures.find(fixture => fixture.name === directives.fixture) || null;
+    }
+
+    const hash = this.hashPrompt(request);
+    const recorded = fixtures.find(fixture => fixture.promptHash === hash);
+    if (recorded) return recorded;
+
+    const text = this.getPromptText(request);
+    return fixtures.find(fixture => {
+      const patterns = Array.isArray(fixture.match) ? fixture.match : fixture.match ? [fixture.match] : [];
+      return patterns.length > 0 && patterns.every(pattern => this.matchesPattern(pattern, text));
+    }) || null;
+  }
+
+  // A component named after the prompt, so the same prompt always yields the same files
+  buildDefaultContent(request) {
+    const text = this.getPromptText(request);
+    const hash = crypto.createHash('sha256').update(text).digest('hex').slice(0, 8);
+    const name = `Mock${hash.replace(/^\d+/, '').replace(/^./, char => char.toUpperCase()) || 'Component'}`;
+    const summary = text.replace(DIRECTIVE_PATTERN, '').replace(/\s+/g, ' ').trim().slice(0, 80).replace(/[<>{}`*]/g, '');
+
+    return `**src/components/${name}.jsx**
+\`\`\`jsx
+import React from 'react';
+
+// Generated by the mock AI provider for: ${summary || 'empty prompt'}
+export default function ${name}() {
+  return (
+    <section className="p-6 rounded-lg bg-white shadow">
+      <h2 className="text-xl font-semibold">${name}</h2>
+      <p className="text-gray-600">Mock response ${hash}</p>
+    </section>
+  );
+}
+\`\`\`
+
+**src/components/${name}.css**
+\`\`\`css
+/* Styles for ${name} */
+.mock-${hash} {
+  display: block;
+}
+\`\`\`
+`;
+  }
+
+  buildError({ status, message, retryAfter }) {
+    const error = new Error(message || `Simulated error ${status}`);
+    error.status = status;
+    error.headers = new Headers(retryAfter !== undefined ? { 'retry-after': String(retryAfter) } : {});
+    return error;
+  }
+
+  // Decide the outcome of a call: a simulated failure, or the content to return
+  async resolve(request) {
+    const directives = this.parseDirectives(this.getPromptText(request));
+    const fixture = this.findFixture(request, directives);
+
+    const latency = parseInt(directives.latency ?? fixture?.latencyMs ?? process.env.AI_MOCK_LATENCY_MS ?? 0, 10) || 0;
+    if (latency > 0) {
+      await wait(latency, request.signal);
+    }
+
+    if (directives.timeout) {
+      // Hang until the caller's timeout or cancellation fires
+      await wait(2 ** 31 - 1, request.signal);
+    }
+
+    const simulated = Object.keys(SIMULATED_ERRORS).find(name => directives[name]);
+    if (simulated) {
+      throw this.buildError(SIMULATED_ERRORS[simulated]);
+    }
+
+    const globalError = process.env.AI_MOCK_ERROR;
+    if (globalError && SIMULATED_ERRORS[globalError]) {
+      throw this.buildError(SIMULATED_ERRORS[globalError]);
+    }
+
+    if (fixture?.error) {
+      const served = this.failureCounts.get(fixture.name) || 0;
+      if (fixture.failTimes === undefined || served < fixture.failTimes) {
+        this.failureCounts.set(fixture.name, served + 1);
+        throw this.buildError(fixture.error);
+      }
+    }
+
+    const content = fixture
+      ? fixture.content ?? (fixture.chunks || []).join('')
+      : this.buildDefaultContent(request);
+
+    return {
+      fixture,
+      content,
+      chunks: fixture?.chunks || null,
+      chunkDelayMs: parseInt(fixture?.chunkDelayMs ?? process.env.AI_MOCK_CHUNK_DELAY_MS ?? 0, 10) || 0,
+      finishReason: fixture?.finishReason || 'stop',
+      usage: fixture?.usage || null
+    };
+  }
+
+  buildResponse(request, outcome) {
+    const inputTokens = Math.ceil(this.getPromptText(request).length / 4);
+    const outputTokens = Math.ceil(outcome.content.length / 4);
+
+    return {
+      provider: 'mock',
+      model: outcome.fixture?.model || request.model,
+      content: outcome.content,
+      usage: {
+        inputTokens: outcome.usage?.inputTokens ?? inputTokens,
+        outputTokens: outcome.usage?.outputTokens ?? outputTokens,
+        totalTokens: outcome.usage?.totalTokens ?? (outcome.usage?.inputTokens ?? inputTokens) + (outcome.usage?.outputTokens ?? outputTokens)
+      },
+      finishReason: outcome.finishReason
+    };
+  }
+
+  // Save a real provider exchange as a fixture that replays it (AI_RECORD_TRANSCRIPTS_DIR)
+  recordTranscript(request, response, chunks = null) {
+    const dir = process.env.AI_RECORD_TRANSCRIPTS_DIR;
+    if (!dir) return;
+
+    const promptHash = this.hashPrompt(request);
+    const transcript = {
+      name: `${request.provider}-${promptHash.slice(0, 12)}`,
+      provider: request.provider,
+      model: response.model,
+      promptHash,
+      request: { system: request.system || null, messages: request.messages },
+      content: response.content,
+      chunks: chunks && chunks.length > 0 ? chunks : undefined,
+      usage: response.usage,
+      finishReason: response.finishReason,
+      recordedAt: new Date().toISOString()
+    };
+
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, `${transcript.name}.json`), JSON.stringify(transcript, null, 2));
+    } catch (error) {
+      console.warn('⚠️ Could not record AI transcript:', error.message);
+    }
+  }
+
+  splitIntoChunks(content) {
+    const chunks = [];
+    for (let index = 0; index < content.length; index += CHUNK_SIZE) {
+      chunks.push(content.slice(index, index + CHUNK_SIZE));
+    }
+    return chunks;
+  }
+
+  async complete(request) {
+    const outcome = await this.resolve(request);
+    return this.buildResponse(request, outcome);
+  }
+
+  // Replays recorded chunks when the fixture has them, else fixed-size slices
+  async stream(request) {
+    const outcome = await this.resolve(request);
+    const chunks = outcome.chunks || this.splitIntoChunks(outcome.content);
+
+    for (const chunk of chunks) {
+      if (outcome.chunkDelayMs > 0) {
+        await wait(outcome.chunkDelayMs, request.signal);
+      } else if (request.signal?.aborted) {
+        throw request.signal.reason;
+      }
+      request.onToken(chunk);
+    }
+
+    return this.buildResponse(request, outcome);
+  }
+}
+
+module.exports = new MockProvider();
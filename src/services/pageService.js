@@ -0,0 +1,237 @@
+// src/services/pageService.js
+const { v4: uuidv4 } = require('uuid');
+const { createHttpError, slugify } = require('../utils/helpers');
+
+const MAX_PAGES = 100;
+const SEGMENT_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+// First path segments that would collide with exported folders or files
+const RESERVED_SEGMENTS = ['assets', 'index'];
+
+// Page operations mutate project.content.pages; callers save the project
+class PageService {
+  // "/About Us/" -> "/about-us"; throws 400 for paths that cannot map to a file
+  normalizePagePath(value) {
+    if (typeof value !== 'string' || !value.trim()) {
+      throw createHttpError('Page path is required', 400);
+    }
+
+    const segments = value.trim().toLowerCase().split('/').filter(Boolean);
+    if (segments.length > 8) {
+      throw createHttpError('Page path cannot be more than 8 levels deep', 400);
+    }
+
+    for (const segment of segments) {
+      if (!SEGMENT_PATTERN.test(segment)) {
+        throw createHttpError(`Invalid page path segment "${segment}": use lowercase letters, numbers, dashes and underscores`, 400);
+      }
+    }
+
+    if (segments.length > 0 && RESERVED_SEGMENTS.includes(segments[0])) {
+      throw createHttpError(`Page paths cannot start with "/${segments[0]}"`, 400);
+    }
+
+    return `/${segments.join('/')}`;
+  }
+
+  // "/" -> index.html, "/about" -> about.html, "/blog/post" -> blog/post.html
+  getPageFileName(pagePath) {
+    return pagePath === '/' ? 'index.html' : `${pagePath.slice(1)}.html`;
+  }
+
+  getSortedPages(project) {
+    return [...(project.content?.pages || [])].sort((a, b) => (a.order || 0) - (b.order || 0));
+  }
+
+  hasPages(project) {
+    return (project.content?.pages || []).length > 0;
+  }
+
+  // Page SEO falls back field by field to the project-wide settings
+  resolveSeo(project, page) {
+    const siteSeo = project.settings?.seo || {};
+    const pageSeo = page.seo || {};
+    const keywords = pageSeo.keywords && pageSeo.keywords.length > 0 ? pageSeo.keywords : siteSeo.keywords;
+
+    return {
+      title: pageSeo.title || (page.path === '/' ? siteSeo.title || project.name : `${page.name} | ${siteSeo.title || project.name}`),
+      description: pageSeo.description || siteSeo.description || project.description || '',
+      keywords: keywords || []
+    };
+  }
+
+  formatPage(page, { includeContent = false } = {}) {
+    const formatted = {
+      id: page.id,
+      name: page.name,
+      path: page.path,
+      file: this.getPageFileName(page.path),
+      seo: {
+        title: page.seo?.title || null,
+        description: page.seo?.description || null,
+        keywords: page.seo?.keywords || []
+      },
+      order: page.order,
+      showInNav: page.showInNav !== false,
+      components: page.components || []
+    };
+
+    if (includeContent) {
+      formatted.html = page.html || '';
+      formatted.css = page.css || '';
+    }
+
+    return formatted;
+  }
+
+  listPages(project) {
+    return this.getSortedPages(project).map(page => this.formatPage(page));
+  }
+
+  // Navigation entries in order; hrefs are relative to the site root
+  buildNavigation(project) {
+    return this.getSortedPages(project)
+      .filter(page => page.showInNav !== false)
+      .map(page => ({ id: page.id, name: page.name, path: page.path, href: page.path }));
+  }
+
+  // Give the AI enough site context to generate a single page
+  buildPagePrompt(project, page, prompt) {
+    const otherPages = this.getSortedPages(project)
+      .filter(item => item.id !== page.id)
+      .map(item => `${item.name} (${item.path})`);
+
+    return `${prompt}
+
+This is the "${page.name}" page at ${page.path} of a multi-page site.
+Other pages: ${otherPages.join(', ') || 'none'}.
+Link to other pages with root-relative paths and keep shared styles in the site stylesheet.`;
+  }
+
+  getPage(project, pageId) {
+    const page = (project.content?.pages || []).find(item => item.id === pageId);
+    if (!page) {
+      throw createHttpError('Page not found', 404);
+    }
+    return page;
+  }
+
+  assertUniquePath(project, pagePath, exceptId = null) {
+    const conflict = (project.content?.pages || []).find(page => page.path === pagePath && page.id !== exceptId);
+    if (conflict) {
+      throw createHttpError(`Page path "${pagePath}" is already used by "${conflict.name}"`, 409);
+    }
+  }
+
+  sanitizeSeo(seo) {
+    if (seo === undefined) return undefined;
+    if (seo === null) return {};
+    if (typeof seo !== 'object' || Array.isArray(seo)) {
+      throw createHttpError('Page seo must be an object', 400);
+    }
+
+    const keywords = Array.isArray(seo.keywords)
+      ? seo.keywords
+      : typeof seo.keywords === 'string' ? seo.keywords.split(',') : [];
+
+    return {
+      title: seo.title ? String(seo.title).trim() : undefined,
+      description: seo.description ? String(seo.description).trim() : undefined,
+      keywords: keywords.map(keyword => String(keyword).trim()).filter(Boolean)
+    };
+  }
+
+  createPage(project, { name, path: pagePath, html, css, seo, showInNav } = {}) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw createHttpError('Page name is required', 400);
+    }
+
+    const pages = project.content.pages;
+    if (pages.length >= MAX_PAGES) {
+      throw createHttpError(`A project can have at most ${MAX_PAGES} pages`, 400);
+    }
+
+    const normalizedPath = this.normalizePagePath(pagePath || (pages.length === 0 ? '/' : slugify(name, 'page')));
+    this.assertUniquePath(project, normalizedPath);
+
+    pages.push({
+      id: uuidv4(),
+      name: name.trim(),
+      path: normalizedPath,
+      html: typeof html === 'string' ? html : '',
+      css: typeof css === 'string' ? css : '',
+      seo: this.sanitizeSeo(seo) || {},
+      order: pages.reduce((max, page) => Math.max(max, page.order || 0), -1) + 1,
+      showInNav: showInNav !== false
+    });
+
+    return pages[pages.length - 1];
+  }
+
+  updatePage(project, pageId, updates = {}) {
+    const page = this.getPage(project, pageId);
+
+    if (updates.name !== undefined) {
+      if (typeof updates.name !== 'string' || !updates.name.trim()) {
+        throw createHttpError('Page name cannot be empty', 400);
+      }
+      page.name = updates.name.trim();
+    }
+
+    if (updates.path !== undefined) {
+      const normalizedPath = this.normalizePagePath(updates.path);
+      this.assertUniquePath(project, normalizedPath, page.id);
+      page.path = normalizedPath;
+    }
+
+    ['html', 'css'].forEach(field => {
+      if (updates[field] !== undefined) {
+        if (typeof updates[field] !== 'string') {
+          throw createHttpError(`Page ${field} must be a string`, 400);
+        }
+        page[field] = updates[field];
+      }
+    });
+
+    const seo = this.sanitizeSeo(updates.seo);
+    if (seo !== undefined) {
+      page.seo = seo;
+    }
+
+    if (updates.showInNav !== undefined) {
+      page.showInNav = Boolean(updates.showInNav);
+    }
+
+    return page;
+  }
+
+  deletePage(project, pageId) {
+    const page = this.getPage(project, pageId);
+    project.content.pages.pull(page);
+    // Component instances placed on the page go with it
+    project.content.componentInstances = (project.content.componentInstances || []).filter(instance => instance.pageId !== page.id);
+    this.reindex(project);
+    return page;
+  }
+
+  // Reorder navigation; pageIds must list every page exactly once
+  reorderPages(project, pageIds) {
+    const pages = project.content.pages;
+    if (!Array.isArray(pageIds) || pageIds.length !== pages.length || new Set(pageIds).size !== pageIds.length) {
+      throw createHttpError('pageIds must list every page exactly once', 400);
+    }
+
+    pageIds.forEach((pageId, index) => {
+      this.getPage(project, pageId).order = index;
+    });
+
+    return this.listPages(project);
+  }
+
+  reindex(project) {
+    this.getSortedPages(project).forEach((page, index) => {
+      page.order = index;
+    });
+  }
+}
+
+module.exports = new PageService();
@@ -0,0 +1,254 @@
+// src/services/providerResilience.js
+const { createHttpError } = require('../utils/helpers');
+
+const RETRY_ATTEMPTS = parseInt(process.env.AI_RETRY_ATTEMPTS, 10);
+const MAX_RETRIES = Number.isNaN(RETRY_ATTEMPTS) ? 2 : RETRY_ATTEMPTS;
+const BASE_DELAY_MS = parseInt(process.env.AI_RETRY_BASE_MS, 10) || 500;
+const MAX_DELAY_MS = 8000;
+const BREAKER_THRESHOLD = parseInt(process.env.AI_BREAKER_THRESHOLD, 10) || 5;
+const BREAKER_COOLDOWN_MS = parseInt(process.env.AI_BREAKER_COOLDOWN_MS, 10) || 30000;
+
+// Error types worth retrying on the same provider
+const RETRYABLE = ['rate_limit', 'timeout', 'server'];
+// Error types that say the provider itself is unhealthy, as opposed to one key or one prompt
+const BREAKER_TYPES = ['timeout', 'server'];
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Retries, per-provider circuit breakers and provider fallback around AI calls
+class ProviderResilience {
+  constructor() {
+    // provider -> { state: 'closed'|'open'|'half-open', failures, openedAt, trial }
+    this.breakers = new Map();
+  }
+
+  // auth | rate_limit | timeout | server | content_filter | bad_request | cancelled | client | unknown
+  classifyError(error, signal = null) {
+    if (signal?.aborted || error?.code === 'GENERATION_CANCELLED') {
+      return 'cancelled';
+    }
+    if (error?.code === 'CONTENT_FILTERED') {
+      return 'content_filter';
+    }
+    if (error?.code === 'ETIMEDOUT' || error?.name === 'TimeoutError' || error?.cause?.name === 'TimeoutError') {
+      return 'timeout';
+    }
+
+    // Errors raised by this server (unknown key, bad model, ...) never reach a provider
+    if (error?.statusCode && error.statusCode < 500 && error.upstreamStatus === undefined) {
+      return 'client';
+    }
+
+    const status = error?.upstreamStatus;
+    const message = String(error?.cause?.message || error?.message || '').toLowerCase();
+
+    if (status === 401 || status === 403) return 'auth';
+    if (status === 429) return 'rate_limit';
+    if (status === 408 || status === 504) return 'timeout';
+    if (status >= 500) return 'server';
+    if (status === 400 && /content|safety|policy|moderation/.test(message)) return 'content_filter';
+    if (status >= 400) return 'bad_request';
+
+    const code = error?.cause?.code || error?.cause?.cause?.code || error?.code;
+    if (NETWORK_CODES.includes(code) || /fetch failed|socket hang up|network/.test(message)) {
+      return 'server';
+    }
+
+    return 'unknown';
+  }
+
+  isRetryable(type) {
+    return RETRYABLE.includes(type);
+  }
+
+  // Full-jitter exponential backoff; honours Retry-After when the provider sends one
+  getRetryDelay(attempt, error) {
+    const headers = error?.cause?.headers;
+    const retryAfter = headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+    const seconds = parseFloat(retryAfter);
+    if (!Number.isNaN(seconds) && seconds >= 0) {
+      return Math.min(MAX_DELAY_MS, seconds * 1000);
+    }
+
+    const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  getBreaker(provider) {
+    if (!this.breakers.has(provider)) {
+      this.breakers.set(provider, { state: 'closed', failures: 0, openedAt: null, trial: false });
+    }
+    return this.breakers.get(provider);
+  }
+
+  // Closed: allow. Open: reject until the cooldown passes, then let one trial call through.
+  canRequest(provider, now = Date.now()) {
+    const breaker = this.getBreaker(provider);
+    if (breaker.state === 'closed') return true;
+
+    if (breaker.state === 'open' && now - breaker.openedAt >= BREAKER_COOLDOWN_MS) {
+      breaker.state = 'half-open';
+      breaker.trial = false;
+    }
+    if (breaker.state === 'half-open' && !breaker.trial) {
+      breaker.trial = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess(provider) {
+    const breaker = this.getBreaker(provider);
+    breaker.state = 'closed';
+    breaker.failures = 0;
+    breaker.openedAt = null;
+    breaker.trial = false;
+  }
+
+  // Give back a half-open trial that ended without a verdict (cancelled, or rejected before
+  // reaching the provider), so the next call can make the trial instead
+  releaseTrial(provider) {
+    const breaker = this.getBreaker(provider);
+    if (breaker.state === 'half-open') {
+      breaker.trial = false;
+    }
+  }
+
+  recordFailure(provider, type) {
+    const breaker = this.getBreaker(provider);
+    if (!BREAKER_TYPES.includes(type)) {
+      // The provider answered; only release a half-open trial
+      if (breaker.state === 'half-open') {
+        breaker.trial = false;
+      }
+      return;
+    }
+
+    breaker.failures += 1;
+    if (breaker.state === 'half-open' || breaker.failures >= BREAKER_THRESHOLD) {
+      breaker.state = 'open';
+      breaker.openedAt = Date.now();
+      breaker.trial = false;
+    }
+  }
+
+  getStatus() {
+    return Array.from(this.breakers.entries()).map(([provider, breaker]) => ({
+      provider,
+      state: breaker.state,
+      failures: breaker.failures,
+      openedAt: breaker.openedAt ? new Date(breaker.openedAt) : null
+    }));
+  }
+
+  /*
+   * Try each provider in order until one succeeds.
+   *   getCredentials(provider) -> credentials or null (provider skipped)
+   *   call(provider, credentials, attemptNumber) -> result
+   *   onAttemptFailed(attempt) is told about every failed attempt before the next one starts
+   * Resolves to { result, provider, credentials, attempts }. On failure the thrown
+   * error carries `attempts`. Cancellation and this server's own 4xx errors stop the chain.
+   * When every provider with credentials has an open circuit the error is a 503.
+   */
+  async callWithFallback({ providers, getCredentials, call, signal = null, onAttemptFailed = null }) {
+    const attempts = [];
+    let lastError = null;
+
+    for (const provider of Array.from(new Set(providers))) {
+      const credentials = await getCredentials(provider);
+      if (!credentials) continue;
+
+      if (!this.canRequest(provider)) {
+        attempts.push({ provider, attempt: 0, outcome: 'skipped', reason: 'circuit_open' });
+        continue;
+      }
+      const holdsTrial = this.getBreaker(provider).state === 'half-open';
+
+      try {
+        for (let attempt = 1; attempt <= MAX_RETRIES + 1; attempt++) {
+          const startedAt = Date.now();
+          try {
+            const result = await call(provider, credentials, attempt);
+            this.recordSuccess(provider);
+            attempts.push({ provider, model: result?.model, attempt, outcome: 'success', durationMs: Date.now() - startedAt });
+            return { result, provider, credentials, attempts };
+          } catch (error) {
+            const type = this.classifyError(error, signal);
+            if (type === 'cancelled' || type === 'client') {
+              error.attempts = attempts;
+              throw error;
+            }
+
+            this.recordFailure(provider, type);
+            lastError = error;
+
+            const retry = this.isRetryable(type) && attempt <= MAX_RETRIES && this.getBreaker(provider).state === 'closed';
+            const entry = {
+              provider,
+              attempt,
+              outcome: 'error',
+              errorType: type,
+              message: error.message,
+              upstreamStatus: error.upstreamStatus || null,
+              durationMs: Date.now() - startedAt
+            };
+            if (retry) {
+              entry.retryInMs = this.getRetryDelay(attempt - 1, error);
+            }
+            attempts.push(entry);
+
+            if (onAttemptFailed) {
+              onAttemptFailed(entry);
+            }
+            if (!retry) break;
+
+            try {
+              await sleep(entry.retryInMs, signal);
+            } catch (abortError) {
+              error.attempts = attempts;
+              throw error;
+            }
+          }
+        }
+      } finally {
+        // Success and failures settle the trial themselves; every other exit hands it back
+        if (holdsTrial) {
+          this.releaseTrial(provider);
+        }
+      }
+    }
+
+    const circuitOpen = !lastError && attempts.some(attempt => attempt.reason === 'circuit_open');
+    let message = 'No available AI provider API keys found';
+    let status = 400;
+    if (lastError) {
+      message = `All AI providers failed: ${lastError.message}`;
+      status = lastError.statusCode || 502;
+    } else if (circuitOpen) {
+      message = 'AI providers are temporarily unavailable, try again shortly';
+      status = 503;
+    }
+
+    const error = createHttpError(message, status);
+    error.attempts = attempts;
+    error.cause = lastError;
+    throw error;
+  }
+}
+
+module.exports = new ProviderResilience();
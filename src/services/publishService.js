@@ -0,0 +1,171 @@
+// src/services/publishService.js
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const Project = require('../models/Project');
+const PublishedSite = require('../models/PublishedSite');
+const exportService = require('./exportService');
+const { createHttpError, slugify } = require('../utils/helpers');
+
+const MAX_PUBLISH_BYTES = parseInt(process.env.PUBLISH_MAX_BYTES) || 12 * 1024 * 1024;
+const SUBDOMAIN_PATTERN = /^[a-z0-9](?:[a-z0-9-]{1,61}[a-z0-9])$/;
+const RESERVED_SUBDOMAINS = [
+  'www', 'api', 'app', 'admin', 'dashboard', 'mail', 'smtp', 'ftp', 'cdn', 'static',
+  'assets', 'status', 'help', 'support', 'docs', 'blog', 'dev', 'staging', 'test', 'localhost'
+];
+
+class PublishService {
+  getBaseDomain() {
+    return (process.env.BASE_DOMAIN || '').toLowerCase().replace(/^\.+|\.+$/g, '');
+  }
+
+  // Hosts that serve the API or frontend (APP_HOSTS, comma separated)
+  getAppHosts() {
+    return (process.env.APP_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+  }
+
+  isReservedSubdomain(subdomain) {
+    return RESERVED_SUBDOMAINS.includes(subdomain);
+  }
+
+  buildPublishedUrl(subdomain) {
+    const baseDomain = this.getBaseDomain() || 'localhost';
+    const protocol = process.env.PUBLISH_PROTOCOL || 'https';
+    return `${protocol}://${subdomain}.${baseDomain}`;
+  }
+
+  // Return a validation error message, or null when the subdomain is valid
+  validateSubdomain(subdomain) {
+    if (typeof subdomain !== 'string' || !subdomain) {
+      return 'Subdomain is required';
+    }
+    if (!SUBDOMAIN_PATTERN.test(subdomain)) {
+      return 'Subdomain must be 3-63 characters of lowercase letters, numbers and dashes, and cannot start or end with a dash';
+    }
+    if (subdomain.includes('--')) {
+      return 'Subdomain cannot contain consecutive dashes';
+    }
+    if (this.isReservedSubdomain(subdomain)) {
+      return 'This subdomain is reserved';
+    }
+    return null;
+  }
+
+  async isSubdomainAvailable(subdomain, projectId = null) {
+    const query = { subdomain };
+    if (projectId) query._id = { $ne: projectId };
+    const existing = await Project.findOne(query).select('_id').lean();
+    return !existing;
+  }
+
+  // Check a subdomain without reserving it
+  async checkSubdomain(subdomain, projectId = null) {
+    const normalized = String(subdomain || '').trim().toLowerCase();
+    const error = this.validateSubdomain(normalized);
+    if (error) {
+      return { subdomain: normalized, available: false, reason: error };
+    }
+    const available = await this.isSubdomainAvailable(normalized, projectId);
+    return {
+      subdomain: normalized,
+      available,
+      reason: available ? null : 'Subdomain is already taken'
+    };
+  }
+
+  // Site files to freeze: a root index.html is required for file-based projects
+  async buildSiteFiles(project) {
+    let source = await exportService.collectSourceFiles(project, { mode: 'auto' });
+    if (source.mode === 'files' && !source.files.some(file => file.path === 'index.html')) {
+      source = await exportService.collectSourceFiles(project, { mode: 'content' });
+    }
+
+    const files = source.files.map(file => ({
+      path: file.path,
+      content: Buffer.from(file.content, 'utf8')
+    }));
+
+    const assets = await exportService.collectAssets(project);
+    for (const asset of assets) {
+      files.push({ path: asset.path, content: await fs.readFile(asset.diskPath) });
+    }
+
+    return files.map(file => ({
+      ...file,
+      size: file.content.length,
+      etag: `"${crypto.createHash('sha1').update(file.content).digest('hex')}"`
+    }));
+  }
+
+  // Reserve a subdomain and freeze the current content as the live site (caller saves project)
+  async publish(project, { subdomain } = {}) {
+    const requested = subdomain || project.subdomain || slugify(project.name, '');
+    const check = await this.checkSubdomain(requested, project._id);
+    if (!check.available) {
+      throw createHttpError(check.reason, check.reason === 'Subdomain is already taken' ? 409 : 400);
+    }
+
+    const files = await this.buildSiteFiles(project);
+    const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+    if (totalSize > MAX_PUBLISH_BYTES) {
+      throw createHttpError(`Site is too large to publish (${totalSize} bytes, limit ${MAX_PUBLISH_BYTES})`, 413);
+    }
+
+    // Reserve the subdomain on the project first; the unique index settles races
+    project.subdomain = check.subdomain;
+    try {
+      await project.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createHttpError('Subdomain is already taken', 409);
+      }
+      throw error;
+    }
+
+    const site = await PublishedSite.findOneAndUpdate(
+      { projectId: project._id },
+      {
+        $set: {
+          userId: project.userId,
+          subdomain: check.subdomain,
+          files,
+          totalSize,
+          publishedAt: new Date()
+        },
+        $inc: { publishCount: 1 }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    project.status = 'published';
+    project.publishedUrl = this.buildPublishedUrl(check.subdomain);
+
+    return {
+      subdomain: site.subdomain,
+      url: project.publishedUrl,
+      fileCount: files.length,
+      totalSize,
+      publishedAt: site.publishedAt
+    };
+  }
+
+  // Take the site offline; the subdomain stays reserved for the project (caller saves)
+  async unpublish(project) {
+    const result = await PublishedSite.deleteOne({ projectId: project._id });
+
+    project.status = 'ready';
+    project.publishedUrl = null;
+
+    return { wasPublished: result.deletedCount > 0 };
+  }
+
+  // Look up a single file of a published site without loading the others
+  async findSiteFile(query, filePath) {
+    return await PublishedSite.findOne(query, {
+      subdomain: 1,
+      publishedAt: 1,
+      files: { $elemMatch: { path: filePath } }
+    }).lean();
+  }
+}
+
+module.exports = new PublishService();
@@ -0,0 +1,229 @@
+// src/services/quotaService.js
+const User = require('../models/User');
+const UsageRecord = require('../models/UsageRecord');
+const aiQuotas = require('../config/aiQuotas');
+const { createHttpError } = require('../utils/helpers');
+
+const MINUTE = 60 * 1000;
+const WARNING_RATIO = 0.8;
+
+const LIMIT_LABELS = {
+  requestsPerMinute: 'requests per minute',
+  tokensPerDay: 'tokens per day',
+  monthlyCostUsd: 'monthly AI spend'
+};
+
+// Enforces per-user AI limits before any provider call. Request rates are
+// counted in memory; tokens and cost come from the usage ledger.
+class QuotaService {
+  constructor() {
+    // userId -> timestamps of accepted requests in the last minute
+    this.requestWindows = new Map();
+    // userId -> Map(limit -> resetAt) of warnings already sent this period
+    this.warnings = new Map();
+    this.notifier = null;
+  }
+
+  // Set by socketService; must provide emitToUser(userId, event, data)
+  setNotifier(notifier) {
+    this.notifier = notifier;
+  }
+
+  getLimits(user) {
+    const plan = user?.plan || aiQuotas.getDefaultPlan();
+    const planLimits = aiQuotas.getPlanLimits(plan);
+    const limits = { plan };
+
+    aiQuotas.LIMIT_NAMES.forEach(name => {
+      const override = user?.quotas?.[name];
+      limits[name] = override !== null && override !== undefined ? override : planLimits[name] ?? null;
+    });
+
+    return limits;
+  }
+
+  getRecentRequests(userId, now = Date.now()) {
+    const recent = (this.requestWindows.get(userId) || []).filter(time => time > now - MINUTE);
+    if (recent.length > 0) {
+      this.requestWindows.set(userId, recent);
+    } else {
+      this.requestWindows.delete(userId);
+    }
+    return recent;
+  }
+
+  // Tokens since the start of the UTC day and cost since the start of the UTC month
+  async getLedgerUsage(userId, now) {
+    const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+    const [usage] = await UsageRecord.aggregate([
+      { $match: { userId, createdAt: { $gte: monthStart } } },
+      {
+        $group: {
+          _id: null,
+          tokensToday: { $sum: { $cond: [{ $gte: ['$createdAt', dayStart] }, '$totalTokens', 0] } },
+          costThisMonth: { $sum: { $ifNull: ['$cost', 0] } }
+        }
+      }
+    ]);
+
+    return {
+      tokensToday: usage?.tokensToday || 0,
+      costThisMonth: usage?.costThisMonth || 0,
+      dayReset: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000),
+      monthReset: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+    };
+  }
+
+  // Current usage against every limit
+  async getStatus(user, now = new Date()) {
+    const userId = user.uid;
+    const limits = this.getLimits(user);
+    const requests = this.getRecentRequests(userId, now.getTime());
+    const ledger = await this.getLedgerUsage(userId, now);
+
+    const entry = (limit, used, resetAt) => ({
+      limit,
+      used: Math.round(used * 1e6) / 1e6,
+      remaining: limit === null ? null : Math.max(0, Math.round((limit - used) * 1e6) / 1e6),
+      resetAt
+    });
+
+    return {
+      plan: limits.plan,
+      requestsPerMinute: entry(
+        limits.requestsPerMinute,
+        requests.length,
+        new Date(requests.length > 0 ? requests[0] + MINUTE : now.getTime() + MINUTE)
+      ),
+      tokensPerDay: entry(limits.tokensPerDay, ledger.tokensToday, ledger.dayReset),
+      monthlyCostUsd: entry(limits.monthlyCostUsd, ledger.costThisMonth, ledger.monthReset)
+    };
+  }
+
+  async getStatusForUser(userId) {
+    const user = await User.findOne({ uid: userId });
+    return await this.getStatus(user || { uid: userId });
+  }
+
+  // Count one AI request against the user's limits, or throw a 429 naming the
+  // limit that was hit and when it resets
+  async enforce(userId) {
+    // Reserve the request slot before any await, so parallel calls count each other
+    const reservedAt = Date.now();
+    const requests = this.getRecentRequests(userId, reservedAt);
+    const ahead = requests.length;
+    requests.push(reservedAt);
+    this.requestWindows.set(userId, requests);
+
+    let status;
+    try {
+      const user = await User.findOne({ uid: userId });
+      const now = new Date(reservedAt);
+      status = await this.getStatus(user || { uid: userId }, now);
+
+      for (const name of aiQuotas.LIMIT_NAMES) {
+        const { limit, resetAt } = status[name];
+        // The window already holds this request and any reserved in parallel after it
+        const used = name === 'requestsPerMinute' ? ahead : status[name].used;
+        if (limit !== null && used >= limit) {
+          const error = createHttpError(`AI quota exceeded: ${LIMIT_LABELS[name]} limit of ${limit} reached`, 429);
+          error.code = 'QUOTA_EXCEEDED';
+          error.quota = {
+            limit: name,
+            max: limit,
+            used,
+            resetAt,
+            retryAfter: Math.max(1, Math.ceil((resetAt.getTime() - now.getTime()) / 1000))
+          };
+          throw error;
+        }
+      }
+    } catch (error) {
+      this.releaseRequest(userId, reservedAt);
+      throw error;
+    }
+
+    this.notifyWarnings(userId, status);
+    return status;
+  }
+
+  // Give back a slot reserved by enforce
+  releaseRequest(userId, reservedAt) {
+    const requests = this.requestWindows.get(userId) || [];
+    const index = requests.indexOf(reservedAt);
+    if (index !== -1) requests.splice(index, 1);
+    if (requests.length === 0) this.requestWindows.delete(userId);
+  }
+
+  // Re-check after a call has been recorded, so crossing 80% is reported promptly
+  async checkWarnings(userId) {
+    const status = await this.getStatusForUser(userId);
+    this.notifyWarnings(userId, status);
+    return status;
+  }
+
+  // Emit 'quota:warning' once per limit and period when usage reaches 80%
+  notifyWarnings(userId, status) {
+    if (!this.notifier) return;
+
+    const sent = this.warnings.get(userId) || new Map();
+    aiQuotas.LIMIT_NAMES.forEach(name => {
+      const { limit, used, resetAt } = status[name];
+      if (limit === null || limit <= 0 || used < limit * WARNING_RATIO) return;
+
+      const period = resetAt.toISOString();
+      // The request window slides, so its reset time moves on every call
+      const key = name === 'requestsPerMinute' ? Math.floor(resetAt.getTime() / MINUTE) : period;
+      if (sent.get(name) === key) return;
+
+      sent.set(name, key);
+      this.notifier.emitToUser(userId, 'quota:warning', {
+        limit: name,
+        max: limit,
+        used,
+        percent: Math.round((used / limit) * 100),
+        resetAt,
+        message: `You have used ${Math.round((used / limit) * 100)}% of your ${LIMIT_LABELS[name]} limit`
+      });
+    });
+    this.warnings.set(userId, sent);
+  }
+
+  // Admin: change a user's plan and/or limit overrides (null clears an override)
+  async updateUserQuota(userId, { plan, quotas } = {}) {
+    const user = await User.findOne({ uid: userId });
+    if (!user) {
+      throw createHttpError('User not found', 404);
+    }
+
+    if (plan !== undefined) {
+      if (plan !== null && !aiQuotas.getPlans()[plan]) {
+        throw createHttpError(`Unknown plan ${plan}`, 400);
+      }
+      user.plan = plan;
+    }
+
+    if (quotas !== undefined) {
+      if (!quotas || typeof quotas !== 'object' || Array.isArray(quotas)) {
+        throw createHttpError('quotas must be an object', 400);
+      }
+      Object.entries(quotas).forEach(([name, value]) => {
+        if (!aiQuotas.LIMIT_NAMES.includes(name)) {
+          throw createHttpError(`Unknown quota ${name}`, 400);
+        }
+        if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+          throw createHttpError(`${name} must be a non-negative number or null`, 400);
+        }
+        user.quotas[name] = value;
+      });
+    }
+
+    await user.save();
+    this.warnings.delete(userId);
+    return { plan: user.plan, limits: this.getLimits(user) };
+  }
+}
+
+module.exports = new QuotaService();
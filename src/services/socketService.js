@@ -1,12 +1,21 @@
 // src/services/socketService.js
 const socketIo = require('socket.io');
+const mongoose = require('mongoose');
 const terminalService = require('./terminalService');
 const aiOrchestrator = require('./aiOrchestrator');
+const versionService = require('./versionService');
+const quotaService = require('./quotaService');
+const chatService = require('./chatService');
+const aiKnowledgeBase = require('./aiKnowledgeBase');
+const { verifyToken } = require('../middleware/auth');
+const { createHttpError } = require('../utils/helpers');
 
 class SocketService {
   constructor() {
     this.io = null;
     this.connections = new Map();
+    // socket.id -> AbortController of the generation running for that socket
+    this.generations = new Map();
   }
 
   initialize(server) {
@@ -20,6 +29,7 @@ class SocketService {
 
     // Set socket emitter for terminal service
     terminalService.setSocketEmitter(this);
+    quotaService.setNotifier(this);
 
     this.io.on('connection', (socket) => {
       console.log('Client connected:', socket.id);
@@ -31,19 +41,36 @@ class SocketService {
         connectedAt: new Date()
       });
 
-      // Authentication
-      socket.on('authenticate', (data) => {
+      // Authentication: { token, projectId }. The user comes from the verified Firebase
+      // ID token (or the handshake's auth.token), never from the payload.
+      socket.on('authenticate', async (data) => {
         const connection = this.connections.get(socket.id);
-        if (connection) {
-          connection.userId = data.userId;
-          connection.projectId = data.projectId;
-          
+        if (!connection) return;
+
+        try {
+          const { userId, projectId } = await this.verifyConnection(socket, data || {});
+
+          if (connection.userId && connection.userId !== userId) {
+            socket.leave(`user:${connection.userId}`);
+          }
+          if (connection.projectId && connection.projectId !== projectId) {
+            socket.leave(`project:${connection.projectId}`);
+          }
+          connection.userId = userId;
+          connection.projectId = projectId;
+
           // Join project room
-          if (data.projectId) {
-            socket.join(`project:${data.projectId}`);
+          if (projectId) {
+            socket.join(`project:${projectId}`);
           }
-          
-          console.log(`User ${data.userId} authenticated for project ${data.projectId}`);
+
+          // Per-user room for account-wide notices such as quota warnings
+          socket.join(`user:${userId}`);
+
+          socket.emit('authenticated', { userId, projectId });
+          console.log(`User ${userId} authenticated for project ${projectId}`);
+        } catch (error) {
+          socket.emit('error', { message: error.statusCode ? error.message : 'Invalid or expired token' });
         }
       });
 
@@ -95,6 +122,9 @@ class SocketService {
             return;
           }
 
+          const controller = await this.beginRun(socket, connection.userId, 'code:generation:error');
+          if (!controller) return;
+
           // Emit generation started
           socket.emit('code:generation:started', { 
             timestamp: new Date(),
@@ -102,12 +132,77 @@ class SocketService {
           });
 
           // Start the AI generation process
-          this.generateCodeLive(socket, connection.userId, connection.projectId, data);
+          this.generateCodeLive(socket, connection.userId, connection.projectId, data, controller.signal)
+            .finally(() => this.endRun(socket, connection.userId, controller));
         } catch (error) {
           socket.emit('error', { message: error.message });
         }
       });
 
+      // Abort the upstream provider request of the running generation
+      socket.on('code:generate:cancel', () => {
+        const controller = this.generations.get(socket.id);
+        if (!controller) {
+          socket.emit('code:generation:error', {
+            message: 'No generation is running',
+            timestamp: new Date()
+          });
+          return;
+        }
+        controller.abort();
+      });
+
+      // Chat turns stream the reply as 'chat:token' events; one AI run per socket
+      socket.on('chat:message', async (data) => {
+        try {
+          const connection = this.connections.get(socket.id);
+          if (!connection?.userId || !connection?.projectId) {
+            socket.emit('error', { message: 'Not authenticated' });
+            return;
+          }
+
+          const controller = await this.beginRun(socket, connection.userId, 'chat:message:error');
+          if (!controller) return;
+
+          this.sendChatMessageLive(socket, connection.userId, connection.projectId, data || {}, controller.signal)
+            .finally(() => this.endRun(socket, connection.userId, controller));
+        } catch (error) {
+          socket.emit('error', { message: error.message });
+        }
+      });
+
+      socket.on('chat:message:cancel', () => {
+        const controller = this.generations.get(socket.id);
+        if (!controller) {
+          socket.emit('chat:message:error', {
+            message: 'No chat reply is running',
+            timestamp: new Date()
+          });
+          return;
+        }
+        controller.abort();
+      });
+
+      // Feedback on generated code: { generationId, signal, comment }
+      socket.on('knowledge:feedback', async (data) => {
+        try {
+          const connection = this.connections.get(socket.id);
+          if (!connection?.userId) {
+            socket.emit('knowledge:feedback:error', { message: 'Not authenticated', timestamp: new Date() });
+            return;
+          }
+
+          const result = await aiKnowledgeBase.submitGenerationFeedback(connection.userId, data?.generationId, data);
+          socket.emit('knowledge:feedback:recorded', { ...result, timestamp: new Date() });
+        } catch (error) {
+          socket.emit('knowledge:feedback:error', {
+            generationId: data?.generationId,
+            message: error.message,
+            timestamp: new Date()
+          });
+        }
+      });
+
       // File system events
       socket.on('file:save', async (data) => {
         try {
@@ -117,19 +212,20 @@ class SocketService {
             return;
           }
 
-          await terminalService.writeWorkspaceFile(
+          const file = await terminalService.writeWorkspaceFile(
             connection.projectId, 
             data.filePath, 
-            data.content
+            data.content,
+            { userId: connection.userId }
           );
           
           // Notify other clients in the project room
           socket.to(`project:${connection.projectId}`).emit('file:updated', {
-            filePath: data.filePath,
+            filePath: file.path,
             timestamp: new Date()
           });
           
-          socket.emit('file:saved', { filePath: data.filePath });
+          socket.emit('file:saved', { filePath: file.path });
         } catch (error) {
           socket.emit('error', { message: error.message });
         }
@@ -143,15 +239,16 @@ class SocketService {
             return;
           }
 
-          await terminalService.deleteWorkspaceFile(connection.projectId, data.filePath);
+          const result = await terminalService.deleteWorkspaceFile(connection.projectId, data.filePath);
           
           // Notify other clients
           socket.to(`project:${connection.projectId}`).emit('file:deleted', {
-            filePath: data.filePath,
+            filePath: result.path,
+            type: result.type,
             timestamp: new Date()
           });
           
-          socket.emit('file:deleted:success', { filePath: data.filePath });
+          socket.emit('file:deleted:success', { filePath: result.path });
         } catch (error) {
           socket.emit('error', { message: error.message });
         }
@@ -160,6 +257,10 @@ class SocketService {
       // Disconnect handling
       socket.on('disconnect', () => {
         console.log('Client disconnected:', socket.id);
+        const controller = this.generations.get(socket.id);
+        if (controller) {
+          controller.abort();
+        }
         this.connections.delete(socket.id);
       });
     });
@@ -167,8 +268,129 @@ class SocketService {
     console.log('Socket.IO service initialized');
   }
 
-  // Live code generation with real-time streaming
-  async generateCodeLive(socket, userId, projectId, request) {
+  // Verified { userId, projectId } for an authenticate payload; the project must be the user's
+  async verifyConnection(socket, data) {
+    const decoded = await verifyToken(data.token || socket.handshake?.auth?.token);
+    const userId = decoded.uid;
+
+    let projectId = null;
+    if (data.projectId) {
+      const Project = require('../models/Project');
+      const project = mongoose.Types.ObjectId.isValid(data.projectId)
+        ? await Project.findById(data.projectId).select('userId').lean()
+        : null;
+      if (!project || project.userId !== userId) {
+        throw createHttpError('Project not found', 404);
+      }
+      projectId = String(project._id);
+    }
+
+    return { userId, projectId };
+  }
+
+  // Claim the socket's single AI run slot and charge the quota; emits `errorEvent` and
+  // returns null when another run is active or the quota is exhausted
+  async beginRun(socket, userId, errorEvent) {
+    if (this.generations.has(socket.id)) {
+      socket.emit(errorEvent, {
+        message: 'A generation is already running; cancel it first',
+        timestamp: new Date()
+      });
+      return null;
+    }
+
+    // Registered before the quota check so a second request cannot slip in meanwhile
+    const controller = new AbortController();
+    this.generations.set(socket.id, controller);
+
+    try {
+      await quotaService.enforce(userId);
+    } catch (error) {
+      this.generations.delete(socket.id);
+      socket.emit(errorEvent, {
+        message: error.message,
+        code: error.code,
+        quota: error.quota,
+        timestamp: new Date()
+      });
+      return null;
+    }
+
+    return controller;
+  }
+
+  endRun(socket, userId, controller) {
+    if (this.generations.get(socket.id) === controller) {
+      this.generations.delete(socket.id);
+    }
+    quotaService.checkWarnings(userId).catch(error => {
+      console.error('Quota warning check failed:', error);
+    });
+  }
+
+  async sendChatMessageLive(socket, userId, projectId, data, signal = null) {
+    const { sessionId } = data;
+    try {
+      const Project = require('../models/Project');
+      const project = await Project.findById(projectId);
+      if (!project || project.userId !== userId) {
+        socket.emit('chat:message:error', { sessionId, message: 'Project not found', timestamp: new Date() });
+        return;
+      }
+
+      const session = await chatService.getSession(project._id, userId, sessionId);
+      socket.emit('chat:message:started', { sessionId, timestamp: new Date() });
+
+      const result = await chatService.sendMessage(session, project, userId, {
+        content: data.content,
+        files: data.files,
+        provider: data.provider,
+        keyId: data.keyId,
+        model: data.model,
+        autoApply: data.autoApply !== false
+      }, {
+        signal,
+        onEvent: (event, payload) => {
+          if (signal?.aborted) return;
+          socket.emit(`chat:${event}`, { sessionId, ...payload });
+        }
+      });
+
+      if (result.applied) {
+        project.lastSaved = new Date();
+        await project.save();
+        this.broadcastToProject(projectId, 'project:edited', {
+          version: result.assistantMessage.version,
+          files: result.assistantMessage.changes.map(change => change.path),
+          timestamp: new Date()
+        });
+      }
+
+      socket.emit('chat:message:completed', {
+        sessionId,
+        userMessage: result.userMessage,
+        message: result.assistantMessage,
+        applied: result.applied,
+        attempts: result.attempts
+      });
+    } catch (error) {
+      if (signal?.aborted) {
+        socket.emit('chat:message:cancelled', { sessionId, timestamp: new Date() });
+        return;
+      }
+      console.error('Chat message error:', error);
+      socket.emit('chat:message:error', {
+        sessionId,
+        message: error.message,
+        code: error.code,
+        attempts: error.attempts,
+        timestamp: new Date()
+      });
+    }
+  }
+
+  // Live code generation, forwarding provider output as it streams in
+  async generateCodeLive(socket, userId, projectId, request, signal = null) {
     try {
       // Import project data
       const Project = require('../models/Project');
@@ -200,27 +422,38 @@ class SocketService {
         message: 'Generating code with AI...'
       });
 
-      const result = await aiOrchestrator.generateCode(userId, project, request);
+      const result = await aiOrchestrator.generateCode(userId, project, request, {
+        signal,
+        onEvent: (event, data) => {
+          if (signal?.aborted) return;
+          if (event === 'generation:restarted') {
+            socket.emit('code:generation:status', {
+              stage: 'generating',
+              message: 'Adapting existing code failed, generating new code...',
+              reason: data.reason
+            });
+            return;
+          }
+          socket.emit(`code:${event}`, data);
+        }
+      });
+
+      if (signal?.aborted) {
+        throw aiOrchestrator.createCancelledError();
+      }
 
-      // Stream the generated files one by one
       if (result.files) {
-        const fileEntries = Object.entries(result.files);
-        
-        for (let i = 0; i < fileEntries.length; i++) {
-          const [filePath, fileData] = fileEntries[i];
-          
-          // Simulate live typing effect
-          await this.streamCodeToSocket(socket, filePath, fileData.content, fileData.language);
-          
-          // Small delay between files
-          await new Promise(resolve => setTimeout(resolve, 500));
-        }
+        await versionService.createSnapshot(project, {
+          description: 'Before live code generation',
+          source: 'ai-generation',
+          auto: true,
+          userId
+        });
 
-        // Initialize workspace (DISABLED - no physical files)
-        // await terminalService.initializeWorkspace(projectId, result.files); // DISABLED
+        // Store generated files in the project's virtual workspace
+        await terminalService.initializeWorkspace(projectId, result.files, { userId });
 
         // Update project in database
-        project.content = { ...project.content, ...result.files };
         project.lastAiGeneration = {
           timestamp: new Date(),
           provider: result.provider,
@@ -237,70 +470,26 @@ class SocketService {
           provider: result.provider,
           tokensUsed: result.tokensUsed,
           source: result.source,
+          generationId: result.generationId,
+          attempts: result.attempts,
           timestamp: new Date()
         }
       });
 
     } catch (error) {
+      if (signal?.aborted || error.code === 'GENERATION_CANCELLED') {
+        socket.emit('code:generation:cancelled', { timestamp: new Date() });
+        return;
+      }
       console.error('Live code generation error:', error);
       socket.emit('code:generation:error', {
         message: error.message,
+        attempts: error.attempts,
         timestamp: new Date()
       });
     }
   }
 
-  // Stream code content with typing effect
-  async streamCodeToSocket(socket, filePath, content, language) {
-    const chunks = this.splitContentIntoChunks(content, 50); // 50 chars per chunk
-    
-    socket.emit('code:file:started', {
-      filePath,
-      language,
-      totalChunks: chunks.length
-    });
-
-    for (let i = 0; i < chunks.length; i++) {
-      socket.emit('code:file:chunk', {
-        filePath,
-        chunk: chunks[i],
-        chunkIndex: i,
-        isComplete: i === chunks.length - 1
-      });
-      
-      // Typing delay
-      await new Promise(resolve => setTimeout(resolve, 50));
-    }
-
-    socket.emit('code:file:completed', {
-      filePath,
-      content,
-      language
-    });
-  }
-
-  // Split content into readable chunks
-  splitContentIntoChunks(content, maxChunkSize) {
-    const chunks = [];
-    const lines = content.split('\n');
-    let currentChunk = '';
-    
-    for (const line of lines) {
-      if (currentChunk.length + line.length + 1 > maxChunkSize && currentChunk.length > 0) {
-        chunks.push(currentChunk);
-        currentChunk = line + '\n';
-      } else {
-        currentChunk += line + '\n';
-      }
-    }
-    
-    if (currentChunk.length > 0) {
-      chunks.push(currentChunk);
-    }
-    
-    return chunks;
-  }
-
   // Emit to terminal (called by terminalService)
   emit(eventName, data) {
     if (eventName.startsWith('terminal:')) {
@@ -309,8 +498,15 @@ class SocketService {
     }
   }
 
+  // Emit to every socket of a user (called by quotaService)
+  emitToUser(userId, eventName, data) {
+    if (!this.io) return;
+    this.io.to(`user:${userId}`).emit(eventName, data);
+  }
+
   // Broadcast to project room
   broadcastToProject(projectId, eventName, data) {
+    if (!this.io) return;
     this.io.to(`project:${projectId}`).emit(eventName, data);
   }
 
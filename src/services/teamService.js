@@ -0,0 +1,223 @@
+// src/services/teamService.js
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const KnowledgeEntry = require('../models/KnowledgeEntry');
+const { createHttpError } = require('../utils/helpers');
+
+const MAX_TEAM_MEMBERS = 100;
+const MANAGER_ROLES = ['owner', 'admin'];
+const INVITE_LIFETIME_MS = 14 * 24 * 60 * 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class TeamService {
+  // Pending invites are only shown to owners and admins
+  formatTeam(team, userId) {
+    const role = this.getRole(team, userId);
+    return {
+      id: team._id,
+      name: team.name,
+      ownerId: team.ownerId,
+      role,
+      members: team.members,
+      ...(MANAGER_ROLES.includes(role) && {
+        invites: (team.invites || []).filter(invite => this.isInviteLive(invite)).map(invite => ({
+          id: invite._id,
+          userId: invite.userId,
+          email: invite.email,
+          role: invite.role,
+          invitedBy: invite.invitedBy,
+          invitedAt: invite.invitedAt
+        }))
+      }),
+      createdAt: team.createdAt,
+      updatedAt: team.updatedAt
+    };
+  }
+
+  getRole(team, userId) {
+    const member = team.members.find(item => item.userId === userId);
+    return member ? member.role : null;
+  }
+
+  // Ids of every team the user belongs to
+  async getTeamIds(userId) {
+    const teams = await Team.find({ 'members.userId': userId }).select('_id').lean();
+    return teams.map(team => team._id);
+  }
+
+  async listTeams(userId) {
+    const teams = await Team.find({ 'members.userId': userId }).sort({ createdAt: 1 });
+    return teams.map(team => this.formatTeam(team, userId));
+  }
+
+  // The team, when the user is a member with one of `roles` (any role by default).
+  // Teams the user cannot see are reported as missing.
+  async getMemberTeam(userId, teamId, roles = null) {
+    if (!mongoose.Types.ObjectId.isValid(teamId)) {
+      throw createHttpError('Team not found', 404);
+    }
+    const team = await Team.findById(teamId);
+    const role = team && this.getRole(team, userId);
+    if (!role) {
+      throw createHttpError('Team not found', 404);
+    }
+    if (roles && !roles.includes(role)) {
+      throw createHttpError(`Only team ${roles.map(item => `${item}s`).join(' or ')} can do this`, 403);
+    }
+    return team;
+  }
+
+  async isManager(userId, teamId) {
+    const team = await Team.findById(teamId).select('members').lean();
+    const member = team?.members.find(item => item.userId === userId);
+    return Boolean(member && MANAGER_ROLES.includes(member.role));
+  }
+
+  async createTeam(userId, { name } = {}) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed || trimmed.length > 100) {
+      throw createHttpError('Team name is required (100 characters at most)', 400);
+    }
+    const team = await Team.create({
+      name: trimmed,
+      ownerId: userId,
+      members: [{ userId, role: 'owner' }]
+    });
+    return this.formatTeam(team, userId);
+  }
+
+  isInviteLive(invite, now = Date.now()) {
+    return now - new Date(invite.invitedAt).getTime() < INVITE_LIFETIME_MS;
+  }
+
+  // Invites address a user by uid or by email
+  isInviteFor(invite, userId, email) {
+    return invite.userId === userId || Boolean(email && invite.email === email);
+  }
+
+  // The caller's email from their token, only when the provider verified it: anyone can
+  // sign up with someone else's address, so an unverified one claims no invites
+  getVerifiedEmail({ email, emailVerified } = {}) {
+    return emailVerified === true && email ? String(email).trim().toLowerCase() : null;
+  }
+
+  // Invite someone by uid or email; they join by accepting (see acceptInvite). Addresses are
+  // not looked up, so the response is the same whether or not they belong to a registered user.
+  async inviteMember(userId, teamId, { userId: inviteeId, email, role = 'member' } = {}) {
+    const team = await this.getMemberTeam(userId, teamId, MANAGER_ROLES);
+    if (!['admin', 'member'].includes(role)) {
+      throw createHttpError('role must be admin or member', 400);
+    }
+    if (!inviteeId && !email) {
+      throw createHttpError('userId or email is required', 400);
+    }
+
+    const address = inviteeId
+      ? { userId: String(inviteeId).trim(), email: null }
+      : { userId: null, email: String(email).trim().toLowerCase() };
+    if (address.email && !EMAIL_PATTERN.test(address.email)) {
+      throw createHttpError('email is not a valid address', 400);
+    }
+    if (address.userId && this.getRole(team, address.userId)) {
+      throw createHttpError('User is already a member of this team', 409);
+    }
+
+    // Inviting the same address again replaces its invite; expired invites are dropped
+    const now = Date.now();
+    team.invites = team.invites.filter(invite => this.isInviteLive(invite, now)
+      && !(address.userId ? invite.userId === address.userId : invite.email === address.email));
+    if (team.members.length + team.invites.length >= MAX_TEAM_MEMBERS) {
+      throw createHttpError(`Teams are limited to ${MAX_TEAM_MEMBERS} members and pending invites`, 400);
+    }
+
+    team.invites.push({ ...address, role, invitedBy: userId, invitedAt: new Date(now) });
+    await team.save();
+    return this.formatTeam(team, userId);
+  }
+
+  async revokeInvite(userId, teamId, inviteId) {
+    const team = await this.getMemberTeam(userId, teamId, MANAGER_ROLES);
+    const invite = mongoose.Types.ObjectId.isValid(inviteId) && team.invites.id(inviteId);
+    if (!invite) {
+      throw createHttpError('Invite not found', 404);
+    }
+    team.invites = team.invites.filter(item => !item._id.equals(invite._id));
+    await team.save();
+    return this.formatTeam(team, userId);
+  }
+
+  // Pending invites addressed to the user; `identity` is { email, emailVerified } from their token
+  async listInvites(userId, identity) {
+    const email = this.getVerifiedEmail(identity);
+    const teams = await Team.find({ $or: [{ 'invites.userId': userId }, ...(email ? [{ 'invites.email': email }] : [])] })
+      .select('name invites')
+      .lean();
+    const now = Date.now();
+    return teams.flatMap(team => team.invites
+      .filter(invite => this.isInviteLive(invite, now) && this.isInviteFor(invite, userId, email))
+      .map(invite => ({
+        teamId: team._id,
+        teamName: team.name,
+        role: invite.role,
+        invitedBy: invite.invitedBy,
+        invitedAt: invite.invitedAt
+      })));
+  }
+
+  // The team and the user's live invite to it; teams without one are reported as missing
+  async findInvite(userId, teamId, identity) {
+    const team = mongoose.Types.ObjectId.isValid(teamId) ? await Team.findById(teamId) : null;
+    const email = this.getVerifiedEmail(identity);
+    const invite = team?.invites.find(item => this.isInviteLive(item) && this.isInviteFor(item, userId, email));
+    if (!invite) {
+      throw createHttpError('Invite not found', 404);
+    }
+    return { team, invite, email };
+  }
+
+  async acceptInvite(userId, teamId, identity) {
+    const { team, invite, email } = await this.findInvite(userId, teamId, identity);
+    if (!this.getRole(team, userId)) {
+      if (team.members.length >= MAX_TEAM_MEMBERS) {
+        throw createHttpError(`Teams are limited to ${MAX_TEAM_MEMBERS} members`, 400);
+      }
+      team.members.push({ userId, role: invite.role });
+    }
+    team.invites = team.invites.filter(item => !this.isInviteFor(item, userId, email));
+    await team.save();
+    return this.formatTeam(team, userId);
+  }
+
+  async declineInvite(userId, teamId, identity) {
+    const { team, email } = await this.findInvite(userId, teamId, identity);
+    team.invites = team.invites.filter(item => !this.isInviteFor(item, userId, email));
+    await team.save();
+  }
+
+  // Managers remove anyone but the owner; members may remove themselves
+  async removeMember(userId, teamId, memberId) {
+    const team = await this.getMemberTeam(userId, teamId);
+    if (memberId !== userId && !MANAGER_ROLES.includes(this.getRole(team, userId))) {
+      throw createHttpError('Only team owners or admins can remove other members', 403);
+    }
+    if (memberId === team.ownerId) {
+      throw createHttpError('The team owner cannot be removed; delete the team instead', 400);
+    }
+    if (!this.getRole(team, memberId)) {
+      throw createHttpError('Member not found', 404);
+    }
+
+    team.members = team.members.filter(member => member.userId !== memberId);
+    await team.save();
+    return this.formatTeam(team, userId);
+  }
+
+  // Deleting a team also deletes the knowledge shared with it; members' private copies remain
+  async deleteTeam(userId, teamId) {
+    const team = await this.getMemberTeam(userId, teamId, ['owner']);
+    await KnowledgeEntry.deleteMany({ scope: 'team', teamId: team._id });
+    await Team.deleteOne({ _id: team._id });
+  }
+}
+
+module.exports = new TeamService();
@@ -3,6 +3,7 @@ const { spawn } = require('child_process');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs').promises;
+const workspaceService = require('./workspaceService');
 
 class TerminalService {
   constructor() {
@@ -129,29 +130,16 @@ class TerminalService {
     return `/virtual/workspace/${projectId}`;
   }
 
-  // Initialize project workspace with files (DISABLED - no physical files)
-  async initializeWorkspace(projectId, files) {
-    // No longer creates physical files - this is now handled in database only
-    console.log(`Virtual workspace initialized for project ${projectId} (no physical files created)`);
+  // Initialize project workspace with files (stored in the database, no physical files)
+  async initializeWorkspace(projectId, files, options = {}) {
+    const written = await workspaceService.writeFiles(projectId, files, options);
+    console.log(`Virtual workspace initialized for project ${projectId} (${written.length} files)`);
     return `/virtual/workspace/${projectId}`;
   }
 
   // Get workspace file tree (from database, not physical files)
   async getWorkspaceTree(projectId) {
-    try {
-      // Return virtual file tree - no physical folder scanning
-      return [
-        {
-          name: 'No physical files',
-          type: 'message',
-          path: 'virtual',
-          message: 'Files are stored in database only'
-        }
-      ];
-    } catch (error) {
-      console.error('Error getting workspace tree:', error);
-      return [];
-    }
+    return await workspaceService.getTree(projectId);
   }
 
   // Build file tree recursively
@@ -199,32 +187,27 @@ class TerminalService {
     });
   }
 
-  // Read file from workspace (DISABLED - no physical files)
+  // Read file from the virtual workspace
   async readWorkspaceFile(projectId, filePath) {
-    // No longer reads physical files - should read from database
-    console.log(`Virtual file read: ${filePath} for project ${projectId}`);
-    return { content: '', path: filePath };
+    return await workspaceService.readFile(projectId, filePath);
   }
 
-  // Write file to workspace (DISABLED - no physical files)
-  async writeWorkspaceFile(projectId, filePath, content) {
-    // No longer writes physical files - handled in database only
-    console.log(`Virtual file write: ${filePath} for project ${projectId}`);
-    return { success: true, path: filePath };
+  // Write file to the virtual workspace, creating parent directories as needed
+  async writeWorkspaceFile(projectId, filePath, content, options = {}) {
+    const result = await workspaceService.writeFile(projectId, filePath, content, options);
+    return { success: true, ...result };
   }
 
-  // Delete file from workspace (DISABLED - no physical files)
+  // Delete a file or a whole directory from the virtual workspace
   async deleteWorkspaceFile(projectId, filePath) {
-    // No longer deletes physical files - handled in database only
-    console.log(`Virtual file delete: ${filePath} for project ${projectId}`);
-    return { success: true, path: filePath };
+    const result = await workspaceService.deleteEntry(projectId, filePath);
+    return { success: true, ...result };
   }
 
-  // Create directory in workspace (DISABLED - no physical files)
+  // Create directory in the virtual workspace
   async createWorkspaceDirectory(projectId, dirPath) {
-    // No longer creates physical directories - handled in database only
-    console.log(`Virtual directory create: ${dirPath} for project ${projectId}`);
-    return { success: true, path: dirPath };
+    const result = await workspaceService.createDirectory(projectId, dirPath);
+    return { success: true, ...result };
   }
 
   // Install packages in workspace
@@ -0,0 +1,210 @@
+// src/services/usageService.js
+const mongoose = require('mongoose');
+const UsageRecord = require('../models/UsageRecord');
+const Project = require('../models/Project');
+const aiPricing = require('../config/aiPricing');
+const { createHttpError } = require('../utils/helpers');
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+// Rough English/code average used when a provider reports no token counts
+const CHARS_PER_TOKEN = 4;
+
+const CSV_COLUMNS = [
+  'createdAt', 'projectId', 'provider', 'model', 'keyId', 'keySource', 'operation', 'streaming',
+  'inputTokens', 'outputTokens', 'totalTokens', 'tokensEstimated', 'cost', 'latencyMs',
+  'outcome', 'finishReason', 'statusCode', 'errorMessage'
+];
+
+// Ledger of provider calls plus the summaries and exports built on it
+class UsageService {
+  estimateTokens(text) {
+    return text ? Math.ceil(String(text).length / CHARS_PER_TOKEN) : 0;
+  }
+
+  // Fill in token counts from text length when the provider reported none
+  completeUsage(usage, { inputText = '', outputText = '' } = {}) {
+    if (usage && usage.totalTokens > 0) {
+      return { ...usage, estimated: false };
+    }
+
+    const inputTokens = usage?.inputTokens || this.estimateTokens(inputText);
+    const outputTokens = usage?.outputTokens || this.estimateTokens(outputText);
+    return {
+      inputTokens,
+      outputTokens,
+      totalTokens: inputTokens + outputTokens,
+      estimated: true
+    };
+  }
+
+  // Record one provider call. Never throws: accounting must not break generation.
+  async record(context, { provider, model, usage, latencyMs, outcome, finishReason, error, streaming = false }) {
+    if (!context?.userId) return null;
+
+    try {
+      const tokens = usage || { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+      return await UsageRecord.create({
+        userId: context.userId,
+        projectId: mongoose.isValidObjectId(context.projectId) ? context.projectId : null,
+        provider,
+        model,
+        keyId: context.keyId || null,
+        keySource: context.keySource || null,
+        operation: context.operation || 'completion',
+        streaming,
+        inputTokens: tokens.inputTokens || 0,
+        outputTokens: tokens.outputTokens || 0,
+        totalTokens: tokens.totalTokens || 0,
+        tokensEstimated: Boolean(tokens.estimated),
+        cost: aiPricing.estimateCost(provider, model, tokens),
+        latencyMs,
+        outcome,
+        finishReason: finishReason || undefined,
+        errorMessage: error ? String(error.message).slice(0, 500) : undefined,
+        statusCode: error ? error.upstreamStatus || error.statusCode || undefined : undefined
+      });
+    } catch (recordError) {
+      console.error('Failed to record AI usage:', recordError);
+      return null;
+    }
+  }
+
+  parseDate(value, name) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw createHttpError(`Invalid ${name} date`, 400);
+    }
+    return date;
+  }
+
+  // Match stage for a user's records from query params (from, to, projectId, provider)
+  buildMatch(userId, { from, to, projectId, provider } = {}) {
+    const end = to ? this.parseDate(to, 'to') : new Date();
+    const start = from
+      ? this.parseDate(from, 'from')
+      : new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+    if (start > end) {
+      throw createHttpError('from must be before to', 400);
+    }
+    if (end - start > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      throw createHttpError(`Date range cannot exceed ${MAX_RANGE_DAYS} days`, 400);
+    }
+
+    const match = { userId, createdAt: { $gte: start, $lte: end } };
+
+    if (projectId) {
+      if (!mongoose.isValidObjectId(projectId)) {
+        throw createHttpError('Invalid projectId', 400);
+      }
+      match.projectId = new mongoose.Types.ObjectId(projectId);
+    }
+    if (provider) {
+      match.provider = String(provider);
+    }
+
+    return match;
+  }
+
+  totalsStage() {
+    return {
+      calls: { $sum: 1 },
+      errors: { $sum: { $cond: [{ $eq: ['$outcome', 'error'] }, 1, 0] } },
+      cancelled: { $sum: { $cond: [{ $eq: ['$outcome', 'cancelled'] }, 1, 0] } },
+      inputTokens: { $sum: '$inputTokens' },
+      outputTokens: { $sum: '$outputTokens' },
+      totalTokens: { $sum: '$totalTokens' },
+      cost: { $sum: { $ifNull: ['$cost', 0] } },
+      unpricedCalls: { $sum: { $cond: [{ $eq: ['$cost', null] }, 1, 0] } },
+      avgLatencyMs: { $avg: '$latencyMs' }
+    };
+  }
+
+  formatGroup(group) {
+    const { _id, ...totals } = group;
+    return {
+      ...totals,
+      cost: Math.round(totals.cost * 1e6) / 1e6,
+      avgLatencyMs: totals.avgLatencyMs === null ? null : Math.round(totals.avgLatencyMs)
+    };
+  }
+
+  // Totals plus breakdowns by day (UTC), provider/model and project
+  async getSummary(userId, query = {}) {
+    const match = this.buildMatch(userId, query);
+    const totals = this.totalsStage();
+
+    const [result] = await UsageRecord.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: [{ $group: { _id: null, ...totals } }],
+          byDay: [
+            { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, ...totals } },
+            { $sort: { _id: 1 } }
+          ],
+          byProvider: [
+            { $group: { _id: { provider: '$provider', model: '$model' }, ...totals } },
+            { $sort: { cost: -1, totalTokens: -1 } }
+          ],
+          byProject: [
+            { $group: { _id: '$projectId', ...totals } },
+            { $sort: { cost: -1, totalTokens: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    const projectIds = result.byProject.map(group => group._id).filter(Boolean);
+    const projects = projectIds.length > 0
+      ? await Project.find({ _id: { $in: projectIds } }).select('name').lean()
+      : [];
+    const projectNames = new Map(projects.map(project => [project._id.toString(), project.name]));
+
+    const empty = this.formatGroup({ ...Object.fromEntries(Object.keys(totals).map(key => [key, 0])), avgLatencyMs: null });
+
+    return {
+      range: { from: match.createdAt.$gte, to: match.createdAt.$lte },
+      currency: 'USD',
+      totals: result.totals[0] ? this.formatGroup(result.totals[0]) : empty,
+      byDay: result.byDay.map(group => ({ date: group._id, ...this.formatGroup(group) })),
+      byProvider: result.byProvider.map(group => ({
+        provider: group._id.provider,
+        model: group._id.model || null,
+        ...this.formatGroup(group)
+      })),
+      byProject: result.byProject.map(group => ({
+        projectId: group._id ? group._id.toString() : null,
+        projectName: group._id ? projectNames.get(group._id.toString()) || null : null,
+        ...this.formatGroup(group)
+      }))
+    };
+  }
+
+  toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    // Quote when needed and neutralise spreadsheet formulas
+    const safe = /^[=+\-@]/.test(text) && Number.isNaN(Number(text)) ? `'${text}` : text;
+    return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+  }
+
+  getCsvHeader() {
+    return `${CSV_COLUMNS.join(',')}\n`;
+  }
+
+  toCsvRow(record) {
+    return `${CSV_COLUMNS.map(column => this.toCsvValue(record[column])).join(',')}\n`;
+  }
+
+  // Cursor over matching records, oldest first, for streaming exports
+  getExportCursor(userId, query = {}) {
+    return UsageRecord.find(this.buildMatch(userId, query))
+      .sort({ createdAt: 1 })
+      .lean()
+      .cursor();
+  }
+}
+
+module.exports = new UsageService();
@@ -0,0 +1,109 @@
+// src/services/vectorIndex.js
+const KnowledgeEntry = require('../models/KnowledgeEntry');
+const { createHttpError } = require('../utils/helpers');
+
+const MAX_K = 100;
+const SCAN_BATCH_SIZE = 500;
+
+const dot = (a, b) => {
+  if (!a || !b || a.length !== b.length) return 0;
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+};
+
+// Nearest KnowledgeEntry vectors. Search always pre-filters on the metadata filter and
+// the embedder id before scoring, and returns the exact top k by cosine similarity.
+// KNOWLEDGE_VECTOR_INDEX picks the backend:
+//   mongo - streams the filtered vectors and keeps a running top k (default, works anywhere)
+//   atlas - MongoDB Atlas $vectorSearch over the index named by KNOWLEDGE_ATLAS_INDEX, with userId, scope, teamId,
+//           codeType, metadata.stack, metadata.category, neverReuse, quarantined and embeddingModel as filter fields
+class VectorIndex {
+  constructor() {
+    this.backends = {
+      mongo: (query, options) => this.scanSearch(query, options),
+      atlas: (query, options) => this.atlasSearch(query, options)
+    };
+  }
+
+  getBackendName() {
+    const name = process.env.KNOWLEDGE_VECTOR_INDEX || 'mongo';
+    if (!this.backends[name]) {
+      throw createHttpError(`Unknown KNOWLEDGE_VECTOR_INDEX "${name}"; use ${Object.keys(this.backends).join(' or ')}`, 500);
+    }
+    return name;
+  }
+
+  // Mongo query for the pre-filter; only defined filter values narrow the search
+  buildFilter(filter, embeddingModel) {
+    const query = { embeddingModel };
+    Object.entries(filter || {}).forEach(([field, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        query[field] = value;
+      }
+    });
+    return query;
+  }
+
+  // [{ id, score }] best first; score is cosine similarity in [-1, 1]
+  async search(vector, { filter = {}, embeddingModel, k = 10, minScore = -1 } = {}) {
+    if (!Array.isArray(vector) || vector.length === 0) return [];
+    const limit = Math.min(Math.max(parseInt(k, 10) || 10, 1), MAX_K);
+    const results = await this.backends[this.getBackendName()](vector, {
+      query: this.buildFilter(filter, embeddingModel),
+      k: limit
+    });
+    return results.filter(result => result.score >= minScore);
+  }
+
+  async scanSearch(vector, { query, k }) {
+    // Sorted best first; small k keeps insertion cheaper than a heap would be worth
+    const top = [];
+    const cursor = KnowledgeEntry.find(query)
+      .select('_id embedding')
+      .lean()
+      .cursor({ batchSize: SCAN_BATCH_SIZE });
+
+    for await (const entry of cursor) {
+      const score = dot(vector, entry.embedding);
+      if (top.length === k && score <= top[top.length - 1].score) continue;
+
+      let index = top.length;
+      while (index > 0 && top[index - 1].score < score) index--;
+      top.splice(index, 0, { id: entry._id, score });
+      if (top.length > k) top.pop();
+    }
+
+    return top;
+  }
+
+  async atlasSearch(vector, { query, k }) {
+    // Plain values become $eq; operator objects such as { $ne: true } pass through
+    const filter = {};
+    Object.entries(query).forEach(([field, value]) => {
+      filter[field] = value !== null && typeof value === 'object' ? value : { $eq: value };
+    });
+
+    const results = await KnowledgeEntry.aggregate([
+      {
+        $vectorSearch: {
+          index: process.env.KNOWLEDGE_ATLAS_INDEX || 'knowledge_vector_index',
+          path: 'embedding',
+          queryVector: vector,
+          // Exact nearest neighbours over the pre-filtered entries, not an approximate candidate pool
+          exact: true,
+          limit: k,
+          filter
+        }
+      },
+      { $project: { _id: 1, score: { $meta: 'vectorSearchScore' } } }
+    ]);
+
+    // Atlas reports cosine as (1 + cos) / 2
+    return results.map(result => ({ id: result._id, score: result.score * 2 - 1 }));
+  }
+}
+
+module.exports = new VectorIndex();
@@ -0,0 +1,240 @@
+// src/services/versionService.js
+const crypto = require('crypto');
+const workspaceService = require('./workspaceService');
+const { createHttpError } = require('../utils/helpers');
+const { createUnifiedDiff, diffStats } = require('../utils/diff');
+
+// Retention limits keep the project document well below MongoDB's 16MB cap
+const MAX_VERSIONS = parseInt(process.env.PROJECT_MAX_VERSIONS) || 50;
+const MAX_VERSIONS_BYTES = parseInt(process.env.PROJECT_VERSIONS_MAX_BYTES) || 8 * 1024 * 1024;
+
+// Virtual paths used when diffing the single-page content fields
+const CONTENT_FIELDS = ['html', 'css', 'js'];
+
+class VersionService {
+  // Capture the restorable state of a project: content fields, pages, components and workspace files
+  async captureState(project) {
+    const files = await workspaceService.listFiles(project._id, { includeContent: true });
+
+    return {
+      html: project.content?.html || '',
+      css: project.content?.css || '',
+      js: project.content?.js || '',
+      pages: (project.content?.pages || []).map(page => ({
+        id: page.id,
+        name: page.name,
+        path: page.path,
+        html: page.html || '',
+        css: page.css || '',
+        seo: {
+          title: page.seo?.title,
+          description: page.seo?.description,
+          keywords: page.seo?.keywords ? [...page.seo.keywords] : []
+        },
+        order: page.order || 0,
+        showInNav: page.showInNav !== false,
+        components: page.components ? [...page.components] : []
+      })),
+      components: (project.content?.components || []).map(component => (
+        typeof component.toObject === 'function' ? component.toObject() : component
+      )),
+      componentInstances: (project.content?.componentInstances || []).map(instance => (
+        typeof instance.toObject === 'function' ? instance.toObject() : instance
+      )),
+      files: files.map(file => ({ path: file.path, content: file.content || '' }))
+    };
+  }
+
+  hashState(state) {
+    return crypto.createHash('sha1').update(JSON.stringify(state)).digest('hex');
+  }
+
+  getLatestVersionNumber(project) {
+    return project.versions.reduce((max, entry) => Math.max(max, entry.version || 0), 0);
+  }
+
+  // Push a snapshot of the current state onto project.versions (caller saves).
+  // Automatic snapshots are skipped when nothing changed since the last version.
+  async createSnapshot(project, { label, description, source = 'other', auto = false, userId = null } = {}) {
+    const state = await this.captureState(project);
+    const hash = this.hashState(state);
+    const size = Buffer.byteLength(JSON.stringify(state), 'utf8');
+    const latest = project.versions[project.versions.length - 1];
+
+    if (auto && latest && latest.hash === hash) {
+      return null;
+    }
+
+    if (size > MAX_VERSIONS_BYTES) {
+      if (auto) {
+        console.warn(`Skipping automatic snapshot for project ${project._id}: ${size} bytes exceeds the version budget`);
+        return null;
+      }
+      throw createHttpError('Project is too large to snapshot', 413);
+    }
+
+    const entry = {
+      version: this.getLatestVersionNumber(project) + 1,
+      content: state,
+      timestamp: new Date(),
+      description: description || (auto ? 'Automatic snapshot' : 'Manual snapshot'),
+      label: label || null,
+      source,
+      auto,
+      hash,
+      size,
+      createdBy: userId
+    };
+
+    project.versions.push(entry);
+    this.applyRetention(project);
+
+    return entry;
+  }
+
+  // Drop the oldest automatic snapshots first, then the oldest manual ones,
+  // until both the count and byte budgets are met. The newest version is always kept.
+  applyRetention(project) {
+    const totalSize = () => project.versions.reduce((sum, entry) => sum + (entry.size || 0), 0);
+    const overBudget = () => project.versions.length > MAX_VERSIONS || totalSize() > MAX_VERSIONS_BYTES;
+
+    const removeOldest = (predicate) => {
+      const index = project.versions.findIndex((entry, i) => i < project.versions.length - 1 && predicate(entry));
+      if (index === -1) return false;
+      project.versions.splice(index, 1);
+      return true;
+    };
+
+    while (overBudget() && removeOldest(entry => entry.auto)) { /* keep pruning */ }
+    while (overBudget() && removeOldest(() => true)) { /* keep pruning */ }
+  }
+
+  listVersions(project) {
+    return project.versions
+      .map(entry => ({
+        version: entry.version,
+        label: entry.label,
+        description: entry.description,
+        source: entry.source,
+        auto: entry.auto,
+        size: entry.size,
+        fileCount: entry.content?.files?.length || 0,
+        timestamp: entry.timestamp,
+        createdBy: entry.createdBy
+      }))
+      .reverse();
+  }
+
+  getVersion(project, versionNumber) {
+    const number = parseInt(versionNumber);
+    const entry = project.versions.find(item => item.version === number);
+    if (!entry) {
+      throw createHttpError(`Version ${versionNumber} not found`, 404);
+    }
+    return entry;
+  }
+
+  // Restore content and workspace files from a version. The current state is
+  // snapshotted first so the restore itself can be undone. Caller saves.
+  async restoreVersion(project, versionNumber, { userId = null } = {}) {
+    const target = this.getVersion(project, versionNumber);
+    const state = target.content || {};
+
+    await this.createSnapshot(project, {
+      description: `Before restoring version ${target.version}`,
+      source: 'restore',
+      auto: true,
+      userId
+    });
+
+    CONTENT_FIELDS.forEach(field => {
+      project.content[field] = state[field] || '';
+    });
+    // Versions taken before pages existed carry no pages key; leave pages alone then
+    if (Array.isArray(state.pages)) {
+      project.content.pages = state.pages;
+    }
+    if (Array.isArray(state.components)) {
+      project.content.components = state.components;
+      project.content.componentInstances = state.componentInstances || [];
+    }
+
+    const files = {};
+    (state.files || []).forEach(file => {
+      files[file.path] = file.content;
+    });
+    await workspaceService.replaceWorkspace(project._id, files, { userId });
+
+    project.lastSaved = new Date();
+
+    return {
+      restoredVersion: target.version,
+      fileCount: Object.keys(files).length
+    };
+  }
+
+  // Resolve a version reference ("current" or a version number) to a state
+  async resolveState(project, reference) {
+    if (reference === undefined || reference === null || reference === '' || reference === 'current') {
+      return { label: 'current', state: await this.captureState(project) };
+    }
+    const entry = this.getVersion(project, reference);
+    return { label: `v${entry.version}`, state: entry.content || {} };
+  }
+
+  // Unified diff between two versions, or a version and the current state
+  async diff(project, from, to = 'current', { context = 3 } = {}) {
+    const left = await this.resolveState(project, from);
+    const right = await this.resolveState(project, to);
+
+    const toFileMap = (state) => {
+      const map = new Map();
+      CONTENT_FIELDS.forEach(field => {
+        if (state[field]) map.set(`content.${field}`, state[field]);
+      });
+      (state.pages || []).forEach(page => {
+        map.set(`content.pages${page.path === '/' ? '/index' : page.path}.html`, page.html || '');
+        if (page.css) map.set(`content.pages${page.path === '/' ? '/index' : page.path}.css`, page.css);
+      });
+      (state.components || []).forEach(component => {
+        if (component.code) map.set(`content.components/${component.name}`, component.code);
+      });
+      (state.files || []).forEach(file => map.set(file.path, file.content || ''));
+      return map;
+    };
+
+    const oldFiles = toFileMap(left.state);
+    const newFiles = toFileMap(right.state);
+    const paths = Array.from(new Set([...oldFiles.keys(), ...newFiles.keys()])).sort();
+
+    const files = [];
+    paths.forEach(filePath => {
+      const oldContent = oldFiles.get(filePath);
+      const newContent = newFiles.get(filePath);
+      if (oldContent === newContent) return;
+
+      const status = oldContent === undefined ? 'added' : newContent === undefined ? 'deleted' : 'modified';
+      const patch = createUnifiedDiff(oldContent || '', newContent || '', {
+        oldPath: oldContent === undefined ? '/dev/null' : `a/${filePath}`,
+        newPath: newContent === undefined ? '/dev/null' : `b/${filePath}`,
+        context
+      });
+
+      files.push({
+        path: filePath,
+        status,
+        ...diffStats(oldContent || '', newContent || ''),
+        patch
+      });
+    });
+
+    return {
+      from: left.label,
+      to: right.label,
+      files,
+      patch: files.map(file => file.patch).join('')
+    };
+  }
+}
+
+module.exports = new VersionService();
@@ -0,0 +1,274 @@
+// src/services/workspaceSearchService.js
+const vm = require('vm');
+const WorkspaceFile = require('../models/WorkspaceFile');
+const workspaceService = require('./workspaceService');
+const versionService = require('./versionService');
+const { createHttpError, escapeRegExp, globToRegExp, parseGlobList } = require('../utils/helpers');
+
+const MAX_QUERY_LENGTH = 500;
+const DEFAULT_MAX_MATCHES = 1000;
+const MAX_LINE_PREVIEW = 500;
+// Time one search or replace may spend running the pattern over all files
+const MATCH_TIMEOUT_MS = parseInt(process.env.WORKSPACE_SEARCH_TIMEOUT_MS) || 2000;
+
+// User regexes can backtrack catastrophically. Matching runs as a vm script so the
+// watchdog can stop it once the request's time budget is spent.
+const matchContext = vm.createContext({ work: null });
+const matchScript = new vm.Script('work()');
+
+// Virtual paths for the single-page content fields
+const CONTENT_FIELDS = {
+  html: 'content.html',
+  css: 'content.css',
+  js: 'content.js'
+};
+
+class WorkspaceSearchService {
+  // Build the global RegExp used for both search and replace
+  buildMatcher({ query, isRegex = false, caseSensitive = false, wholeWord = false }) {
+    if (typeof query !== 'string' || query.length === 0) {
+      throw createHttpError('A search query is required', 400);
+    }
+
+    if (query.length > MAX_QUERY_LENGTH) {
+      throw createHttpError(`Search query must be at most ${MAX_QUERY_LENGTH} characters`, 400);
+    }
+
+    let source = isRegex ? query : escapeRegExp(query);
+    if (wholeWord) {
+      source = `\\b(?:${source})\\b`;
+    }
+
+    try {
+      return new RegExp(source, caseSensitive ? 'gm' : 'gim');
+    } catch (error) {
+      throw createHttpError(`Invalid regular expression: ${error.message}`, 400);
+    }
+  }
+
+  // Run `work` (synchronous matching) unless the deadline passes first
+  runBounded(work, deadline) {
+    const timeout = Math.floor(deadline - Date.now());
+    const tooSlow = () => createHttpError('The search pattern took too long to evaluate; try a simpler expression', 400);
+    if (timeout <= 0) {
+      throw tooSlow();
+    }
+
+    matchContext.work = work;
+    try {
+      return matchScript.runInContext(matchContext, { timeout });
+    } catch (error) {
+      if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        throw tooSlow();
+      }
+      throw error;
+    } finally {
+      matchContext.work = null;
+    }
+  }
+
+  // Build a path filter from include/exclude glob lists
+  buildPathFilter(include, exclude) {
+    const includePatterns = parseGlobList(include).map(globToRegExp);
+    const excludePatterns = parseGlobList(exclude).map(globToRegExp);
+
+    return (filePath) => {
+      if (includePatterns.length > 0 && !includePatterns.some(pattern => pattern.test(filePath))) {
+        return false;
+      }
+      return !excludePatterns.some(pattern => pattern.test(filePath));
+    };
+  }
+
+  // Collect every searchable document of a project: workspace files,
+  // generatedFiles entries not shadowed by a workspace file, and content fields
+  async collectSources(project) {
+    const sources = [];
+    const workspaceFiles = await workspaceService.listFiles(project._id, { includeContent: true });
+    const seen = new Set();
+
+    workspaceFiles.forEach(file => {
+      seen.add(file.path);
+      sources.push({ path: file.path, source: 'workspace', content: file.content || '' });
+    });
+
+    if (project.generatedFiles) {
+      for (const [key, file] of project.generatedFiles) {
+        const content = typeof file === 'string' ? file : file?.content;
+        if (!seen.has(key) && typeof content === 'string') {
+          sources.push({ path: key, source: 'generatedFiles', key, content });
+        }
+      }
+    }
+
+    Object.entries(CONTENT_FIELDS).forEach(([field, virtualPath]) => {
+      const content = project.content?.[field];
+      if (content) {
+        sources.push({ path: virtualPath, source: 'content', field, content });
+      }
+    });
+
+    return sources;
+  }
+
+  // Find all matches in one document with line/column and surrounding context
+  findMatches(content, matcher, contextLines, limit, deadline = Date.now() + MATCH_TIMEOUT_MS) {
+    const lines = content.split('\n');
+    const lineStarts = [];
+    let offset = 0;
+    lines.forEach(line => {
+      lineStarts.push(offset);
+      offset += line.length + 1;
+    });
+
+    const lineOf = (index) => {
+      let low = 0;
+      let high = lineStarts.length - 1;
+      while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (lineStarts[mid] <= index) low = mid; else high = mid - 1;
+      }
+      return low;
+    };
+
+    const matches = [];
+    matcher.lastIndex = 0;
+
+    this.runBounded(() => {
+      let match;
+      while ((match = matcher.exec(content)) !== null && matches.length < limit) {
+        if (match[0].length === 0) {
+          matcher.lastIndex++;
+          continue;
+        }
+
+        const lineIndex = lineOf(match.index);
+        matches.push({
+          line: lineIndex + 1,
+          column: match.index - lineStarts[lineIndex] + 1,
+          length: match[0].length,
+          match: match[0],
+          text: lines[lineIndex].slice(0, MAX_LINE_PREVIEW),
+          before: lines.slice(Math.max(0, lineIndex - contextLines), lineIndex),
+          after: lines.slice(lineIndex + 1, lineIndex + 1 + contextLines)
+        });
+      }
+    }, deadline);
+
+    return matches;
+  }
+
+  async search(project, options = {}) {
+    const matcher = this.buildMatcher(options);
+    const pathFilter = this.buildPathFilter(options.include, options.exclude);
+    const contextLines = Math.min(Math.max(parseInt(options.contextLines ?? 2) || 0, 0), 10);
+    const maxMatches = Math.min(parseInt(options.maxResults) || DEFAULT_MAX_MATCHES, DEFAULT_MAX_MATCHES);
+    const deadline = Date.now() + MATCH_TIMEOUT_MS;
+
+    const sources = await this.collectSources(project);
+    const files = [];
+    let totalMatches = 0;
+    let truncated = false;
+
+    for (const source of sources) {
+      if (!pathFilter(source.path)) continue;
+
+      if (totalMatches >= maxMatches) {
+        truncated = true;
+        break;
+      }
+
+      const matches = this.findMatches(source.content, matcher, contextLines, maxMatches - totalMatches, deadline);
+      if (matches.length > 0) {
+        files.push({ path: source.path, source: source.source, matchCount: matches.length, matches });
+        totalMatches += matches.length;
+      }
+    }
+
+    return {
+      files,
+      totalFiles: files.length,
+      totalMatches,
+      truncated,
+      searchedFiles: sources.length
+    };
+  }
+
+  // Replace every match across the project and save the result in one go
+  async replace(project, options = {}, { userId = null } = {}) {
+    if (typeof options.replacement !== 'string') {
+      throw createHttpError('A replacement string is required', 400);
+    }
+
+    const matcher = this.buildMatcher(options);
+    const pathFilter = this.buildPathFilter(options.include, options.exclude);
+    const sources = await this.collectSources(project);
+
+    // Literal queries use a literal replacement; regex queries may use $1-style groups
+    const replacement = options.isRegex ? options.replacement : () => options.replacement;
+    const deadline = Date.now() + MATCH_TIMEOUT_MS;
+
+    const changes = [];
+    for (const source of sources) {
+      if (!pathFilter(source.path)) continue;
+
+      matcher.lastIndex = 0;
+      const count = this.runBounded(() => (source.content.match(matcher) || []).length, deadline);
+      if (count === 0) continue;
+
+      const updated = this.runBounded(() => source.content.replace(matcher, replacement), deadline);
+      if (updated !== source.content) {
+        changes.push({ ...source, updated, count });
+      }
+    }
+
+    if (changes.length === 0) {
+      return { files: [], totalReplacements: 0 };
+    }
+
+    const totalReplacements = changes.reduce((sum, change) => sum + change.count, 0);
+    const snapshot = await versionService.createSnapshot(project, {
+      description: `Before replacing "${options.query}" with "${options.replacement}" (${totalReplacements} occurrences in ${changes.length} files)`,
+      source: 'replace',
+      userId
+    });
+
+    const workspaceChanges = changes.filter(change => change.source === 'workspace');
+    if (workspaceChanges.length > 0) {
+      await WorkspaceFile.bulkWrite(workspaceChanges.map(change => ({
+        updateOne: {
+          filter: { projectId: project._id, path: change.path },
+          update: {
+            $set: {
+              content: change.updated,
+              size: Buffer.byteLength(change.updated, 'utf8'),
+              updatedBy: userId
+            }
+          }
+        }
+      })));
+    }
+
+    changes.forEach(change => {
+      if (change.source === 'generatedFiles') {
+        const file = project.generatedFiles.get(change.key);
+        project.generatedFiles.set(change.key, typeof file === 'string'
+          ? change.updated
+          : { ...(file.toObject ? file.toObject() : file), content: change.updated });
+      } else if (change.source === 'content') {
+        project.content[change.field] = change.updated;
+      }
+    });
+
+    project.lastSaved = new Date();
+    await project.save();
+
+    return {
+      files: changes.map(change => ({ path: change.path, source: change.source, replacements: change.count })),
+      totalReplacements,
+      version: snapshot.version
+    };
+  }
+}
+
+module.exports = new WorkspaceSearchService();
@@ -0,0 +1,497 @@
+// src/services/workspaceService.js
+const path = require('path');
+const mongoose = require('mongoose');
+const WorkspaceFile = require('../models/WorkspaceFile');
+const { createHttpError, getLanguageFromPath } = require('../utils/helpers');
+
+const MAX_FILE_SIZE = parseInt(process.env.WORKSPACE_MAX_FILE_SIZE) || 2 * 1024 * 1024; // 2MB
+const MAX_PATH_DEPTH = 32;
+
+class WorkspaceService {
+  // Normalize a workspace path to "dir/sub/file.ext" and reject traversal
+  normalizePath(filePath, { allowRoot = false } = {}) {
+    if (typeof filePath !== 'string') {
+      throw createHttpError('A file path is required', 400);
+    }
+
+    const segments = filePath.replace(/\\/g, '/').split('/').filter(segment => segment && segment !== '.');
+
+    if (segments.includes('..')) {
+      throw createHttpError('Path traversal is not allowed', 400);
+    }
+
+    if (segments.some(segment => segment.includes('\0'))) {
+      throw createHttpError('Invalid characters in path', 400);
+    }
+
+    if (segments.length > MAX_PATH_DEPTH) {
+      throw createHttpError('Path is nested too deeply', 400);
+    }
+
+    if (segments.length === 0 && !allowRoot) {
+      throw createHttpError('A file path is required', 400);
+    }
+
+    return segments.join('/');
+  }
+
+  // Parent path of a normalized path ('' for top-level entries)
+  getParentPath(normalizedPath) {
+    const parent = path.posix.dirname(normalizedPath);
+    return parent === '.' ? '' : parent;
+  }
+
+  // Query matching every entry below a directory (not the directory itself)
+  descendantsQuery(projectId, dirPath) {
+    const escaped = dirPath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return { projectId, path: { $regex: `^${escaped}/` } };
+  }
+
+  // Create all missing ancestor directories of a path
+  async ensureParentDirectories(projectId, normalizedPath) {
+    const ancestors = [];
+    let parent = this.getParentPath(normalizedPath);
+    while (parent) {
+      ancestors.unshift(parent);
+      parent = this.getParentPath(parent);
+    }
+
+    if (ancestors.length === 0) return;
+
+    const blockingFile = await WorkspaceFile.findOne({
+      projectId,
+      path: { $in: ancestors },
+      type: 'file'
+    }).select('path').lean();
+
+    if (blockingFile) {
+      throw createHttpError(`Cannot create directory: ${blockingFile.path} is a file`, 409);
+    }
+
+    await WorkspaceFile.bulkWrite(ancestors.map(dirPath => ({
+      updateOne: {
+        filter: { projectId, path: dirPath },
+        update: {
+          $setOnInsert: {
+            projectId,
+            path: dirPath,
+            parentPath: this.getParentPath(dirPath),
+            name: path.posix.basename(dirPath),
+            type: 'directory'
+          }
+        },
+        upsert: true
+      }
+    })));
+  }
+
+  // Build a nested tree of the whole workspace
+  async getTree(projectId) {
+    const entries = await WorkspaceFile.find({ projectId })
+      .select('path parentPath name type size language updatedAt')
+      .lean();
+
+    const nodes = new Map();
+    const roots = [];
+
+    entries.forEach(entry => {
+      nodes.set(entry.path, {
+        name: entry.name,
+        path: entry.path,
+        type: entry.type,
+        ...(entry.type === 'directory'
+          ? { children: [] }
+          : { size: entry.size, language: entry.language, updatedAt: entry.updatedAt })
+      });
+    });
+
+    entries.forEach(entry => {
+      const node = nodes.get(entry.path);
+      const parent = entry.parentPath ? nodes.get(entry.parentPath) : null;
+      if (parent && parent.children) {
+        parent.children.push(node);
+      } else {
+        roots.push(node);
+      }
+    });
+
+    return this.sortTree(roots);
+  }
+
+  // Directories first, then files, alphabetically at every level
+  sortTree(items) {
+    items.sort((a, b) => {
+      if (a.type !== b.type) {
+        return a.type === 'directory' ? -1 : 1;
+      }
+      return a.name.localeCompare(b.name);
+    });
+    items.forEach(item => {
+      if (item.children) this.sortTree(item.children);
+    });
+    return items;
+  }
+
+  // List all files (optionally with content) for export, search, etc.
+  async listFiles(projectId, { includeContent = false } = {}) {
+    const fields = includeContent ? 'path name content language size updatedAt' : 'path name language size updatedAt';
+    return await WorkspaceFile.find({ projectId, type: 'file' })
+      .select(fields)
+      .sort({ path: 1 })
+      .lean();
+  }
+
+  async readFile(projectId, filePath) {
+    const normalizedPath = this.normalizePath(filePath);
+    const entry = await WorkspaceFile.findOne({ projectId, path: normalizedPath }).lean();
+
+    if (!entry) {
+      throw createHttpError(`File not found: ${normalizedPath}`, 404);
+    }
+
+    if (entry.type === 'directory') {
+      throw createHttpError(`${normalizedPath} is a directory`, 400);
+    }
+
+    return {
+      path: entry.path,
+      name: entry.name,
+      content: entry.content,
+      language: entry.language,
+      size: entry.size,
+      updatedAt: entry.updatedAt
+    };
+  }
+
+  async writeFile(projectId, filePath, content = '', { userId = null } = {}) {
+    const normalizedPath = this.normalizePath(filePath);
+
+    if (typeof content !== 'string') {
+      throw createHttpError('File content must be a string', 400);
+    }
+
+    const size = Buffer.byteLength(content, 'utf8');
+    if (size > MAX_FILE_SIZE) {
+      throw createHttpError(`File exceeds the maximum size of ${MAX_FILE_SIZE} bytes`, 413);
+    }
+
+    const existing = await WorkspaceFile.findOne({ projectId, path: normalizedPath })
+      .select('type')
+      .lean();
+
+    if (existing && existing.type === 'directory') {
+      throw createHttpError(`${normalizedPath} is a directory`, 409);
+    }
+
+    await this.ensureParentDirectories(projectId, normalizedPath);
+
+    const entry = await WorkspaceFile.findOneAndUpdate(
+      { projectId, path: normalizedPath },
+      {
+        $set: {
+          content,
+          size,
+          language: getLanguageFromPath(normalizedPath),
+          updatedBy: userId
+        },
+        $setOnInsert: {
+          projectId,
+          path: normalizedPath,
+          parentPath: this.getParentPath(normalizedPath),
+          name: path.posix.basename(normalizedPath),
+          type: 'file'
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    return {
+      path: entry.path,
+      size: entry.size,
+      language: entry.language,
+      created: !existing,
+      updatedAt: entry.updatedAt
+    };
+  }
+
+  // Write many files at once (used when seeding a workspace from AI output)
+  async writeFiles(projectId, files, options = {}) {
+    const written = [];
+    for (const [filePath, fileData] of Object.entries(files || {})) {
+      const content = typeof fileData === 'string' ? fileData : (fileData?.content || '');
+      written.push(await this.writeFile(projectId, filePath, content, options));
+    }
+    return written;
+  }
+
+  // Delete a file, or a directory together with everything below it
+  async deleteEntry(projectId, filePath) {
+    const normalizedPath = this.normalizePath(filePath);
+    const entry = await WorkspaceFile.findOne({ projectId, path: normalizedPath })
+      .select('type')
+      .lean();
+
+    if (!entry) {
+      throw createHttpError(`File not found: ${normalizedPath}`, 404);
+    }
+
+    let deletedCount = 1;
+    if (entry.type === 'directory') {
+      const result = await WorkspaceFile.deleteMany(this.descendantsQuery(projectId, normalizedPath));
+      deletedCount += result.deletedCount;
+    }
+
+    await WorkspaceFile.deleteOne({ projectId, path: normalizedPath });
+
+    return { path: normalizedPath, type: entry.type, deletedCount };
+  }
+
+  async createDirectory(projectId, dirPath) {
+    const normalizedPath = this.normalizePath(dirPath);
+    const existing = await WorkspaceFile.findOne({ projectId, path: normalizedPath })
+      .select('type')
+      .lean();
+
+    if (existing) {
+      if (existing.type === 'file') {
+        throw createHttpError(`${normalizedPath} already exists as a file`, 409);
+      }
+      return { path: normalizedPath, created: false };
+    }
+
+    await this.ensureParentDirectories(projectId, normalizedPath);
+    await WorkspaceFile.create({
+      projectId,
+      path: normalizedPath,
+      parentPath: this.getParentPath(normalizedPath),
+      name: path.posix.basename(normalizedPath),
+      type: 'directory'
+    });
+
+    return { path: normalizedPath, created: true };
+  }
+
+  // Run a multi-document change in a transaction when the deployment supports it
+  // (replica sets / mongos); standalone servers run the same work without one.
+  async runAtomic(work) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+      return result;
+    } catch (error) {
+      if (error.code === 20 || /replica set|Transaction numbers/i.test(error.message)) {
+        return await work(null);
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  // Validate a source/destination pair shared by move and copy
+  async resolveTransfer(projectId, fromPath, toPath, { overwrite = false } = {}) {
+    const from = this.normalizePath(fromPath);
+    const to = this.normalizePath(toPath);
+
+    if (from === to) {
+      throw createHttpError('Source and destination are the same', 400);
+    }
+
+    if (to.startsWith(`${from}/`)) {
+      throw createHttpError('Cannot place a directory inside itself', 400);
+    }
+
+    const source = await WorkspaceFile.findOne({ projectId, path: from }).lean();
+    if (!source) {
+      throw createHttpError(`File not found: ${from}`, 404);
+    }
+
+    const destination = await WorkspaceFile.findOne({ projectId, path: to })
+      .select('type')
+      .lean();
+
+    if (destination && !(overwrite && source.type === 'file' && destination.type === 'file')) {
+      throw createHttpError(`Destination already exists: ${to}`, 409);
+    }
+
+    const descendants = source.type === 'directory'
+      ? await WorkspaceFile.find(this.descendantsQuery(projectId, from)).lean()
+      : [];
+
+    const targetPaths = descendants.map(entry => to + entry.path.slice(from.length));
+    if (targetPaths.length > 0) {
+      const conflict = await WorkspaceFile.findOne({ projectId, path: { $in: targetPaths } })
+        .select('path')
+        .lean();
+      if (conflict) {
+        throw createHttpError(`Destination already exists: ${conflict.path}`, 409);
+      }
+    }
+
+    return { from, to, source, destination, descendants };
+  }
+
+  // Move a file or a whole directory subtree to a new path
+  async moveEntry(projectId, fromPath, toPath, options = {}) {
+    const { from, to, source, destination, descendants } = await this.resolveTransfer(projectId, fromPath, toPath, options);
+
+    await this.ensureParentDirectories(projectId, to);
+
+    // A new extension means a new language
+    const relocate = (entry, newPath) => ({
+      path: newPath,
+      parentPath: this.getParentPath(newPath),
+      ...(entry.type === 'file' ? { language: getLanguageFromPath(newPath) } : {})
+    });
+
+    const operations = [
+      {
+        updateOne: {
+          filter: { _id: source._id },
+          update: { $set: { ...relocate(source, to), name: path.posix.basename(to) } }
+        }
+      },
+      ...descendants.map(entry => ({
+        updateOne: {
+          filter: { _id: entry._id },
+          update: { $set: relocate(entry, to + entry.path.slice(from.length)) }
+        }
+      }))
+    ];
+
+    await this.runAtomic(async (session) => {
+      if (destination) {
+        await WorkspaceFile.deleteOne({ _id: destination._id }, { session });
+      }
+      await WorkspaceFile.bulkWrite(operations, { session, ordered: true });
+    });
+
+    return {
+      from,
+      to,
+      type: source.type,
+      movedCount: operations.length,
+      overwritten: !!destination
+    };
+  }
+
+  // Rename an entry in place (same parent directory)
+  async renameEntry(projectId, filePath, newName, options = {}) {
+    if (typeof newName !== 'string' || !newName.trim() || /[\/]/.test(newName) || newName === '.' || newName === '..') {
+      throw createHttpError('A valid new name is required', 400);
+    }
+
+    const from = this.normalizePath(filePath);
+    const parent = this.getParentPath(from);
+    const to = parent ? `${parent}/${newName.trim()}` : newName.trim();
+
+    return await this.moveEntry(projectId, from, to, options);
+  }
+
+  // Copy a file or a whole directory subtree to a new path
+  async copyEntry(projectId, fromPath, toPath, { userId = null, ...options } = {}) {
+    const { from, to, source, destination, descendants } = await this.resolveTransfer(projectId, fromPath, toPath, options);
+
+    await this.ensureParentDirectories(projectId, to);
+
+    const cloneEntry = (entry, newPath) => ({
+      projectId,
+      path: newPath,
+      parentPath: this.getParentPath(newPath),
+      name: path.posix.basename(newPath),
+      type: entry.type,
+      content: entry.content,
+      language: entry.language,
+      size: entry.size,
+      updatedBy: userId
+    });
+
+    const copies = [
+      cloneEntry(source, to),
+      ...descendants.map(entry => cloneEntry(entry, to + entry.path.slice(from.length)))
+    ];
+
+    await this.runAtomic(async (session) => {
+      if (destination) {
+        await WorkspaceFile.deleteOne({ _id: destination._id }, { session });
+      }
+      await WorkspaceFile.insertMany(copies, { session, ordered: true });
+    });
+
+    return {
+      from,
+      to,
+      type: source.type,
+      copiedCount: copies.length,
+      overwritten: !!destination
+    };
+  }
+
+  // Remove every workspace entry of a project
+  async clearWorkspace(projectId) {
+    const result = await WorkspaceFile.deleteMany({ projectId });
+    return { deletedCount: result.deletedCount };
+  }
+
+  // Replace the whole workspace with `files` in one transaction, so a failure
+  // part-way leaves the previous files in place
+  async replaceWorkspace(projectId, files, { userId = null } = {}) {
+    const entries = new Map();
+
+    for (const [filePath, fileData] of Object.entries(files || {})) {
+      const normalizedPath = this.normalizePath(filePath);
+      const content = typeof fileData === 'string' ? fileData : (fileData?.content || '');
+      const size = Buffer.byteLength(content, 'utf8');
+      if (size > MAX_FILE_SIZE) {
+        throw createHttpError(`File exceeds the maximum size of ${MAX_FILE_SIZE} bytes: ${normalizedPath}`, 413);
+      }
+
+      const existing = entries.get(normalizedPath);
+      if (existing && existing.type === 'directory') {
+        throw createHttpError(`${normalizedPath} is a directory`, 409);
+      }
+      entries.set(normalizedPath, {
+        projectId,
+        path: normalizedPath,
+        parentPath: this.getParentPath(normalizedPath),
+        name: path.posix.basename(normalizedPath),
+        type: 'file',
+        content,
+        language: getLanguageFromPath(normalizedPath),
+        size,
+        updatedBy: userId
+      });
+
+      for (let parent = this.getParentPath(normalizedPath); parent; parent = this.getParentPath(parent)) {
+        const entry = entries.get(parent);
+        if (entry && entry.type === 'file') {
+          throw createHttpError(`Cannot create directory: ${parent} is a file`, 409);
+        }
+        if (!entry) {
+          entries.set(parent, {
+            projectId,
+            path: parent,
+            parentPath: this.getParentPath(parent),
+            name: path.posix.basename(parent),
+            type: 'directory'
+          });
+        }
+      }
+    }
+
+    const documents = [...entries.values()];
+    await this.runAtomic(async (session) => {
+      await WorkspaceFile.deleteMany({ projectId }, { session });
+      if (documents.length > 0) {
+        await WorkspaceFile.insertMany(documents, { session, ordered: true });
+      }
+    });
+
+    return { fileCount: documents.filter(entry => entry.type === 'file').length };
+  }
+}
+
+module.exports = new WorkspaceService();
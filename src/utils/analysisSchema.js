@@ -0,0 +1,133 @@
+// src/utils/analysisSchema.js
+// Shape of a structured project analysis. The JSON schema is sent to providers that can
+// constrain their output (OpenAI strict mode requires every property to be listed as
+// required, so optional values are nullable instead); the Joi schema validates whatever
+// comes back, from any provider.
+const Joi = require('joi');
+
+const ARCHITECTURE_TYPES = ['static', 'frontend-only', 'full-stack', 'headless-cms', 'other'];
+const PRIORITIES = ['must', 'should', 'could'];
+const SEVERITIES = ['low', 'medium', 'high'];
+
+const string = { type: 'string' };
+const nullableString = { type: ['string', 'null'] };
+const stringList = { type: 'array', items: string };
+
+const object = (properties) => ({
+  type: 'object',
+  properties,
+  required: Object.keys(properties),
+  additionalProperties: false
+});
+
+const ANALYSIS_JSON_SCHEMA = object({
+  summary: string,
+  architecture: object({
+    type: { type: 'string', enum: ARCHITECTURE_TYPES },
+    description: string,
+    frontend: string,
+    backend: nullableString,
+    database: nullableString,
+    hosting: nullableString
+  }),
+  pages: { type: 'array', items: object({ name: string, path: string, purpose: string, sections: stringList }) },
+  components: { type: 'array', items: object({ name: string, description: string, usedOn: stringList }) },
+  dataModels: {
+    type: 'array',
+    items: object({
+      name: string,
+      description: string,
+      fields: { type: 'array', items: object({ name: string, type: string, required: { type: 'boolean' } }) }
+    })
+  },
+  features: {
+    type: 'array',
+    items: object({ name: string, description: string, priority: { type: 'string', enum: PRIORITIES } })
+  },
+  risks: {
+    type: 'array',
+    items: object({ description: string, severity: { type: 'string', enum: SEVERITIES }, mitigation: string })
+  }
+});
+
+const text = Joi.string().trim().max(4000);
+const name = Joi.string().trim().min(1).max(200).required();
+const list = (item, max) => Joi.array().items(item).max(max).default([]);
+
+const analysisSchema = Joi.object({
+  summary: text.required(),
+  architecture: Joi.object({
+    type: Joi.string().lowercase().valid(...ARCHITECTURE_TYPES).default('other'),
+    description: text.required(),
+    frontend: text.required(),
+    backend: text.allow(null, '').default(null),
+    database: text.allow(null, '').default(null),
+    hosting: text.allow(null, '').default(null)
+  }).required(),
+  pages: list(Joi.object({
+    name,
+    path: Joi.string().trim().max(200).default('/'),
+    purpose: text.allow('').default(''),
+    sections: list(Joi.string().trim().max(200), 50)
+  }), 50).min(1).required(),
+  components: list(Joi.object({
+    name,
+    description: text.allow('').default(''),
+    usedOn: list(Joi.string().trim().max(200), 50)
+  }), 100),
+  dataModels: list(Joi.object({
+    name,
+    description: text.allow('').default(''),
+    fields: list(Joi.object({
+      name,
+      type: Joi.string().trim().max(100).default('string'),
+      required: Joi.boolean().default(false)
+    }), 100)
+  }), 50),
+  features: list(Joi.object({
+    name,
+    description: text.allow('').default(''),
+    priority: Joi.string().lowercase().valid(...PRIORITIES).default('should')
+  }), 100).min(1).required(),
+  risks: list(Joi.object({
+    description: text.required(),
+    severity: Joi.string().lowercase().valid(...SEVERITIES).default('medium'),
+    mitigation: text.allow('').default('')
+  }), 50)
+});
+
+// Pull a JSON object out of a model reply that may be fenced or wrapped in prose
+const extractJson = (content) => {
+  const source = String(content || '').trim();
+  const fenced = /```(?:json)?\s*\n([\s\S]*?)```/i.exec(source);
+  const candidate = fenced ? fenced[1] : source;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('Response does not contain a JSON object');
+  }
+  return JSON.parse(candidate.slice(start, end + 1));
+};
+
+// { value, errors }; errors is null when the analysis is valid. Unknown keys are dropped.
+const validateAnalysis = (content) => {
+  let parsed;
+  try {
+    parsed = typeof content === 'string' ? extractJson(content) : content;
+  } catch (error) {
+    return { value: null, errors: [`Invalid JSON: ${error.message}`] };
+  }
+
+  const { value, error } = analysisSchema.validate(parsed, { abortEarly: false, stripUnknown: true, convert: true });
+  if (error) {
+    return { value: null, errors: error.details.slice(0, 20).map(detail => detail.message) };
+  }
+  return { value, errors: null };
+};
+
+module.exports = {
+  ANALYSIS_JSON_SCHEMA,
+  analysisSchema,
+  extractJson,
+  validateAnalysis
+};
@@ -0,0 +1,393 @@
+// src/utils/codeFingerprint.js
+// Normalized code fingerprints for spotting duplicate knowledge entries. Normalization drops
+// comments, formatting and semicolons and renames the names a script declares (variables,
+// parameters, functions, classes, imports) in order of first use, so code that differs only
+// in those still gets the same fingerprint. Everything else is kept as written: property
+// names, free identifiers, JSX tags and text, and the whole of a stylesheet or HTML file.
+// A 64-bit simhash over token shingles finds near-duplicates: similar code has simhashes a
+// few bits apart.
+const crypto = require('crypto');
+
+// Bump when normalization changes. Entries fingerprinted by another version are not compared
+// with current fingerprints; compaction refingerprints them.
+const FINGERPRINT_VERSION = 2;
+
+const SHINGLE_SIZE = 3;
+const SIMHASH_BITS = 64;
+// Four 16-bit bands: simhashes within 3 bits of each other share at least one band exactly
+const SIMHASH_BANDS = 4;
+
+// Languages where every name means something, so nothing is renamed
+const MARKUP_LANGUAGES = new Set(['css', 'scss', 'sass', 'less', 'html', 'htm', 'xml', 'svg']);
+
+// Language words that carry meaning, left as they are
+const KEYWORDS = new Set([
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete', 'do',
+  'else', 'export', 'extends', 'false', 'finally', 'for', 'from', 'function', 'if', 'import', 'in',
+  'instanceof', 'let', 'new', 'null', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw',
+  'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'yield', 'interface', 'type', 'enum',
+  'implements', 'public', 'private', 'protected', 'readonly'
+]);
+
+// A "<" after one of these opens a JSX element; after anything else it compares
+const JSX_AFTER_WORDS = new Set(['return', 'yield', 'default', 'else', 'case', 'in', 'of', 'await']);
+const JSX_AFTER_PUNCTUATION = new Set(['(', '[', '{', ',', ';', '=', ':', '?', '&', '|', '!', '>']);
+
+const STRING_PATTERN = /`(?:\\[\s\S]|[^\\`])*`|"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'/y;
+const IDENTIFIER_PATTERN = /[A-Za-z_$][\w$]*/y;
+const NUMBER_PATTERN = /\d[\w.]*/y;
+const JSX_NAME_PATTERN = /[A-Za-z_$][\w$.:-]*/y;
+const SCRIPT_COMMENT_PATTERN = /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y;
+const MARKUP_COMMENT_PATTERN = /\/\*[\s\S]*?(?:\*\/|$)|<!--[\s\S]*?(?:-->|$)/y;
+
+const matchAt = (pattern, source, index) => {
+  pattern.lastIndex = index;
+  const match = pattern.exec(source);
+  return match ? match[0] : null;
+};
+
+// 'css', 'jsx', ... from an explicit language or the file extension
+const languageOf = ({ language, filePath } = {}) => {
+  if (language) return String(language).toLowerCase();
+  const name = String(filePath || '').split('/').pop();
+  return name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+};
+
+const is = (token, value) => Boolean(token) && token.kind === 'punct' && token.value === value;
+const isBinding = token => Boolean(token) && token.kind === 'name' && !KEYWORDS.has(token.value);
+
+// Raw tokens of `source` as { value, kind }. kind is 'string', 'name', 'number', 'punct',
+// or 'markup' for JSX tag names, attribute names and text, which are never renamed.
+const scan = (source, markup) => {
+  const tokens = [];
+  const commentPattern = markup ? MARKUP_COMMENT_PATTERN : SCRIPT_COMMENT_PATTERN;
+  let index = 0;
+
+  const push = (value, kind) => tokens.push({ value, kind });
+
+  const skipSpace = () => {
+    while (index < source.length) {
+      if (/\s/.test(source[index])) {
+        index++;
+        continue;
+      }
+      const comment = matchAt(commentPattern, source, index);
+      if (!comment) return;
+      index += comment.length;
+    }
+  };
+
+  const opensJsx = () => {
+    if (!/[A-Za-z>]/.test(source[index + 1] || '')) return false;
+    const previous = tokens[tokens.length - 1];
+    if (!previous) return true;
+    if (previous.kind === 'punct') return JSX_AFTER_PUNCTUATION.has(previous.value);
+    return previous.kind === 'name' && JSX_AFTER_WORDS.has(previous.value);
+  };
+
+  // Script up to the end of `source`, or up to an unmatched "}" when `nested`
+  const scanScript = (nested) => {
+    let depth = 0;
+    while (index < source.length) {
+      skipSpace();
+      if (index >= source.length) return;
+      const char = source[index];
+      if (nested && char === '}' && depth === 0) return;
+
+      const word = matchAt(STRING_PATTERN, source, index) ||
+        matchAt(IDENTIFIER_PATTERN, source, index) ||
+        matchAt(NUMBER_PATTERN, source, index);
+      if (word) {
+        push(word, /^["'`]/.test(word) ? 'string' : (/^\d/.test(word) ? 'number' : 'name'));
+        index += word.length;
+      } else if (!markup && char === '<' && opensJsx()) {
+        scanJsxElement();
+      } else {
+        if (char === '{') depth++;
+        if (char === '}') depth--;
+        push(char, 'punct');
+        index++;
+      }
+    }
+  };
+
+  const scanJsxExpression = () => {
+    push('{', 'punct');
+    index++;
+    scanScript(true);
+    if (source[index] === '}') {
+      push('}', 'punct');
+      index++;
+    }
+  };
+
+  const scanJsxChildren = () => {
+    while (index < source.length) {
+      const char = source[index];
+      if (char === '<' && source[index + 1] === '/') {
+        const end = source.indexOf('>', index);
+        const close = end === -1 ? source.length : end;
+        push('</', 'markup');
+        const name = source.slice(index + 2, close).trim();
+        if (name) push(name, 'markup');
+        push('>', 'markup');
+        index = Math.min(close + 1, source.length);
+        return;
+      }
+      if (char === '<') {
+        scanJsxElement();
+      } else if (char === '{') {
+        scanJsxExpression();
+      } else {
+        let end = index;
+        while (end < source.length && source[end] !== '<' && source[end] !== '{') end++;
+        source.slice(index, end).split(/\s+/).filter(Boolean).forEach(word => push(word, 'markup'));
+        index = end;
+      }
+    }
+  };
+
+  const scanJsxElement = () => {
+    push('<', 'markup');
+    index++;
+    if (source[index] === '>') {
+      push('>', 'markup');
+      index++;
+      scanJsxChildren();
+      return;
+    }
+    const name = matchAt(JSX_NAME_PATTERN, source, index);
+    if (!name) return;
+    push(name, 'markup');
+    index += name.length;
+
+    while (index < source.length) {
+      skipSpace();
+      const char = source[index];
+      if (char === '/' && source[index + 1] === '>') {
+        push('/>', 'markup');
+        index += 2;
+        return;
+      }
+      if (char === '>') {
+        push('>', 'markup');
+        index++;
+        scanJsxChildren();
+        return;
+      }
+      if (char === '{') {
+        scanJsxExpression();
+        continue;
+      }
+      const word = matchAt(STRING_PATTERN, source, index) || matchAt(JSX_NAME_PATTERN, source, index);
+      if (word) {
+        push(word, /^["'`]/.test(word) ? 'string' : 'markup');
+        index += word.length;
+      } else if (char !== undefined) {
+        push(char, 'markup');
+        index++;
+      }
+    }
+  };
+
+  scanScript(false);
+  return tokens;
+};
+
+// For each bracket token, the index of its partner (-1 when unmatched)
+const matchBrackets = (tokens) => {
+  const partner = new Array(tokens.length).fill(-1);
+  const open = [];
+  tokens.forEach((token, index) => {
+    if (token.kind !== 'punct') return;
+    if ('([{'.includes(token.value)) {
+      open.push(index);
+    } else if (')]}'.includes(token.value) && open.length > 0) {
+      const start = open.pop();
+      partner[start] = index;
+      partner[index] = start;
+    }
+  });
+  return partner;
+};
+
+// Names bound by a parameter list or destructuring pattern in tokens[start, end), brackets included.
+// Object keys, default values and type annotations bind nothing.
+const declarePattern = (tokens, start, end, names) => {
+  const open = [];
+  let skipDepth = -1;
+  for (let index = start; index < end; index++) {
+    const token = tokens[index];
+    if (token.kind === 'punct' && '([{'.includes(token.value)) {
+      open.push(token.value);
+    } else if (token.kind === 'punct' && ')]}'.includes(token.value)) {
+      open.pop();
+      if (open.length < skipDepth) skipDepth = -1;
+    } else if (skipDepth >= 0) {
+      if (is(token, ',') && open.length === skipDepth) skipDepth = -1;
+    } else if (is(token, '=') || (is(token, ':') && open[open.length - 1] !== '{')) {
+      skipDepth = open.length;
+    } else if (isBinding(token) && !(is(tokens[index + 1], ':') && open[open.length - 1] === '{')) {
+      names.add(token.value);
+    }
+  }
+};
+
+// import a, { b as c }, * as d from '...'
+const declareImports = (tokens, start, names) => {
+  for (let index = start; index < tokens.length; index++) {
+    const token = tokens[index];
+    if (token.kind === 'string' || is(token, ';') || (token.kind === 'name' && token.value === 'from')) return;
+    if (isBinding(token) && token.value !== 'as' && tokens[index + 1]?.value !== 'as') names.add(token.value);
+  }
+};
+
+// Names the script declares: variables, functions, classes, parameters, imports and catch bindings
+const declaredNames = (tokens) => {
+  const partner = matchBrackets(tokens);
+  const names = new Set();
+  const declareList = (open) => {
+    if (partner[open] > open) declarePattern(tokens, open, partner[open] + 1, names);
+  };
+
+  tokens.forEach((token, index) => {
+    const next = tokens[index + 1];
+    if (is(token, '=') && is(next, '>')) {
+      const previous = tokens[index - 1];
+      if (is(previous, ')') && partner[index - 1] >= 0) {
+        declarePattern(tokens, partner[index - 1], index, names);
+      } else if (isBinding(previous)) {
+        names.add(previous.value);
+      }
+      return;
+    }
+    if (token.kind !== 'name') return;
+
+    switch (token.value) {
+      case 'const':
+      case 'let':
+      case 'var':
+        if (isBinding(next)) names.add(next.value);
+        else if (is(next, '{') || is(next, '[')) declareList(index + 1);
+        break;
+      case 'function': {
+        let cursor = index + 1;
+        if (is(tokens[cursor], '*')) cursor++;
+        if (isBinding(tokens[cursor])) names.add(tokens[cursor++].value);
+        if (is(tokens[cursor], '(')) declareList(cursor);
+        break;
+      }
+      case 'class':
+        if (isBinding(next)) names.add(next.value);
+        break;
+      case 'catch':
+        if (is(next, '(')) declareList(index + 1);
+        break;
+      case 'import':
+        if (!is(next, '(') && !is(next, '.')) declareImports(tokens, index + 1, names);
+        break;
+      default:
+        // Method definitions: name(params) { ... }
+        if (isBinding(token) && !is(tokens[index - 1], '.') && is(next, '(') &&
+          partner[index + 1] > index && is(tokens[partner[index + 1] + 1], '{')) {
+          declareList(index + 1);
+        }
+    }
+  });
+  return names;
+};
+
+// Normalized tokens of `code`; declared names become $0, $1, ... by first use.
+// options.language or options.filePath says what kind of file the code is.
+const tokenize = (code, options = {}) => {
+  const markup = MARKUP_LANGUAGES.has(languageOf(options));
+  const tokens = scan(String(code || ''), markup);
+  const declared = markup ? new Set() : declaredNames(tokens);
+  const names = new Map();
+  const open = [];
+  const normalized = [];
+
+  tokens.forEach((token, index) => {
+    const { value, kind } = token;
+    if (kind === 'punct') {
+      if ('([{'.includes(value)) open.push(value);
+      if (')]}'.includes(value)) open.pop();
+      if (value !== ';') normalized.push(value);
+      return;
+    }
+
+    const previous = tokens[index - 1];
+    const isProperty = is(previous, '.') ||
+      (is(tokens[index + 1], ':') && open[open.length - 1] === '{' && (is(previous, '{') || is(previous, ',')));
+    if (kind === 'name' && declared.has(value) && !isProperty) {
+      if (!names.has(value)) names.set(value, `$${names.size}`);
+      normalized.push(names.get(value));
+    } else {
+      normalized.push(value);
+    }
+  });
+  return normalized;
+};
+
+const normalizeCode = (code, options) => tokenize(code, options).join(' ');
+
+// Shingles see every renamed name as "$": numbering would make one inserted name
+// change every shingle after it
+const simhash = (tokens) => {
+  const shape = tokens.map(token => (/^\$\d+$/.test(token) ? '$' : token));
+  const weights = new Array(SIMHASH_BITS).fill(0);
+  const count = Math.max(shape.length - SHINGLE_SIZE + 1, shape.length > 0 ? 1 : 0);
+
+  for (let index = 0; index < count; index++) {
+    const shingle = shape.slice(index, index + SHINGLE_SIZE).join(' ');
+    const hash = crypto.createHash('md5').update(shingle).digest();
+    for (let bit = 0; bit < SIMHASH_BITS; bit++) {
+      weights[bit] += (hash[bit >> 3] >> (bit & 7)) & 1 ? 1 : -1;
+    }
+  }
+
+  const bytes = Buffer.alloc(SIMHASH_BITS / 8);
+  weights.forEach((weight, bit) => {
+    if (weight > 0) bytes[bit >> 3] |= 1 << (bit & 7);
+  });
+  return bytes.toString('hex');
+};
+
+// "0:ab12", "1:..." - stored and indexed so near-duplicate candidates are an equality lookup
+const simhashBands = (hash) => {
+  const width = hash.length / SIMHASH_BANDS;
+  return Array.from({ length: SIMHASH_BANDS }, (_, band) => `${band}:${hash.slice(band * width, (band + 1) * width)}`);
+};
+
+const hammingDistance = (a, b) => {
+  let value = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (value > 0n) {
+    distance += Number(value & 1n);
+    value >>= 1n;
+  }
+  return distance;
+};
+
+// { normalized, fingerprint, simhash, bands, version } for `code`; options as for tokenize
+const fingerprintCode = (code, options) => {
+  const tokens = tokenize(code, options);
+  const normalized = tokens.join(' ');
+  const hash = simhash(tokens);
+  return {
+    normalized,
+    fingerprint: crypto.createHash('sha1').update(normalized).digest('hex'),
+    simhash: hash,
+    bands: simhashBands(hash),
+    version: FINGERPRINT_VERSION
+  };
+};
+
+module.exports = {
+  FINGERPRINT_VERSION,
+  tokenize,
+  normalizeCode,
+  simhashBands,
+  hammingDistance,
+  fingerprintCode
+};
@@ -0,0 +1,169 @@
+// src/utils/codeStreamParser.js
+const { EventEmitter } = require('events');
+
+const FENCE_OPEN = /^\s*```\s*([\w+#.-]*)\s*$/;
+const FENCE_CLOSE = /^\s*```\s*$/;
+// Lines that may still turn into a closing fence once more text arrives
+const FENCE_PREFIX = /^\s*`{0,3}\s*$/;
+// "// File: src/App.jsx", "/* styles.css */", "<!-- index.html -->", "# script.py"
+const PATH_COMMENT = /^\s*(?:\/\/|\/\*|<!--|#)\s*(?:(?:file|path)\s*:\s*)?([\w@.-]+(?:\/[\w@.-]+)*\.[A-Za-z0-9]+)\s*(?:\*\/|-->)?\s*$/i;
+// "**src/App.jsx**", "`src/App.jsx`", "### File: src/App.jsx" on the line before a fence
+const PATH_HEADING = /^\s*(?:#{1,6}\s*)?(?:\d+\.\s*)?(?:\*\*|`)?\s*(?:(?:file|path)\s*:\s*)?(?:\*\*|`)?([\w@.-]+(?:\/[\w@.-]+)*\.[A-Za-z0-9]+)(?:\*\*|`)?:?\s*(?:\*\*|`)?\s*$/i;
+
+// Incrementally split a model's markdown output into files as it streams in.
+// Emits 'file:start' ({ filePath, language, index }), 'file:chunk' ({ filePath, chunk, index })
+// and 'file:complete' ({ filePath, content, language, index }).
+class CodeStreamParser extends EventEmitter {
+  constructor({ defaultPath, mapLanguage } = {}) {
+    super();
+    this.defaultPath = defaultPath || ((language, index) => `src/file${index}.${language || 'txt'}`);
+    this.mapLanguage = mapLanguage || ((language) => language || 'plaintext');
+    this.state = 'text';
+    this.buffer = '';
+    this.rawText = '';
+    this.lastTextLine = '';
+    this.current = null;
+    this.files = {};
+    this.fileCount = 0;
+  }
+
+  feed(text) {
+    if (!text) return;
+    this.rawText += text;
+    this.buffer += text;
+    this.process(false);
+  }
+
+  // Flush whatever is left; an unterminated block still becomes a file
+  end() {
+    this.process(true);
+
+    if (this.state === 'header' && this.buffer) {
+      if (FENCE_CLOSE.test(this.buffer)) {
+        this.state = 'text';
+      } else {
+        this.startFile(this.buffer);
+      }
+    }
+    if (this.state === 'code') {
+      if (this.buffer && !FENCE_CLOSE.test(this.buffer)) {
+        this.appendToFile(this.buffer.slice(this.current.emittedLength));
+        this.current.content += this.buffer;
+      }
+      this.buffer = '';
+      this.completeFile();
+    }
+
+    // No code fences at all: the whole response is one file
+    if (this.fileCount === 0 && this.rawText.trim()) {
+      this.current = this.createFile(this.defaultPath('javascript', 0), 'javascript');
+      this.appendToFile(this.rawText);
+      this.current.content = this.rawText;
+      this.completeFile({ trim: false });
+    }
+
+    return this.files;
+  }
+
+  getFiles() {
+    return this.files;
+  }
+
+  process(final) {
+    while (this.buffer) {
+      const newline = this.buffer.indexOf('\n');
+
+      if (newline === -1) {
+        // Partial code lines are streamed right away unless they could be a closing fence
+        if (this.state === 'code' && !FENCE_PREFIX.test(this.buffer)) {
+          this.appendToFile(this.buffer.slice(this.current.emittedLength));
+          this.current.emittedLength = this.buffer.length;
+        }
+        if (!final || this.state !== 'text') return;
+        this.handleTextLine(this.buffer);
+        this.buffer = '';
+        return;
+      }
+
+      const line = this.buffer.slice(0, newline);
+      const emittedLength = this.current ? this.current.emittedLength : 0;
+      this.buffer = this.buffer.slice(newline + 1);
+
+      if (this.state === 'text') {
+        this.handleTextLine(line);
+      } else if (this.state === 'header') {
+        if (FENCE_CLOSE.test(line)) {
+          // Empty code block
+          this.state = 'text';
+          this.pendingLanguage = null;
+          continue;
+        }
+        this.startFile(line);
+        this.current.content += `${line}\n`;
+        this.appendToFile(`${line}\n`);
+      } else if (FENCE_CLOSE.test(line)) {
+        this.completeFile();
+      } else {
+        this.current.content += `${line}\n`;
+        this.appendToFile(`${line.slice(emittedLength)}\n`);
+        this.current.emittedLength = 0;
+      }
+    }
+  }
+
+  handleTextLine(line) {
+    const fence = FENCE_OPEN.exec(line);
+    if (fence) {
+      this.state = 'header';
+      this.pendingLanguage = fence[1] || null;
+      return;
+    }
+    if (line.trim()) {
+      this.lastTextLine = line;
+    }
+  }
+
+  // The path comes from a comment on the first code line, then from the line
+  // just before the fence, then from the caller's default
+  startFile(firstLine) {
+    const language = this.pendingLanguage || 'javascript';
+    const commentPath = PATH_COMMENT.exec(firstLine);
+    const headingPath = PATH_HEADING.exec(this.lastTextLine);
+    const filePath = (commentPath && commentPath[1]) ||
+      (headingPath && headingPath[1]) ||
+      this.defaultPath(language, this.fileCount);
+
+    this.current = this.createFile(filePath, language);
+    this.lastTextLine = '';
+    this.pendingLanguage = null;
+  }
+
+  createFile(filePath, language) {
+    const file = {
+      filePath,
+      language: this.mapLanguage(language, filePath),
+      index: this.fileCount++,
+      content: '',
+      emittedLength: 0
+    };
+    this.state = 'code';
+    this.emit('file:start', { filePath: file.filePath, language: file.language, index: file.index });
+    return file;
+  }
+
+  appendToFile(chunk) {
+    if (!chunk) return;
+    this.emit('file:chunk', { filePath: this.current.filePath, chunk, index: this.current.index });
+  }
+
+  completeFile({ trim = true } = {}) {
+    const file = this.current;
+    const content = trim ? file.content.trim() : file.content;
+    this.files[file.filePath] = { content, language: file.language };
+    this.emit('file:complete', { filePath: file.filePath, content, language: file.language, index: file.index });
+    this.current = null;
+    this.state = 'text';
+  }
+}
+
+module.exports = CodeStreamParser;
@@ -0,0 +1,215 @@
+// src/utils/diff.js
+// Line-based Myers diff and unified diff formatting
+
+const splitLines = (text) => {
+  if (!text) return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
+
+// Beyond this many changed lines the changed region is reported as one replacement
+// instead of a minimal edit script, which keeps huge rewrites cheap to diff
+const MAX_EDIT_DISTANCE = 2000;
+
+// Myers' middle snake of a[aLo, aHi) against b[bLo, bHi): the diagonal run in the middle
+// of a shortest edit path, as offsets { x, y, u, v } into the range. Null when the
+// edit distance exceeds `limit`. Only two vectors of furthest-reaching x are kept.
+const middleSnake = (a, aLo, aHi, b, bLo, bHi, limit) => {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const delta = n - m;
+  const odd = (delta & 1) !== 0;
+  const maxD = Math.min(Math.ceil((n + m) / 2), Math.ceil(limit / 2));
+  const offset = maxD + 1;
+  // forward[k]: furthest x on diagonal k from the start; backward[k]: the same from the end
+  const forward = new Int32Array(2 * maxD + 3);
+  const backward = new Int32Array(2 * maxD + 3);
+
+  for (let d = 0; d <= maxD; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+      // Backward diagonal delta - k reached at step d - 1 overlaps this one
+      if (odd && k >= delta - d + 1 && k <= delta + d - 1 && x + backward[offset + delta - k] >= n) {
+        return { x: startX, y: startY, u: x, v: y };
+      }
+    }
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1]))
+        ? backward[offset + k + 1]
+        : backward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) {
+        x++;
+        y++;
+      }
+      backward[offset + k] = x;
+      if (!odd && delta - k >= -d && delta - k <= d && x + forward[offset + delta - k] >= n) {
+        return { x: n - x, y: m - y, u: n - startX, v: m - startY };
+      }
+    }
+  }
+
+  return null;
+};
+
+// Append the edit script of a[aLo, aHi) -> b[bLo, bHi) to `edits`, splitting at the middle snake
+const diffRange = (a, aLo, aHi, b, bLo, bHi, edits, limit) => {
+  // Common prefix and suffix are equal lines; Myers only runs on the changed middle
+  while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+    edits.push({ type: 'equal', line: a[aLo] });
+    aLo++;
+    bLo++;
+  }
+  const suffixStart = aHi;
+  while (aLo < aHi && bLo < bHi && a[aHi - 1] === b[bHi - 1]) {
+    aHi--;
+    bHi--;
+  }
+
+  const snake = aLo < aHi && bLo < bHi ? middleSnake(a, aLo, aHi, b, bLo, bHi, limit) : null;
+  if (snake) {
+    diffRange(a, aLo, aLo + snake.x, b, bLo, bLo + snake.y, edits, Infinity);
+    for (let i = snake.x; i < snake.u; i++) {
+      edits.push({ type: 'equal', line: a[aLo + i] });
+    }
+    diffRange(a, aLo + snake.u, aHi, b, bLo + snake.v, bHi, edits, Infinity);
+  } else {
+    // One side is empty, or the edit distance is over the limit
+    for (let i = aLo; i < aHi; i++) edits.push({ type: 'delete', line: a[i] });
+    for (let i = bLo; i < bHi; i++) edits.push({ type: 'insert', line: b[i] });
+  }
+
+  for (let i = aHi; i < suffixStart; i++) {
+    edits.push({ type: 'equal', line: a[i] });
+  }
+};
+
+// Compute an edit script between two line arrays.
+// Returns [{ type: 'equal' | 'delete' | 'insert', line }] in order.
+const diffLines = (oldLines, newLines, { maxEditDistance = MAX_EDIT_DISTANCE } = {}) => {
+  const edits = [];
+  diffRange(oldLines, 0, oldLines.length, newLines, 0, newLines.length, edits, maxEditDistance);
+  return edits;
+};
+
+// Group an edit script into unified diff hunks with the given context size
+const buildHunks = (edits, context = 3) => {
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let current = null;
+  let trailingEqual = 0;
+
+  edits.forEach((edit, index) => {
+    if (edit.type === 'equal') {
+      if (current) {
+        trailingEqual++;
+        if (trailingEqual > context * 2) {
+          // Close the hunk, keeping only `context` lines of trailing context
+          const extra = trailingEqual - context - 1;
+          current.lines.splice(current.lines.length - extra, extra);
+          current.oldLines -= extra;
+          current.newLines -= extra;
+          hunks.push(current);
+          current = null;
+        } else {
+          current.lines.push(` ${edit.line}`);
+          current.oldLines++;
+          current.newLines++;
+        }
+      }
+      oldLine++;
+      newLine++;
+      return;
+    }
+
+    if (!current) {
+      // Open a hunk with up to `context` lines of leading context
+      const leading = [];
+      for (let i = index - 1; i >= 0 && leading.length < context && edits[i].type === 'equal'; i--) {
+        leading.unshift(` ${edits[i].line}`);
+      }
+      current = {
+        oldStart: oldLine - leading.length,
+        newStart: newLine - leading.length,
+        oldLines: leading.length,
+        newLines: leading.length,
+        lines: leading
+      };
+    }
+    trailingEqual = 0;
+
+    if (edit.type === 'delete') {
+      current.lines.push(`-${edit.line}`);
+      current.oldLines++;
+      oldLine++;
+    } else {
+      current.lines.push(`+${edit.line}`);
+      current.newLines++;
+      newLine++;
+    }
+  });
+
+  if (current) {
+    const extra = Math.max(0, trailingEqual - context);
+    if (extra > 0) {
+      current.lines.splice(current.lines.length - extra, extra);
+      current.oldLines -= extra;
+      current.newLines -= extra;
+    }
+    hunks.push(current);
+  }
+
+  return hunks;
+};
+
+// Produce a unified diff ("--- a/x\n+++ b/x\n@@ ... @@") between two texts.
+// Returns an empty string when the texts are identical.
+const createUnifiedDiff = (oldText, newText, { oldPath = 'a', newPath = 'b', context = 3 } = {}) => {
+  if (oldText === newText) return '';
+
+  const edits = diffLines(splitLines(oldText), splitLines(newText));
+  const hunks = buildHunks(edits, context);
+  if (hunks.length === 0) return '';
+
+  const output = [`--- ${oldPath}`, `+++ ${newPath}`];
+  hunks.forEach(hunk => {
+    const oldStart = hunk.oldLines === 0 ? hunk.oldStart - 1 : hunk.oldStart;
+    const newStart = hunk.newLines === 0 ? hunk.newStart - 1 : hunk.newStart;
+    output.push(`@@ -${oldStart},${hunk.oldLines} +${newStart},${hunk.newLines} @@`);
+    output.push(...hunk.lines);
+  });
+
+  return output.join('\n') + '\n';
+};
+
+// Count added/removed lines of an edit script
+const diffStats = (oldText, newText) => {
+  const edits = diffLines(splitLines(oldText), splitLines(newText));
+  return edits.reduce((stats, edit) => {
+    if (edit.type === 'insert') stats.additions++;
+    if (edit.type === 'delete') stats.deletions++;
+    return stats;
+  }, { additions: 0, deletions: 0 });
+};
+
+module.exports = {
+  splitLines,
+  diffLines,
+  createUnifiedDiff,
+  diffStats
+};
@@ -0,0 +1,151 @@
+// src/utils/helpers.js
+
+// Create an Error carrying an HTTP status code (picked up by controllers and errorHandler)
+const createHttpError = (message, statusCode = 500) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Map a file path to its Monaco editor language
+const getLanguageFromPath = (filePath) => {
+  const ext = filePath.split('.').pop().toLowerCase();
+  const langMap = {
+    'js': 'javascript',
+    'jsx': 'javascript',
+    'mjs': 'javascript',
+    'cjs': 'javascript',
+    'ts': 'typescript',
+    'tsx': 'typescript',
+    'html': 'html',
+    'htm': 'html',
+    'css': 'css',
+    'scss': 'scss',
+    'json': 'json',
+    'md': 'markdown',
+    'svg': 'xml',
+    'xml': 'xml',
+    'yml': 'yaml',
+    'yaml': 'yaml'
+  };
+  return langMap[ext] || 'plaintext';
+};
+
+// Escape a string for literal use inside a RegExp
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Convert a glob ("src/**/*.js", "*.{css,scss}") to a RegExp matched against
+// '/'-separated relative paths. Globs without a '/' match at any depth.
+const globToRegExp = (glob) => {
+  let pattern = glob.trim().replace(/\\/g, '/').replace(/^\.\//, '');
+  if (!pattern.includes('/')) {
+    pattern = `**/${pattern}`;
+  }
+
+  let regex = '';
+  let inGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" matches zero or more directories, a trailing "**" matches everything
+        if (pattern[i + 2] === '/') {
+          regex += '(?:.*/)?';
+          i += 2;
+        } else {
+          regex += '.*';
+          i += 1;
+        }
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if (char === '{') {
+      if (inGroup) {
+        throw createHttpError(`Invalid glob "${glob}": nested braces are not supported`, 400);
+      }
+      inGroup = true;
+      regex += '(?:';
+    } else if (char === '}') {
+      if (!inGroup) {
+        throw createHttpError(`Invalid glob "${glob}": unbalanced braces`, 400);
+      }
+      inGroup = false;
+      regex += ')';
+    } else if (char === ',' && inGroup) {
+      regex += '|';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        regex += '\\[';
+      } else {
+        const body = pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+        regex += `[${body}]`;
+        i = end;
+      }
+    } else {
+      regex += escapeRegExp(char);
+    }
+  }
+
+  if (inGroup) {
+    throw createHttpError(`Invalid glob "${glob}": unbalanced braces`, 400);
+  }
+
+  try {
+    return new RegExp(`^${regex}$`);
+  } catch (error) {
+    // e.g. a character class with an out-of-order range
+    throw createHttpError(`Invalid glob "${glob}": ${error.message}`, 400);
+  }
+};
+
+// Accept a glob list as an array or a comma-separated string. Commas inside
+// braces belong to the glob: "*.{css,scss},src/**" is two globs.
+const parseGlobList = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) {
+    return value.map(item => String(item).trim()).filter(Boolean);
+  }
+
+  const list = [];
+  let current = '';
+  let depth = 0;
+  for (const char of String(value)) {
+    if (char === ',' && depth === 0) {
+      list.push(current);
+      current = '';
+      continue;
+    }
+    if (char === '{') depth++;
+    if (char === '}' && depth > 0) depth--;
+    current += char;
+  }
+  list.push(current);
+
+  return list.map(item => item.trim()).filter(Boolean);
+};
+
+// Turn a name into a lowercase, dash-separated slug
+const slugify = (value, fallback = 'project') => {
+  const slug = String(value || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 63);
+  return slug || fallback;
+};
+
+module.exports = {
+  createHttpError,
+  getLanguageFromPath,
+  escapeRegExp,
+  globToRegExp,
+  parseGlobList,
+  slugify
+};
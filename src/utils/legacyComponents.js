@@ -0,0 +1,85 @@
+// src/utils/legacyComponents.js
+// Before component definitions existed, content.components held placed components as
+// { id, type, props, styles, position }. These map them onto the current shape: one
+// definition per legacy type, and one instance per legacy component keeping its id,
+// props, styles and position. Ids are derived from the stored data, so converting the
+// same document twice gives the same result.
+const { slugify } = require('./helpers');
+
+// Definitions always store `code`; legacy components never had it
+const isLegacyComponent = (component) => Boolean(component) &&
+  typeof component === 'object' &&
+  component.code === undefined &&
+  component.name === undefined;
+
+const hasLegacyComponents = (content) => Array.isArray(content?.components) &&
+  content.components.some(isLegacyComponent);
+
+const inferPropType = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isFinite(value) ? 'number' : null;
+  if (typeof value === 'string' || typeof value === 'boolean') return typeof value;
+  if (value && typeof value === 'object') return 'object';
+  return null;
+};
+
+// { components, componentInstances } for raw stored `content`, or null when it has no legacy components
+const convertLegacyComponents = (content) => {
+  if (!hasLegacyComponents(content)) return null;
+
+  const components = content.components.filter(component => !isLegacyComponent(component));
+  const componentInstances = [...(content.componentInstances || [])];
+  const names = new Set(components.map(component => component.name));
+  const definitions = new Map();
+
+  content.components.filter(isLegacyComponent).forEach((legacy, index) => {
+    const type = typeof legacy.type === 'string' && legacy.type.trim() ? legacy.type.trim() : 'component';
+
+    let definition = definitions.get(type);
+    if (!definition) {
+      let name = type;
+      for (let suffix = 2; names.has(name); suffix++) {
+        name = `${type} ${suffix}`;
+      }
+      names.add(name);
+      definition = {
+        id: `legacy-${slugify(type, 'component')}`,
+        name,
+        type,
+        code: '',
+        propsSchema: {},
+        defaultStyles: {},
+        version: 1
+      };
+      definitions.set(type, definition);
+      components.push(definition);
+    }
+
+    // The first value seen decides a prop's type
+    const props = legacy.props && typeof legacy.props === 'object' && !Array.isArray(legacy.props) ? legacy.props : {};
+    Object.entries(props).forEach(([propName, value]) => {
+      const propType = inferPropType(value);
+      if (propType && !definition.propsSchema[propName]) {
+        definition.propsSchema[propName] = { type: propType, required: false };
+      }
+    });
+
+    componentInstances.push({
+      ...(legacy._id ? { _id: legacy._id } : {}),
+      id: legacy.id || `${definition.id}-${index}`,
+      definitionId: definition.id,
+      pageId: null,
+      props: { ...props },
+      styles: legacy.styles && typeof legacy.styles === 'object' ? { ...legacy.styles } : {},
+      position: legacy.position || undefined,
+      definitionVersion: 1
+    });
+  });
+
+  return { components, componentInstances };
+};
+
+module.exports = {
+  hasLegacyComponents,
+  convertLegacyComponents
+};
@@ -0,0 +1,261 @@
+// src/utils/patch.js
+// Parse and apply model-written edits: unified diffs and SEARCH/REPLACE blocks.
+// Application never throws on a bad edit; failures are reported per hunk or block.
+const { splitLines } = require('./diff');
+
+const HUNK_HEADER = /^@@(?:\s+-(\d+)(?:,(\d+))?\s+\+(\d+)(?:,(\d+))?)?\s*@@/;
+const SEARCH_MARKER = /^\s*<{5,9}\s*SEARCH\s*$/;
+const DIVIDER_MARKER = /^\s*={5,9}\s*$/;
+const REPLACE_MARKER = /^\s*>{5,9}\s*REPLACE\s*$/;
+const FENCE = /^\s*```/;
+
+// "a/src/App.jsx" -> "src/App.jsx"; "/dev/null" -> null
+const cleanDiffPath = (value) => {
+  const filePath = value.trim().split('\t')[0].trim();
+  if (filePath === '/dev/null') return null;
+  return filePath.replace(/^[ab]\//, '');
+};
+
+// Unified diff text -> [{ oldPath, newPath, hunks: [{ oldStart, oldLines, newStart, newLines, lines }] }].
+// Line numbers are optional ("@@ @@"), since models often get them wrong.
+const parseUnifiedDiff = (text) => {
+  const files = [];
+  let file = null;
+  let hunk = null;
+
+  const lines = String(text || '').split('\n');
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+
+    if (line.startsWith('--- ') && lines[index + 1]?.startsWith('+++ ')) {
+      file = {
+        oldPath: cleanDiffPath(line.slice(4)),
+        newPath: cleanDiffPath(lines[index + 1].slice(4)),
+        hunks: []
+      };
+      files.push(file);
+      hunk = null;
+      index++;
+      continue;
+    }
+
+    const header = HUNK_HEADER.exec(line);
+    if (header) {
+      if (!file) {
+        // Hunks without file headers belong to whichever file the caller edits
+        file = { oldPath: null, newPath: null, hunks: [] };
+        files.push(file);
+      }
+      hunk = {
+        header: line,
+        oldStart: header[1] !== undefined ? parseInt(header[1], 10) : null,
+        oldLines: header[2] !== undefined ? parseInt(header[2], 10) : null,
+        newStart: header[3] !== undefined ? parseInt(header[3], 10) : null,
+        newLines: header[4] !== undefined ? parseInt(header[4], 10) : null,
+        lines: []
+      };
+      file.hunks.push(hunk);
+      continue;
+    }
+
+    if (!hunk || FENCE.test(line)) continue;
+
+    if (line.startsWith(' ') || line.startsWith('-') || line.startsWith('+')) {
+      hunk.lines.push(line);
+    } else if (line === '') {
+      // Editors and models drop the leading space of empty context lines
+      hunk.lines.push(' ');
+    } else if (!line.startsWith('\\')) {
+      hunk = null;
+    }
+  }
+
+  // Trailing blank context is usually an artifact of the split above
+  files.forEach(entry => entry.hunks.forEach(item => {
+    while (item.lines.length > 0 && item.lines[item.lines.length - 1] === ' ') {
+      item.lines.pop();
+    }
+  }));
+
+  return files.filter(entry => entry.hunks.length > 0);
+};
+
+// SEARCH/REPLACE blocks, each optionally preceded by the file path on its own line:
+//   src/App.jsx
+//   <<<<<<< SEARCH
+//   old lines
+//   =======
+//   new lines
+//   >>>>>>> REPLACE
+const parseSearchReplaceBlocks = (text) => {
+  const blocks = [];
+  const lines = String(text || '').split('\n');
+  let lastPathLine = null;
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+
+    if (!SEARCH_MARKER.test(line)) {
+      const candidate = line.trim().replace(/^[#*`\s]+|[*`:\s]+$/g, '');
+      if (candidate && !FENCE.test(line) && /^[\w@./-]+$/.test(candidate) && /[./]/.test(candidate)) {
+        lastPathLine = candidate;
+      }
+      continue;
+    }
+
+    const search = [];
+    const replace = [];
+    let target = search;
+    let closed = false;
+
+    for (index++; index < lines.length; index++) {
+      if (target === search && DIVIDER_MARKER.test(lines[index])) {
+        target = replace;
+      } else if (target === replace && REPLACE_MARKER.test(lines[index])) {
+        closed = true;
+        break;
+      } else {
+        target.push(lines[index]);
+      }
+    }
+
+    blocks.push({
+      path: lastPathLine,
+      search: search.join('\n'),
+      replace: replace.join('\n'),
+      complete: closed && target === replace
+    });
+  }
+
+  return blocks;
+};
+
+const normalizeLine = (line) => line.replace(/\s+/g, ' ').trim();
+
+// Index of `needle` lines in `haystack` lines nearest to `near`, or -1.
+// Exact matches win; otherwise whitespace differences are tolerated.
+const findLines = (haystack, needle, near = 0, from = 0) => {
+  if (needle.length === 0) return -1;
+
+  const search = (equals) => {
+    let best = -1;
+    for (let start = from; start + needle.length <= haystack.length; start++) {
+      let matches = true;
+      for (let offset = 0; offset < needle.length; offset++) {
+        if (!equals(haystack[start + offset], needle[offset])) {
+          matches = false;
+          break;
+        }
+      }
+      if (matches && (best === -1 || Math.abs(start - near) < Math.abs(best - near))) {
+        best = start;
+      }
+    }
+    return best;
+  };
+
+  const exact = search((a, b) => a === b);
+  return exact !== -1 ? exact : search((a, b) => normalizeLine(a) === normalizeLine(b));
+};
+
+const withTrailingNewline = (lines, original) => {
+  const text = lines.join('\n');
+  return original === '' || original.endsWith('\n') ? (lines.length > 0 ? `${text}\n` : '') : text;
+};
+
+// Apply hunks in order. Returns { content, applied, failed: [{ index, header, reason, expected }] }
+const applyHunks = (content, hunks) => {
+  const original = content || '';
+  const lines = splitLines(original);
+  const applied = [];
+  const failed = [];
+  let offset = 0;
+  let searchFrom = 0;
+
+  hunks.forEach((hunk, index) => {
+    const before = hunk.lines.filter(line => !line.startsWith('+')).map(line => line.slice(1));
+    const after = hunk.lines.filter(line => !line.startsWith('-')).map(line => line.slice(1));
+
+    let start;
+    if (before.length === 0) {
+      // Pure insertion: trust the header, else append
+      start = hunk.oldStart !== null ? Math.min(lines.length, Math.max(0, hunk.oldStart + offset)) : lines.length;
+    } else {
+      const expected = hunk.oldStart !== null ? Math.max(0, hunk.oldStart - 1 + offset) : searchFrom;
+      start = findLines(lines, before, expected, searchFrom);
+    }
+
+    if (start === -1) {
+      failed.push({
+        index,
+        header: hunk.header,
+        reason: 'Context lines not found in the current file',
+        expected: before.join('\n')
+      });
+      return;
+    }
+
+    lines.splice(start, before.length, ...after);
+    applied.push({ index, header: hunk.header, line: start + 1 });
+    offset += after.length - before.length;
+    searchFrom = start + after.length;
+  });
+
+  return { content: withTrailingNewline(lines, original), applied, failed };
+};
+
+// Apply SEARCH/REPLACE blocks in order. A search text must match exactly once;
+// an empty search appends to the file (or creates it).
+const applySearchReplace = (content, blocks) => {
+  const original = content || '';
+  let result = original;
+  const applied = [];
+  const failed = [];
+
+  blocks.forEach((block, index) => {
+    if (block.complete === false) {
+      failed.push({ index, reason: 'Block is missing its ======= or >>>>>>> REPLACE marker', expected: block.search });
+      return;
+    }
+
+    if (block.search.trim() === '') {
+      const separator = result === '' || result.endsWith('\n') ? '' : '\n';
+      result = `${result}${separator}${block.replace}\n`;
+      applied.push({ index, line: splitLines(result).length - splitLines(block.replace).length + 1 });
+      return;
+    }
+
+    const first = result.indexOf(block.search);
+    if (first !== -1) {
+      if (result.indexOf(block.search, first + 1) !== -1) {
+        failed.push({ index, reason: 'Search text matches more than once; include more surrounding lines', expected: block.search });
+        return;
+      }
+      result = result.slice(0, first) + block.replace + result.slice(first + block.search.length);
+      applied.push({ index, line: result.slice(0, first).split('\n').length });
+      return;
+    }
+
+    // Fall back to a whitespace-tolerant line match
+    const lines = splitLines(result);
+    const needle = splitLines(block.search);
+    const start = findLines(lines, needle);
+    if (start === -1) {
+      failed.push({ index, reason: 'Search text not found in the current file', expected: block.search });
+      return;
+    }
+
+    lines.splice(start, needle.length, ...splitLines(block.replace));
+    result = withTrailingNewline(lines, result);
+    applied.push({ index, line: start + 1 });
+  });
+
+  return { content: result, applied, failed };
+};
+
+module.exports = {
+  parseUnifiedDiff,
+  parseSearchReplaceBlocks,
+  applyHunks,
+  applySearchReplace
+};
@@ -0,0 +1,49 @@
+// src/utils/secretScrubber.js
+// Redacts credentials and email addresses from text that is about to be shared beyond its
+// owner. Pattern-based, so it errs towards redacting: a false positive costs a placeholder,
+// a miss leaks a secret.
+
+// Specific formats first so their redactions are labelled precisely
+const RULES = [
+  { type: 'private-key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { type: 'connection-string', pattern: /\b([a-z][a-z0-9+.-]*:\/\/)[^\s:/@'"`]+:[^\s@'"`]+@/gi, replace: '$1[REDACTED_CREDENTIALS]@' },
+  { type: 'jwt', pattern: /\beyJ[\w-]{10,}\.eyJ[\w-]{10,}\.[\w-]{10,}/g },
+  { type: 'aws-access-key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { type: 'google-api-key', pattern: /\bAIza[\w-]{35}\b/g },
+  { type: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,})\b/g },
+  { type: 'slack-token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { type: 'stripe-key', pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}\b/g },
+  { type: 'api-key', pattern: /\bsk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}/g },
+  { type: 'bearer-token', pattern: /\b(Bearer\s+)[A-Za-z0-9._~+/-]{20,}=*/g, replace: '$1[REDACTED_SECRET]' },
+  // key = "value" style assignments in code, JSON and .env files
+  {
+    type: 'assigned-secret',
+    pattern: /\b([\w-]*(?:api[_-]?key|secret|passw(?:or)?d|token|auth|credential)[\w-]*["']?\s*[:=]\s*)(["'`])(?!\[REDACTED)([^"'`\s]{6,})\2/gi,
+    replace: '$1$2[REDACTED_SECRET]$2'
+  },
+  { type: 'env-secret', pattern: /^(\s*[A-Z0-9_]*(?:KEY|SECRET|PASSWORD|TOKEN)[A-Z0-9_]*=)(?!\[REDACTED)(\S{6,})$/gm, replace: '$1[REDACTED_SECRET]' },
+  { type: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g, replace: '[REDACTED_EMAIL]' }
+];
+
+// { text, redactions: [{ type, count }] }
+const scrubText = (text) => {
+  let result = String(text || '');
+  const redactions = [];
+
+  RULES.forEach(({ type, pattern, replace = '[REDACTED_SECRET]' }) => {
+    let count = 0;
+    result = result.replace(pattern, (...args) => {
+      count++;
+      // Expand $1/$2 against this match's groups
+      const groups = args.slice(1, -2);
+      return replace.replace(/\$(\d)/g, (_, index) => groups[index - 1] ?? '');
+    });
+    if (count > 0) redactions.push({ type, count });
+  });
+
+  return { text: result, redactions };
+};
+
+module.exports = {
+  scrubText
+};
@@ -0,0 +1,51 @@
+// test/codeFingerprint.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { fingerprintCode, normalizeCode } = require('../src/utils/codeFingerprint');
+
+const sameFingerprint = (a, b, options) => fingerprintCode(a, options).fingerprint === fingerprintCode(b, options).fingerprint;
+
+test('renamed locals, comments and formatting keep the fingerprint', () => {
+  const a = `import { useState } from 'react';
+    // Counter with a reset
+    export function Counter({ start = 0 }) {
+      const [count, setCount] = useState(start);
+      return <button onClick={() => setCount(count + 1)}>Clicked {count} times</button>;
+    }`;
+  const b = `import { useState } from 'react'
+    export function Tally({ start = 0 }) {
+      /* renamed */
+      const [total, setTotal] = useState(start)
+      return <button onClick={() => setTotal(total + 1)}>Clicked {total} times</button>
+    }`;
+  assert.ok(sameFingerprint(a, b));
+});
+
+test('stylesheets with different properties and values do not collide', () => {
+  assert.ok(!sameFingerprint('.btn{color:red;padding:4px}', '.card{margin:auto;border:4px}', { filePath: 'src/styles.css' }));
+  assert.ok(!sameFingerprint('.btn{color:red;padding:4px}', '.card{margin:auto;border:4px}'));
+  assert.strictEqual(normalizeCode('.btn { color: red; } /* primary */', { language: 'css' }), '. btn { color : red }');
+});
+
+test('HTML and JSX keep tag names and text', () => {
+  assert.ok(!sameFingerprint('<h1>Welcome home</h1>', '<p>Contact us</p>', { filePath: 'index.html' }));
+  assert.ok(!sameFingerprint('const Hero = () => <h1>Welcome home</h1>;', 'const Hero = () => <p>Contact us</p>;'));
+});
+
+test('free identifiers and property names are kept', () => {
+  assert.ok(!sameFingerprint('price*qty', 'timeout*retries'));
+  assert.ok(!sameFingerprint('const total = order.price * order.qty;', 'const total = order.timeout * order.retries;'));
+  assert.ok(!sameFingerprint('const options = { price: 1, qty: 2 };', 'const options = { timeout: 1, retries: 2 };'));
+});
+
+test('only declared names are renamed', () => {
+  assert.strictEqual(
+    normalizeCode('function add(a, b = 1) { return a + b + offset; }'),
+    'function $0 ( $1 , $2 = 1 ) { return $1 + $2 + offset }'
+  );
+  assert.strictEqual(
+    normalizeCode('const { data: rows, total } = response; items.map(item => item.id);'),
+    'const { data : $0 , $1 } = response items . map ( $2 = > $2 . id )'
+  );
+  assert.strictEqual(normalizeCode('if (a<b) x = 1;'), 'if ( a < b ) x = 1');
+});
@@ -0,0 +1,98 @@
+// test/codeStreamParser.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const CodeStreamParser = require('../src/utils/codeStreamParser');
+
+const RESPONSE = [
+  'Here is the component.',
+  '',
+  '**src/App.jsx**',
+  '```jsx',
+  "import Hero from './Hero';",
+  'export default function App() {',
+  '  return <Hero />;',
+  '}',
+  '```',
+  '',
+  '```css',
+  '/* src/index.css */',
+  'body { margin: 0; }',
+  '```',
+  ''
+].join('\n');
+
+// Feed `text` in pieces of `size` characters and collect the events
+const parse = (text, size, options) => {
+  const parser = new CodeStreamParser(options);
+  const events = [];
+  ['file:start', 'file:chunk', 'file:complete'].forEach(name => {
+    parser.on(name, payload => events.push({ name, ...payload }));
+  });
+  for (let index = 0; index < text.length; index += size) {
+    parser.feed(text.slice(index, index + size));
+  }
+  return { files: parser.end(), events };
+};
+
+test('splits fenced blocks into files named by heading or path comment', () => {
+  const { files } = parse(RESPONSE, RESPONSE.length);
+
+  assert.deepStrictEqual(Object.keys(files), ['src/App.jsx', 'src/index.css']);
+  assert.strictEqual(files['src/App.jsx'].language, 'jsx');
+  assert.match(files['src/App.jsx'].content, /^import Hero/);
+  assert.match(files['src/App.jsx'].content, /}$/);
+  assert.strictEqual(files['src/index.css'].content, '/* src/index.css */\nbody { margin: 0; }');
+});
+
+test('chunk boundaries do not change the result', () => {
+  const whole = parse(RESPONSE, RESPONSE.length);
+
+  [1, 2, 3, 7, 16].forEach(size => {
+    const streamed = parse(RESPONSE, size);
+    assert.deepStrictEqual(streamed.files, whole.files, `chunk size ${size}`);
+
+    // The streamed chunks of each file add up to its content, fences excluded
+    streamed.events.filter(event => event.name === 'file:complete').forEach(complete => {
+      const chunks = streamed.events
+        .filter(event => event.name === 'file:chunk' && event.index === complete.index)
+        .map(event => event.chunk)
+        .join('');
+      assert.strictEqual(chunks.trim(), complete.content, `chunk size ${size}, file ${complete.filePath}`);
+      assert.ok(!chunks.includes('```'));
+    });
+  });
+});
+
+test('emits start, chunks and complete in order with increasing indexes', () => {
+  const { events } = parse(RESPONSE, 5);
+  const lifecycle = events.filter(event => event.name !== 'file:chunk').map(event => `${event.name}:${event.index}`);
+
+  assert.deepStrictEqual(lifecycle, ['file:start:0', 'file:complete:0', 'file:start:1', 'file:complete:1']);
+  assert.strictEqual(events[0].filePath, 'src/App.jsx');
+});
+
+test('falls back to the default path and maps languages', () => {
+  const { files } = parse('```js\nconsole.log(1);\n```\n', 4, {
+    defaultPath: (language, index) => `src/generated-${index}.${language}`,
+    mapLanguage: language => (language === 'js' ? 'javascript' : language)
+  });
+
+  assert.deepStrictEqual(files, { 'src/generated-0.js': { content: 'console.log(1);', language: 'javascript' } });
+});
+
+test('keeps an unterminated block and treats unfenced text as one file', () => {
+  const unterminated = parse('```jsx\n// File: src/Open.jsx\nexport const a = 1;', 3);
+  assert.deepStrictEqual(unterminated.files, {
+    'src/Open.jsx': { content: '// File: src/Open.jsx\nexport const a = 1;', language: 'jsx' }
+  });
+
+  const plain = parse('export const b = 2;\n', 6);
+  assert.deepStrictEqual(plain.files, { 'src/file0.javascript': { content: 'export const b = 2;\n', language: 'javascript' } });
+});
+
+test('skips empty code blocks', () => {
+  const { files, events } = parse('```\n```\n**src/a.js**\n```js\nx();\n```\n', 2);
+
+  assert.deepStrictEqual(Object.keys(files), ['src/a.js']);
+  assert.strictEqual(events.filter(event => event.name === 'file:start').length, 1);
+});
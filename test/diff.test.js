@@ -0,0 +1,86 @@
+// test/diff.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { splitLines, diffLines, createUnifiedDiff, diffStats } = require('../src/utils/diff');
+
+// Length of the longest common subsequence, by dynamic programming
+const lcsLength = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      rows[i][j] = a[i - 1] === b[j - 1] ? rows[i - 1][j - 1] + 1 : Math.max(rows[i - 1][j], rows[i][j - 1]);
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+const sides = (edits) => ({
+  before: edits.filter(edit => edit.type !== 'insert').map(edit => edit.line),
+  after: edits.filter(edit => edit.type !== 'delete').map(edit => edit.line)
+});
+
+test('splitLines drops only the final empty line', () => {
+  assert.deepStrictEqual(splitLines('a\nb\n'), ['a', 'b']);
+  assert.deepStrictEqual(splitLines('a\n\n'), ['a', '']);
+  assert.deepStrictEqual(splitLines(''), []);
+});
+
+test('diffLines produces a minimal edit script that rebuilds both sides', () => {
+  let seed = 7;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const generate = () => Array.from({ length: Math.floor(random() * 14) }, () => 'abcd'[Math.floor(random() * 4)]);
+
+  for (let run = 0; run < 500; run++) {
+    const a = generate();
+    const b = generate();
+    const edits = diffLines(a, b);
+
+    assert.deepStrictEqual(sides(edits), { before: a, after: b }, `${a.join('')} -> ${b.join('')}`);
+    assert.strictEqual(edits.filter(edit => edit.type === 'equal').length, lcsLength(a, b), `${a.join('')} -> ${b.join('')}`);
+  }
+});
+
+test('diffLines falls back to replacing the changed region above the edit limit', () => {
+  const a = ['head', 'x1', 'keep', 'x2', 'tail'];
+  const b = ['head', 'y1', 'keep', 'y2', 'tail'];
+
+  assert.strictEqual(diffLines(a, b).filter(edit => edit.type === 'equal').length, 3);
+
+  const edits = diffLines(a, b, { maxEditDistance: 2 });
+  assert.deepStrictEqual(edits.map(edit => edit.type), ['equal', 'delete', 'delete', 'delete', 'insert', 'insert', 'insert', 'equal']);
+  assert.deepStrictEqual(sides(edits), { before: a, after: b });
+});
+
+test('diffLines handles large rewrites without quadratic memory', () => {
+  const a = Array.from({ length: 50000 }, (_, index) => `line ${index}`);
+  const b = a.map(line => `${line}!`);
+  const edits = diffLines(a, b);
+
+  assert.strictEqual(edits.length, 100000);
+  assert.deepStrictEqual(sides(edits), { before: a, after: b });
+});
+
+test('createUnifiedDiff formats hunks with context', () => {
+  const before = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'].join('\n') + '\n';
+  const after = ['1', '2', 'three', '4', '5', '6', '7', '8', '9', '10', '11'].join('\n') + '\n';
+
+  assert.strictEqual(createUnifiedDiff(before, after, { oldPath: 'a/x', newPath: 'b/x', context: 1 }), [
+    '--- a/x',
+    '+++ b/x',
+    '@@ -2,3 +2,3 @@',
+    ' 2',
+    '-3',
+    '+three',
+    ' 4',
+    '@@ -10,1 +10,2 @@',
+    ' 10',
+    '+11',
+    ''
+  ].join('\n'));
+  assert.strictEqual(createUnifiedDiff(before, before), '');
+  assert.strictEqual(createUnifiedDiff('', 'a\n'), '--- a\n+++ b\n@@ -0,0 +1,1 @@\n+a\n');
+});
+
+test('diffStats counts additions and deletions', () => {
+  assert.deepStrictEqual(diffStats('a\nb\nc\n', 'a\nc\nd\ne\n'), { additions: 2, deletions: 1 });
+});
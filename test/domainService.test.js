@@ -0,0 +1,80 @@
+// test/domainService.test.js
+process.env.DOMAIN_LOOKUP_CACHE_SIZE = '2';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const CustomDomain = require('../src/models/CustomDomain');
+const domainService = require('../src/services/domainService');
+
+let lookups = [];
+
+test.before(() => {
+  test.mock.method(CustomDomain, 'findOne', (query) => ({
+    select() {
+      return this;
+    },
+    lean: async () => {
+      lookups.push(query.domain);
+      return query.domain.endsWith('.shop') ? { projectId: `project-${query.domain}` } : null;
+    }
+  }));
+});
+
+test.beforeEach(() => {
+  lookups = [];
+  domainService.lookupCache.clear();
+});
+
+test('caches verified hosts and evicts the least recently used', async () => {
+  assert.strictEqual(await domainService.findProjectForHost('a.shop'), 'project-a.shop');
+  await domainService.findProjectForHost('b.shop');
+  await domainService.findProjectForHost('A.SHOP');
+  await domainService.findProjectForHost('c.shop');
+
+  assert.deepStrictEqual([...domainService.lookupCache.keys()], ['a.shop', 'c.shop']);
+  assert.deepStrictEqual(lookups, ['a.shop', 'b.shop', 'c.shop']);
+});
+
+test('does not cache unknown hosts', async () => {
+  assert.strictEqual(await domainService.findProjectForHost('unknown.example'), null);
+  assert.strictEqual(await domainService.findProjectForHost('unknown.example'), null);
+
+  assert.strictEqual(domainService.lookupCache.size, 0);
+  assert.deepStrictEqual(lookups, ['unknown.example', 'unknown.example']);
+});
+
+test('ignores platform hosts without a lookup', async () => {
+  assert.strictEqual(await domainService.findProjectForHost('localhost'), null);
+  assert.strictEqual(await domainService.findProjectForHost('127.0.0.1'), null);
+  assert.deepStrictEqual(lookups, []);
+});
+
+test('several projects can claim a domain but only the one that verifies keeps it', async (t) => {
+  const records = [];
+  const matches = (record, query) => Object.entries(query).every(([key, value]) => (
+    value && value.$ne !== undefined ? String(record[key]) !== String(value.$ne) : String(record[key]) === String(value)
+  ));
+  t.mock.method(CustomDomain, 'countDocuments', async query => records.filter(record => matches(record, query)).length);
+  t.mock.method(CustomDomain, 'exists', async query => (records.some(record => matches(record, query)) ? { _id: 'x' } : null));
+  t.mock.method(CustomDomain, 'create', async (fields) => {
+    const record = { _id: `domain-${records.length}`, status: 'pending', ...fields, save: async () => {} };
+    records.push(record);
+    return record;
+  });
+  t.mock.method(CustomDomain, 'findOne', async query => records.find(record => matches(record, query)) || null);
+  const previousResolver = domainService.resolver;
+  t.after(() => {
+    domainService.resolver = previousResolver;
+  });
+  domainService.setResolver({
+    resolveTxt: async () => records.map(record => [`website-builder-verify=${record.verificationToken}`])
+  });
+
+  const squatter = await domainService.addDomain({ _id: 'project-1', userId: 'user-1' }, 'brand.example');
+  const owner = await domainService.addDomain({ _id: 'project-2', userId: 'user-2' }, 'brand.example');
+  await assert.rejects(domainService.addDomain({ _id: 'project-2', userId: 'user-2' }, 'brand.example'), { statusCode: 409 });
+
+  assert.strictEqual((await domainService.verifyDomain('project-2', owner._id)).status, 'verified');
+  await assert.rejects(domainService.verifyDomain('project-1', squatter._id), { statusCode: 409 });
+  await assert.rejects(domainService.addDomain({ _id: 'project-3', userId: 'user-3' }, 'brand.example'), { statusCode: 409 });
+});
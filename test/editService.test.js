@@ -0,0 +1,57 @@
+// test/editService.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const editService = require('../src/services/editService');
+const versionService = require('../src/services/versionService');
+
+const buildProject = () => ({
+  _id: 'project-1',
+  content: { html: '<h1>Hello</h1>\n', css: 'h1 { color: red; }\n', js: '' }
+});
+
+const replaceEdit = (search, replace) => ({ format: 'search-replace', blocks: [{ search, replace }] });
+
+test('apply requires the baseHash of every file', async () => {
+  const project = buildProject();
+  await assert.rejects(
+    editService.apply(project, 'user-1', { files: [{ path: 'content.html', edit: replaceEdit('Hello', 'Hi') }] }),
+    { statusCode: 400, message: 'baseHash is required for content.html' }
+  );
+});
+
+test('apply rejects files listed twice', async () => {
+  const project = buildProject();
+  const baseHash = editService.hashContent(project.content.html);
+  await assert.rejects(editService.apply(project, 'user-1', {
+    files: [
+      { path: 'content.html', baseHash, edit: replaceEdit('Hello', 'Hi') },
+      { path: 'content.html', baseHash, edit: replaceEdit('Hi', 'Hey') }
+    ]
+  }), { statusCode: 400, message: 'content.html is listed more than once' });
+});
+
+test('apply rejects files changed since the preview', async () => {
+  const project = buildProject();
+  await assert.rejects(editService.apply(project, 'user-1', {
+    files: [{ path: 'content.css', baseHash: editService.hashContent('old'), edit: replaceEdit('red', 'blue') }]
+  }), { statusCode: 409 });
+});
+
+test('apply writes clean edits between two snapshots', async (t) => {
+  const snapshots = [];
+  t.mock.method(versionService, 'createSnapshot', async (project, options) => {
+    snapshots.push(options.description);
+    return { version: snapshots.length };
+  });
+
+  const project = buildProject();
+  const result = await editService.apply(project, 'user-1', {
+    files: [{ path: 'content.css', baseHash: editService.hashContent(project.content.css), edit: replaceEdit('red', 'blue') }],
+    description: 'Blue headings'
+  });
+
+  assert.strictEqual(project.content.css, 'h1 { color: blue; }\n');
+  assert.strictEqual(result.version, 2);
+  assert.deepStrictEqual(snapshots, ['Before AI edit', 'Blue headings']);
+  assert.deepStrictEqual(result.files.map(file => [file.path, file.status]), [['content.css', 'clean']]);
+});
@@ -0,0 +1,58 @@
+// test/exportService.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const exportService = require('../src/services/exportService');
+const workspaceService = require('../src/services/workspaceService');
+
+test.before(() => {
+  test.mock.method(workspaceService, 'listFiles', async () => []);
+});
+
+const buildProject = (overrides = {}) => ({
+  _id: 'project-1',
+  name: 'Shop Front',
+  category: 'ecommerce',
+  techStack: ['React'],
+  content: {},
+  generatedFiles: new Map([['src/App.jsx', 'export default () => null;']]),
+  ...overrides
+});
+
+test('pins framework plugin versions and adds a vite config', async () => {
+  const { files } = await exportService.buildExport(buildProject({ techStack: ['React', 'TypeScript'] }), { includeAssets: false });
+  const packageJson = JSON.parse(files.find(file => file.path === 'package.json').content);
+  const viteConfig = files.find(file => file.path === 'vite.config.js').content;
+
+  Object.values(packageJson.devDependencies).forEach(version => assert.match(version, /^\^\d+\.\d+\.\d+$/));
+  assert.strictEqual(packageJson.devDependencies['@vitejs/plugin-react'], '^4.3.0');
+  assert.match(viteConfig, /import react from '@vitejs\/plugin-react';/);
+  assert.match(viteConfig, /plugins: \[react\(\)\]/);
+});
+
+test('a Preact project gets only the Preact plugin', async () => {
+  const { files } = await exportService.buildExport(buildProject({ techStack: ['Preact'] }), { includeAssets: false });
+  const packageJson = JSON.parse(files.find(file => file.path === 'package.json').content);
+  const viteConfig = files.find(file => file.path === 'vite.config.js').content;
+
+  assert.deepStrictEqual(exportService.getBundlerStacks({ techStack: ['Preact', 'Next.js'] }), ['preact']);
+  assert.strictEqual(packageJson.devDependencies['@vitejs/plugin-react'], undefined);
+  assert.strictEqual(packageJson.dependencies.react, undefined);
+  assert.ok(packageJson.devDependencies['@preact/preset-vite']);
+  assert.doesNotMatch(viteConfig, /plugin-react/);
+});
+
+test('keeps a vite config the project already has', async () => {
+  const generatedFiles = new Map([['src/main.jsx', ''], ['vite.config.ts', 'export default {};']]);
+  const { files } = await exportService.buildExport(buildProject({ generatedFiles }), { includeAssets: false });
+
+  assert.deepStrictEqual(files.filter(file => file.path.startsWith('vite.config')).map(file => file.path), ['vite.config.ts']);
+});
+
+test('skips and reports generated files with invalid paths', async () => {
+  const generatedFiles = new Map([['src/App.jsx', 'ok'], ['../outside.js', 'bad'], ['', 'empty']]);
+  const { files, skipped } = await exportService.buildExport(buildProject({ techStack: [], generatedFiles }), { includeAssets: false });
+
+  assert.deepStrictEqual(skipped, ['../outside.js', '']);
+  assert.deepStrictEqual(files.map(file => file.path), ['src/App.jsx', 'README.md']);
+  assert.match(files[1].content, /## Skipped files[\s\S]*`..\/outside.js`/);
+});
@@ -0,0 +1,45 @@
+// test/helpers.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { globToRegExp, parseGlobList, slugify, getLanguageFromPath } = require('../src/utils/helpers');
+
+test('parseGlobList keeps commas inside braces', () => {
+  assert.deepStrictEqual(parseGlobList('*.{css,scss}, src/**/*.js ,,'), ['*.{css,scss}', 'src/**/*.js']);
+  assert.deepStrictEqual(parseGlobList('{a,b}/{c,d}.js,e.md'), ['{a,b}/{c,d}.js', 'e.md']);
+  assert.deepStrictEqual(parseGlobList([' *.{js,jsx} ', '']), ['*.{js,jsx}']);
+  assert.deepStrictEqual(parseGlobList(''), []);
+  assert.deepStrictEqual(parseGlobList(undefined), []);
+});
+
+test('globToRegExp matches paths', () => {
+  const cases = [
+    ['*.{css,scss}', ['index.css', 'src/styles/app.scss'], ['app.sass', 'index.css.map']],
+    ['src/**/*.js', ['src/a.js', 'src/lib/deep/b.js'], ['a.js', 'lib/src/a.js', 'src/a.jsx']],
+    ['src/?.js', ['src/a.js'], ['src/ab.js', 'src/a/b.js']],
+    ['src/**', ['src/a', 'src/a/b.js'], ['srcs/a']],
+    ['[!a]*.md', ['b.md', 'docs/readme.md'], ['a.md']],
+    ['./lib/*.js', ['lib/x.js'], ['lib/y/x.js']]
+  ];
+
+  cases.forEach(([glob, matching, other]) => {
+    const regex = globToRegExp(glob);
+    matching.forEach(filePath => assert.ok(regex.test(filePath), `${glob} should match ${filePath}`));
+    other.forEach(filePath => assert.ok(!regex.test(filePath), `${glob} should not match ${filePath}`));
+  });
+});
+
+test('globToRegExp rejects malformed globs with a 400', () => {
+  ['*.{css', '*.css}', '*.{a,{b,c}}', 'src/[z-a].js'].forEach(glob => {
+    assert.throws(() => globToRegExp(glob), error => error.statusCode === 400, glob);
+  });
+
+  // A comma-split glob list no longer produces fragments like "*.{css"
+  assert.doesNotThrow(() => parseGlobList('*.{css,scss}').map(globToRegExp));
+});
+
+test('slugify and getLanguageFromPath', () => {
+  assert.strictEqual(slugify('  Café Menu!! '), 'cafe-menu');
+  assert.strictEqual(slugify('***', 'site'), 'site');
+  assert.strictEqual(getLanguageFromPath('src/App.JSX'), 'javascript');
+  assert.strictEqual(getLanguageFromPath('Makefile'), 'plaintext');
+});
@@ -0,0 +1,56 @@
+// test/importService.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const AdmZip = require('adm-zip');
+const importService = require('../src/services/importService');
+const versionService = require('../src/services/versionService');
+const workspaceService = require('../src/services/workspaceService');
+
+const buildZip = (files) => {
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([name, content]) => zip.addFile(name, Buffer.from(content)));
+  return zip.toBuffer();
+};
+
+// Rewrite the uncompressed size recorded for every entry, in local and central headers
+const declareSize = (buffer, size) => {
+  const patched = Buffer.from(buffer);
+  for (let offset = 0; offset < patched.length - 4; offset++) {
+    const signature = patched.readUInt32LE(offset);
+    if (signature === 0x04034b50) patched.writeUInt32LE(size, offset + 22);
+    if (signature === 0x02014b50) patched.writeUInt32LE(size, offset + 24);
+  }
+  return patched;
+};
+
+test('reads text files from an archive', () => {
+  const { files, skipped } = importService.readArchive(buildZip({ 'site/index.html': '<h1>Hi</h1>', 'site/app.js': 'run();' }));
+  assert.deepStrictEqual(Object.fromEntries(files), { 'index.html': '<h1>Hi</h1>', 'app.js': 'run();' });
+  assert.deepStrictEqual(skipped, []);
+});
+
+test('does not trust the sizes an archive declares', () => {
+  const bomb = declareSize(buildZip({ 'big.txt': 'a'.repeat(3 * 1024 * 1024) }), 10);
+  assert.throws(() => importService.readArchive(bomb), { statusCode: 413 });
+
+  const understated = declareSize(buildZip({ 'small.txt': 'a'.repeat(1000) }), 10);
+  assert.throws(() => importService.readArchive(understated), { statusCode: 400 });
+});
+
+test('replacing the workspace goes through one atomic replace', async (t) => {
+  t.mock.method(versionService, 'createSnapshot', async () => {});
+  const clear = t.mock.method(workspaceService, 'clearWorkspace', async () => {});
+  const write = t.mock.method(workspaceService, 'writeFiles', async () => []);
+  const replace = t.mock.method(workspaceService, 'replaceWorkspace', async () => {
+    throw Object.assign(new Error('write failed'), { statusCode: 413 });
+  });
+  t.mock.method(importService, 'readArchive', () => ({ files: new Map([['index.html', '<p></p>']]), skipped: [] }));
+
+  const project = { _id: 'project-1', content: {}, techStack: [] };
+  await assert.rejects(importService.importZip(project, 'upload.zip', { replace: true }), { statusCode: 413 });
+
+  assert.strictEqual(replace.mock.callCount(), 1);
+  assert.deepStrictEqual(replace.mock.calls[0].arguments[1], { 'index.html': '<p></p>' });
+  assert.strictEqual(clear.mock.callCount(), 0);
+  assert.strictEqual(write.mock.callCount(), 0);
+});
@@ -0,0 +1,111 @@
+// test/knowledgeFeedback.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const KnowledgeEntry = require('../src/models/KnowledgeEntry');
+const KnowledgeUsage = require('../src/models/KnowledgeUsage');
+const aiKnowledgeBase = require('../src/services/aiKnowledgeBase');
+
+const buildEntry = (fields = {}) => ({
+  _id: 'entry-1',
+  userId: 'user-1',
+  scope: 'private',
+  feedback: { positive: 0, negative: 0, updatedAt: null },
+  successRate: 1,
+  quarantined: false,
+  pinned: false,
+  save: async () => {},
+  ...fields
+});
+
+// One generation by user-1 that adapted `entry`
+const mockGeneration = (t, entry) => {
+  const usage = {
+    generationId: 'gen-1',
+    userId: 'user-1',
+    entries: [{ entryId: entry._id, role: 'adapted' }],
+    feedback: [],
+    save: async () => {}
+  };
+  t.mock.method(KnowledgeUsage, 'findOne', async (query) => (query.generationId === 'gen-1' && query.userId === 'user-1' ? usage : null));
+  t.mock.method(KnowledgeEntry, 'find', () => ({ select: async () => [entry] }));
+  return usage;
+};
+
+test('one signal per generation: a new signal replaces the previous one', async (t) => {
+  const entry = buildEntry();
+  const usage = mockGeneration(t, entry);
+
+  await aiKnowledgeBase.submitGenerationFeedback('user-1', 'gen-1', { signal: 'thumbs-down' });
+  await aiKnowledgeBase.submitGenerationFeedback('user-1', 'gen-1', { signal: 'reverted' });
+  const result = await aiKnowledgeBase.submitGenerationFeedback('user-1', 'gen-1', { signal: 'build-failed' });
+
+  assert.strictEqual(result.replaced, 'reverted');
+  assert.ok(Math.abs(entry.feedback.negative - 2) < 1e-6, `negative is ${entry.feedback.negative}`);
+  assert.strictEqual(entry.feedback.positive, 0);
+  assert.strictEqual(entry.quarantined, false);
+  assert.deepStrictEqual(usage.feedback.map(item => item.signal), ['build-failed']);
+
+  const repeated = await aiKnowledgeBase.submitGenerationFeedback('user-1', 'gen-1', { signal: 'build-failed' });
+  assert.strictEqual(repeated.recorded, false);
+  assert.ok(Math.abs(entry.feedback.negative - 2) < 1e-6);
+});
+
+test('switching from negative to positive feedback restores the success rate', async (t) => {
+  const entry = buildEntry();
+  mockGeneration(t, entry);
+
+  await aiKnowledgeBase.submitGenerationFeedback('user-1', 'gen-1', { signal: 'build-failed' });
+  assert.ok(entry.successRate < 0.5);
+  await aiKnowledgeBase.submitGenerationFeedback('user-1', 'gen-1', { signal: 'thumbs-up' });
+
+  assert.ok(entry.feedback.negative < 1e-6);
+  assert.ok(Math.abs(entry.feedback.positive - 1) < 1e-6);
+  assert.strictEqual(entry.successRate, 1);
+});
+
+test('only the generation owner can give feedback on it', async (t) => {
+  mockGeneration(t, buildEntry());
+  await assert.rejects(aiKnowledgeBase.submitGenerationFeedback('user-2', 'gen-1', { signal: 'thumbs-up' }), { statusCode: 404 });
+  await assert.rejects(aiKnowledgeBase.submitGenerationFeedback('user-1', 'gen-1', { signal: 'meh' }), { statusCode: 400 });
+});
+
+test('retracted weight decays with the feedback it was part of', () => {
+  const halfLife = aiKnowledgeBase.getFeedbackHalfLifeDays() * 86400000;
+  const givenAt = new Date(Date.now() - halfLife);
+  const entry = buildEntry({ feedback: { positive: 0, negative: 2, updatedAt: givenAt } });
+
+  aiKnowledgeBase.retractFeedback(entry, 'build-failed', givenAt, new Date(givenAt.getTime() + halfLife));
+  assert.ok(entry.feedback.negative < 1e-6);
+});
+
+test('only the author can rate an entry directly', async (t) => {
+  const entry = buildEntry({ _id: '64b000000000000000000001', scope: 'team', teamId: 'team-1' });
+  t.mock.method(KnowledgeEntry, 'findById', () => ({ select: async () => entry }));
+
+  await assert.rejects(aiKnowledgeBase.submitEntryFeedback('user-2', entry._id, { signal: 'build-failed' }), { statusCode: 404 });
+  assert.strictEqual(entry.feedback.negative, 0);
+
+  await aiKnowledgeBase.submitEntryFeedback('user-1', entry._id, { signal: 'build-failed' });
+  assert.ok(entry.feedback.negative > 0);
+});
+
+test('a corrected generation lifts the quarantine its earlier signal caused', async (t) => {
+  const entry = buildEntry({ feedback: { positive: 0, negative: 2, updatedAt: new Date() }, successRate: 1 / 3 });
+  mockGeneration(t, entry);
+
+  await aiKnowledgeBase.submitGenerationFeedback('user-1', 'gen-1', { signal: 'build-failed' });
+  assert.strictEqual(entry.quarantined, true);
+  assert.strictEqual(entry.quarantineReason, 'feedback');
+
+  await aiKnowledgeBase.submitGenerationFeedback('user-1', 'gen-1', { signal: 'thumbs-up' });
+  assert.strictEqual(entry.quarantined, false);
+  assert.strictEqual(entry.quarantinedAt, null);
+});
+
+test('corrected feedback keeps a quarantine that feedback did not set', async (t) => {
+  const entry = buildEntry({ quarantined: true, quarantinedAt: new Date(), quarantineReason: 'manual' });
+  mockGeneration(t, entry);
+
+  await aiKnowledgeBase.submitGenerationFeedback('user-1', 'gen-1', { signal: 'thumbs-up' });
+  assert.strictEqual(entry.quarantined, true);
+});
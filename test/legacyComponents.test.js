@@ -0,0 +1,86 @@
+// test/legacyComponents.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Project = require('../src/models/Project');
+const componentService = require('../src/services/componentService');
+const { convertLegacyComponents, hasLegacyComponents } = require('../src/utils/legacyComponents');
+
+const legacyContent = () => ({
+  html: '<main></main>',
+  components: [
+    { id: 'c1', type: 'button', props: { label: 'Buy', primary: true }, styles: { color: 'red' }, position: { x: 1, y: 2, width: 3, height: 4 } },
+    { id: 'c2', type: 'button', props: { label: 'Back', size: 2 }, styles: {} },
+    { id: 'c3', type: 'hero' }
+  ]
+});
+
+test('converts legacy components into definitions and instances', () => {
+  const converted = convertLegacyComponents(legacyContent());
+
+  assert.deepStrictEqual(converted.components.map(component => [component.id, component.name]), [
+    ['legacy-button', 'button'],
+    ['legacy-hero', 'hero']
+  ]);
+  assert.deepStrictEqual(converted.components[0].propsSchema, {
+    label: { type: 'string', required: false },
+    primary: { type: 'boolean', required: false },
+    size: { type: 'number', required: false }
+  });
+  assert.deepStrictEqual(converted.componentInstances[0], {
+    id: 'c1',
+    definitionId: 'legacy-button',
+    pageId: null,
+    props: { label: 'Buy', primary: true },
+    styles: { color: 'red' },
+    position: { x: 1, y: 2, width: 3, height: 4 },
+    definitionVersion: 1
+  });
+  assert.deepStrictEqual(converted.componentInstances.map(instance => instance.definitionId), ['legacy-button', 'legacy-button', 'legacy-hero']);
+
+  // Same input, same ids
+  assert.deepStrictEqual(convertLegacyComponents(legacyContent()), converted);
+});
+
+test('leaves current definitions alone and avoids name clashes', () => {
+  const content = legacyContent();
+  content.components.unshift({ id: 'd1', name: 'button', type: 'component', code: '<button />' });
+  content.componentInstances = [{ id: 'i1', definitionId: 'd1' }];
+
+  const converted = convertLegacyComponents(content);
+  assert.deepStrictEqual(converted.components.map(component => component.name), ['button', 'button 2', 'hero']);
+  assert.deepStrictEqual(converted.componentInstances.map(instance => instance.id), ['i1', 'c1', 'c2', 'c3']);
+
+  assert.strictEqual(convertLegacyComponents({ components: converted.components }), null);
+  assert.ok(!hasLegacyComponents({ components: [] }));
+});
+
+test('projects loaded with legacy components keep them on save', () => {
+  const project = Project.hydrate({ _id: new mongoose.Types.ObjectId(), name: 'Old', userId: 'user-1', content: legacyContent() });
+
+  assert.deepStrictEqual(project.content.componentInstances.map(instance => instance.id), ['c1', 'c2', 'c3']);
+  assert.strictEqual(project.content.componentInstances[0].styles.color, 'red');
+  assert.ok(project.isModified('content.components'));
+  assert.ok(project.isModified('content.componentInstances'));
+});
+
+test('migration job rewrites stored projects in batches', async (t) => {
+  const stored = [
+    { _id: new mongoose.Types.ObjectId(), content: legacyContent() },
+    { _id: new mongoose.Types.ObjectId(), content: { components: [{ id: 'x', type: 'card', props: { title: 'Hi' } }] } }
+  ];
+  const writes = [];
+  t.mock.method(Project, 'countDocuments', async () => stored.length);
+  t.mock.method(Project, 'find', (query) => ({
+    select() { return this; },
+    sort() { return this; },
+    limit() { return this; },
+    lean: async () => (query._id ? stored.filter(project => project._id > query._id.$gt) : stored)
+  }));
+  t.mock.method(Project, 'bulkWrite', async (operations) => writes.push(...operations));
+
+  const stats = await componentService.migrateLegacyComponents();
+
+  assert.deepStrictEqual(stats, { dryRun: false, total: 2, processed: 2, migrated: 2, instances: 4 });
+  assert.deepStrictEqual(writes[1].updateOne.update.$set['content.componentInstances'].map(instance => instance.definitionId), ['legacy-card']);
+});
@@ -0,0 +1,95 @@
+// test/mockProvider.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mockProvider = require('../src/services/mockProvider');
+
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-fixtures-'));
+
+test.before(() => {
+  fs.writeFileSync(path.join(fixturesDir, 'pages.json'), JSON.stringify([
+    { name: 'pricing', match: ['pricing', '/\\btable\\b/i'], content: 'pricing table', usage: { inputTokens: 3, outputTokens: 2 } },
+    { name: 'streamed', match: ['streamed'], chunks: ['one ', 'two ', 'three'] },
+    { name: 'flaky', match: ['flaky'], error: { status: 503, message: 'overloaded' }, failTimes: 1, content: 'recovered' }
+  ]));
+  fs.writeFileSync(path.join(fixturesDir, 'broken.json'), '{ not json');
+  process.env.AI_MOCK_FIXTURES_DIR = fixturesDir;
+  process.env.AI_MOCK_LATENCY_MS = '0';
+  mockProvider.reload();
+});
+
+test.after(() => {
+  delete process.env.AI_MOCK_FIXTURES_DIR;
+  delete process.env.AI_MOCK_LATENCY_MS;
+  fs.rmSync(fixturesDir, { recursive: true, force: true });
+});
+
+const request = (content, extra = {}) => ({ model: 'mock-model', messages: [{ role: 'user', content }], ...extra });
+
+test('matches fixtures only when every pattern matches', async () => {
+  const matched = await mockProvider.complete(request('A pricing TABLE please'));
+  assert.strictEqual(matched.content, 'pricing table');
+  assert.deepStrictEqual(matched.usage, { inputTokens: 3, outputTokens: 2, totalTokens: 5 });
+
+  const unmatched = await mockProvider.complete(request('pricing page'));
+  assert.notStrictEqual(unmatched.content, 'pricing table');
+});
+
+test('skips unreadable fixture files', () => {
+  const names = mockProvider.getFixtures().map(fixture => fixture.name);
+  assert.deepStrictEqual(names.sort(), ['flaky', 'pricing', 'streamed']);
+});
+
+test('default responses are deterministic per prompt', async () => {
+  const first = await mockProvider.complete(request('a contact form'));
+  const second = await mockProvider.complete(request('a contact form'));
+  const other = await mockProvider.complete(request('a footer'));
+
+  assert.strictEqual(first.content, second.content);
+  assert.notStrictEqual(first.content, other.content);
+  assert.match(first.content, /\*\*src\/components\/Mock\w+\.jsx\*\*/);
+  assert.strictEqual(first.provider, 'mock');
+  assert.strictEqual(first.model, 'mock-model');
+});
+
+test('named fixture and error directives', async () => {
+  const named = await mockProvider.complete(request('anything [[mock:fixture=pricing]]'));
+  assert.strictEqual(named.content, 'pricing table');
+
+  await assert.rejects(mockProvider.complete(request('hi [[mock:rate_limit]]')), error => {
+    assert.strictEqual(error.status, 429);
+    assert.strictEqual(error.headers.get('retry-after'), '1');
+    return true;
+  });
+  await assert.rejects(mockProvider.complete(request('hi [[mock:auth_error]]')), { status: 401 });
+});
+
+test('fixtures with failTimes fail that many times, then succeed', async () => {
+  mockProvider.reload();
+  await assert.rejects(mockProvider.complete(request('flaky')), { status: 503, message: 'overloaded' });
+  const recovered = await mockProvider.complete(request('flaky'));
+  assert.strictEqual(recovered.content, 'recovered');
+});
+
+test('streams recorded chunks and honours cancellation', async () => {
+  const tokens = [];
+  const response = await mockProvider.stream(request('streamed', { onToken: token => tokens.push(token) }));
+  assert.deepStrictEqual(tokens, ['one ', 'two ', 'three']);
+  assert.strictEqual(response.content, 'one two three');
+
+  const controller = new AbortController();
+  controller.abort(new Error('cancelled'));
+  await assert.rejects(
+    mockProvider.stream(request('streamed', { signal: controller.signal, onToken: () => {} })),
+    { message: 'cancelled' }
+  );
+
+  const hanging = new AbortController();
+  setTimeout(() => hanging.abort(new Error('timed out')), 20);
+  await assert.rejects(
+    mockProvider.complete(request('wait [[mock:timeout]]', { signal: hanging.signal })),
+    { message: 'timed out' }
+  );
+});
@@ -0,0 +1,115 @@
+// test/patch.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseUnifiedDiff, parseSearchReplaceBlocks, applyHunks, applySearchReplace } = require('../src/utils/patch');
+
+const SOURCE = [
+  "import React from 'react';",
+  '',
+  'export default function App() {',
+  '  const title = "Hello";',
+  '  return <h1>{title}</h1>;',
+  '}',
+  ''
+].join('\n');
+
+test('parseUnifiedDiff reads file headers and hunks', () => {
+  const files = parseUnifiedDiff([
+    '```diff',
+    '--- a/src/App.jsx',
+    '+++ b/src/App.jsx',
+    '@@ -3,3 +3,3 @@',
+    ' export default function App() {',
+    '-  const title = "Hello";',
+    '+  const title = "Welcome";',
+    '',
+    '```',
+    '--- /dev/null',
+    '+++ b/src/new.js',
+    '@@ @@',
+    '+export const created = true;'
+  ].join('\n'));
+
+  assert.strictEqual(files.length, 2);
+  assert.deepStrictEqual(files[0], {
+    oldPath: 'src/App.jsx',
+    newPath: 'src/App.jsx',
+    hunks: [{
+      header: '@@ -3,3 +3,3 @@',
+      oldStart: 3,
+      oldLines: 3,
+      newStart: 3,
+      newLines: 3,
+      lines: [' export default function App() {', '-  const title = "Hello";', '+  const title = "Welcome";']
+    }]
+  });
+  assert.strictEqual(files[1].oldPath, null);
+  assert.strictEqual(files[1].hunks[0].oldStart, null);
+});
+
+test('applyHunks tolerates wrong line numbers and whitespace, and reports misses', () => {
+  const [file] = parseUnifiedDiff([
+    '@@ -40,2 +40,2 @@',
+    ' export default function App() {',
+    '-    const title   =  "Hello";',
+    '+  const title = "Welcome";',
+    '@@ -1,1 +1,1 @@',
+    '-import Vue from "vue";',
+    '+import Vue from "vue/dist";'
+  ].join('\n'));
+
+  const result = applyHunks(SOURCE, file.hunks);
+  assert.match(result.content, /const title = "Welcome";/);
+  assert.ok(result.content.endsWith('}\n'));
+  assert.deepStrictEqual(result.applied.map(item => item.line), [3]);
+  assert.deepStrictEqual(result.failed.map(item => [item.index, item.expected]), [[1, 'import Vue from "vue";']]);
+});
+
+test('applyHunks inserts pure additions at the header position', () => {
+  const [file] = parseUnifiedDiff('@@ -1,0 +2,1 @@\n+// added');
+  assert.strictEqual(applyHunks('a\nb\n', file.hunks).content, 'a\n// added\nb\n');
+});
+
+test('parseSearchReplaceBlocks picks up paths and incomplete blocks', () => {
+  const blocks = parseSearchReplaceBlocks([
+    '**src/App.jsx**',
+    '```jsx',
+    '<<<<<<< SEARCH',
+    '  const title = "Hello";',
+    '=======',
+    '  const title = "Welcome";',
+    '>>>>>>> REPLACE',
+    '```',
+    '<<<<<<< SEARCH',
+    'never closed'
+  ].join('\n'));
+
+  assert.deepStrictEqual(blocks, [
+    { path: 'src/App.jsx', search: '  const title = "Hello";', replace: '  const title = "Welcome";', complete: true },
+    { path: 'src/App.jsx', search: 'never closed', replace: '', complete: false }
+  ]);
+});
+
+test('applySearchReplace requires a unique match and appends on empty search', () => {
+  const result = applySearchReplace(SOURCE, [
+    { search: '  const title = "Hello";', replace: '  const title = "Hi";' },
+    { search: '}', replace: '};' },
+    { search: 'return   <h1>{title}</h1>;', replace: '  return <h2>{title}</h2>;' },
+    { search: 'missing', replace: 'x' },
+    { search: '', replace: 'export const extra = 1;' },
+    { search: 'a', replace: 'b', complete: false }
+  ]);
+
+  assert.match(result.content, /const title = "Hi";/);
+  assert.match(result.content, /<h2>\{title\}<\/h2>/);
+  assert.ok(result.content.endsWith('}\nexport const extra = 1;\n'));
+  // "}" is ambiguous, "missing" absent, the last block unterminated
+  assert.deepStrictEqual(result.applied.map(item => item.index), [0, 2, 4]);
+  assert.deepStrictEqual(result.failed.map(item => item.index), [1, 3, 5]);
+});
+
+test('applySearchReplace rejects ambiguous search text', () => {
+  const result = applySearchReplace('x = 1;\nx = 1;\n', [{ search: 'x = 1;', replace: 'x = 2;' }]);
+  assert.strictEqual(result.content, 'x = 1;\nx = 1;\n');
+  assert.match(result.failed[0].reason, /more than once/);
+});
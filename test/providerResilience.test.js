@@ -0,0 +1,133 @@
+// test/providerResilience.test.js
+process.env.AI_BREAKER_THRESHOLD = '2';
+process.env.AI_BREAKER_COOLDOWN_MS = '1000';
+process.env.AI_RETRY_ATTEMPTS = '1';
+process.env.AI_RETRY_BASE_MS = '1';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const providerResilience = require('../src/services/providerResilience');
+const { createHttpError } = require('../src/utils/helpers');
+
+const upstreamError = (status, message = `upstream ${status}`) => Object.assign(new Error(message), { upstreamStatus: status });
+
+// Open the provider's breaker and move its cooldown into the past
+const openBreaker = (provider) => {
+  providerResilience.recordFailure(provider, 'server');
+  providerResilience.recordFailure(provider, 'server');
+  providerResilience.getBreaker(provider).openedAt -= 1000;
+};
+
+const fallback = (providers, call, options = {}) => providerResilience.callWithFallback({
+  providers,
+  getCredentials: async () => ({ apiKey: 'key' }),
+  call,
+  ...options
+});
+
+test.beforeEach(() => {
+  providerResilience.breakers.clear();
+});
+
+test('classifies errors', () => {
+  const controller = new AbortController();
+  controller.abort();
+  assert.strictEqual(providerResilience.classifyError(new Error('x'), controller.signal), 'cancelled');
+  assert.strictEqual(providerResilience.classifyError(createHttpError('Unknown key', 404)), 'client');
+  assert.strictEqual(providerResilience.classifyError(upstreamError(401)), 'auth');
+  assert.strictEqual(providerResilience.classifyError(upstreamError(429)), 'rate_limit');
+  assert.strictEqual(providerResilience.classifyError(upstreamError(504)), 'timeout');
+  assert.strictEqual(providerResilience.classifyError(upstreamError(503)), 'server');
+  assert.strictEqual(providerResilience.classifyError(upstreamError(400, 'blocked by safety policy')), 'content_filter');
+  assert.strictEqual(providerResilience.classifyError(upstreamError(422)), 'bad_request');
+  assert.strictEqual(providerResilience.classifyError(Object.assign(new Error('fetch failed'), { cause: { code: 'ECONNRESET' } })), 'server');
+});
+
+test('breaker opens at the threshold, allows one trial after the cooldown and closes on success', () => {
+  const now = Date.now();
+  providerResilience.recordFailure('openai', 'server');
+  assert.strictEqual(providerResilience.getBreaker('openai').state, 'closed');
+  providerResilience.recordFailure('openai', 'rate_limit');
+  assert.strictEqual(providerResilience.getBreaker('openai').state, 'closed');
+  providerResilience.recordFailure('openai', 'timeout');
+  assert.strictEqual(providerResilience.getBreaker('openai').state, 'open');
+
+  const openedAt = providerResilience.getBreaker('openai').openedAt;
+  assert.strictEqual(providerResilience.canRequest('openai', openedAt + 999), false);
+  assert.strictEqual(providerResilience.canRequest('openai', openedAt + 1000), true);
+  assert.strictEqual(providerResilience.getBreaker('openai').state, 'half-open');
+  assert.strictEqual(providerResilience.canRequest('openai', now + 2000), false);
+
+  providerResilience.recordSuccess('openai');
+  assert.deepStrictEqual(providerResilience.getBreaker('openai'), { state: 'closed', failures: 0, openedAt: null, trial: false });
+});
+
+test('a failed trial reopens the breaker; a non-health failure only releases the trial', () => {
+  openBreaker('claude');
+  assert.ok(providerResilience.canRequest('claude'));
+  providerResilience.recordFailure('claude', 'server');
+  assert.strictEqual(providerResilience.getBreaker('claude').state, 'open');
+
+  providerResilience.getBreaker('claude').openedAt -= 1000;
+  assert.ok(providerResilience.canRequest('claude'));
+  providerResilience.recordFailure('claude', 'bad_request');
+  assert.strictEqual(providerResilience.getBreaker('claude').state, 'half-open');
+  assert.ok(providerResilience.canRequest('claude'));
+});
+
+test('retries retryable errors, then falls back to the next provider', async () => {
+  const calls = [];
+  const failed = [];
+  const { result, provider, attempts } = await fallback(['openai', 'claude'], async (name, credentials, attempt) => {
+    calls.push(`${name}#${attempt}`);
+    if (name === 'openai') throw upstreamError(503);
+    return { model: 'claude-model', content: 'ok' };
+  }, { onAttemptFailed: entry => failed.push(entry.errorType) });
+
+  assert.strictEqual(provider, 'claude');
+  assert.strictEqual(result.content, 'ok');
+  assert.deepStrictEqual(calls, ['openai#1', 'openai#2', 'claude#1']);
+  assert.deepStrictEqual(failed, ['server', 'server']);
+  assert.deepStrictEqual(attempts.map(attempt => attempt.outcome), ['error', 'error', 'success']);
+  assert.strictEqual(providerResilience.getBreaker('openai').state, 'open');
+});
+
+test('a cancelled or rejected trial call releases the trial', async () => {
+  for (const error of [createHttpError('Model not available', 400), Object.assign(new Error('stopped'), { code: 'GENERATION_CANCELLED' })]) {
+    providerResilience.breakers.clear();
+    openBreaker('gemini');
+
+    await assert.rejects(fallback(['gemini'], async () => {
+      throw error;
+    }), { message: error.message });
+    assert.deepStrictEqual(
+      { state: providerResilience.getBreaker('gemini').state, trial: providerResilience.getBreaker('gemini').trial },
+      { state: 'half-open', trial: false }
+    );
+
+    const { provider } = await fallback(['gemini'], async () => ({ content: 'recovered' }));
+    assert.strictEqual(provider, 'gemini');
+    assert.strictEqual(providerResilience.getBreaker('gemini').state, 'closed');
+  }
+});
+
+test('reports open circuits as 503 and missing credentials as 400', async () => {
+  openBreaker('openai');
+  providerResilience.getBreaker('openai').openedAt = Date.now();
+
+  await assert.rejects(fallback(['openai'], async () => ({})), error => {
+    assert.strictEqual(error.statusCode, 503);
+    assert.deepStrictEqual(error.attempts, [{ provider: 'openai', attempt: 0, outcome: 'skipped', reason: 'circuit_open' }]);
+    return true;
+  });
+
+  await assert.rejects(providerResilience.callWithFallback({
+    providers: ['openai'],
+    getCredentials: async () => null,
+    call: async () => ({})
+  }), { statusCode: 400 });
+
+  await assert.rejects(fallback(['claude'], async () => {
+    throw upstreamError(401, 'bad key');
+  }), { statusCode: 502, message: 'All AI providers failed: bad key' });
+});
@@ -0,0 +1,33 @@
+// test/quotaService.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const User = require('../src/models/User');
+const UsageRecord = require('../src/models/UsageRecord');
+const quotaService = require('../src/services/quotaService');
+
+// A user with the given limit overrides; ledger lookups take a turn of the event loop
+const mockUser = (t, quotas, ledger = {}) => {
+  t.mock.method(User, 'findOne', async () => ({ uid: 'user-1', plan: null, quotas }));
+  t.mock.method(UsageRecord, 'aggregate', () => new Promise(resolve => setImmediate(() => resolve([ledger]))));
+  quotaService.requestWindows.clear();
+};
+
+test('parallel requests cannot get past the per-minute limit together', async (t) => {
+  mockUser(t, { requestsPerMinute: 3 });
+
+  const results = await Promise.allSettled(Array.from({ length: 4 }, () => quotaService.enforce('user-1')));
+
+  assert.strictEqual(results.filter(result => result.status === 'fulfilled').length, 3);
+  const rejected = results.filter(result => result.status === 'rejected');
+  assert.strictEqual(rejected.length, 1);
+  assert.strictEqual(rejected[0].reason.statusCode, 429);
+  assert.strictEqual(rejected[0].reason.quota.limit, 'requestsPerMinute');
+  assert.strictEqual(quotaService.getRecentRequests('user-1').length, 3);
+});
+
+test('a request refused for another limit gives its slot back', async (t) => {
+  mockUser(t, { requestsPerMinute: 5, tokensPerDay: 100 }, { tokensToday: 100 });
+
+  await assert.rejects(quotaService.enforce('user-1'), error => error.statusCode === 429 && error.quota.limit === 'tokensPerDay');
+  assert.strictEqual(quotaService.getRecentRequests('user-1').length, 0);
+});
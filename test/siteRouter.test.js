@@ -0,0 +1,27 @@
+// test/siteRouter.test.js
+process.env.BASE_DOMAIN = 'sites.test';
+process.env.APP_HOSTS = 'studio.sites.test';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getSubdomain, siteRouter } = require('../src/middleware/siteRouter');
+
+test('published subdomains are routed to sites', () => {
+  assert.strictEqual(getSubdomain('Shop.Sites.Test'), 'shop');
+  assert.strictEqual(getSubdomain('a.b.sites.test'), null);
+  assert.strictEqual(getSubdomain('sites.test'), null);
+});
+
+test('reserved subdomains and app hosts are left to the API', async () => {
+  assert.strictEqual(getSubdomain('api.sites.test'), null);
+  assert.strictEqual(getSubdomain('www.sites.test'), null);
+  assert.strictEqual(getSubdomain('studio.sites.test'), null);
+
+  let nextCalled = false;
+  const res = { status: () => assert.fail('should not respond') };
+  await siteRouter({ hostname: 'api.sites.test', path: '/api/projects' }, res, (error) => {
+    assert.ifError(error);
+    nextCalled = true;
+  });
+  assert.ok(nextCalled);
+});
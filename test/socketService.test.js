@@ -0,0 +1,35 @@
+// test/socketService.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const Project = require('../src/models/Project');
+const socketService = require('../src/services/socketService');
+
+const PROJECT_ID = '64b000000000000000000001';
+const socket = { handshake: { auth: {} } };
+
+// Without Firebase credentials every token verifies as the development user
+const DEV_UID = 'dev-user-123';
+
+const mockProjectOwner = (t, userId) => {
+  t.mock.method(Project, 'findById', (projectId) => ({
+    select() {
+      return this;
+    },
+    lean: async () => (userId ? { _id: projectId, userId } : null)
+  }));
+};
+
+test('takes the user from the verified token, not the payload', async (t) => {
+  mockProjectOwner(t, DEV_UID);
+  const connection = await socketService.verifyConnection(socket, { token: 'token', userId: 'someone-else', projectId: PROJECT_ID });
+
+  assert.deepStrictEqual(connection, { userId: DEV_UID, projectId: PROJECT_ID });
+});
+
+test('rejects projects the user does not own', async (t) => {
+  mockProjectOwner(t, 'someone-else');
+  await assert.rejects(socketService.verifyConnection(socket, { token: 'token', projectId: PROJECT_ID }), { statusCode: 404 });
+
+  mockProjectOwner(t, null);
+  await assert.rejects(socketService.verifyConnection(socket, { token: 'token', projectId: 'not-an-id' }), { statusCode: 404 });
+});
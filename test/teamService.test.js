@@ -0,0 +1,79 @@
+// test/teamService.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const Team = require('../src/models/Team');
+const teamService = require('../src/services/teamService');
+
+const buildTeam = () => {
+  const team = new Team({ name: 'Core', ownerId: 'owner-1', members: [{ userId: 'owner-1', role: 'owner' }] });
+  team.save = async () => team;
+  return team;
+};
+
+// `team` for every lookup
+const mockModels = (t, team) => {
+  t.mock.method(Team, 'findById', async () => team);
+};
+
+const verified = { email: 'Jo@Example.com', emailVerified: true };
+
+test('inviting does not add the member or reveal whether the email is registered', async (t) => {
+  const team = buildTeam();
+  mockModels(t, team);
+
+  const registered = await teamService.inviteMember('owner-1', team._id, { email: 'jo@example.com' });
+  const unknown = await teamService.inviteMember('owner-1', team._id, { email: 'nobody@example.com' });
+
+  assert.strictEqual(team.members.length, 1);
+  assert.deepStrictEqual(
+    unknown.invites.map(invite => [invite.email, invite.role]),
+    [['jo@example.com', 'member'], ['nobody@example.com', 'member']]
+  );
+  assert.deepStrictEqual(Object.keys(registered.invites[0]), Object.keys(unknown.invites[1]));
+});
+
+test('the invitee joins by accepting, with the invited role', async (t) => {
+  const team = buildTeam();
+  mockModels(t, team);
+  await teamService.inviteMember('owner-1', team._id, { email: 'jo@example.com', role: 'admin' });
+
+  await assert.rejects(teamService.acceptInvite('user-3', team._id), { statusCode: 404 });
+  const joined = await teamService.acceptInvite('user-2', team._id, verified);
+
+  assert.strictEqual(joined.role, 'admin');
+  assert.strictEqual(team.invites.length, 0);
+  await assert.rejects(teamService.acceptInvite('user-2', team._id, verified), { statusCode: 404 });
+});
+
+test('an unverified email address cannot claim an invite sent to it', async (t) => {
+  const team = buildTeam();
+  mockModels(t, team);
+  await teamService.inviteMember('owner-1', team._id, { email: 'jo@example.com' });
+
+  const unverified = { email: 'jo@example.com', emailVerified: false };
+  await assert.rejects(teamService.acceptInvite('user-9', team._id, unverified), { statusCode: 404 });
+  await assert.rejects(teamService.declineInvite('user-9', team._id, unverified), { statusCode: 404 });
+  assert.strictEqual(team.members.length, 1);
+  assert.strictEqual(team.invites.length, 1);
+});
+
+test('declined and expired invites cannot be accepted', async (t) => {
+  const team = buildTeam();
+  mockModels(t, team);
+  await teamService.inviteMember('owner-1', team._id, { userId: 'user-2' });
+  await teamService.declineInvite('user-2', team._id);
+  await assert.rejects(teamService.acceptInvite('user-2', team._id), { statusCode: 404 });
+
+  await teamService.inviteMember('owner-1', team._id, { userId: 'user-2' });
+  team.invites[0].invitedAt = new Date(Date.now() - 15 * 24 * 60 * 60 * 1000);
+  await assert.rejects(teamService.acceptInvite('user-2', team._id), { statusCode: 404 });
+  assert.strictEqual(team.members.length, 1);
+});
+
+test('only owners and admins can invite', async (t) => {
+  const team = buildTeam();
+  team.members.push({ userId: 'user-2', role: 'member' });
+  mockModels(t, team);
+  await assert.rejects(teamService.inviteMember('user-2', team._id, { userId: 'user-3' }), { statusCode: 403 });
+  await assert.rejects(teamService.inviteMember('owner-1', team._id, { userId: 'user-2' }), { statusCode: 409 });
+});
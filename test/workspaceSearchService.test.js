@@ -0,0 +1,35 @@
+// test/workspaceSearchService.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const workspaceSearchService = require('../src/services/workspaceSearchService');
+
+test('findMatches reports line, column and context', () => {
+  const matcher = workspaceSearchService.buildMatcher({ query: 'todo', wholeWord: true });
+  const matches = workspaceSearchService.findMatches('a\n// TODO one\nb\ntodos\nc todo', matcher, 1, 10);
+
+  assert.deepStrictEqual(matches.map(match => [match.line, match.column, match.match]), [[2, 4, 'TODO'], [5, 3, 'todo']]);
+  assert.deepStrictEqual(matches[0].before, ['a']);
+  assert.deepStrictEqual(matches[0].after, ['b']);
+});
+
+test('rejects invalid regular expressions and malformed globs with a 400', () => {
+  assert.throws(() => workspaceSearchService.buildMatcher({ query: '(', isRegex: true }), { statusCode: 400 });
+  assert.throws(() => workspaceSearchService.buildPathFilter('*.{css'), { statusCode: 400 });
+
+  const filter = workspaceSearchService.buildPathFilter('*.{css,scss}', 'vendor/**');
+  assert.ok(filter('src/app.scss'));
+  assert.ok(!filter('vendor/lib.css'));
+  assert.ok(!filter('src/app.js'));
+});
+
+test('stops catastrophic backtracking once the time budget is spent', () => {
+  const matcher = workspaceSearchService.buildMatcher({ query: '(a+)+$', isRegex: true });
+  const content = `${'a'.repeat(40)}b`;
+  const started = Date.now();
+
+  assert.throws(
+    () => workspaceSearchService.findMatches(content, matcher, 0, 10, Date.now() + 100),
+    { statusCode: 400 }
+  );
+  assert.ok(Date.now() - started < 2000);
+});